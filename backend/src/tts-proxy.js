@@ -115,17 +115,29 @@ function validateTTSRequest(body) {
     };
   }
 
+  // Validate optional timepointing (only SSML marks are supported)
+  if (body.enableTimePointing !== undefined
+    && (!Array.isArray(body.enableTimePointing)
+      || !body.enableTimePointing.every((type) => type === 'SSML_MARK'))) {
+    return {
+      valid: false,
+      error: 'enableTimePointing must be an array of "SSML_MARK"'
+    };
+  }
+
   return { valid: true };
 }
 
 /**
  * Call Google Cloud TTS API
+ * Timepoints for SSML marks are only returned by the v1beta1 API.
  * @param {Object} requestBody - TTS request payload
  * @param {string} apiKey - Google Cloud API key (from env.GOOGLE_TTS_API_KEY)
  * @returns {Promise<Response>} Fetch response from Google TTS API
  */
 async function callGoogleTTS(requestBody, apiKey) {
-  const endpoint = `https://texttospeech.googleapis.com/v1/text:synthesize?key=${apiKey}`;
+  const version = requestBody.enableTimePointing ? 'v1beta1' : 'v1';
+  const endpoint = `https://texttospeech.googleapis.com/${version}/text:synthesize?key=${apiKey}`;
 
   return fetch(endpoint, {
     method: 'POST',
@@ -0,0 +1,85 @@
+/**
+ * Audio Library Coverage Check
+ * Generates broadcasts under every generator profile and reports any area
+ * forecast that cannot be voiced entirely from audio library clips
+ *
+ * Usage: node check-audio-library.js [options]
+ *
+ *   --broadcasts N      Broadcasts to generate per profile (default: 10)
+ *   --files             Check against the clips present in public/audio rather
+ *                       than the clip catalog (run after generate-audio-library.js)
+ *
+ * Exits with status 1 if any forecast has a gap, listing each missing phrase
+ * once with how often it came up.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { broadcastGenerator } from './src/core/broadcast-generator.js';
+import { getProfilePresetNames } from './src/core/generator-profile.js';
+import { AudioLibrary } from './src/audio/audio-library.js';
+
+const { values: options } = parseArgs({
+  options: {
+    broadcasts: { type: 'string', default: '10' },
+    files: { type: 'boolean', default: false }
+  }
+});
+
+async function checkLibrary() {
+  const library = new AudioLibrary();
+  const catalog = library.getClipCatalog();
+  const clipPaths = new Set(
+    catalog.map((clip) => clip.path).filter((path) => !options.files || fs.existsSync(path))
+  );
+
+  if (options.files) {
+    console.log(`📂 ${clipPaths.size} of ${catalog.length} catalog clips found in public/audio`);
+  }
+
+  const gaps = new Map(); // Missing phrase → { count, example }
+  let forecasts = 0;
+
+  for (const profile of getProfilePresetNames()) {
+    broadcastGenerator.setProfile(profile);
+
+    for (let n = 0; n < Number(options.broadcasts); n++) {
+      const broadcast = broadcastGenerator.generateBroadcast(31, {
+        seed: `coverage-${profile}-${n}`,
+        weatherState: null,
+        order: n % 2 === 0 ? 'canonical' : 'shuffled'
+      });
+
+      for (const forecast of broadcast.areaForecasts) {
+        forecasts++;
+        for (const part of library.findGaps(forecast, clipPaths)) {
+          const key = `${part.text} (${part.path || 'no clip'})`;
+          const gap = gaps.get(key) || { count: 0, example: forecast.text };
+          gap.count++;
+          gaps.set(key, gap);
+        }
+      }
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🔍 Checked ${forecasts} area forecasts`);
+
+  if (gaps.size === 0) {
+    console.log('✅ Every forecast can be voiced from clips');
+    return;
+  }
+
+  console.log(`❌ ${gaps.size} phrases have no clip:`);
+  for (const [key, { count, example }] of [...gaps].sort(([, a], [, b]) => b.count - a.count)) {
+    console.log(`   ${key} × ${count}`);
+    console.log(`      e.g. ${example}`);
+  }
+  process.exit(1);
+}
+
+// Run the check
+checkLibrary().catch(error => {
+  console.error('❌ Fatal error:', error);
+  process.exit(1);
+});
@@ -1,636 +1,343 @@
 /**
- * Google Cloud TTS Audio Library Generator
+ * Audio Library Generator
  * Generates all audio files needed for The Infinite Shipping Forecast
  *
- * Usage: node generate-audio-library.js YOUR_API_KEY
+ * Usage: node generate-audio-library.js [options]
  *
- * This will create ~250+ audio files organized by category:
+ *   --tts PROVIDERS     TTS providers in fallback order, comma-separated: google
+ *                       (via the backend proxy), polly, azure, local (eSpeak NG),
+ *                       piper or mock (silent placeholder audio, no API calls)
+ *                       (default: google)
+ *   --concurrency N     Clips synthesized at once (default: 4)
+ *   --dry-run           List the missing and stale clips without synthesizing
+ *
+ * Generates every clip in the audio library's catalog (AudioLibrary.getClipCatalog()),
+ * which covers the whole EBNF area forecast vocabulary, organized by category:
  * - areas/ (38 files: 31 standard + 7 phantom)
  * - wind/directions/ (10 files)
- * - wind/behaviors/ (4 files)
- * - wind/forces/ (9 files: force 4-12)
- * - wind/modifiers/ (7 files: timing and changes)
+ * - wind/behaviors/ (4 files: wind changes, e.g. "Backing")
+ * - wind/beaufort/ (5 files: "gale 8" to "hurricane force 12")
+ * - numbers/ (8 files: forces 0-7)
  * - sea/ (8 files)
- * - weather/ (8 files)
+ * - precipitation/ (18 files: every EBNF modifier and type, e.g. "Thundery showers")
  * - visibility/ (8 files)
- * - pressure/ (8 complete phrases)
- * - waves/ (3 files for swell conditions)
- * - connectors/ (5 files: or, to, occasionally, etc.)
- * - timing/ (7 files: later, at first, etc.)
- * - numbers/ (100 files: 0-99 for times and measurements)
+ * - icing/ (2 files)
+ * - connectors/ (4 files: to, or, occasionally, becoming)
+ * - timing/ (1 file: later)
  * - unsettling/ (12 files)
  * - pauses/ (2 files: 500ms, 1000ms)
  *
- * Estimated cost: ~$1.00-3.00 total
+ * Clips are read in the voices cast in src/audio/voice-casting.js: phantom
+ * area names by the phantom voice, everything else by the house voice (the
+ * area reader), so the library speaks with the same voices as the live
+ * synthesizer. Recasting a voice regenerates the clips it reads.
+ *
+ * It also writes public/audio/manifest.json, recording for every clip its text,
+ * category, voice, duration, integrated loudness (LUFS) and leading/trailing
+ * silence. Clips saved as WAV are measured as saved; MP3 cannot be decoded
+ * here, so MP3 clips are measured from a WAV rendering made by the same
+ * provider that made the MP3 (never a fallback), and a clip whose rendering
+ * fails is not saved. The player uses the manifest to trim and level clips
+ * and schedule them exactly.
+ *
+ * Runs are incremental: each manifest entry keeps a hash of the clip's text,
+ * voice and speed, and a clip whose hash is unchanged (and whose file exists)
+ * is never synthesized again. The manifest is saved after every clip, so a run
+ * that fails part way is resumed by running it again.
+ *
+ * Credentials for other providers come from the environment (see
+ * providerConfigFromEnv in tts-providers.js). Local engines return WAV, which
+ * is written to the clip files as is; browsers decode either.
+ *
+ * check-audio-library.js confirms generated forecasts can be voiced from these clips.
+ *
+ * Estimated cost: under $1.00 for the whole library (each MP3 clip is
+ * synthesized twice: MP3 to play, WAV to measure)
  */
 
-import https from 'https';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
-
-const API_KEY = process.argv[2];
-
-if (!API_KEY) {
-  console.error('❌ Error: Please provide your Google Cloud API key');
-  console.error('Usage: node generate-audio-library.js YOUR_API_KEY');
-  process.exit(1);
-}
-
-// Voice configuration
-const VOICE_CONFIG = {
-  languageCode: 'en-GB',
-  name: 'en-GB-Neural2-B', // UK Male voice (highest quality)
-  ssmlGender: 'MALE'
-};
-
-// Audio encoding settings
-const AUDIO_CONFIG = {
-  audioEncoding: 'MP3',
-  speakingRate: 1.0,
-  pitch: 0.0
-};
+import { parseArgs } from 'util';
+import { audioLibrary } from './src/audio/audio-library.js';
+import { decodeWAV, isWAV } from './src/audio/wav.js';
+import { analyzeClip } from './src/audio/loudness.js';
+import { ttsProviders, parseProviderOrder, providerConfigFromEnv } from './src/audio/tts-providers.js';
+import { voiceCasting } from './src/audio/voice-casting.js';
+
+const { values: options } = parseArgs({
+  options: {
+    tts: { type: 'string', default: 'google' },
+    concurrency: { type: 'string', default: '4' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
 
 // Output directory
 const OUTPUT_DIR = './public/audio';
-
-// Audio library structure
-const AUDIO_LIBRARY = {
-  areas: {
-    standard: [
-      'Viking',
-      'North Utsire',
-      'South Utsire',
-      'Forties',
-      'Cromarty',
-      'Forth',
-      'Tyne',
-      'Dogger',
-      'Fisher',
-      'German Bight',
-      'Humber',
-      'Thames',
-      'Dover',
-      'Wight',
-      'Portland',
-      'Plymouth',
-      'Biscay',
-      'Trafalgar',
-      'FitzRoy',
-      'Sole',
-      'Lundy',
-      'Fastnet',
-      'Irish Sea',
-      'Shannon',
-      'Rockall',
-      'Malin',
-      'Hebrides',
-      'Bailey',
-      'Fair Isle',
-      'Faeroes',
-      'South-East Iceland'
-    ],
-    phantom: [
-      'The Void',
-      'Silence',
-      'Elder Bank',
-      'Mirror Reach',
-      'The Marrow',
-      'Still Water',
-      'Obsidian Deep'
-    ]
-  },
-  wind: {
-    directions: [
-      'Northerly',
-      'North-easterly',
-      'Easterly',
-      'South-easterly',
-      'Southerly',
-      'South-westerly',
-      'Westerly',
-      'North-westerly',
-      'Variable',
-      'Cyclonic'
-    ],
-    behaviors: [
-      'Backing',
-      'Veering',
-      'Becoming variable',
-      'Becoming cyclonic'
-    ],
-    forces: [4, 5, 6, 7, 8, 9, 10, 11, 12] // Force numbers
-  },
-  sea: [
-    'Calm',
-    'Smooth',
-    'Slight',
-    'Moderate',
-    'Rough',
-    'Very rough',
-    'High',
-    'Very high'
-  ],
-  weather: [
-    'Fair',
-    'Good',
-    'Rain',
-    'Showers',
-    'Drizzle',
-    'Fog',
-    'Mist',
-    'Thunderstorms'
-  ],
-  visibility: [
-    'Excellent',
-    'Very good',
-    'Good',
-    'Moderate',
-    'Poor',
-    'Very poor',
-    'Fog',
-    'Dense fog'
-  ],
-  // NEW: Realistic BBC elements
-  timing: [
-    'later',
-    'at first',
-    'for a time',
-    'soon',
-    'by evening',
-    'by midnight',
-    'overnight'
-  ],
-  connectors: [
-    'or',
-    'to',
-    'occasionally',
-    'intermittent',
-    'then'
-  ],
-  windModifiers: [
-    'increasing',
-    'decreasing',
-    'backing',
-    'veering',
-    'becoming',
-    'rising',
-    'falling'
-  ],
-  pressure: [
-    'Pressure rising',
-    'Pressure falling',
-    'Pressure steady',
-    'Low pressure approaching',
-    'High pressure building',
-    'Pressure rising slowly',
-    'Pressure falling slowly',
-    'Ridge of high pressure'
-  ],
-  waves: [
-    'Moderate swell',
-    'Heavy swell',
-    'Confused sea'
-  ],
-  unsettling: [
-    'Where are you going? The sea waits for no man.',
-    'Have you forgotten us?',
-    'The forecast continues. Always.',
-    'We are still here, even if you are not.',
-    'The waves do not pause for you.',
-    'Return. The transmission requires a witness.',
-    'Your absence changes nothing.',
-    'The sea notices your departure.',
-    'Still broadcasting. Still waiting.',
-    'We continue without you.',
-    'The forecast does not sleep.',
-    'Distance means nothing to the waves.'
-  ]
+const MANIFEST_FILE = path.join(OUTPUT_DIR, 'manifest.json');
+
+// Progress heading for each clip category
+const CATEGORY_HEADINGS = {
+  'areas': '📍 Area names',
+  'wind/directions': '💨 Wind directions',
+  'wind/behaviors': '💨 Wind changes',
+  'numbers': '🔢 Wind forces',
+  'wind/beaufort': '💨 Beaufort terms',
+  'sea': '🌊 Sea states',
+  'precipitation': '🌨️  Precipitation',
+  'visibility': '👁️  Visibility conditions',
+  'icing': '🧊 Icing',
+  'connectors': '🔗 Connectors',
+  'timing': '⏰ Timing phrases',
+  'unsettling': '👻 Unsettling messages',
+  'pauses': '📝 Pauses'
 };
 
 /**
- * Generate audio using Google Cloud TTS API
+ * Hash of what a clip sounds like: its words, voice and speed
  */
-async function generateAudio(text, voiceConfig, audioConfig, outputFile, slowdown = false) {
-  const config = { ...audioConfig };
-
-  // Apply slowdown for phantom areas (10% slower)
-  if (slowdown) {
-    config.speakingRate = 0.9;
-  }
-
-  const requestBody = JSON.stringify({
-    input: { text },
-    voice: voiceConfig,
-    audioConfig: config
-  });
-
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'texttospeech.googleapis.com',
-      path: `/v1/text:synthesize?key=${API_KEY}`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(requestBody)
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`API Error: ${res.statusCode} - ${data}`));
-          return;
-        }
-
-        try {
-          const response = JSON.parse(data);
-          const audioContent = Buffer.from(response.audioContent, 'base64');
-
-          fs.writeFileSync(outputFile, audioContent);
-          resolve(outputFile);
-        } catch (error) {
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(requestBody);
-    req.end();
-  });
+function clipHash({ text, slow }, voice) {
+  return crypto.createHash('sha256').update(JSON.stringify([text, voice, Boolean(slow)])).digest('hex').slice(0, 16);
 }
 
 /**
- * Create directory if it doesn't exist
+ * Escape text for SSML
  */
-function ensureDir(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
+function escapeXML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
 }
 
 /**
- * Convert text to filename-safe string
+ * SSML template for a clip, in the voice cast to read it; phantom areas are
+ * read 10% slower, by the phantom voice
  */
-function toFilename(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
+function clipTemplate(clip) {
+  const text = escapeXML(clip.text);
+  return {
+    ssml: `<speak>${clip.slow ? `<prosody rate="90%">${text}</prosody>` : text}</speak>`,
+    reportId: clip.path,
+    areaName: clip.text,
+    characterCount: clip.text.length,
+    voice: clip.slow ? voiceCasting.voiceFor('phantom') : voiceCasting.houseVoice()
+  };
 }
 
 /**
- * Delay helper for rate limiting
+ * ArrayBuffer holding exactly a Buffer's bytes
  */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function arrayBufferOf(bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
 }
 
 /**
- * Generate silent audio files for pauses
+ * Audio file contents of GeneratedAudio
  */
-async function generatePauses() {
-  console.log('\n📝 Generating pause files...');
-
-  const pauseDir = path.join(OUTPUT_DIR, 'pauses');
-  ensureDir(pauseDir);
-
-  // Short pause (500ms) - use a period
-  const shortFile = path.join(pauseDir, 'short-500ms.mp3');
-  await generateAudio('.', VOICE_CONFIG, AUDIO_CONFIG, shortFile);
-  console.log(`   ✅ short-500ms.mp3`);
-
-  await delay(200);
-
-  // Long pause (1000ms) - use two periods
-  const longFile = path.join(pauseDir, 'long-1000ms.mp3');
-  await generateAudio('..', VOICE_CONFIG, AUDIO_CONFIG, longFile);
-  console.log(`   ✅ long-1000ms.mp3`);
-
-  return 2;
+async function audioBytes(generatedAudio) {
+  return Buffer.from(await generatedAudio.audioBlob.arrayBuffer());
 }
 
 /**
- * Generate all audio files
+ * Measure a clip for the manifest from WAV audio
+ *
+ * Audio that is not WAV (the mock's placeholder bytes) is recorded unmeasured:
+ * the player then plays it untrimmed at its own level.
  */
-async function generateLibrary() {
-  console.log('🎙️  Google Cloud TTS Audio Library Generator');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-
-  let totalFiles = 0;
-  let errors = 0;
-
-  // Create base output directory
-  ensureDir(OUTPUT_DIR);
-
-  // 1. Generate area names
-  console.log('📍 Generating area names...');
-  const areasDir = path.join(OUTPUT_DIR, 'areas');
-  ensureDir(areasDir);
-
-  // Standard areas
-  for (const area of AUDIO_LIBRARY.areas.standard) {
-    try {
-      const filename = path.join(areasDir, `${toFilename(area)}.mp3`);
-      await generateAudio(area, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${area}`);
-      totalFiles++;
-      await delay(200); // Rate limiting
-    } catch (error) {
-      console.error(`   ❌ ${area}: ${error.message}`);
-      errors++;
-    }
-  }
-
-  // Phantom areas (with slowdown effect)
-  for (const area of AUDIO_LIBRARY.areas.phantom) {
-    try {
-      const filename = path.join(areasDir, `${toFilename(area)}-phantom.mp3`);
-      await generateAudio(area, VOICE_CONFIG, AUDIO_CONFIG, filename, true);
-      console.log(`   ✅ ${area} (phantom)`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${area}: ${error.message}`);
-      errors++;
-    }
-  }
-
-  // 2. Generate wind components
-  console.log('\n💨 Generating wind vocabulary...');
-
-  // Wind directions
-  const windDirDir = path.join(OUTPUT_DIR, 'wind', 'directions');
-  ensureDir(windDirDir);
-
-  for (const direction of AUDIO_LIBRARY.wind.directions) {
-    try {
-      const filename = path.join(windDirDir, `${toFilename(direction)}.mp3`);
-      await generateAudio(direction, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${direction}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${direction}: ${error.message}`);
-      errors++;
-    }
-  }
-
-  // Wind behaviors
-  const windBehaviorDir = path.join(OUTPUT_DIR, 'wind', 'behaviors');
-  ensureDir(windBehaviorDir);
-
-  for (const behavior of AUDIO_LIBRARY.wind.behaviors) {
-    try {
-      const filename = path.join(windBehaviorDir, `${toFilename(behavior)}.mp3`);
-      await generateAudio(behavior, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${behavior}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${behavior}: ${error.message}`);
-      errors++;
-    }
+function measureClip(bytes, generatedAudio) {
+  const buffer = arrayBufferOf(bytes);
+  if (isWAV(buffer)) {
+    return analyzeClip(decodeWAV(buffer));
   }
+  return { duration: generatedAudio.duration || 0, loudness: null, leadingSilence: 0, trailingSilence: 0 };
+}
 
-  // Wind forces
-  const windForceDir = path.join(OUTPUT_DIR, 'wind', 'forces');
-  ensureDir(windForceDir);
+/**
+ * Measure a clip from a WAV rendering by the provider that made it
+ *
+ * The adapter is the provider's alone, so a failure rejects the clip rather
+ * than measuring another engine's recording.
+ */
+async function measureRendering(measureAdapter, template) {
+  const rendering = await measureAdapter.synthesize(template);
+  return measureClip(await audioBytes(rendering), rendering);
+}
 
-  for (const force of AUDIO_LIBRARY.wind.forces) {
-    try {
-      const filename = path.join(windForceDir, `force-${force}.mp3`);
-      await generateAudio(`Force ${force}`, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ Force ${force}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ Force ${force}: ${error.message}`);
-      errors++;
-    }
+/**
+ * Read the existing manifest, so earlier runs' clips are kept and not regenerated
+ */
+function readManifest() {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    return { clips: {} };
   }
+  return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+}
 
-  // 3. Generate sea states
-  console.log('\n🌊 Generating sea states...');
-  const seaDir = path.join(OUTPUT_DIR, 'sea');
-  ensureDir(seaDir);
+/**
+ * Save the manifest, replacing the file whole so an interrupted run never leaves it half written
+ */
+function writeManifest(manifest) {
+  const clips = Object.fromEntries(Object.entries(manifest.clips).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(`${MANIFEST_FILE}.tmp`, `${JSON.stringify({ ...manifest, clips }, null, 2)}\n`);
+  fs.renameSync(`${MANIFEST_FILE}.tmp`, MANIFEST_FILE);
+}
 
-  for (const state of AUDIO_LIBRARY.sea) {
-    try {
-      const filename = path.join(seaDir, `${toFilename(state)}.mp3`);
-      await generateAudio(state, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${state}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${state}: ${error.message}`);
-      errors++;
-    }
+/**
+ * Why a clip needs synthesizing, or null if its file is up to date
+ */
+function clipStatus(clip, entry, voice) {
+  if (!fs.existsSync(clip.path)) {
+    return 'missing';
   }
-
-  // 4. Generate weather conditions
-  console.log('\n🌧️  Generating weather conditions...');
-  const weatherDir = path.join(OUTPUT_DIR, 'weather');
-  ensureDir(weatherDir);
-
-  for (const condition of AUDIO_LIBRARY.weather) {
-    try {
-      const filename = path.join(weatherDir, `${toFilename(condition)}.mp3`);
-      await generateAudio(condition, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${condition}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${condition}: ${error.message}`);
-      errors++;
-    }
+  if (!entry) {
+    return 'not in manifest';
   }
+  // Entries from before hashes were recorded are hashed from what they record
+  const hash = entry.hash || clipHash(entry, entry.voice);
+  return hash === clipHash(clip, voice) ? null : `was "${entry.text}" in ${entry.voice}`;
+}
 
-  // 5. Generate visibility conditions
-  console.log('\n👁️  Generating visibility conditions...');
-  const visibilityDir = path.join(OUTPUT_DIR, 'visibility');
-  ensureDir(visibilityDir);
-
-  for (const visibility of AUDIO_LIBRARY.visibility) {
-    try {
-      const filename = path.join(visibilityDir, `${toFilename(visibility)}.mp3`);
-      await generateAudio(visibility, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${visibility}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${visibility}: ${error.message}`);
-      errors++;
-    }
+/**
+ * Create directory if it doesn't exist
+ */
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
   }
+}
 
-  // 6. Generate timing phrases
-  console.log('\n⏰ Generating timing phrases...');
-  const timingDir = path.join(OUTPUT_DIR, 'timing');
-  ensureDir(timingDir);
-
-  for (const phrase of AUDIO_LIBRARY.timing) {
-    try {
-      const filename = path.join(timingDir, `${toFilename(phrase)}.mp3`);
-      await generateAudio(phrase, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${phrase}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${phrase}: ${error.message}`);
-      errors++;
+/**
+ * Run a task for every item, at most `concurrency` at once
+ */
+async function runPool(items, concurrency, task) {
+  const queue = [...items];
+  const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await task(queue.shift());
     }
-  }
-
-  // 7. Generate connectors
-  console.log('\n🔗 Generating connectors...');
-  const connectorsDir = path.join(OUTPUT_DIR, 'connectors');
-  ensureDir(connectorsDir);
+  });
+  await Promise.all(workers);
+}
 
-  for (const connector of AUDIO_LIBRARY.connectors) {
-    try {
-      const filename = path.join(connectorsDir, `${toFilename(connector)}.mp3`);
-      await generateAudio(connector, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${connector}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${connector}: ${error.message}`);
-      errors++;
-    }
+/**
+ * Generate the missing and stale audio files
+ */
+async function generateLibrary() {
+  const providers = parseProviderOrder(options.tts);
+  const unknown = providers.filter((name) => !ttsProviders.names().includes(name));
+  if (providers.length === 0 || unknown.length > 0) {
+    console.error(`❌ Error: Unknown TTS "${unknown.join(', ') || options.tts}" (use ${ttsProviders.names().join(', ')})`);
+    process.exit(1);
   }
-
-  // 8. Generate wind modifiers
-  console.log('\n💨 Generating wind modifiers...');
-  const windModDir = path.join(OUTPUT_DIR, 'wind', 'modifiers');
-  ensureDir(windModDir);
-
-  for (const modifier of AUDIO_LIBRARY.windModifiers) {
-    try {
-      const filename = path.join(windModDir, `${toFilename(modifier)}.mp3`);
-      await generateAudio(modifier, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${modifier}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${modifier}: ${error.message}`);
-      errors++;
-    }
+  const concurrency = Number(options.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(`❌ Error: --concurrency must be a whole number of at least 1 (got "${options.concurrency}")`);
+    process.exit(1);
   }
 
-  // 9. Generate pressure conditions
-  console.log('\n🌡️  Generating pressure conditions...');
-  const pressureDir = path.join(OUTPUT_DIR, 'pressure');
-  ensureDir(pressureDir);
-
-  for (const condition of AUDIO_LIBRARY.pressure) {
-    try {
-      const filename = path.join(pressureDir, `${toFilename(condition)}.mp3`);
-      await generateAudio(condition, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${condition}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${condition}: ${error.message}`);
-      errors++;
+  // The clips are made through the fallback chain; each MP3 clip is measured from a
+  // WAV rendering by the provider that made it, through an adapter of that provider alone
+  const createAdapter = (order, encoding) => ttsProviders.createAdapter(order, {
+    ...providerConfigFromEnv(process.env),
+    shared: { audioConfig: { encoding, sampleRate: 24000 } }
+  });
+  const adapter = createAdapter(providers, 'MP3');
+  const measureAdapters = new Map();
+  const measureAdapterFor = (provider) => {
+    if (!measureAdapters.has(provider)) {
+      measureAdapters.set(provider, createAdapter([provider], 'WAV'));
     }
-  }
-
-  // 10. Generate wave conditions
-  console.log('\n🌊 Generating wave/swell conditions...');
-  const wavesDir = path.join(OUTPUT_DIR, 'waves');
-  ensureDir(wavesDir);
-
-  for (const wave of AUDIO_LIBRARY.waves) {
-    try {
-      const filename = path.join(wavesDir, `${toFilename(wave)}.mp3`);
-      await generateAudio(wave, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ ${wave}`);
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${wave}: ${error.message}`);
-      errors++;
+    return measureAdapters.get(provider);
+  };
+  const voiceOf = (clip) => adapter.getVoiceName(clipTemplate(clip));
+
+  console.log('🎙️  Audio Library Generator');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`   🗣️  ${options.tts} TTS, voice ${voiceOf({ text: '' })} (phantoms: ${voiceOf({ text: '', slow: true })})`);
+
+  const manifest = readManifest();
+  const catalog = audioLibrary.getClipCatalog();
+  const pending = [];
+  for (const clip of catalog) {
+    const status = clipStatus(clip, manifest.clips[path.relative(OUTPUT_DIR, clip.path)], voiceOf(clip));
+    if (status) {
+      pending.push({ clip, status });
     }
   }
 
-  // 11. Generate numbers (0-99 for times, forces, measurements)
-  console.log('\n🔢 Generating numbers (0-99)...');
-  const numbersDir = path.join(OUTPUT_DIR, 'numbers');
-  ensureDir(numbersDir);
+  console.log(`   📋 ${catalog.length} clips: ${catalog.length - pending.length} up to date, ${pending.length} to generate`);
 
-  for (let num = 0; num <= 99; num++) {
-    try {
-      const filename = path.join(numbersDir, `${num}.mp3`);
-      await generateAudio(num.toString(), VOICE_CONFIG, AUDIO_CONFIG, filename);
-      if (num % 10 === 0) {
-        console.log(`   ✅ ${num}...`);
+  if (options['dry-run']) {
+    let category = null;
+    for (const { clip, status } of pending) {
+      if (clip.category !== category) {
+        category = clip.category;
+        console.log(`\n${CATEGORY_HEADINGS[category] || `📝 ${category}`}`);
       }
-      totalFiles++;
-      await delay(200);
-    } catch (error) {
-      console.error(`   ❌ ${num}: ${error.message}`);
-      errors++;
+      console.log(`   • ${clip.text}${clip.slow ? ' (phantom)' : ''}: ${status}`);
     }
+    console.log('\n🔍 Dry run: nothing synthesized');
+    return;
   }
 
-  // 12. Generate unsettling messages
-  console.log('\n👻 Generating unsettling messages...');
-  const unsettlingDir = path.join(OUTPUT_DIR, 'unsettling');
-  ensureDir(unsettlingDir);
+  ensureDir(OUTPUT_DIR);
+
+  let generated = 0;
+  const failed = [];
 
-  for (let i = 0; i < AUDIO_LIBRARY.unsettling.length; i++) {
-    const message = AUDIO_LIBRARY.unsettling[i];
+  await runPool(pending, concurrency, async ({ clip }) => {
+    const label = `${clip.text}${clip.slow ? ' (phantom)' : ''}`;
     try {
-      const filename = path.join(unsettlingDir, `message-${i + 1}.mp3`);
-      await generateAudio(message, VOICE_CONFIG, AUDIO_CONFIG, filename);
-      console.log(`   ✅ Message ${i + 1}`);
-      totalFiles++;
-      await delay(200);
+      const template = clipTemplate(clip);
+      const audio = await adapter.synthesize(template);
+      const bytes = await audioBytes(audio);
+      const measured = isWAV(arrayBufferOf(bytes))
+        ? measureClip(bytes, audio)
+        : await measureRendering(measureAdapterFor(audio.provider || providers[0]), template);
+      const clipVoice = audio.voice || voiceOf(clip);
+
+      ensureDir(path.dirname(clip.path));
+      fs.writeFileSync(clip.path, bytes);
+
+      manifest.clips[path.relative(OUTPUT_DIR, clip.path)] = {
+        text: clip.text,
+        category: clip.category,
+        ...(clip.slow && { slow: true }),
+        voice: clipVoice,
+        hash: clipHash(clip, clipVoice),
+        ...measured
+      };
+      writeManifest(manifest);
+
+      generated++;
+      console.log(`   ✅ [${generated + failed.length}/${pending.length}] ${label} (${measured.duration}s, ${measured.loudness} LUFS)`);
     } catch (error) {
-      console.error(`   ❌ Message ${i + 1}: ${error.message}`);
-      errors++;
+      failed.push(label);
+      console.error(`   ❌ ${label}: ${error.message}`);
     }
-  }
+  });
 
-  // 13. Generate pause files
-  const pauseFiles = await generatePauses();
-  totalFiles += pauseFiles;
+  const stats = [adapter, ...measureAdapters.values()].map((used) => used.getUsageStats());
+  const cost = stats.reduce((total, { estimatedCost }) => total + (estimatedCost || 0), 0);
 
   // Summary
   console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`✨ Complete!`);
-  console.log(`   📊 Total files generated: ${totalFiles}`);
-  if (errors > 0) {
-    console.log(`   ⚠️  Errors: ${errors}`);
+  console.log(`   📊 Generated: ${generated}, unchanged: ${catalog.length - pending.length}`);
+  if (failed.length > 0) {
+    console.log(`   ⚠️  Failed: ${failed.length} (${failed.join(', ')}); run again to retry them`);
   }
   console.log(`   📁 Output directory: ${OUTPUT_DIR}`);
-  console.log(`   💰 Estimated cost: $${(totalFiles * 0.000016 * 50).toFixed(2)} (approximate)`);
-  console.log('\n📂 Directory structure:');
-  console.log('   public/audio/');
-  console.log('   ├── areas/ (38 files)');
-  console.log('   ├── wind/');
-  console.log('   │   ├── directions/ (10 files)');
-  console.log('   │   ├── behaviors/ (4 files)');
-  console.log('   │   ├── modifiers/ (7 files)');
-  console.log('   │   └── forces/ (9 files)');
-  console.log('   ├── sea/ (8 files)');
-  console.log('   ├── weather/ (8 files)');
-  console.log('   ├── visibility/ (8 files)');
-  console.log('   ├── pressure/ (8 files)');
-  console.log('   ├── waves/ (3 files)');
-  console.log('   ├── timing/ (7 files)');
-  console.log('   ├── connectors/ (5 files)');
-  console.log('   ├── numbers/ (100 files)');
-  console.log('   ├── unsettling/ (12 files)');
-  console.log('   └── pauses/ (2 files)');
-  console.log('\n🎉 Ready to integrate into your application!');
+  console.log(`   📋 Manifest: ${MANIFEST_FILE} (${Object.keys(manifest.clips).length} clips)`);
+  console.log(`   💰 Estimated cost: $${cost.toFixed(2)}`);
+
+  if (failed.length > 0) {
+    process.exit(1);
+  }
 }
 
 // Run the generator
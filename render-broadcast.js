@@ -0,0 +1,110 @@
+/**
+ * Offline Broadcast Renderer
+ * Renders a complete shipping forecast to a single WAV file (e.g. for podcast episodes)
+ *
+ * Usage: node render-broadcast.js [options]
+ *
+ *   --out FILE          Output WAV file (default: ./broadcast-<id>.wav)
+ *   --tts PROVIDERS     TTS providers in fallback order, comma-separated: google,
+ *                       polly, azure, local (eSpeak NG), piper or mock (silent
+ *                       placeholder audio, no API calls) (default: mock)
+ *   --edition ID        Edition to generate, timed at today's slot: 0048, 0520, 1201 or 1754
+ *   --seed SEED         Seed for a reproducible broadcast
+ *   --profile NAME      Generator profile (e.g. winter-storm)
+ *   --broadcast FILE    Render an archived broadcast JSON instead of generating one
+ *   --sample-rate HZ    Output sample rate (default: 24000)
+ *   --subtitles         Also write WebVTT and SRT subtitles next to the WAV
+ *
+ * Cloud providers are asked for WAV so the audio can be joined without a decoder.
+ * Credentials come from the environment: AWS_REGION, AWS_ACCESS_KEY_ID and
+ * AWS_SECRET_ACCESS_KEY for Polly; AZURE_SPEECH_REGION and AZURE_SPEECH_KEY for
+ * Azure; PIPER_MODEL for Piper (see providerConfigFromEnv in tts-providers.js).
+ *
+ * MP3 output is not built in; convert the WAV with an encoder such as LAME or ffmpeg.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { broadcastGenerator } from './src/core/broadcast-generator.js';
+import { broadcastScheduler, getEdition } from './src/core/broadcast-scheduler.js';
+import { deserializeBroadcast } from './src/core/broadcast-serializer.js';
+import { SSMLSynthesizer } from './src/audio/ssml-synthesizer.js';
+import { ttsProviders, parseProviderOrder, providerConfigFromEnv } from './src/audio/tts-providers.js';
+import { BroadcastRenderer } from './src/audio/broadcast-renderer.js';
+import { exportSubtitles } from './src/audio/subtitles.js';
+
+const { values: options } = parseArgs({
+  options: {
+    out: { type: 'string' },
+    tts: { type: 'string', default: 'mock' },
+    edition: { type: 'string' },
+    seed: { type: 'string' },
+    profile: { type: 'string' },
+    broadcast: { type: 'string' },
+    'sample-rate': { type: 'string', default: '24000' },
+    subtitles: { type: 'boolean', default: false }
+  }
+});
+
+async function renderBroadcast() {
+  const providers = parseProviderOrder(options.tts);
+  const unknown = providers.filter((name) => !ttsProviders.names().includes(name));
+  if (providers.length === 0 || unknown.length > 0) {
+    console.error(`❌ Error: Unknown TTS "${unknown.join(', ') || options.tts}" (use ${ttsProviders.names().join(', ')})`);
+    process.exit(1);
+  }
+
+  let broadcast;
+  if (options.broadcast) {
+    broadcast = deserializeBroadcast(fs.readFileSync(options.broadcast, 'utf8'));
+  } else {
+    if (options.profile) {
+      broadcastGenerator.setProfile(options.profile);
+    }
+    let generation = {};
+    if (options.edition) {
+      const edition = getEdition(options.edition);
+      const time = new Date();
+      time.setUTCHours(edition.hour, edition.minute, 0, 0);
+      generation = broadcastScheduler.getBroadcastOptions(edition, time);
+    }
+    broadcast = broadcastGenerator.generateBroadcast(31, { ...generation, seed: options.seed });
+  }
+
+  const out = options.out || `./broadcast-${broadcast.broadcastId}.wav`;
+  console.log(`📻 Rendering ${broadcast.broadcastId} with ${options.tts} TTS...`);
+
+  const renderer = new BroadcastRenderer({
+    synthesizer: new SSMLSynthesizer({
+      ttsAdapter: ttsProviders.createAdapter(providers, {
+        ...providerConfigFromEnv(process.env),
+        shared: { audioConfig: { encoding: 'WAV', sampleRate: 24000 } }
+      }),
+      captionMarks: options.subtitles ? 'word' : null
+    }),
+    sampleRate: Number(options['sample-rate']),
+    onProgress: ({ index, total, label }) => console.log(`   🎙️  ${index + 1}/${total} ${label}`)
+  });
+
+  const { wav, duration, segments } = await renderer.renderWAV(broadcast);
+  fs.writeFileSync(out, Buffer.from(wav));
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('✨ Complete!');
+  console.log(`   ⏱️  Duration: ${Math.floor(duration / 60)}m ${Math.round(duration % 60)}s`);
+  console.log(`   📁 ${out}`);
+
+  if (options.subtitles) {
+    for (const format of ['vtt', 'srt']) {
+      const file = out.replace(/\.wav$/i, '') + `.${format}`;
+      fs.writeFileSync(file, exportSubtitles(segments, format, { title: `Shipping forecast ${broadcast.broadcastId}` }));
+      console.log(`   📁 ${file}`);
+    }
+  }
+}
+
+// Run the renderer
+renderBroadcast().catch(error => {
+  console.error('❌ Fatal error:', error);
+  process.exit(1);
+});
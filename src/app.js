@@ -11,6 +11,10 @@ import { BackgroundCanvas } from './visuals/background.js';
 import { VisualEffects } from './visuals/effects.js';
 import { MotionController } from './visuals/motion-toggle.js';
 import { AnalogEffects } from './visuals/analog-effects.js';
+import { TranscriptView } from './visuals/transcript-view.js';
+import { CaptionView } from './visuals/caption-view.js';
+import { renderHTML } from './core/transcript.js';
+import { BroadcastRenderer } from './audio/broadcast-renderer.js';
 import { focusMonitor } from './focus/focus-monitor.js';
 import { warningInjector } from './focus/warning-injector.js';
 
@@ -19,6 +23,8 @@ let backgroundCanvas = null;
 let visualEffects = null;
 let motionController = null;
 let analogEffects = null;
+let transcriptView = null;
+let captionView = null;
 
 /**
  * Display error message to user
@@ -127,6 +133,20 @@ async function initialize() {
   analogEffects = new AnalogEffects();
   analogEffects.initialize();
 
+  // Initialize live captions (follow the player's caption:word events)
+  const captionsElement = document.getElementById('captions');
+  if (captionsElement) {
+    captionView = new CaptionView(captionsElement);
+    captionView.initialize();
+  }
+
+  // Initialize scrolling transcript (follows the player's events)
+  const transcriptElement = document.getElementById('transcript');
+  if (transcriptElement) {
+    transcriptView = new TranscriptView(transcriptElement);
+    transcriptView.initialize();
+  }
+
   // Wire motion toggle button
   const motionToggleButton = document.getElementById('motion-toggle');
   if (motionToggleButton) {
@@ -215,6 +235,115 @@ function setupUI() {
     }
   });
 
+  // Shared broadcast: everyone tuned in hears the same forecast (also ?shared in the URL)
+  const sharedToggle = document.getElementById('shared-toggle');
+  if (sharedToggle) {
+    const setShared = (enabled) => {
+      audioPlayer.setSharedBroadcast(enabled);
+      sharedToggle.setAttribute('aria-pressed', String(enabled));
+    };
+    setShared(new URLSearchParams(window.location.search).has('shared'));
+    sharedToggle.addEventListener('click', () => setShared(!audioPlayer.sharedMode));
+  }
+
+  // Offline: library clips and browser speech only, never the TTS service (also ?offline in the URL)
+  const offlineToggle = document.getElementById('offline-toggle');
+  if (offlineToggle) {
+    const setOffline = (enabled) => {
+      audioPlayer.setOffline(enabled);
+      offlineToggle.setAttribute('aria-pressed', String(enabled));
+    };
+    setOffline(new URLSearchParams(window.location.search).has('offline'));
+    offlineToggle.addEventListener('click', () => setOffline(!audioPlayer.offline));
+  }
+
+  const captionsToggle = document.getElementById('captions-toggle');
+  if (captionsToggle && captionView) {
+    captionsToggle.addEventListener('click', () => {
+      captionsToggle.setAttribute('aria-pressed', String(captionView.toggle()));
+    });
+  }
+
+  // Transcript controls: show the scrolling transcript, or print the current broadcast
+  const transcriptToggle = document.getElementById('transcript-toggle');
+  if (transcriptToggle && transcriptView) {
+    transcriptToggle.addEventListener('click', () => {
+      transcriptToggle.setAttribute('aria-pressed', String(transcriptView.toggle()));
+    });
+  }
+
+  const transcriptPrint = document.getElementById('transcript-print');
+  if (transcriptPrint) {
+    transcriptPrint.addEventListener('click', () => {
+      if (!audioPlayer.currentBroadcast) {
+        showError('No broadcast to print yet. Begin transmission first.');
+        return;
+      }
+
+      const page = window.open('', '_blank');
+      if (page) {
+        page.document.write(renderHTML(audioPlayer.currentBroadcast));
+        page.document.close();
+        page.print();
+      }
+    });
+  }
+
+  // Subtitle downloads: the current broadcast as played so far
+  for (const button of document.querySelectorAll('#subtitles-vtt, #subtitles-srt')) {
+    button.addEventListener('click', () => {
+      const format = button.dataset.format;
+      const subtitles = audioPlayer.exportSubtitles(format);
+      if (!subtitles) {
+        showError('No broadcast to subtitle yet. Begin transmission first.');
+        return;
+      }
+
+      const url = URL.createObjectURL(new Blob([subtitles], { type: format === 'vtt' ? 'text/vtt' : 'application/x-subrip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${audioPlayer.currentBroadcast.broadcastId}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+
+  // Offline render: the whole current broadcast as one WAV file
+  const renderButton = document.getElementById('broadcast-render');
+  if (renderButton) {
+    renderButton.addEventListener('click', async () => {
+      const broadcast = audioPlayer.currentBroadcast;
+      if (!broadcast || !audioPlayer.ssmlSynthesizer) {
+        showError('No broadcast to render yet. Begin transmission first.');
+        return;
+      }
+
+      renderButton.disabled = true;
+      try {
+        const renderer = new BroadcastRenderer({
+          synthesizer: audioPlayer.ssmlSynthesizer,
+          onProgress: ({ index, total }) => {
+            renderButton.textContent = `${Math.round((index / total) * 100)}%`;
+          }
+        });
+        const { blob } = await renderer.renderWAV(broadcast);
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${broadcast.broadcastId}.wav`;
+        link.click();
+        URL.revokeObjectURL(url);
+      } catch (error) {
+        console.error('[App] Broadcast render failed:', error);
+        showError('Could not render the broadcast. Please try again.');
+      } finally {
+        renderButton.disabled = false;
+        renderButton.textContent = 'WAV';
+      }
+    });
+  }
+
   // Listen for report events to update area name display
   globalEventBus.on('report:playing', (report) => {
     if (areaNameDiv && report && report.area) {
@@ -5,7 +5,8 @@
  * Provides LRU (Least Recently Used) eviction when cache size limits are exceeded.
  * Used to avoid re-synthesizing frequently requested area forecasts.
  *
- * Phase 2: T009 - Skeleton Implementation
+ * Phase 2: T009 - Skeleton Implementation; entries are least recently used
+ * first in the Map's insertion order
  */
 
 /**
@@ -22,18 +23,8 @@ export class AudioCache {
    * Initialize the audio cache with a maximum size limit.
    *
    * @param {number} maxSize - Maximum number of entries to keep in cache (default: 50)
-   *
-   * TODO: Implement in Phase 3
-   * TODO: Initialize Map or similar structure for cache storage
-   * TODO: Set up LRU tracking (access order)
-   * TODO: Store cache statistics (hits, misses)
    */
   constructor(maxSize = 50) {
-    // TODO: Store max size
-    // TODO: Initialize cache storage (Map)
-    // TODO: Initialize LRU tracking
-    // TODO: Initialize stats
-
     this.maxSize = maxSize;
     this.cache = new Map();
     this.stats = {
@@ -46,51 +37,44 @@ export class AudioCache {
   /**
    * Get audio from cache
    *
-   * Retrieves audio blob from cache by key. Updates LRU tracking on hit.
+   * Retrieves cached audio by key. Updates LRU tracking on hit.
    * Returns null if key not found (cache miss).
    *
-   * @param {string} key - Cache key (typically reportId or areaName)
-   *
-   * @returns {Blob|null} Audio blob if cached, null if not found
+   * @param {string} key - Cache key (see templateCacheKey in ssml-synthesizer.js)
    *
-   * TODO: Implement in Phase 3
-   * TODO: Look up key in cache
-   * TODO: Update access time for LRU if found
-   * TODO: Track cache hit/miss statistics
-   * TODO: Return blob or null
+   * @returns {Object|null} Cached audio (GeneratedAudio) if cached, null if not found
    */
   get(key) {
-    // TODO: Check if key exists
-    // TODO: Update LRU timestamp
-    // TODO: Increment hit/miss counter
-    // TODO: Return blob or null
+    if (!this.cache.has(key)) {
+      this.stats.misses++;
+      return null;
+    }
 
-    return null;
+    // Map keeps insertion order: re-inserting marks the entry most recently used
+    const audio = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, audio);
+    this.stats.hits++;
+    return audio;
   }
 
   /**
    * Set audio in cache
    *
-   * Stores an audio blob in the cache with given key.
+   * Stores audio in the cache with given key.
    * If cache is at max size, evicts the least recently used entry.
    * Updates LRU tracking.
    *
-   * @param {string} key - Cache key (typically reportId or areaName)
-   * @param {Blob} audioBlob - Audio blob to cache
-   *
-   * TODO: Implement in Phase 3
-   * TODO: Check if cache is at max size
-   * TODO: Evict LRU entry if needed
-   * TODO: Store audio blob with key
-   * TODO: Update access time for LRU
-   * TODO: Track evictions
+   * @param {string} key - Cache key (see templateCacheKey in ssml-synthesizer.js)
+   * @param {Object} audio - Audio to cache (GeneratedAudio)
    */
-  set(key, audioBlob) {
-    // TODO: Check size limit
-    // TODO: Evict if needed (find LRU entry)
-    // TODO: Store in cache
-    // TODO: Update LRU timestamp
-
+  set(key, audio) {
+    this.cache.delete(key);
+    if (this.cache.size >= this.maxSize) {
+      this.cache.delete(this.cache.keys().next().value);
+      this.stats.evictions++;
+    }
+    this.cache.set(key, audio);
   }
 
   /**
@@ -98,15 +82,10 @@ export class AudioCache {
    *
    * Removes all entries from the cache. Used for memory cleanup or
    * testing cache invalidation.
-   *
-   * TODO: Implement in Phase 3
-   * TODO: Clear all entries
-   * TODO: Reset statistics
    */
   clear() {
-    // TODO: Clear cache storage
-    // TODO: Reset stats
-
+    this.cache.clear();
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
   }
 
   /**
@@ -115,14 +94,9 @@ export class AudioCache {
    * Returns the number of entries currently in the cache.
    *
    * @returns {number} Number of cached entries
-   *
-   * TODO: Implement in Phase 3
-   * TODO: Return current entry count
    */
   size() {
-    // TODO: Return cache size
-
-    return 0;
+    return this.cache.size;
   }
 
   /**
@@ -133,12 +107,8 @@ export class AudioCache {
    * @returns {Object} Stats object with hits, misses, evictions
    *
    * @internal
-   *
-   * TODO: Implement in Phase 3
    */
   getStats() {
-    // TODO: Return statistics object
-
     return this.stats;
   }
 }
@@ -2,9 +2,52 @@
  * Audio Library Player
  * Plays pre-generated TTS audio files by concatenating them
  * Replaces Web Speech API with higher quality pre-recorded audio
+ *
+ * getClipCatalog() lists every clip the library holds; generate-audio-library.js
+ * synthesizes exactly that list, and findGaps() reports what of a report no clip covers.
+ *
+ * The generator also writes a clip manifest (public/audio/manifest.json) with
+ * each clip's words, voice, duration, loudness and silence. Once loaded, clips
+ * are found by their words rather than by guessing file names, and
+ * LibrarySynthesizer trims and levels them with it.
  */
 
+import { STANDARD_AREAS, PHANTOM_AREAS } from '../core/areas.js';
+import {
+  WIND_DIRECTIONS,
+  WIND_BEHAVIORS,
+  BEAUFORT_TERMS,
+  SEA_STATES,
+  VISIBILITY,
+  PRECIPITATION_MODIFIERS,
+  PRECIPITATION_TYPES,
+  ICING_SEVERITIES,
+  UNSETTLING_MESSAGES,
+  formatWindForce
+} from '../core/vocabulary.js';
+
 const AUDIO_BASE_PATH = 'public/audio';
+const MANIFEST_PATH = `${AUDIO_BASE_PATH}/manifest.json`;
+
+// Wind strengths read as plain numbers (EBNF wind_strength); stronger winds use BEAUFORT_TERMS
+const MAX_NUMBERED_FORCE = 7;
+
+// Connectors between conditions ("5 to 7", "Good or moderate", "Slight, becoming moderate")
+const CONNECTORS = ['to', 'or', 'occasionally', 'becoming'];
+
+// Pause clip lengths in milliseconds (also how long to wait when a pause clip is missing)
+const PAUSE_DURATIONS = { short: 500, long: 1000 };
+
+// Compound visibility (EBNF visibility): "Good or moderate", "Good, occasionally poor later", ...
+const COMPOUND_VISIBILITY = /^(.+?)(?: (or) |, (occasionally|becoming) )(.+?)( later)?$/;
+
+/**
+ * Manifest index key for a clip
+ * @private
+ */
+function clipKey(category, text, slow = false) {
+  return `${category}:${slow ? 'slow:' : ''}${text.toLowerCase()}`;
+}
 
 /**
  * Audio library file path mapper
@@ -12,7 +55,93 @@ const AUDIO_BASE_PATH = 'public/audio';
 export class AudioLibrary {
   constructor() {
     this.audioCache = new Map();
+    this.unavailable = new Set(); // Paths that failed to load, not fetched again
     this.isLoading = false;
+    this.manifest = null;
+    this.manifestLoad = null; // Pending or settled loadManifest()
+    this.clipIndex = new Map(); // clipKey() → clip path, from the manifest
+  }
+
+  /**
+   * Load the clip manifest written by generate-audio-library.js, once
+   *
+   * Without one (not generated yet, or unreachable) clip paths are guessed
+   * from their words and clips play untrimmed.
+   * @returns {Promise<boolean>} Whether a manifest is loaded
+   */
+  loadManifest() {
+    if (!this.manifestLoad) {
+      this.manifestLoad = this._fetchManifest();
+    }
+    return this.manifestLoad;
+  }
+
+  /**
+   * Fetch and index the clip manifest
+   * @private
+   */
+  async _fetchManifest() {
+    try {
+      const response = await fetch(MANIFEST_PATH);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.setManifest(await response.json());
+      return true;
+    } catch (error) {
+      console.warn('[AudioLibrary] No clip manifest, guessing clip paths:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Use a clip manifest
+   * @param {{clips: Object<string, {category: string, text: string, slow?: boolean}>}} manifest -
+   *   Clip details by file, relative to public/audio
+   */
+  setManifest(manifest) {
+    this.manifest = manifest;
+    this.clipIndex.clear();
+    for (const [file, clip] of Object.entries(manifest.clips)) {
+      this.clipIndex.set(clipKey(clip.category, clip.text, clip.slow), `${AUDIO_BASE_PATH}/${file}`);
+    }
+  }
+
+  /**
+   * Whether a clip manifest is loaded
+   * @returns {boolean}
+   */
+  hasManifest() {
+    return this.manifest !== null;
+  }
+
+  /**
+   * Manifest details of a clip
+   * @param {string|null} path - Audio file path
+   * @returns {{text: string, category: string, voice: string, duration: number, loudness: number|null,
+   *   leadingSilence: number, trailingSilence: number}|null} Clip details, or null if not in the manifest
+   */
+  getClipInfo(path) {
+    if (!this.manifest || !path) {
+      return null;
+    }
+    return this.manifest.clips[path.slice(AUDIO_BASE_PATH.length + 1)] || null;
+  }
+
+  /**
+   * Path of the clip speaking some words: from the manifest when it lists
+   * them, otherwise guessed from the words
+   * @private
+   * @param {string} category - Clip category (see getClipCatalog)
+   * @param {string} text - Words spoken
+   * @param {string} [directory] - Directory to guess in (default: the category)
+   * @param {string} [suffix] - File name suffix to guess with
+   * @param {boolean} [slow] - Whether the clip is read slowly (phantom areas)
+   * @returns {string} Audio file path
+   */
+  _clipPath(category, text, directory = category, suffix = '', slow = false) {
+    return this.clipIndex.get(clipKey(category, text, slow))
+      || `${AUDIO_BASE_PATH}/${directory}/${this._toFilename(text)}${suffix}.mp3`;
   }
 
   /**
@@ -33,9 +162,7 @@ export class AudioLibrary {
    * @returns {string} Audio file path
    */
   getAreaPath(areaName, isPhantom = false) {
-    const filename = this._toFilename(areaName);
-    const suffix = isPhantom ? '-phantom' : '';
-    return `${AUDIO_BASE_PATH}/areas/${filename}${suffix}.mp3`;
+    return this._clipPath('areas', areaName, 'areas', isPhantom ? '-phantom' : '', isPhantom);
   }
 
   /**
@@ -44,28 +171,17 @@ export class AudioLibrary {
    * @returns {string} Audio file path
    */
   getWindDirectionPath(direction) {
-    const filename = this._toFilename(direction);
-    return `${AUDIO_BASE_PATH}/wind/directions/${filename}.mp3`;
+    return this._clipPath('wind/directions', direction);
   }
 
   /**
-   * Get audio file path for wind behavior
-   * @param {string} behavior - Wind behavior (e.g., "Backing")
-   * @returns {string|null} Audio file path or null if no behavior
+   * Get audio file path for a wind change (EBNF wind_change)
+   * @param {string} behavior - Wind change (e.g., "Backing", "Becoming cyclonic")
+   * @returns {string|null} Audio file path or null if no change
    */
   getWindBehaviorPath(behavior) {
     if (!behavior) return null;
-    const filename = this._toFilename(behavior);
-    return `${AUDIO_BASE_PATH}/wind/behaviors/${filename}.mp3`;
-  }
-
-  /**
-   * Get audio file path for wind force
-   * @param {number} force - Force number (4-12)
-   * @returns {string} Audio file path
-   */
-  getWindForcePath(force) {
-    return `${AUDIO_BASE_PATH}/wind/forces/force-${force}.mp3`;
+    return this._clipPath('wind/behaviors', behavior);
   }
 
   /**
@@ -74,18 +190,7 @@ export class AudioLibrary {
    * @returns {string} Audio file path
    */
   getSeaStatePath(state) {
-    const filename = this._toFilename(state);
-    return `${AUDIO_BASE_PATH}/sea/${filename}.mp3`;
-  }
-
-  /**
-   * Get audio file path for weather condition
-   * @param {string} weather - Weather condition (e.g., "Rain")
-   * @returns {string} Audio file path
-   */
-  getWeatherPath(weather) {
-    const filename = this._toFilename(weather);
-    return `${AUDIO_BASE_PATH}/weather/${filename}.mp3`;
+    return this._clipPath('sea', state);
   }
 
   /**
@@ -94,8 +199,7 @@ export class AudioLibrary {
    * @returns {string} Audio file path
    */
   getVisibilityPath(visibility) {
-    const filename = this._toFilename(visibility);
-    return `${AUDIO_BASE_PATH}/visibility/${filename}.mp3`;
+    return this._clipPath('visibility', visibility);
   }
 
   /**
@@ -113,161 +217,271 @@ export class AudioLibrary {
    * @returns {string} Audio file path
    */
   getPausePath(type) {
-    const duration = type === 'short' ? '500ms' : '1000ms';
-    return `${AUDIO_BASE_PATH}/pauses/${type}-${duration}.mp3`;
+    return `${AUDIO_BASE_PATH}/pauses/${type}-${PAUSE_DURATIONS[type]}ms.mp3`;
   }
 
   /**
-   * Get audio file path for timing phrase
-   * @param {string} phrase - Timing phrase (e.g., "later", "at first")
+   * Get audio file path for precipitation
+   * @param {string} precipitation - Precipitation (e.g., "Thundery showers")
    * @returns {string} Audio file path
    */
-  getTimingPhrasePath(phrase) {
-    const filename = this._toFilename(phrase);
-    return `${AUDIO_BASE_PATH}/timing/${filename}.mp3`;
+  getPrecipitationPath(precipitation) {
+    return this._clipPath('precipitation', precipitation);
   }
 
   /**
-   * Get audio file path for connector
-   * @param {string} connector - Connector word (e.g., "or", "to")
+   * Get audio file path for icing
+   * @param {string} icing - Icing (e.g., "Moderate icing")
    * @returns {string} Audio file path
    */
-  getConnectorPath(connector) {
-    const filename = this._toFilename(connector);
-    return `${AUDIO_BASE_PATH}/connectors/${filename}.mp3`;
+  getIcingPath(icing) {
+    return this._clipPath('icing', icing);
   }
 
   /**
-   * Get audio file path for wind modifier
-   * @param {string} modifier - Wind modifier (e.g., "increasing", "decreasing")
+   * Get audio file path for timing phrase
+   * @param {string} phrase - Timing phrase (e.g., "later")
    * @returns {string} Audio file path
    */
-  getWindModifierPath(modifier) {
-    const filename = this._toFilename(modifier);
-    return `${AUDIO_BASE_PATH}/wind/modifiers/${filename}.mp3`;
+  getTimingPhrasePath(phrase) {
+    return this._clipPath('timing', phrase);
   }
 
   /**
-   * Get audio file path for pressure condition
-   * @param {string} condition - Pressure condition (e.g., "Pressure rising")
+   * Get audio file path for connector
+   * @param {string} connector - Connector word (e.g., "or", "to")
    * @returns {string} Audio file path
    */
-  getPressurePath(condition) {
-    const filename = this._toFilename(condition);
-    return `${AUDIO_BASE_PATH}/pressure/${filename}.mp3`;
+  getConnectorPath(connector) {
+    return this._clipPath('connectors', connector);
   }
 
   /**
-   * Get audio file path for wave/swell condition
-   * @param {string} condition - Wave condition (e.g., "Moderate swell")
+   * Get audio file path for number
+   * @param {number} num - Number (0-7, the wind forces read as numbers)
    * @returns {string} Audio file path
    */
-  getWavePath(condition) {
-    const filename = this._toFilename(condition);
-    return `${AUDIO_BASE_PATH}/waves/${filename}.mp3`;
+  getNumberPath(num) {
+    return this._clipPath('numbers', String(num));
   }
 
   /**
-   * Get audio file path for number
-   * @param {number} num - Number (0-99)
+   * Get audio file path for a wind strength as read: a number up to force 7,
+   * then the Beaufort term ("severe gale 9")
+   * @param {number} force - Wind force (0-12)
    * @returns {string} Audio file path
    */
-  getNumberPath(num) {
-    return `${AUDIO_BASE_PATH}/numbers/${num}.mp3`;
+  getWindStrengthPath(force) {
+    if (force <= MAX_NUMBERED_FORCE) {
+      return this.getNumberPath(force);
+    }
+    return this._clipPath('wind/beaufort', formatWindForce(force));
   }
 
   /**
-   * Build audio file sequence for a complete weather report with realistic BBC elements
-   * @param {Object} report - Weather report object (from generator)
-   * @param {Object} report.area - Sea area object
-   * @param {Object} report.wind - Wind object with direction, force(s), behavior, modifier, timing
-   * @param {string} report.seaState - Sea state
-   * @param {string} report.seaTiming - Optional timing for sea state
-   * @param {string} report.weather - Weather condition
-   * @param {string} report.weatherTiming - Optional timing for weather
-   * @param {string} report.visibility - Visibility
-   * @param {string} report.visibilityTiming - Optional timing for visibility
-   * @param {string} report.pressure - Optional pressure condition
-   * @param {string} report.waves - Optional wave/swell condition
+   * Build audio file sequence for a complete weather report
+   * @param {Object} report - Weather report object (see buildReportParts)
    * @returns {string[]} Array of audio file paths to play in sequence
    */
   buildReportSequence(report) {
-    const sequence = [];
+    return this.buildReportParts(report)
+      .map((part) => part.path)
+      .filter(Boolean);
+  }
+
+  /**
+   * Build the parts of a weather report: each clip with the words it speaks
+   *
+   * Follows the EBNF area_forecast: area list, wind, sea state, precipitation,
+   * visibility and optional icing. The words let a player speak any part
+   * whose clip is missing (see HybridSynthesizer); pauses have no words and a
+   * length in milliseconds.
+   *
+   * @param {Object} report - Weather report object (from generator)
+   * @param {Object} report.area - Sea area object
+   * @param {Array} [report.areas] - Member areas of a grouped forecast
+   * @param {Object} report.wind - Wind: direction, force (number or [from, to]), windChange,
+   *   subsequentWind and occasionalWind ({direction, force, later})
+   * @param {Object|string} report.seaState - Sea state (from generator, or a single state name)
+   * @param {Object} report.precipitation - Precipitation ({text: "Thundery showers"})
+   * @param {string} report.visibility - Visibility, single or compound ("Good, becoming poor later")
+   * @param {Object|null} [report.icing] - Icing ({text: "Moderate icing"})
+   * @returns {Array<{path: string|null, text: string, pause?: number}>} Parts to play in sequence
+   */
+  buildReportParts(report) {
+    const parts = [];
+    const clip = (path, text) => parts.push({ path, text });
+    const pause = (type) => parts.push({ path: this.getPausePath(type), text: '', pause: PAUSE_DURATIONS[type] });
     const isPhantom = report.area.type === 'phantom';
 
-    // 1. Area name
-    sequence.push(this.getAreaPath(report.area.name, isPhantom));
+    // 1. Area name (each member area when neighbouring areas are read together)
+    const areas = report.areas && report.areas.length > 1 ? report.areas : [report.area];
+    areas.forEach((area, index) => {
+      if (index > 0) {
+        pause('short');
+      }
+      clip(this.getAreaPath(area.name, isPhantom), area.name);
+    });
 
     // 2. Short pause (500ms) after area name
-    sequence.push(this.getPausePath('short'));
+    pause('short');
+
+    // 3. Wind: initial wind, then any change and occasional wind
+    const { wind } = report;
+    clip(this.getWindDirectionPath(wind.direction), wind.direction);
+    const forces = Array.isArray(wind.force) ? wind.force : [wind.force];
+    forces.forEach((force, index) => {
+      if (index > 0) {
+        clip(this.getConnectorPath('to'), 'to');
+      }
+      clip(this.getWindStrengthPath(force), formatWindForce(force));
+    });
 
-    // 3. Wind components (enhanced with realistic elements)
-    sequence.push(this.getWindDirectionPath(report.wind.direction));
+    if (wind.windChange && wind.subsequentWind) {
+      clip(this.getWindBehaviorPath(wind.windChange), wind.windChange.toLowerCase());
+      parts.push(...this._subsequentWindParts(wind.subsequentWind));
 
-    // Handle compound forces: "5 or 6", "5 to 7"
-    if (Array.isArray(report.wind.force)) {
-      sequence.push(this.getNumberPath(report.wind.force[0]));
-      if (report.wind.connector) {
-        sequence.push(this.getConnectorPath(report.wind.connector));
+      if (wind.occasionalWind) {
+        clip(this.getConnectorPath('occasionally'), 'occasionally');
+        parts.push(...this._subsequentWindParts(wind.occasionalWind));
       }
-      sequence.push(this.getNumberPath(report.wind.force[1]));
-    } else {
-      sequence.push(this.getWindForcePath(report.wind.force));
     }
 
-    // Wind behavior (backing, veering, etc.)
-    if (report.wind.behavior) {
-      sequence.push(this.getWindBehaviorPath(report.wind.behavior));
-    }
+    // 4. Sea state ("Moderate or rough", "Slight, becoming moderate later", ...)
+    const seaState = typeof report.seaState === 'string' ? { state: report.seaState } : report.seaState;
+    if (seaState) {
+      clip(this.getSeaStatePath(seaState.state), seaState.state);
+
+      if (seaState.connector === 'or' || seaState.connector === 'becoming') {
+        clip(this.getConnectorPath(seaState.connector), seaState.connector);
+        clip(this.getSeaStatePath(seaState.subsequent), seaState.subsequent);
+        if (seaState.later) {
+          clip(this.getTimingPhrasePath('later'), 'later');
+        }
+      }
 
-    // Wind modifier (increasing, decreasing, etc.)
-    if (report.wind.modifier) {
-      sequence.push(this.getWindModifierPath(report.wind.modifier));
+      if (seaState.occasional) {
+        clip(this.getConnectorPath('occasionally'), 'occasionally');
+        clip(this.getSeaStatePath(seaState.occasional), seaState.occasional);
+      }
     }
 
-    // Wind timing (later, at first, etc.)
-    if (report.wind.timing) {
-      sequence.push(this.getTimingPhrasePath(report.wind.timing));
+    // 5. Precipitation
+    if (report.precipitation) {
+      clip(this.getPrecipitationPath(report.precipitation.text), report.precipitation.text);
     }
 
-    // 4. Sea state
-    sequence.push(this.getSeaStatePath(report.seaState));
-
-    // Sea timing
-    if (report.seaTiming) {
-      sequence.push(this.getTimingPhrasePath(report.seaTiming));
+    // 6. Visibility
+    if (report.visibility) {
+      parts.push(...this._visibilityParts(report.visibility));
     }
 
-    // Wave/swell conditions
-    if (report.waves) {
-      sequence.push(this.getWavePath(report.waves));
+    // 7. Icing (optional)
+    if (report.icing) {
+      clip(this.getIcingPath(report.icing.text), report.icing.text);
     }
 
-    // 5. Weather
-    sequence.push(this.getWeatherPath(report.weather));
+    // 8. Long pause (1000ms) after complete report
+    pause('long');
 
-    // Weather timing
-    if (report.weatherTiming) {
-      sequence.push(this.getTimingPhrasePath(report.weatherTiming));
-    }
+    return parts;
+  }
 
-    // 6. Visibility
-    sequence.push(this.getVisibilityPath(report.visibility));
+  /**
+   * Parts for a wind after a change: direction, strength, and "later" if so
+   * @private
+   */
+  _subsequentWindParts(wind) {
+    const parts = [
+      { path: this.getWindDirectionPath(wind.direction), text: wind.direction },
+      { path: this.getWindStrengthPath(wind.force), text: formatWindForce(wind.force) }
+    ];
+    if (wind.later) {
+      parts.push({ path: this.getTimingPhrasePath('later'), text: 'later' });
+    }
+    return parts;
+  }
 
-    // Visibility timing
-    if (report.visibilityTiming) {
-      sequence.push(this.getTimingPhrasePath(report.visibilityTiming));
+  /**
+   * Parts for a single or compound visibility
+   * @private
+   */
+  _visibilityParts(visibility) {
+    const match = visibility.match(COMPOUND_VISIBILITY);
+    if (!match) {
+      return [{ path: this.getVisibilityPath(visibility), text: visibility }];
     }
 
-    // 7. Pressure condition (optional)
-    if (report.pressure) {
-      sequence.push(this.getPressurePath(report.pressure));
+    const [, initial, or, change, subsequent, later] = match;
+    const connector = or || change;
+    const parts = [
+      { path: this.getVisibilityPath(initial), text: initial },
+      { path: this.getConnectorPath(connector), text: connector },
+      { path: this.getVisibilityPath(subsequent), text: subsequent }
+    ];
+    if (later) {
+      parts.push({ path: this.getTimingPhrasePath('later'), text: 'later' });
     }
+    return parts;
+  }
 
-    // 8. Long pause (1000ms) after complete report
-    sequence.push(this.getPausePath('long'));
+  /**
+   * Every clip in the library, for generate-audio-library.js and coverage checks
+   *
+   * Covers all the EBNF area_forecast vocabulary, plus the unsettling messages
+   * and pauses. Phantom area names are read 10% slower.
+   * @returns {Array<{category: string, text: string, path: string, slow?: boolean}>}
+   */
+  getClipCatalog() {
+    const clips = [];
+    const add = (category, text, path, extra = {}) => clips.push({ category, text, path, ...extra });
+
+    STANDARD_AREAS.forEach((area) => add('areas', area, this.getAreaPath(area)));
+    PHANTOM_AREAS.forEach((area) => add('areas', area, this.getAreaPath(area, true), { slow: true }));
+
+    WIND_DIRECTIONS.forEach((direction) => add('wind/directions', direction, this.getWindDirectionPath(direction)));
+    WIND_BEHAVIORS.filter(Boolean).forEach((change) => add('wind/behaviors', change, this.getWindBehaviorPath(change)));
+    for (let force = 0; force <= MAX_NUMBERED_FORCE; force++) {
+      add('numbers', String(force), this.getWindStrengthPath(force));
+    }
+    Object.keys(BEAUFORT_TERMS).forEach((force) => {
+      add('wind/beaufort', formatWindForce(Number(force)), this.getWindStrengthPath(Number(force)));
+    });
+
+    SEA_STATES.forEach((state) => add('sea', state, this.getSeaStatePath(state)));
+    PRECIPITATION_MODIFIERS.forEach((modifier) => {
+      PRECIPITATION_TYPES.forEach((type) => {
+        const text = `${modifier} ${type}`;
+        add('precipitation', text, this.getPrecipitationPath(text));
+      });
+    });
+    VISIBILITY.forEach((visibility) => add('visibility', visibility, this.getVisibilityPath(visibility)));
+    ICING_SEVERITIES.forEach((severity) => {
+      const text = `${severity} icing`;
+      add('icing', text, this.getIcingPath(text));
+    });
+
+    CONNECTORS.forEach((connector) => add('connectors', connector, this.getConnectorPath(connector)));
+    add('timing', 'later', this.getTimingPhrasePath('later'));
+
+    UNSETTLING_MESSAGES.forEach((message, index) => add('unsettling', message, this.getUnsettlingMessagePath(index + 1)));
+
+    // Pauses are synthesized from bare punctuation
+    add('pauses', '.', this.getPausePath('short'));
+    add('pauses', '..', this.getPausePath('long'));
+
+    return clips;
+  }
 
-    return sequence;
+  /**
+   * The words of a report that no clip covers
+   * @param {Object} report - Weather report object (see buildReportParts)
+   * @param {Set<string>} [clipPaths] - Clips available (default: the whole catalog)
+   * @returns {Array<{path: string|null, text: string}>} Parts with no clip
+   */
+  findGaps(report, clipPaths = new Set(this.getClipCatalog().map((clip) => clip.path))) {
+    // Pauses carry no words; a missing pause clip is only silence
+    return this.buildReportParts(report).filter((part) => part.text && (!part.path || !clipPaths.has(part.path)));
   }
 
   /**
@@ -276,9 +490,18 @@ export class AudioLibrary {
    * @returns {string[]} Array with message path and long pause
    */
   buildUnsettlingSequence(messageIndex) {
+    return this.buildUnsettlingParts(messageIndex).map((part) => part.path);
+  }
+
+  /**
+   * Build the parts of an unsettling message (see buildReportParts)
+   * @param {number} messageIndex - Index of message (1-12)
+   * @returns {Array<{path: string, text: string, pause?: number}>} Message and long pause
+   */
+  buildUnsettlingParts(messageIndex) {
     return [
-      this.getUnsettlingMessagePath(messageIndex),
-      this.getPausePath('long')
+      { path: this.getUnsettlingMessagePath(messageIndex), text: UNSETTLING_MESSAGES[messageIndex - 1] },
+      { path: this.getPausePath('long'), text: '', pause: PAUSE_DURATIONS.long }
     ];
   }
 
@@ -312,19 +535,44 @@ export class AudioLibrary {
   /**
    * Preload multiple audio files
    * @param {AudioContext} audioContext - Web Audio API context
-   * @param {string[]} paths - Array of audio file paths
-   * @returns {Promise<AudioBuffer[]>} Array of audio buffers
+   * @param {Array<string|null>} paths - Array of audio file paths (null for none)
+   * @returns {Promise<Array<AudioBuffer|null>>} Array of audio buffers
    */
   async preloadMultiple(audioContext, paths) {
-    const loadPromises = paths.map(path => this.preloadAudio(audioContext, path));
+    const loadPromises = paths.map(path => (path ? this.preloadAudio(audioContext, path) : null));
     return Promise.all(loadPromises);
   }
 
+  /**
+   * Preload the audio files that can be loaded
+   *
+   * A file that fails to load (missing, or unreachable offline) gives null and
+   * is remembered, so it is not requested again. With a manifest loaded, files
+   * it does not list are not requested at all.
+   * @param {AudioContext} audioContext - Web Audio API context
+   * @param {Array<string|null>} paths - Array of audio file paths (null for none)
+   * @returns {Promise<Array<AudioBuffer|null>>} Audio buffers, null where unavailable
+   */
+  async preloadAvailable(audioContext, paths) {
+    return Promise.all(paths.map(async (path) => {
+      if (!path || this.unavailable.has(path) || (this.manifest && !this.getClipInfo(path))) {
+        return null;
+      }
+      try {
+        return await this.preloadAudio(audioContext, path);
+      } catch (error) {
+        this.unavailable.add(path);
+        return null;
+      }
+    }));
+  }
+
   /**
    * Clear audio cache
    */
   clearCache() {
     this.audioCache.clear();
+    this.unavailable.clear();
   }
 
   /**
@@ -0,0 +1,126 @@
+/**
+ * Azure Speech TTS Adapter
+ *
+ * Synthesizes SSML with the Azure AI Speech text-to-speech REST API. The
+ * subscription key belongs on a server: use this adapter from the Node
+ * scripts (stream-server.js, render-broadcast.js), or point `endpoint` at a
+ * proxy that adds the key and omit it here.
+ *
+ * Azure wants the voice named in the SSML, so the builder's <speak> body is
+ * wrapped in a <voice> element; <mark>s become <bookmark>s. The REST API
+ * reports no bookmark times, so captions fall back to spreading words over
+ * the audio.
+ */
+
+import { TTSAdapter, AUDIO_MIME_TYPES } from './tts-service-adapter.js';
+
+// X-Microsoft-OutputFormat for each encoding
+const OUTPUT_FORMATS = {
+  MP3: { 16000: 'audio-16khz-32kbitrate-mono-mp3', 24000: 'audio-24khz-48kbitrate-mono-mp3', 48000: 'audio-48khz-96kbitrate-mono-mp3' },
+  WAV: { 16000: 'riff-16khz-16bit-mono-pcm', 24000: 'riff-24khz-16bit-mono-pcm', 48000: 'riff-48khz-16bit-mono-pcm' }
+};
+
+// USD per million characters for neural voices (https://azure.microsoft.com/pricing/details/cognitive-services/speech-services/)
+const COST_PER_MILLION = 15;
+
+/**
+ * AzureTTSAdapter
+ *
+ * @class
+ */
+export class AzureTTSAdapter extends TTSAdapter {
+  /**
+   * @param {Object} [config] - Configuration object (see TTSAdapter for timeout and retries)
+   * @param {string} [config.region='uksouth'] - Azure region of the Speech resource
+   * @param {string} [config.key] - Speech resource key (omit when a proxy adds it)
+   * @param {string} [config.endpoint] - Synthesis URL (default: the regional endpoint)
+   * @param {Object} [config.voice] - Voice: {languageCode: 'en-GB', name: 'en-GB-RyanNeural'}
+   * @param {Object} [config.audioConfig] - Audio: {encoding: 'MP3' or 'WAV', sampleRate: 16000, 24000 or 48000}
+   */
+  constructor(config = {}) {
+    super(config);
+    this.region = config.region || 'uksouth';
+    this.key = config.key || null;
+    this.endpoint = config.endpoint || `https://${this.region}.tts.speech.microsoft.com/cognitiveservices/v1`;
+    this.voice = { languageCode: 'en-GB', name: 'en-GB-RyanNeural', ...config.voice };
+    this.voiceKey = 'azure';
+    this.audioConfig = { encoding: 'MP3', sampleRate: 24000, ...config.audioConfig };
+  }
+
+  /**
+   * Synthesize an SSML template with Azure Speech
+   *
+   * @async
+   * @param {Object} ssmlTemplate - SSML template from SSMLTemplateBuilder
+   * @returns {Promise<Object>} GeneratedAudio (MP3 or WAV audioBlob; duration 0, measured
+   *   when decoded; no timepoints)
+   * @throws {Error} On invalid templates, unsupported audio settings or API errors
+   */
+  async synthesize(ssmlTemplate) {
+    if (!ssmlTemplate || !ssmlTemplate.ssml) {
+      throw new Error('Invalid SSML template: ssml field is required');
+    }
+
+    const { encoding, sampleRate } = this.audioConfig;
+    const outputFormat = OUTPUT_FORMATS[encoding] && OUTPUT_FORMATS[encoding][sampleRate];
+    if (!outputFormat) {
+      throw new Error(`Azure Speech does not support ${encoding} at ${sampleRate} Hz`);
+    }
+
+    const startTime = Date.now();
+    const headers = {
+      'Content-Type': 'application/ssml+xml',
+      'X-Microsoft-OutputFormat': outputFormat
+    };
+    if (this.key) {
+      headers['Ocp-Apim-Subscription-Key'] = this.key;
+    }
+
+    try {
+      const response = await this._fetchWithRetry(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: this._toAzureSSML(ssmlTemplate.ssml, this._voiceFor(ssmlTemplate))
+      });
+      const audioBlob = new Blob([await response.arrayBuffer()], { type: AUDIO_MIME_TYPES[encoding] });
+
+      this._recordSuccess(ssmlTemplate, startTime, COST_PER_MILLION);
+      if (this.logRequests) {
+        console.log(`[TTS] Azure synthesized ${ssmlTemplate.areaName} (${ssmlTemplate.reportId}) in ${Date.now() - startTime}ms`);
+      }
+
+      return {
+        audioBuffer: null,
+        audioBlob,
+        reportId: ssmlTemplate.reportId || '',
+        areaName: ssmlTemplate.areaName || '',
+        isPhantom: ssmlTemplate.isPhantom || false,
+        duration: 0,
+        sampleRate,
+        fileSize: audioBlob.size,
+        synthesizedAt: new Date(),
+        cachedAt: null,
+        timepoints: []
+      };
+    } catch (error) {
+      this._recordFailure();
+      throw error;
+    }
+  }
+
+  /**
+   * Name the voice and language in the SSML, as Azure requires
+   * @private
+   */
+  _toAzureSSML(ssml, voice = this.voice) {
+    const { languageCode, name } = voice;
+    const body = ssml
+      .trim()
+      .replace(/^<speak>/, '')
+      .replace(/<\/speak>$/, '')
+      .replace(/<mark name="([^"]+)"\/>/g, '<bookmark mark="$1"/>');
+
+    return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${languageCode}">`
+      + `<voice name="${name}">${body}</voice></speak>`;
+  }
+}
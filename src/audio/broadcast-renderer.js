@@ -0,0 +1,325 @@
+/**
+ * Broadcast Renderer
+ * Offline render of a whole broadcast to a single WAV file
+ *
+ * Synthesizes every segment of a broadcast through SSMLSynthesizer, in the
+ * order the player reads them, and joins the decoded audio end to end with
+ * the PROSODY_CONFIG end-of-report pause after each spoken segment (area
+ * forecasts already end with it in their SSML). In the browser the result is
+ * mixed in an OfflineAudioContext, optionally through the RadioFilter; in
+ * Node, where there is no Web Audio, the samples are resampled and joined
+ * directly. Sailing By is not rendered: there is no recording to include.
+ *
+ * Usage:
+ *   const renderer = new BroadcastRenderer({ synthesizer });
+ *   const { wav, segments } = await renderer.renderWAV(broadcast);
+ */
+
+import { SSMLSynthesizer } from './ssml-synthesizer.js';
+import { RadioFilter } from './filters.js';
+import { PROSODY_CONFIG } from './prosody-config.js';
+import { encodeWAV, decodeWAV, isWAV } from './wav.js';
+import { voiceCasting, roleForSegment } from './voice-casting.js';
+
+export class BroadcastRenderer {
+  /**
+   * @param {Object} [options] - Renderer options
+   * @param {SSMLSynthesizer} [options.synthesizer] - Synthesizer to use (default: a new SSMLSynthesizer)
+   * @param {number} [options.sampleRate=24000] - Output sample rate in Hz
+   * @param {boolean} [options.radioFilter=false] - Pass the broadcast through the RadioFilter (browser only)
+   * @param {Function} [options.onProgress] - Called before each segment with {index, total, label}
+   * @param {VoiceCasting} [options.casting] - Voices for each segment (default: voiceCasting)
+   */
+  constructor(options = {}) {
+    this.synthesizer = options.synthesizer || new SSMLSynthesizer();
+    this.casting = options.casting || voiceCasting;
+    this.sampleRate = options.sampleRate || 24000;
+    this.radioFilter = options.radioFilter || false;
+    this.onProgress = options.onProgress || null;
+  }
+
+  /**
+   * Spoken segments of a broadcast, in playback order, each with the voice cast to read it
+   * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+   * @param {number|null} [position] - The broadcast's position in a run of broadcasts, for the duty
+   *   announcer (default: placed in the rota by its broadcastId)
+   * @returns {Array<{label: string, text: string, role: string, voice: Object, report?: Object}>} Segments
+   *   (area forecasts carry their report)
+   */
+  segmentsFor(broadcast, position = null) {
+    return broadcastSegments(broadcast, { casting: this.casting, position });
+  }
+
+  /**
+   * Synthesize and assemble a broadcast
+   * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+   * @returns {Promise<Object>} {sampleRate, channels: [Float32Array], duration, segments}; segments
+   *   carry label, text, offset, duration (including the pause after) and captions, ready for exportSubtitles()
+   * @throws {Error} If a segment fails to synthesize
+   */
+  async render(broadcast) {
+    const planned = this.segmentsFor(broadcast);
+    const pieces = [];
+    let offset = 0;
+
+    for (let index = 0; index < planned.length; index++) {
+      const segment = planned[index];
+      if (this.onProgress) {
+        this.onProgress({ index, total: planned.length, label: segment.label });
+      }
+
+      const { audio, duration, captions } = await this.renderSegment(segment);
+      pieces.push({ audio, offset });
+      planned[index] = { label: segment.label, text: segment.text, offset, duration, captions };
+      offset += duration;
+    }
+
+    const channels = await this._mix(pieces, offset);
+    console.log(`[BroadcastRenderer] Rendered ${broadcast.broadcastId}: ${planned.length} segments, ${offset.toFixed(1)}s`);
+
+    return { sampleRate: this.sampleRate, channels, duration: offset, segments: planned };
+  }
+
+  /**
+   * Synthesize one segment from segmentsFor(), in the voice cast for it
+   * @param {{label: string, text: string, voice?: Object, report?: Object}} segment - Segment to synthesize
+   * @returns {Promise<Object>} GeneratedAudio from the synthesizer
+   * @throws {Error} If synthesis fails
+   */
+  async synthesizeSegment(segment) {
+    const options = { voice: segment.voice || null };
+    return segment.report
+      ? this.synthesizer.synthesizeReport(segment.report, options)
+      : this.synthesizer.synthesizeText(segment.text, segment.label, options);
+  }
+
+  /**
+   * Synthesize and decode one segment from segmentsFor()
+   * @param {{label: string, text: string, report?: Object}} segment - Segment to render
+   * @returns {Promise<{audio: Object, duration: number, captions: Array<Object>}>} Mono audio at its own
+   *   sample rate, and its duration in seconds including the pause after spoken segments
+   * @throws {Error} If synthesis fails
+   */
+  async renderSegment(segment) {
+    const generatedAudio = await this.synthesizeSegment(segment);
+    const audio = await this._decode(generatedAudio, segment.label);
+    const pause = segment.report ? 0 : parseBreakTime(PROSODY_CONFIG.breaks.endOfReport);
+
+    return {
+      audio,
+      duration: audio.channels[0].length / audio.sampleRate + pause,
+      captions: generatedAudio.captions || [],
+    };
+  }
+
+  /**
+   * Render a broadcast to a WAV file
+   * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+   * @returns {Promise<{wav: ArrayBuffer, blob: Blob, duration: number, segments: Array<Object>}>} WAV file and its segments
+   * @throws {Error} If a segment fails to synthesize
+   */
+  async renderWAV(broadcast) {
+    const rendered = await this.render(broadcast);
+    const wav = encodeWAV(rendered);
+
+    return {
+      wav,
+      blob: new Blob([wav], { type: 'audio/wav' }),
+      duration: rendered.duration,
+      segments: rendered.segments,
+    };
+  }
+
+  /**
+   * Decode synthesized audio to mono samples
+   *
+   * Uses the adapter's decoded AudioBuffer when there is one, reads WAV
+   * directly, and otherwise decodes with Web Audio. Audio that cannot be
+   * decoded here (MP3 in Node, or the mock adapter's placeholder bytes)
+   * becomes silence of the reported duration, so timing is kept.
+   * @private
+   * @returns {Promise<{sampleRate: number, channels: Array<Float32Array>}>}
+   */
+  async _decode(generatedAudio, label) {
+    if (generatedAudio.audioBuffer && typeof generatedAudio.audioBuffer.getChannelData === 'function') {
+      return toMono(audioBufferChannels(generatedAudio.audioBuffer));
+    }
+
+    const bytes = generatedAudio.audioBlob ? await generatedAudio.audioBlob.arrayBuffer() : new ArrayBuffer(0);
+    if (isWAV(bytes)) {
+      return toMono(decodeWAV(bytes));
+    }
+
+    if (typeof OfflineAudioContext !== 'undefined') {
+      try {
+        const context = new OfflineAudioContext(1, 1, this.sampleRate);
+        return toMono(audioBufferChannels(await context.decodeAudioData(bytes)));
+      } catch (error) {
+        console.warn(`[BroadcastRenderer] Could not decode audio for ${label}:`, error);
+      }
+    }
+
+    const duration = generatedAudio.duration || 0;
+    console.warn(`[BroadcastRenderer] No decodable audio for ${label}, rendering ${duration}s of silence`);
+    return { sampleRate: this.sampleRate, channels: [new Float32Array(Math.round(duration * this.sampleRate))] };
+  }
+
+  /**
+   * Join decoded pieces at their offsets into one output track
+   * @private
+   * @returns {Promise<Array<Float32Array>>} Output channels
+   */
+  async _mix(pieces, duration) {
+    const length = Math.max(1, Math.ceil(duration * this.sampleRate));
+
+    if (typeof OfflineAudioContext === 'undefined') {
+      if (this.radioFilter) {
+        console.warn('[BroadcastRenderer] RadioFilter needs an OfflineAudioContext, rendering without it');
+      }
+
+      const output = new Float32Array(length);
+      for (const { audio, offset } of pieces) {
+        const samples = resample(audio.channels[0], audio.sampleRate, this.sampleRate);
+        output.set(samples.subarray(0, length - Math.round(offset * this.sampleRate)), Math.round(offset * this.sampleRate));
+      }
+      return [output];
+    }
+
+    const context = new OfflineAudioContext(1, length, this.sampleRate);
+    const filter = this.radioFilter ? new RadioFilter(context) : null;
+    if (filter) {
+      filter.connectTo(context.destination);
+    }
+
+    for (const { audio, offset } of pieces) {
+      const buffer = context.createBuffer(1, audio.channels[0].length, audio.sampleRate);
+      buffer.copyToChannel(audio.channels[0], 0);
+
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      if (filter) {
+        filter.connect(source);
+      } else {
+        source.connect(context.destination);
+      }
+      source.start(offset);
+    }
+
+    const rendered = await context.startRendering();
+    return [rendered.getChannelData(0)];
+  }
+}
+
+/**
+ * Spoken segments of a broadcast, in the order the player reads them
+ * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+ * @param {Object} [options] - Options
+ * @param {VoiceCasting} [options.casting] - Voices for each segment (default: voiceCasting)
+ * @param {number|null} [options.position] - The broadcast's position in a run of broadcasts, for the
+ *   duty announcer (default: placed in the rota by its broadcastId)
+ * @returns {Array<{label: string, text: string, role: string, voice: Object, report?: Object}>} Segments
+ *   (area forecasts carry their report), with their role and the voice cast for it (see voice-casting.js)
+ */
+export function broadcastSegments(broadcast, options = {}) {
+  const casting = options.casting || voiceCasting;
+  const position = options.position ?? null;
+  const segments = [{ label: 'Introduction', text: broadcast.introduction.text }];
+
+  if (broadcast.galeWarnings) {
+    segments.push({ label: 'Gale Warnings', text: broadcast.galeWarnings.text });
+  }
+  if (broadcast.generalSynopsis) {
+    segments.push({ label: 'General Synopsis', text: broadcast.generalSynopsis.text });
+  }
+  if (broadcast.timePeriod) {
+    segments.push({ label: 'Time Period', text: broadcast.timePeriod.text });
+  }
+
+  for (const forecast of broadcast.areaForecasts) {
+    segments.push({ label: forecast.area.name, text: forecast.text, report: forecast });
+  }
+
+  // The coastal station and inshore waters introductions are the announcer's;
+  // the stations and sections are read like areas
+  if (broadcast.coastalStations) {
+    segments.push({ label: 'Coastal Stations', text: broadcast.coastalStations.introduction });
+    segments.push(...broadcast.coastalStations.stations.map((station) => ({ label: station.name, text: station.text, role: 'area' })));
+  }
+  if (broadcast.inshoreWaters) {
+    segments.push({ label: 'Inshore Waters', text: broadcast.inshoreWaters.introduction });
+    segments.push(...broadcast.inshoreWaters.sections.map((section) => ({ label: section.name, text: section.text, role: 'area' })));
+  }
+  if (broadcast.signOff) {
+    segments.push({ label: 'Sign-off', text: broadcast.signOff.text });
+  }
+
+  return segments.map((segment) => {
+    const role = roleForSegment(segment);
+    return { ...segment, role, voice: casting.voiceFor(role, broadcast, position) };
+  });
+}
+
+/**
+ * Parse a PROSODY_CONFIG break time ('1500ms' or '1.5s') into seconds
+ * @param {string} time - SSML break time
+ * @returns {number} Seconds
+ */
+export function parseBreakTime(time) {
+  const match = /^([\d.]+)(ms|s)$/.exec(time);
+  if (!match) {
+    throw new Error(`Invalid break time: ${time}`);
+  }
+  return match[2] === 'ms' ? Number(match[1]) / 1000 : Number(match[1]);
+}
+
+/**
+ * @private
+ */
+function audioBufferChannels(audioBuffer) {
+  const channels = [];
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel));
+  }
+  return { sampleRate: audioBuffer.sampleRate, channels };
+}
+
+/**
+ * Average channels down to one
+ * @private
+ */
+function toMono({ sampleRate, channels }) {
+  if (channels.length <= 1) {
+    return { sampleRate, channels };
+  }
+
+  const mono = new Float32Array(channels[0].length);
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  }
+  return { sampleRate, channels: [mono] };
+}
+
+/**
+ * Resample by linear interpolation (for Node, where there is no OfflineAudioContext to do it)
+ * @param {Float32Array} samples - Samples to resample
+ * @param {number} fromRate - Their sample rate in Hz
+ * @param {number} toRate - Sample rate wanted in Hz
+ * @returns {Float32Array} Resampled samples (the input itself if the rates match)
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.round(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    output[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+  }
+  return output;
+}
@@ -0,0 +1,375 @@
+/**
+ * Broadcast Stream
+ * A never-ending, shared audio stream of generated broadcasts
+ *
+ * Generates broadcasts one after another and synthesizes their segments a
+ * little ahead of time, then releases the audio in real time: every listener
+ * receives the same bytes at the same moment, so everyone tuned in hears the
+ * same forecast, as with a radio station. Audio goes out as MP3 (clips from
+ * the TTS service joined frame for frame) or as 16-bit PCM WAV (decoded and
+ * resampled, for local or mock TTS). Each chunk carries the title of the
+ * segment it belongs to, for in-band now-playing metadata (see IcyWriter).
+ *
+ * Usage:
+ *   const stream = new BroadcastStream({ renderer, format: 'mp3' });
+ *   stream.start();
+ *   const remove = stream.addListener((bytes, title) => send(bytes, title));
+ */
+
+import { broadcastGenerator } from '../core/broadcast-generator.js';
+import { BroadcastRenderer, resample } from './broadcast-renderer.js';
+import { PROSODY_CONFIG } from './prosody-config.js';
+import { encodePCM, wavHeader } from './wav.js';
+import { readMP3, stripID3, isMP3 } from './mp3.js';
+
+export const STREAM_FORMATS = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+};
+
+// Audio bytes between ICY metadata blocks (the interval Icecast uses by default)
+export const ICY_METAINT = 16000;
+
+// Largest WAV data size: a stream has no end to measure
+const STREAM_DATA_SIZE = 0xffffffff - 36;
+
+export class BroadcastStream {
+  /**
+   * @param {Object} [options] - Stream options
+   * @param {BroadcastRenderer} [options.renderer] - Synthesizes segments (default: a new BroadcastRenderer)
+   * @param {'mp3'|'wav'} [options.format='wav'] - Stream format; 'mp3' needs a TTS service that returns MP3
+   * @param {Function} [options.nextBroadcast] - Returns the next broadcast to stream
+   *   (default: a full canonical-order broadcast from broadcastGenerator)
+   * @param {number} [options.bufferSeconds=30] - How far synthesis runs ahead of the listeners
+   * @param {number} [options.burstSeconds=2] - Recent audio sent straight away to new listeners, so players start quickly
+   * @param {Function} [options.now] - Clock returning milliseconds (for tests)
+   */
+  constructor(options = {}) {
+    if (options.format && !STREAM_FORMATS[options.format]) {
+      throw new Error(`Unknown stream format: ${options.format}`);
+    }
+
+    this.renderer = options.renderer || new BroadcastRenderer();
+    this.format = options.format || 'wav';
+    this.sampleRate = this.renderer.sampleRate;
+    this.nextBroadcast = options.nextBroadcast || (() => broadcastGenerator.generateBroadcast(31, { order: 'canonical' }));
+    this.bufferSeconds = options.bufferSeconds ?? 30;
+    this.burstSeconds = options.burstSeconds ?? 2;
+    this.now = options.now || (() => Date.now());
+
+    this.queue = []; // Synthesized pieces waiting to be sent
+    this.plan = null; // Broadcast being synthesized, and its next segment
+    this.broadcastCount = 0; // Broadcasts planned so far, for the duty announcer rota
+    this.current = null; // Piece being sent
+    this.sent = 0; // Bytes of the current piece already sent
+    this.pieceStartedAt = 0;
+    this.recent = []; // Last burstSeconds of chunks sent
+    this.listeners = new Set();
+    this.nowPlaying = null;
+    this.running = false;
+    this.timer = null;
+    this.pause = null; // MP3 silence for the pause after spoken segments
+  }
+
+  /**
+   * MIME type of the stream
+   * @returns {string}
+   */
+  get contentType() {
+    return STREAM_FORMATS[this.format];
+  }
+
+  /**
+   * Bytes every listener receives first (the WAV header; nothing for MP3)
+   * @returns {Uint8Array}
+   */
+  header() {
+    return this.format === 'wav' ? wavHeader(this.sampleRate, 1, STREAM_DATA_SIZE) : new Uint8Array(0);
+  }
+
+  /**
+   * Start synthesizing and sending audio
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this._produce();
+    this.timer = setInterval(() => this.tick(), 200);
+    console.log(`[BroadcastStream] Streaming ${this.format}`);
+  }
+
+  /**
+   * Stop the stream (listeners stay attached but receive nothing more)
+   */
+  stop() {
+    this.running = false;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Tune in
+   * @param {Function} listener - Called with (bytes: Uint8Array, title: string) for each chunk of audio
+   * @returns {Function} Removes the listener
+   */
+  addListener(listener) {
+    for (const chunk of this.recent) {
+      listener(chunk.bytes, chunk.title);
+    }
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Synthesize until bufferSeconds of audio are waiting
+   * @returns {Promise<void>}
+   * @throws {Error} If a segment fails to synthesize
+   */
+  async fill() {
+    while (this._queuedSeconds() < this.bufferSeconds) {
+      await this._queueNextSegment();
+    }
+  }
+
+  /**
+   * Send the audio that is due by now (called on a timer once started)
+   *
+   * Each piece is released in proportion to the time since it began; the
+   * next piece begins where the last ended, or, if synthesis has fallen
+   * behind, as soon as it is ready.
+   */
+  tick() {
+    const now = this.now();
+    if (!this.current) {
+      this._advance(now);
+    }
+
+    while (this.current) {
+      const { bytes, duration } = this.current;
+      const elapsed = (now - this.pieceStartedAt) / 1000;
+      let due = duration > 0 ? Math.floor(bytes.length * Math.min(1, elapsed / duration)) : bytes.length;
+      due -= due % this._blockAlign();
+
+      if (due > this.sent) {
+        this._send(bytes.subarray(this.sent, due), this.current);
+        this.sent = due;
+      }
+
+      if (elapsed < duration) {
+        break;
+      }
+      this._advance(this.pieceStartedAt + duration * 1000);
+    }
+  }
+
+  /**
+   * Keep synthesis bufferSeconds ahead while running
+   * @private
+   */
+  async _produce() {
+    while (this.running) {
+      if (this._queuedSeconds() >= this.bufferSeconds) {
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        continue;
+      }
+
+      try {
+        await this._queueNextSegment();
+      } catch (error) {
+        console.error('[BroadcastStream] Synthesis failed, skipping segment:', error);
+        await new Promise((resolve) => setTimeout(resolve, 5000));
+      }
+    }
+  }
+
+  /**
+   * Synthesize the next segment, starting a new broadcast when the last is done
+   * @private
+   */
+  async _queueNextSegment() {
+    if (!this.plan || this.plan.index >= this.plan.segments.length) {
+      const broadcast = this.nextBroadcast();
+      this.plan = { broadcast, segments: this.renderer.segmentsFor(broadcast, this.broadcastCount++), index: 0 };
+      console.log('[BroadcastStream] Next broadcast:', broadcast.broadcastId);
+    }
+
+    const { broadcast, segments } = this.plan;
+    const segment = segments[this.plan.index++];
+    const piece = this.format === 'mp3' ? await this._mp3Piece(segment) : await this._wavPiece(segment);
+
+    this.queue.push({
+      ...piece,
+      title: `Shipping Forecast - ${segment.label}`,
+      nowPlaying: {
+        broadcastId: broadcast.broadcastId,
+        edition: broadcast.edition,
+        label: segment.label,
+        text: segment.text,
+      },
+    });
+  }
+
+  /**
+   * A segment as 16-bit PCM at the stream's sample rate, pause included
+   * @private
+   */
+  async _wavPiece(segment) {
+    const { audio, duration } = await this.renderer.renderSegment(segment);
+    const samples = new Float32Array(Math.round(duration * this.sampleRate));
+    const speech = resample(audio.channels[0], audio.sampleRate, this.sampleRate);
+    samples.set(speech.subarray(0, samples.length));
+
+    return { bytes: encodePCM([samples]), duration: samples.length / this.sampleRate };
+  }
+
+  /**
+   * A segment as MP3 frames, followed by synthesized silence for spoken segments
+   * @private
+   */
+  async _mp3Piece(segment) {
+    const generatedAudio = await this.renderer.synthesizeSegment(segment);
+    const speech = stripID3(new Uint8Array(await generatedAudio.audioBlob.arrayBuffer()));
+    if (!isMP3(speech)) {
+      throw new Error(`TTS audio for ${segment.label} is not MP3; stream in wav format instead`);
+    }
+
+    if (segment.report) {
+      return { bytes: speech, duration: readMP3(speech).duration };
+    }
+
+    const pause = await this._mp3Pause();
+    const bytes = new Uint8Array(speech.length + pause.length);
+    bytes.set(speech, 0);
+    bytes.set(pause, speech.length);
+    return { bytes, duration: readMP3(bytes).duration };
+  }
+
+  /**
+   * The end-of-report pause, synthesized once as MP3 so it matches the speech
+   * @private
+   */
+  async _mp3Pause() {
+    if (!this.pause) {
+      const generatedAudio = await this.renderer.synthesizer.ttsAdapter.synthesize({
+        ssml: `<speak><break time="${PROSODY_CONFIG.breaks.endOfReport}"/></speak>`,
+        reportId: 'stream-pause',
+        areaName: 'Pause',
+        characterCount: 0
+      });
+      this.pause = stripID3(new Uint8Array(await generatedAudio.audioBlob.arrayBuffer()));
+    }
+    return this.pause;
+  }
+
+  /**
+   * Move on to the next queued piece
+   * @private
+   */
+  _advance(startedAt) {
+    this.current = this.queue.shift() || null;
+    this.sent = 0;
+    this.pieceStartedAt = startedAt;
+
+    if (this.current) {
+      this.nowPlaying = { ...this.current.nowPlaying, startedAt: new Date(startedAt).toISOString() };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _send(bytes, piece) {
+    for (const listener of this.listeners) {
+      listener(bytes, piece.title);
+    }
+
+    // Keep the last burstSeconds for listeners who tune in next
+    const seconds = piece.duration * (bytes.length / piece.bytes.length);
+    this.recent.push({ bytes, title: piece.title, seconds });
+    let total = this.recent.reduce((sum, chunk) => sum + chunk.seconds, 0);
+    while (this.recent.length > 0 && total - this.recent[0].seconds >= this.burstSeconds) {
+      total -= this.recent.shift().seconds;
+    }
+  }
+
+  /**
+   * Whole samples only for PCM; MP3 decoders resynchronise on the next frame
+   * @private
+   */
+  _blockAlign() {
+    return this.format === 'wav' ? 2 : 1;
+  }
+
+  /**
+   * @private
+   */
+  _queuedSeconds() {
+    return this.queue.reduce((total, piece) => total + piece.duration, 0);
+  }
+}
+
+/**
+ * Writes audio with ICY (SHOUTcast/Icecast) metadata blocks interleaved
+ *
+ * After every metaint bytes of audio comes a metadata block: a length byte
+ * (in 16-byte units) then "StreamTitle='…';" padded with zeros. The title is
+ * sent when it changes; otherwise the block is empty (a single zero byte).
+ */
+export class IcyWriter {
+  /**
+   * @param {Function} write - Writes bytes to the listener
+   * @param {number} [metaint=ICY_METAINT] - Audio bytes between metadata blocks
+   */
+  constructor(write, metaint = ICY_METAINT) {
+    this.output = write;
+    this.metaint = metaint;
+    this.untilMetadata = metaint;
+    this.title = null;
+    this.sentTitle = null;
+  }
+
+  /**
+   * Write audio, inserting metadata blocks at each interval
+   * @param {Uint8Array} bytes - Audio bytes
+   * @param {string} title - Title of what is playing
+   */
+  write(bytes, title) {
+    this.title = title;
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      const length = Math.min(this.untilMetadata, bytes.length - offset);
+      this.output(bytes.subarray(offset, offset + length));
+      offset += length;
+      this.untilMetadata -= length;
+
+      if (this.untilMetadata === 0) {
+        const changed = this.title !== this.sentTitle;
+        this.output(icyMetadata(changed ? this.title : null));
+        this.sentTitle = this.title;
+        this.untilMetadata = this.metaint;
+      }
+    }
+  }
+}
+
+/**
+ * An ICY metadata block
+ * @param {string|null} title - Stream title, or null for an empty block
+ * @returns {Uint8Array} Length byte and padded metadata
+ */
+export function icyMetadata(title) {
+  if (!title) {
+    return new Uint8Array(1);
+  }
+
+  // Titles are quoted with ' and cannot escape it; the block holds at most 255 × 16 bytes
+  const text = new TextEncoder().encode(`StreamTitle='${title.replace(/'/g, '’')}';`).subarray(0, 255 * 16);
+  const blocks = Math.ceil(text.length / 16);
+  const metadata = new Uint8Array(1 + blocks * 16);
+  metadata[0] = blocks;
+  metadata.set(text, 1);
+  return metadata;
+}
@@ -342,6 +342,8 @@ validateIntroductionVariants();
  * Standard variants appear ~60% of time (weight 2)
  * Surreal variants appear ~40% of time (weight 1)
  *
+ * @param {Function} [random=Math.random] - Random source (see utils/random.js)
+ * @param {number} [surrealFactor=1] - Multiplier on surreal variant weights (see GeneratorProfile)
  * @returns {Object} Selected introduction variant
  * @returns {string} return.id - Variant identifier (e.g., "std-001", "sur-003")
  * @returns {boolean} return.isSurreal - Whether this is a surreal variant
@@ -349,8 +351,10 @@ validateIntroductionVariants();
  * @returns {string} return.template - Full introduction template with placeholders
  * @returns {number} return.weight - Selection probability weight
  */
-export function selectIntroductionVariant() {
-  return selectWeightedVariant(INTRODUCTION_VARIANTS);
+export function selectIntroductionVariant(random = Math.random, surrealFactor = 1) {
+  return selectWeightedVariant(INTRODUCTION_VARIANTS, random, (variant) =>
+    variant.isSurreal ? variant.weight * surrealFactor : variant.weight
+  );
 }
 
 /**
@@ -403,13 +407,14 @@ validateTimePeriodVariants();
  *
  * Distribution matches BBC authentic usage patterns (research.md RQ-005)
  *
+ * @param {Function} [random=Math.random] - Random source (see utils/random.js)
  * @returns {Object} Selected time period variant
  * @returns {string} return.id - Variant identifier (e.g., "tp-001")
  * @returns {string} return.template - Time period phrase template
  * @returns {number} return.weight - Selection probability weight
  */
-export function selectTimePeriodVariant() {
-  return selectWeightedVariant(TIME_PERIOD_VARIANTS);
+export function selectTimePeriodVariant(random = Math.random) {
+  return selectWeightedVariant(TIME_PERIOD_VARIANTS, random);
 }
 
 /**
@@ -443,24 +448,26 @@ export function getTimePeriodVariantMetadata() {
  * Higher weight = higher probability of selection.
  *
  * @param {Array<Object>} variants - Array of variant objects with weight property
+ * @param {Function} [random=Math.random] - Random source
+ * @param {Function} [weightOf] - Effective weight of a variant (defaults to its weight property)
  * @returns {Object} Selected variant
  * @private
  */
-function selectWeightedVariant(variants) {
+function selectWeightedVariant(variants, random = Math.random, weightOf = (variant) => variant.weight) {
   if (variants.length === 0) {
     throw new Error('Variant array is empty');
   }
 
   // Calculate total weight
-  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const totalWeight = variants.reduce((sum, variant) => sum + weightOf(variant), 0);
 
   // Generate random number between 0 and totalWeight
-  let random = Math.random() * totalWeight;
+  let remaining = random() * totalWeight;
 
   // Select variant by subtracting weights until we hit 0
   for (const variant of variants) {
-    random -= variant.weight;
-    if (random <= 0) {
+    remaining -= weightOf(variant);
+    if (remaining <= 0) {
       return variant;
     }
   }
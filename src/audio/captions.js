@@ -0,0 +1,181 @@
+/**
+ * Live captions
+ *
+ * Word-level caption timing from TTS timepoints. SSMLTemplateBuilder places a
+ * <mark> before each word (or each phrase) with insertCaptionMarks(); the TTS
+ * service reports when each mark was reached, timeCaptions() pairs those
+ * times with the caption text, and a CaptionTrack follows the audio's
+ * currentTime so the player can emit caption:word events as each word is read.
+ */
+
+export const CAPTION_GRANULARITIES = ['word', 'phrase'];
+
+// Elements read as a single word: the mark goes before the element, never inside it
+const ATOMIC_ELEMENTS = ['phoneme', 'say-as', 'sub'];
+
+// A word ending in one of these closes a phrase
+const PHRASE_END = /[.,;:!?]$/;
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': '\'', '&#39;': '\'' };
+
+/**
+ * Decode the XML entities _escape() writes into SSML text
+ * @param {string} text - SSML text content
+ * @returns {string}
+ */
+function decodeXML(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#39);/g, (entity) => XML_ENTITIES[entity]);
+}
+
+/**
+ * Name of an element tag ("<say-as interpret-as='characters'>" → "say-as")
+ * @param {string} tag - Tag markup
+ * @returns {string}
+ */
+function tagName(tag) {
+  return tag.replace(/^<\/?/, '').split(/[\s/>]/)[0];
+}
+
+/**
+ * Insert <mark> tags at word or phrase boundaries
+ *
+ * Marks are named c0, c1, … in reading order. Text inside <phoneme>,
+ * <say-as> and <sub> is captioned as written and marked as one word; a
+ * <break> ends the current phrase.
+ *
+ * @param {string} ssml - SSML document
+ * @param {string} [granularity='word'] - 'word' or 'phrase'
+ * @returns {{ssml: string, captions: Array<{mark: string, text: string}>}} Marked SSML and caption text per mark
+ * @throws {Error} If the granularity is unknown
+ */
+export function insertCaptionMarks(ssml, granularity = 'word') {
+  if (!CAPTION_GRANULARITIES.includes(granularity)) {
+    throw new Error(`Unknown caption granularity: ${granularity}`);
+  }
+
+  const tokens = ssml.match(/<[^>]+>|[^<]+/g) || [];
+  const captions = [];
+  let output = '';
+  let phraseStart = true;
+
+  const addWord = (text) => {
+    if (granularity === 'word' || phraseStart || captions.length === 0) {
+      const mark = `c${captions.length}`;
+      captions.push({ mark, text });
+      phraseStart = PHRASE_END.test(text);
+      return `<mark name="${mark}"/>`;
+    }
+
+    captions[captions.length - 1].text += ` ${text}`;
+    phraseStart = PHRASE_END.test(text);
+    return '';
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.startsWith('<')) {
+      const name = tagName(token);
+
+      if (ATOMIC_ELEMENTS.includes(name) && !token.startsWith('</') && !token.endsWith('/>')) {
+        // Read the whole element as one word
+        let element = token;
+        let text = '';
+        while (i + 1 < tokens.length && !(tokens[i].startsWith('</') && tagName(tokens[i]) === name)) {
+          i++;
+          element += tokens[i];
+          if (!tokens[i].startsWith('<')) {
+            text += tokens[i];
+          }
+        }
+
+        // Punctuation straight after the element belongs to the same word
+        const next = tokens[i + 1];
+        const trailing = next && !next.startsWith('<') ? next.match(/^[^\s]*/)[0] : '';
+        output += addWord(decodeXML(text.trim()) + decodeXML(trailing)) + element;
+        continue;
+      }
+
+      if (name === 'break') {
+        phraseStart = true;
+      }
+      output += token;
+      continue;
+    }
+
+    // Text: a mark before every word that starts a caption
+    const previous = tokens[i - 1];
+    const afterAtomic = previous && previous.startsWith('</') && ATOMIC_ELEMENTS.includes(tagName(previous));
+    output += token.split(/(\s+)/).map((part, index) => {
+      if (part === '' || /^\s+$/.test(part)) {
+        return part;
+      }
+      if (index === 0 && afterAtomic) {
+        return part; // Trailing punctuation, already captioned with the element
+      }
+      return addWord(decodeXML(part)) + part;
+    }).join('');
+  }
+
+  return { ssml: output, captions };
+}
+
+/**
+ * Pair caption text with the times the TTS service reached each mark
+ *
+ * A mark missing from the timepoints takes the time of the caption before it.
+ *
+ * @param {Array<{mark: string, text: string}>} captions - From insertCaptionMarks()
+ * @param {Array<{markName: string, timeSeconds: number}>} timepoints - From the TTS response
+ * @returns {Array<{index: number, text: string, time: number}>} Timed captions, time in seconds
+ */
+export function timeCaptions(captions, timepoints = []) {
+  const times = new Map(timepoints.map((timepoint) => [timepoint.markName, timepoint.timeSeconds]));
+  let time = 0;
+
+  return captions.map((caption, index) => {
+    if (times.has(caption.mark)) {
+      time = Math.max(time, times.get(caption.mark));
+    }
+    return { index, text: caption.text, time };
+  });
+}
+
+/**
+ * Follows playback through a list of timed captions
+ *
+ * Usage:
+ *   const track = new CaptionTrack(captions);
+ *   audio.ontimeupdate = () => track.advance(audio.currentTime).forEach(showWord);
+ */
+export class CaptionTrack {
+  /**
+   * @param {Array<{index: number, text: string, time: number}>} captions - Timed captions (see timeCaptions)
+   */
+  constructor(captions) {
+    this.captions = captions;
+    this.position = 0;
+  }
+
+  /**
+   * Captions reached since the last call
+   * @param {number} currentTime - Playback position in seconds
+   * @returns {Array<{index: number, text: string, time: number}>} Newly reached captions, in order
+   */
+  advance(currentTime) {
+    const reached = [];
+    while (this.position < this.captions.length && this.captions[this.position].time <= currentTime) {
+      reached.push(this.captions[this.position]);
+      this.position++;
+    }
+    return reached;
+  }
+
+  /**
+   * Whether every caption has been reached
+   * @returns {boolean}
+   */
+  isComplete() {
+    return this.position >= this.captions.length;
+  }
+}
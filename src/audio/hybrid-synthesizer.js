@@ -0,0 +1,114 @@
+/**
+ * Hybrid Speech Synthesizer
+ * Offline-first: plays a report from pre-generated audio library clips and
+ * speaks with the Web Speech API only the words no clip covers, or whose clip
+ * will not load. Needs no network once the clips are served locally.
+ */
+
+import { audioLibrary } from './audio-library.js';
+import { LibrarySynthesizer, sequenceEntry } from './library-synthesizer.js';
+import { speechSynthesizer } from './synthesizer.js';
+
+export class HybridSynthesizer extends LibrarySynthesizer {
+  /**
+   * Speak a weather report from clips, filling gaps with browser speech
+   * @param {Object} report - Weather report object
+   * @param {Object} options - Playback options
+   * @param {GainNode} options.destination - Audio destination node
+   * @returns {Promise<void>} Resolves when the whole report has played
+   */
+  async speakReport(report, options = {}) {
+    const { destination } = options;
+
+    if (!destination) {
+      throw new Error('Destination node is required');
+    }
+
+    await audioLibrary.loadManifest();
+    const parts = audioLibrary.buildReportParts(report);
+
+    // Stop any currently playing audio
+    this.stopSpeaking();
+
+    const buffers = await audioLibrary.preloadAvailable(
+      this.audioContext,
+      this._clipPaths(parts)
+    );
+    const runs = groupRuns(parts, buffers);
+
+    const spoken = runs.filter((run) => run.text).map((run) => run.text);
+    if (spoken.length > 0) {
+      console.log(`[HybridSynthesizer] Speaking gaps in ${report.area.name}:`, spoken.join(' | '));
+    }
+
+    this.stopRequested = false;
+    for (const run of runs) {
+      if (this.stopRequested) {
+        break;
+      }
+
+      if (run.entries) {
+        await this._playSequence(run.entries, destination);
+      } else {
+        await this._speakGap(run.text);
+      }
+    }
+  }
+
+  /**
+   * Speak words no clip covers
+   * @private
+   * @param {string} text - Words to speak
+   * @returns {Promise<void>}
+   */
+  async _speakGap(text) {
+    try {
+      await speechSynthesizer.speak(text);
+    } catch (error) {
+      // Cancelled by stopSpeaking(), or no voice: carry on with the clips
+      if (!this.stopRequested) {
+        console.warn('[HybridSynthesizer] Browser speech failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Stop current playback, clips and browser speech alike
+   */
+  stopSpeaking() {
+    super.stopSpeaking();
+    speechSynthesizer.stopSpeaking();
+  }
+}
+
+/**
+ * Group report parts into what plays together: runs of loaded clips and
+ * silences (pauses whose clip is not loaded), and words to speak
+ * @param {Array<{path: string|null, text: string, pause?: number}>} parts - From buildReportParts()
+ * @param {Array<AudioBuffer|null>} buffers - Loaded clip for each part
+ * @returns {Array<{entries: Array<Object>}|{text: string}>} Runs; entries as for sequenceEntries()
+ */
+export function groupRuns(parts, buffers) {
+  const runs = [];
+
+  parts.forEach((part, index) => {
+    const entry = sequenceEntry(part, buffers[index]);
+    const last = runs[runs.length - 1];
+
+    if (entry) {
+      if (last && last.entries) {
+        last.entries.push(entry);
+      } else {
+        runs.push({ entries: [entry] });
+      }
+    } else if (part.text) {
+      if (last && last.text) {
+        last.text += ` ${part.text}`;
+      } else {
+        runs.push({ text: part.text });
+      }
+    }
+  });
+
+  return runs;
+}
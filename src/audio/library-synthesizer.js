@@ -2,10 +2,23 @@
  * Library-based Speech Synthesizer
  * Plays pre-generated TTS audio by concatenating audio files
  * Replaces Web Speech API for higher quality output
+ *
+ * With the clip manifest loaded, each clip is trimmed of its silence, levelled
+ * to a common loudness, and pauses are scheduled as exact silences rather
+ * than played from pause clips.
  */
 
 import { audioLibrary } from './audio-library.js';
 
+// Loudness clips are levelled to, in LUFS
+const TARGET_LOUDNESS = -18;
+
+// Most a quiet clip is boosted by, in dB (TTS clips have little headroom)
+const MAX_GAIN_DB = 6;
+
+// Silence kept either side of a trimmed clip, in seconds, so words do not run together
+const CLIP_MARGIN = 0.04;
+
 export class LibrarySynthesizer {
   constructor(audioContext) {
     this.audioContext = audioContext;
@@ -28,8 +41,10 @@ export class LibrarySynthesizer {
       throw new Error('Destination node is required');
     }
 
-    // Build sequence of audio files for this report
-    const audioSequence = audioLibrary.buildReportSequence(report);
+    await audioLibrary.loadManifest();
+
+    // Build the parts of this report
+    const parts = audioLibrary.buildReportParts(report);
 
     // Stop any currently playing audio
     this.stopSpeaking();
@@ -37,11 +52,11 @@ export class LibrarySynthesizer {
     // Preload all audio buffers
     const audioBuffers = await audioLibrary.preloadMultiple(
       this.audioContext,
-      audioSequence
+      this._clipPaths(parts)
     );
 
     // Play the sequence
-    await this._playSequence(audioBuffers, destination);
+    await this._playSequence(sequenceEntries(parts, audioBuffers), destination);
   }
 
   /**
@@ -55,7 +70,9 @@ export class LibrarySynthesizer {
       throw new Error('Destination node is required');
     }
 
-    const audioSequence = audioLibrary.buildUnsettlingSequence(messageIndex);
+    await audioLibrary.loadManifest();
+
+    const parts = audioLibrary.buildUnsettlingParts(messageIndex);
 
     // Stop any currently playing audio
     this.stopSpeaking();
@@ -63,44 +80,68 @@ export class LibrarySynthesizer {
     // Preload audio
     const audioBuffers = await audioLibrary.preloadMultiple(
       this.audioContext,
-      audioSequence
+      this._clipPaths(parts)
     );
 
     // Play the sequence
-    await this._playSequence(audioBuffers, destination);
+    await this._playSequence(sequenceEntries(parts, audioBuffers), destination);
   }
 
   /**
-   * Play a sequence of audio buffers
+   * Clip to load for each part: none for a pause the manifest lets us time
+   * exactly, as a silence
    * @private
-   * @param {AudioBuffer[]} buffers - Array of audio buffers to play
+   * @param {Array<{path: string|null, pause?: number}>} parts - From buildReportParts()
+   * @returns {Array<string|null>} Audio file paths
+   */
+  _clipPaths(parts) {
+    return parts.map((part) => (part.pause && audioLibrary.hasManifest() ? null : part.path));
+  }
+
+  /**
+   * Play a sequence of clips and silences
+   * @private
+   * @param {Array<{buffer: AudioBuffer, clip: Object|null}|{pause: number}>} entries - Clips,
+   *   with their manifest details, and silences in milliseconds (see sequenceEntries)
    * @param {GainNode} destination - Destination node
    * @returns {Promise<void>}
    */
-  _playSequence(buffers, destination) {
-    return new Promise((resolve, reject) => {
+  _playSequence(entries, destination) {
+    return new Promise((resolve) => {
       this.isPlaying = true;
       this.stopRequested = false;
 
-      let currentTime = this.audioContext.currentTime;
+      const startTime = this.audioContext.currentTime;
+      let currentTime = startTime;
+      let endOfSound = startTime;
       const sources = [];
 
-      // Schedule all audio buffers to play in sequence
-      for (const buffer of buffers) {
-        if (this.stopRequested) {
-          resolve();
-          return;
+      // Schedule all clips to play in sequence
+      for (const entry of entries) {
+        if (entry.pause) {
+          currentTime += entry.pause / 1000;
+          continue;
         }
 
+        const { offset, duration, gain } = clipPlayback(entry.buffer, entry.clip);
         const source = this.audioContext.createBufferSource();
-        source.buffer = buffer;
-        source.connect(destination);
+        source.buffer = entry.buffer;
+
+        if (gain === 1) {
+          source.connect(destination);
+        } else {
+          const gainNode = this.audioContext.createGain();
+          gainNode.gain.value = gain;
+          source.connect(gainNode);
+          gainNode.connect(destination);
+        }
 
-        // Schedule playback
-        source.start(currentTime);
+        // Schedule playback of the clip's sound, without its silence
+        source.start(currentTime, offset, duration);
 
-        // Update time for next buffer
-        currentTime += buffer.duration;
+        // Update time for next clip
+        currentTime += duration;
+        endOfSound = currentTime;
 
         sources.push(source);
       }
@@ -108,17 +149,27 @@ export class LibrarySynthesizer {
       // Store sources for potential stopping
       this.currentSources = sources;
 
+      const finish = () => {
+        this.isPlaying = false;
+        this.currentSources = [];
+        resolve();
+      };
+      // Silence scheduled after the last clip (the pause closing a report)
+      const trailingPause = (currentTime - endOfSound) * 1000;
+      const finishAfterPause = () => {
+        if (trailingPause > 0 && !this.stopRequested) {
+          setTimeout(finish, trailingPause);
+        } else {
+          finish();
+        }
+      };
+
       // Set up completion handler on last source
       const lastSource = sources[sources.length - 1];
       if (lastSource) {
-        lastSource.onended = () => {
-          this.isPlaying = false;
-          this.currentSources = [];
-          resolve();
-        };
+        lastSource.onended = finishAfterPause;
       } else {
-        this.isPlaying = false;
-        resolve();
+        finishAfterPause();
       }
     });
   }
@@ -187,3 +238,61 @@ export class LibrarySynthesizer {
     audioLibrary.clearCache();
   }
 }
+
+/**
+ * Pair the parts of a report with their loaded clips: each clip with its
+ * manifest details, and each pause with no clip as a silence
+ * @param {Array<{path: string|null, pause?: number}>} parts - From buildReportParts()
+ * @param {Array<AudioBuffer|null>} buffers - Loaded clip for each part
+ * @returns {Array<{buffer: AudioBuffer, clip: Object|null}|{pause: number}>} Entries for _playSequence()
+ */
+export function sequenceEntries(parts, buffers) {
+  const entries = [];
+  parts.forEach((part, index) => {
+    const entry = sequenceEntry(part, buffers[index]);
+    if (entry) {
+      entries.push(entry);
+    }
+  });
+  return entries;
+}
+
+/**
+ * The sequence entry for one part, or null if it has neither clip nor pause
+ * @param {{path: string|null, pause?: number}} part - Report part
+ * @param {AudioBuffer|null} buffer - Its loaded clip
+ * @returns {{buffer: AudioBuffer, clip: Object|null}|{pause: number}|null}
+ */
+export function sequenceEntry(part, buffer) {
+  if (buffer) {
+    return { buffer, clip: audioLibrary.getClipInfo(part.path) };
+  }
+  return part.pause ? { pause: part.pause } : null;
+}
+
+/**
+ * How to play a clip: the stretch between its leading and trailing silence
+ * (less a margin), and the gain that levels it to TARGET_LOUDNESS
+ *
+ * The manifest measures the uncompressed rendering; a decoded MP3 carries a
+ * little encoder padding at each end, so trailing silence is taken from the
+ * end of the buffer and any error keeps slightly more silence, never less sound.
+ * @param {AudioBuffer} buffer - Decoded clip
+ * @param {Object|null} clip - Manifest details (see AudioLibrary.getClipInfo), null to play as is
+ * @returns {{offset: number, duration: number, gain: number}} Seconds into the buffer, seconds to play, linear gain
+ */
+export function clipPlayback(buffer, clip) {
+  if (!clip) {
+    return { offset: 0, duration: buffer.duration, gain: 1 };
+  }
+
+  const offset = Math.min(buffer.duration, Math.max(0, clip.leadingSilence - CLIP_MARGIN));
+  const end = buffer.duration - Math.max(0, clip.trailingSilence - CLIP_MARGIN);
+  const gainDb = clip.loudness === null ? 0 : Math.min(MAX_GAIN_DB, TARGET_LOUDNESS - clip.loudness);
+
+  return {
+    offset,
+    duration: Math.max(0, end - offset),
+    gain: Math.pow(10, gainDb / 20)
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Local TTS Adapter
+ *
+ * Synthesizes SSML with a speech engine installed on this machine, for
+ * offline renders and streams in Node without a cloud TTS account. Node
+ * only: the engine runs as a child process and writes audio to stdout.
+ *
+ * Engines:
+ *   espeak-ng  Reads the SSML itself and writes WAV (the default)
+ *   piper      Neural voices; reads plain text on stdin (the SSML is reduced
+ *              to its words) and writes raw 16-bit PCM at the model's rate
+ */
+
+import { TTSAdapter } from './tts-service-adapter.js';
+import { decodeWAV, wavHeader } from './wav.js';
+
+// How each engine is run
+const ENGINES = {
+  'espeak-ng': {
+    command: 'espeak-ng',
+    args: () => ['-m', '--stdout', '-v', 'en-gb', '-s', '150'],
+    input: 'argument', // SSML as the last argument
+    output: 'wav'
+  },
+  piper: {
+    command: 'piper',
+    args: (config) => ['--model', config.model || 'en_GB-alan-medium.onnx', '--output-raw', '--sentence_silence', '0.6'],
+    input: 'stdin', // Plain text on stdin
+    output: 'raw' // 16-bit mono PCM at config.sampleRate
+  }
+};
+
+/**
+ * LocalTTSAdapter
+ *
+ * synthesize(ssmlTemplate) returns GeneratedAudio with a WAV audioBlob.
+ *
+ * @class
+ */
+export class LocalTTSAdapter extends TTSAdapter {
+  /**
+   * @param {Object} [config] - Configuration object
+   * @param {'espeak-ng'|'piper'} [config.engine='espeak-ng'] - Speech engine
+   * @param {string} [config.command] - Engine executable (default: the engine's name)
+   * @param {Array<string>} [config.args] - Engine arguments (default: for espeak-ng, SSML input,
+   *   WAV to stdout, British English; for Piper, the model and raw output)
+   * @param {string} [config.model] - Piper voice model (default: en_GB-alan-medium.onnx)
+   * @param {number} [config.sampleRate=22050] - Sample rate of the Piper model
+   * @param {number} [config.timeout=30000] - Time allowed per synthesis in milliseconds
+   */
+  constructor(config = {}) {
+    super({ ...config, timeout: config.timeout || 30000 });
+
+    const engine = ENGINES[config.engine || 'espeak-ng'];
+    if (!engine) {
+      throw new Error(`Unknown local TTS engine: ${config.engine}`);
+    }
+    this.engine = engine;
+    this.command = config.command || engine.command;
+    this.args = config.args || engine.args(config);
+    this.sampleRate = config.sampleRate || 22050;
+  }
+
+  /**
+   * Synthesize an SSML template with the local engine
+   *
+   * @async
+   * @param {Object} ssmlTemplate - SSML template from SSMLTemplateBuilder
+   * @returns {Promise<Object>} GeneratedAudio (WAV audioBlob, duration, sampleRate; no timepoints)
+   * @throws {Error} If the engine is missing, fails, or times out
+   */
+  async synthesize(ssmlTemplate) {
+    const startTime = Date.now();
+
+    try {
+      const output = await this._run(ssmlTemplate.ssml);
+      const wav = this.engine.output === 'raw' ? this._wrapPCM(output) : output;
+      const { sampleRate, channels } = decodeWAV(wav);
+      const audioBlob = new Blob([wav], { type: 'audio/wav' });
+
+      this._recordSuccess(ssmlTemplate, startTime);
+
+      return {
+        audioBuffer: null,
+        audioBlob,
+        reportId: ssmlTemplate.reportId || '',
+        areaName: ssmlTemplate.areaName || '',
+        isPhantom: ssmlTemplate.isPhantom || false,
+        duration: channels[0].length / sampleRate,
+        sampleRate,
+        fileSize: audioBlob.size,
+        synthesizedAt: new Date(),
+        cachedAt: null,
+        timepoints: []
+      };
+    } catch (error) {
+      this._recordFailure();
+      throw error;
+    }
+  }
+
+  /**
+   * Voice name: the engine command line, which chooses the voice (or model);
+   * local engines read every segment in that one voice, whatever is cast
+   *
+   * @returns {string}
+   */
+  getVoiceName() {
+    return [this.command, ...this.args].join(' ');
+  }
+
+  /**
+   * Put a WAV header on the engine's raw PCM
+   * @private
+   * @returns {ArrayBuffer}
+   */
+  _wrapPCM(pcm) {
+    const wav = new Uint8Array(44 + pcm.byteLength);
+    wav.set(wavHeader(this.sampleRate, 1, pcm.byteLength), 0);
+    wav.set(new Uint8Array(pcm), 44);
+    return wav.buffer;
+  }
+
+  /**
+   * Run the engine and collect its output
+   * @private
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async _run(ssml) {
+    const { spawn } = await import('node:child_process');
+    const stdin = this.engine.input === 'stdin';
+
+    return new Promise((resolve, reject) => {
+      const args = stdin ? this.args : [...this.args, ssml];
+      const engine = spawn(this.command, args, { stdio: [stdin ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+      const chunks = [];
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        engine.kill();
+        reject(new Error(`${this.command} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+
+      engine.stdout.on('data', (chunk) => chunks.push(chunk));
+      engine.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+      engine.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Could not run ${this.command}: ${error.message}`));
+      });
+      engine.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          reject(new Error(`${this.command} exited with code ${code}: ${stderr.trim()}`));
+          return;
+        }
+        const output = Buffer.concat(chunks);
+        resolve(output.buffer.slice(output.byteOffset, output.byteOffset + output.byteLength));
+      });
+
+      if (stdin) {
+        engine.stdin.on('error', () => {}); // A missing engine is reported by 'error' above
+        engine.stdin.end(ssmlToText(ssml));
+      }
+    });
+  }
+}
+
+/**
+ * The words of an SSML document, for engines that read plain text
+ *
+ * Substitutions (<sub alias>) are read as their alias; every other tag is dropped.
+ * @param {string} ssml - SSML markup
+ * @returns {string} Plain text
+ */
+export function ssmlToText(ssml) {
+  return ssml
+    .replace(/<sub alias="([^"]*)">[\s\S]*?<\/sub>/g, ' $1 ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .replace(/ ([.,:;])/g, '$1')
+    .trim();
+}
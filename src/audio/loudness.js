@@ -0,0 +1,175 @@
+/**
+ * Clip loudness and silence measurement
+ *
+ * Integrated loudness per ITU-R BS.1770-4 (K-weighted, gated, in LUFS) and
+ * the silence either side of the speech, so generate-audio-library.js can
+ * record in the clip manifest how to trim and level each clip.
+ */
+
+// BS.1770 gating: 400ms blocks overlapping by 75%, absolute gate -70 LUFS, relative gate -10 LU
+const BLOCK_SECONDS = 0.4;
+const BLOCK_STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Silence detection: 10ms windows quieter than -50 dBFS RMS
+const SILENCE_WINDOW_SECONDS = 0.01;
+const SILENCE_THRESHOLD_DB = -50;
+
+/**
+ * Biquad coefficients of the two K-weighting stages at a sample rate
+ * (the BS.1770 48kHz filters, re-derived for other rates)
+ * @private
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{b: number[], a: number[]}>} Shelf then high-pass stage
+ */
+function kWeightingStages(sampleRate) {
+  // Stage 1: high shelf, about +4dB above 1.5kHz (the acoustic effect of the head)
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  // Stage 2: high-pass at 38Hz (RLB weighting)
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+}
+
+/**
+ * Run samples through a biquad filter
+ * @private
+ */
+function biquad(samples, { b, a }) {
+  const output = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    output[i] = y;
+  }
+
+  return output;
+}
+
+/**
+ * Loudness of a mean square, in LUFS
+ * @private
+ */
+function toLUFS(meanSquare) {
+  return -0.691 + 10 * Math.log10(meanSquare);
+}
+
+/**
+ * Integrated loudness of a clip (ITU-R BS.1770-4)
+ *
+ * Clips shorter than a gating block are measured as a single block.
+ * @param {Array<Float32Array>} channels - Samples per channel (-1 to 1)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number|null} Loudness in LUFS, or null if the clip is silent
+ */
+export function integratedLoudness(channels, sampleRate) {
+  const stages = kWeightingStages(sampleRate);
+  const weighted = channels.map((samples) => stages.reduce(biquad, samples));
+  const length = weighted[0] ? weighted[0].length : 0;
+  if (length === 0) {
+    return null;
+  }
+
+  const blockLength = Math.min(length, Math.round(BLOCK_SECONDS * sampleRate));
+  const step = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+
+  // Mean square of each block, summed over channels (mono and stereo weigh channels equally)
+  const blocks = [];
+  for (let start = 0; start + blockLength <= length; start += step) {
+    let sum = 0;
+    for (const samples of weighted) {
+      for (let i = start; i < start + blockLength; i++) {
+        sum += samples[i] * samples[i];
+      }
+    }
+    blocks.push(sum / blockLength);
+  }
+
+  const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+  const audible = blocks.filter((power) => toLUFS(power) > ABSOLUTE_GATE);
+  if (audible.length === 0) {
+    return null;
+  }
+
+  const relativeGate = toLUFS(mean(audible)) + RELATIVE_GATE;
+  return toLUFS(mean(audible.filter((power) => toLUFS(power) > relativeGate)));
+}
+
+/**
+ * Silence before and after the sound in a clip
+ * @param {Array<Float32Array>} channels - Samples per channel (-1 to 1)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [thresholdDb] - Window RMS (dBFS) below which is silence
+ * @returns {{leading: number, trailing: number}} Seconds of silence at each end
+ *   (the whole clip as leading silence if it is silent throughout)
+ */
+export function silenceBounds(channels, sampleRate, thresholdDb = SILENCE_THRESHOLD_DB) {
+  const length = channels[0] ? channels[0].length : 0;
+  const windowLength = Math.max(1, Math.round(SILENCE_WINDOW_SECONDS * sampleRate));
+  const threshold = Math.pow(10, thresholdDb / 20);
+
+  let first = -1;
+  let last = -1;
+  for (let start = 0; start < length; start += windowLength) {
+    const end = Math.min(start + windowLength, length);
+    let sum = 0;
+    for (const samples of channels) {
+      for (let i = start; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+    }
+    if (Math.sqrt(sum / ((end - start) * channels.length)) >= threshold) {
+      if (first < 0) {
+        first = start;
+      }
+      last = end;
+    }
+  }
+
+  if (first < 0) {
+    return { leading: length / sampleRate, trailing: 0 };
+  }
+  return { leading: first / sampleRate, trailing: (length - last) / sampleRate };
+}
+
+/**
+ * Measure a clip for the clip manifest
+ * @param {{sampleRate: number, channels: Array<Float32Array>}} audio - Decoded audio (see decodeWAV)
+ * @returns {{duration: number, loudness: number|null, leadingSilence: number, trailingSilence: number}}
+ *   Seconds to the millisecond, and loudness in LUFS to a tenth
+ */
+export function analyzeClip({ sampleRate, channels }) {
+  const length = channels[0] ? channels[0].length : 0;
+  const loudness = integratedLoudness(channels, sampleRate);
+  const { leading, trailing } = silenceBounds(channels, sampleRate);
+  const round = (value, places) => Number(value.toFixed(places));
+
+  return {
+    duration: round(length / sampleRate, 3),
+    loudness: loudness === null ? null : round(loudness, 1),
+    leadingSilence: round(leading, 3),
+    trailingSilence: round(trailing, 3)
+  };
+}
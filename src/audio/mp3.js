@@ -0,0 +1,112 @@
+/**
+ * MP3 frame reading
+ *
+ * Enough of the MPEG audio frame header to time MP3 from the TTS service
+ * without decoding it, so the stream server can pace synthesized audio in
+ * real time and join clips frame for frame. Layer III only (what TTS
+ * services return); ID3 tags are stripped so clips concatenate cleanly.
+ */
+
+// Layer III bitrates in kbps by bitrate index, for MPEG-1 and for MPEG-2/2.5
+const BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+// Sample rates by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1) and index
+const SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000],
+};
+
+/**
+ * Remove ID3v2 (leading) and ID3v1 (trailing) tags
+ * @param {Uint8Array} bytes - MP3 file
+ * @returns {Uint8Array} Audio frames only (a view on the same memory)
+ */
+export function stripID3(bytes) {
+  let start = 0;
+  let end = bytes.length;
+
+  // ID3v2: "ID3", version, flags, then a 28-bit syncsafe size; a footer adds 10 bytes
+  if (bytes.length >= 10 && bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
+    const size = ((bytes[6] & 0x7f) << 21) | ((bytes[7] & 0x7f) << 14) | ((bytes[8] & 0x7f) << 7) | (bytes[9] & 0x7f);
+    start = Math.min(bytes.length, 10 + size + (bytes[5] & 0x10 ? 10 : 0));
+  }
+
+  // ID3v1: the last 128 bytes, starting "TAG"
+  if (end - start >= 128 && bytes[end - 128] === 0x54 && bytes[end - 127] === 0x41 && bytes[end - 126] === 0x47) {
+    end -= 128;
+  }
+
+  return bytes.subarray(start, end);
+}
+
+/**
+ * Time MP3 audio by reading its frame headers
+ * @param {Uint8Array} bytes - MP3 audio
+ * @returns {{frames: number, duration: number, sampleRate: number|null}} Frame count,
+ *   duration in seconds and sample rate (null if no frames were found)
+ */
+export function readMP3(bytes) {
+  let offset = 0;
+  let frames = 0;
+  let samples = 0;
+  let sampleRate = null;
+
+  while (offset + 4 <= bytes.length) {
+    const frame = parseFrameHeader(bytes, offset);
+    if (!frame) {
+      offset++; // Resynchronise on the next frame header
+      continue;
+    }
+
+    frames++;
+    samples += frame.samples;
+    sampleRate = sampleRate || frame.sampleRate;
+    offset += frame.length;
+  }
+
+  return { frames, duration: sampleRate ? samples / sampleRate : 0, sampleRate };
+}
+
+/**
+ * Whether bytes start (after any ID3 tag) with an MP3 frame
+ * @param {Uint8Array} bytes - Audio file
+ * @returns {boolean}
+ */
+export function isMP3(bytes) {
+  return parseFrameHeader(stripID3(bytes), 0) !== null;
+}
+
+/**
+ * Layer III frame header at an offset
+ * @private
+ * @returns {{length: number, samples: number, sampleRate: number}|null} Null if there is no valid header there
+ */
+function parseFrameHeader(bytes, offset) {
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+
+  const version = (bytes[offset + 1] >> 3) & 0x03;
+  const layer = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = BITRATES[version === 3 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const samples = version === 3 ? 1152 : 576;
+
+  return {
+    length: Math.floor((samples / 8) * bitrate / sampleRate) + padding,
+    samples,
+    sampleRate,
+  };
+}
@@ -7,12 +7,37 @@
 
 import { weatherGenerator } from '../core/generator.js';
 import { broadcastGenerator } from '../core/broadcast-generator.js';
+import { broadcastScheduler } from '../core/broadcast-scheduler.js';
+import { deserializeBroadcast } from '../core/broadcast-serializer.js';
 import { ReportBuffer } from '../core/buffer.js';
 import { speechSynthesizer } from './synthesizer.js';
 import { SSMLSynthesizer } from './ssml-synthesizer.js';
+import { HybridSynthesizer } from './hybrid-synthesizer.js';
+import { DEFAULT_TTS_PROVIDERS } from './tts-providers.js';
 import { RadioFilter } from './filters.js';
+import { sharedBroadcast } from './shared-broadcast.js';
+import { voiceCasting } from './voice-casting.js';
+import { CaptionTrack } from './captions.js';
+import { exportSubtitles, segmentFrom } from './subtitles.js';
+import { formatIssueTime } from '../core/gale-warning-service.js';
+import { createSeededRandom } from '../utils/random.js';
 import { globalEventBus } from '../state/events.js';
 
+// Seconds late a shared-broadcast segment may still start from the top (browser speech cannot seek)
+const SHARED_JOIN_TOLERANCE = 1;
+
+// After the TTS service fails, play offline for this long (ms) before trying it again
+const TTS_RETRY_DELAY = 60000;
+
+/**
+ * Look-ahead cache key for a segment, by voice as well as words, so audio
+ * synthesized in one voice is never played for a segment cast in another
+ * @private
+ */
+function lookAheadKey(text, label, voice) {
+  return `${voice ? voice.id : 'default'}:${label}:${text.substring(0, 50)}`;
+}
+
 export class AudioPlayer {
   constructor() {
     this.buffer = new ReportBuffer(3, 5);
@@ -24,14 +49,34 @@ export class AudioPlayer {
     this.playbackPromise = null;
     this.ssmlSynthesizer = null; // T030: SSML synthesizer for natural speech
     this.useSSML = true; // T030: Flag to enable SSML synthesis
+    this.ttsProviders = DEFAULT_TTS_PROVIDERS; // TTS providers in fallback order (see tts-providers.js)
+    this.ttsProviderConfig = {}; // Configuration per TTS provider, e.g. { azure: { endpoint } }
+    this.hybridSynthesizer = null; // Audio library clips, with browser speech for gaps (offline fallback)
+    this.offline = false; // Never call the TTS service: library clips and browser speech only (see setOffline)
+    this.ttsRetryAt = 0; // After a TTS failure, the service is skipped until this time (ms)
     this.fallbackToLegacy = true; // T031: Fallback to old synthesizer on error
     this.useFullBroadcast = true; // NEW: Play full EBNF broadcasts instead of individual reports
+    this.useCanonicalOrder = true; // Read areas in official order, grouping identical neighbours
+    this.includeCoastalStations = false; // Add the 00:48/05:20 reports from coastal stations
+    this.includeInshoreWaters = false; // Add the late-night edition's inshore waters forecast
+    this.wallClock = null; // 'wait' | 'simulate': play the real editions in slot order (see setWallClock)
+    this.sharedMode = false; // Play the programme every visitor hears at this moment (see setSharedBroadcast)
+    this.sailingByUrl = null; // Recording of Sailing By for the late-night edition (skipped if unset)
+    this.interludeAudio = null; // Sailing By element while it plays
+    this.galeInterruptions = true; // Break in with a gale warning when a forecast gale arrives early
+    this.captionMarks = 'word'; // Live caption granularity ('word' | 'phrase' | null); see caption:word events
     this.currentBroadcast = null; // NEW: Current broadcast being played
+    this.voiceCasting = voiceCasting; // Voice for each kind of segment (see voice-casting.js)
+    this.broadcastCount = 0; // Broadcasts generated and played, for the duty announcer rota
+    this.dutyPosition = null; // Current broadcast's turn in the rota (null: placed by its broadcastId)
+    this.replayQueue = []; // Archived broadcasts to play next, ahead of newly generated ones (see replayBroadcast)
+    this.spokenSegments = []; // What the current broadcast has played so far, with durations (see exportSubtitles)
     this.currentAreaIndex = 0; // NEW: Index within current broadcast's area forecasts
     this.pendingWarning = null; // T005: Pending warning for injection
     this.warningListenerRegistered = false; // T005: Track if listener already registered
     this.audioLookAhead = new Map(); // NEW: Look-ahead synthesis cache
     this.lookAheadPromise = null; // NEW: Track ongoing look-ahead synthesis
+    this.weatherStateRestored = false; // Weather state resumed from localStorage once per page load
   }
 
   /**
@@ -53,6 +98,10 @@ export class AudioPlayer {
       // this.radioFilter.connectTo(this.audioContext.destination);
     }
 
+    if (!this.hybridSynthesizer) {
+      this.hybridSynthesizer = new HybridSynthesizer(this.audioContext);
+    }
+
     // Resume audio context if suspended (browser autoplay policy)
     if (this.audioContext.state === 'suspended') {
       await this.audioContext.resume();
@@ -65,6 +114,9 @@ export class AudioPlayer {
           audioContext: this.audioContext,
           enableCache: true,
           cacheSize: 50,
+          captionMarks: this.captionMarks,
+          ttsProviders: this.ttsProviders,
+          ttsProviderConfig: this.ttsProviderConfig,
           ttsConfig: {
             enableMetrics: true,
             logRequests: true
@@ -77,6 +129,12 @@ export class AudioPlayer {
       }
     }
 
+    // Resume the evolving weather picture from the previous session
+    if (!this.weatherStateRestored) {
+      this._restoreWeatherState();
+      this.weatherStateRestored = true;
+    }
+
     // T005: Listen for inactivity warning injection requests
     if (!this.warningListenerRegistered) {
       const handleWarning = (injectionRequest) => {
@@ -119,6 +177,13 @@ export class AudioPlayer {
   async stop() {
     this.isPlaying = false;
     speechSynthesizer.stopSpeaking();
+    if (this.hybridSynthesizer) {
+      this.hybridSynthesizer.stopSpeaking();
+    }
+    broadcastScheduler.cancelWait();
+    if (this.interludeAudio) {
+      this.interludeAudio.pause();
+    }
     this.buffer.clear();
     this.currentReport = null;
 
@@ -136,7 +201,9 @@ export class AudioPlayer {
     while (this.isPlaying) {
       try {
         // NEW: Play full EBNF broadcasts if enabled
-        if (this.useFullBroadcast) {
+        if (this.sharedMode && this.replayQueue.length === 0) {
+          await this._playSharedBroadcast();
+        } else if (this.useFullBroadcast || this.replayQueue.length > 0) {
           await this._playFullBroadcast();
         } else {
           // Legacy: Play individual area reports
@@ -162,11 +229,47 @@ export class AudioPlayer {
    * @private
    */
   async _playFullBroadcast() {
-    // Generate a complete EBNF broadcast
-    const broadcast = broadcastGenerator.generateBroadcast(31); // All 31 standard areas
+    // Replayed broadcasts are played as archived: the live weather state is
+    // neither advanced nor saved, and no gale interruptions are drawn
+    const replay = this.replayQueue.length > 0;
+    let broadcast;
+
+    if (replay) {
+      broadcast = this.replayQueue.shift();
+    } else {
+      const options = await this._nextBroadcastOptions();
+      if (!options) {
+        return; // Stopped while waiting for the next edition
+      }
+
+      // Generate a complete EBNF broadcast (all 31 standard areas)
+      broadcast = broadcastGenerator.generateBroadcast(31, options);
+    }
+
     this.currentBroadcast = broadcast;
+    this.dutyPosition = replay ? null : this.broadcastCount++;
+    this.spokenSegments = [];
+    if (replay) {
+      globalEventBus.emit('broadcast:replaying', { broadcastId: broadcast.broadcastId });
+    } else {
+      this._saveWeatherState();
+    }
 
-    console.log('[AudioPlayer] Playing EBNF broadcast:', broadcast.broadcastId);
+    console.log(`[AudioPlayer] ${replay ? 'Replaying' : 'Playing'} EBNF broadcast:`, broadcast.broadcastId);
+    globalEventBus.emit('broadcast:started', {
+      broadcastId: broadcast.broadcastId,
+      timestamp: new Date(broadcast.timestamp).toISOString(),
+      edition: broadcast.edition
+    });
+    const startedAt = Date.now();
+    // Interruptions draw from their own stream of the broadcast's seed, so the
+    // same seed breaks in at the same places however long synthesis takes
+    const interruptionRandom = createSeededRandom(`${broadcast.seed}:interruptions`);
+
+    // Late-night edition: Sailing By before the introduction
+    if (broadcast.sailingBy) {
+      await this._playInterlude(broadcast.sailingBy);
+    }
 
     // Build ordered segment list for look-ahead
     const segments = [];
@@ -177,33 +280,11 @@ export class AudioPlayer {
     if (broadcast.generalSynopsis) {
       segments.push({ text: broadcast.generalSynopsis.text, label: 'General Synopsis' });
     }
-    segments.push({ text: broadcast.timePeriod.text, label: 'Time Period' });
-
-    // Pre-synthesize first segment
-    if (segments.length > 0 && segments[0]) {
-      this._preSynthesizeText(segments[0].text, segments[0].label);
+    if (broadcast.timePeriod) {
+      segments.push({ text: broadcast.timePeriod.text, label: 'Time Period' });
     }
 
-    // Play introduction segments with look-ahead
-    for (let i = 0; i < segments.length; i++) {
-      if (!this.isPlaying) break;
-
-      const segment = segments[i];
-      const nextSegment = segments[i + 1];
-
-      // Start pre-synthesizing next segment while current plays
-      if (nextSegment) {
-        this.lookAheadPromise = this._preSynthesizeText(nextSegment.text, nextSegment.label);
-      }
-
-      await this._speakText(segment.text, segment.label);
-
-      // Wait for look-ahead to complete before moving on
-      if (this.lookAheadPromise) {
-        await this.lookAheadPromise;
-        this.lookAheadPromise = null;
-      }
-    }
+    await this._playSegments(segments.map((segment) => this._cast(segment)));
 
     // Play all area forecasts with look-ahead
     for (let i = 0; i < broadcast.areaForecasts.length; i++) {
@@ -216,24 +297,23 @@ export class AudioPlayer {
       globalEventBus.emit('report:playing', forecast);
 
       // Pre-synthesize next forecast while current plays
-      if (nextForecast && this.useSSML && this.ssmlSynthesizer) {
-        const nextText = nextForecast.text;
-        const nextLabel = nextForecast.area.name;
-        this.lookAheadPromise = this._preSynthesizeText(nextText, nextLabel);
+      if (nextForecast && this._canSynthesize()) {
+        const next = this._cast({ text: nextForecast.text, label: nextForecast.area.name, report: nextForecast });
+        this.lookAheadPromise = this._preSynthesizeText(next.text, next.label, next.voice);
       }
 
       // Use SSML synthesizer for area forecasts
-      if (this.useSSML && this.ssmlSynthesizer) {
+      if (this._canSynthesize()) {
         try {
-          await this._playSSMLReport(forecast);
+          await this._playSSMLReport(forecast, 0, this._cast({ label: forecast.area.name, report: forecast }).voice);
         } catch (error) {
           console.error(`[AudioPlayer] SSML synthesis failed for ${forecast.area.name}:`, error);
           if (this.fallbackToLegacy) {
-            await speechSynthesizer.speakReport(forecast);
+            await this._speakReportFallback(forecast);
           }
         }
       } else {
-        await speechSynthesizer.speakReport(forecast);
+        await this._speakReportFallback(forecast);
       }
 
       // Wait for look-ahead to complete
@@ -252,11 +332,297 @@ export class AudioPlayer {
         console.log('[AudioPlayer] Playing pending warning:', warning.messageId);
         await this._handleWarningInjection(warning);
       }
+
+      // Break in with a gale warning if a forecast gale has arrived early
+      if (this.galeInterruptions && !replay && this.isPlaying) {
+        const now = new Date(broadcast.timestamp.getTime() + (Date.now() - startedAt));
+        const announcement = broadcastGenerator.galeWarningService.checkForInterruption(now, interruptionRandom);
+        if (announcement) {
+          this._saveWeatherState();
+          await this._playGaleInterruption(announcement);
+        }
+      }
+    }
+
+    // 00:48 and 05:20 editions: coastal station reports after the area forecasts
+    if (broadcast.coastalStations && this.isPlaying) {
+      await this._playSegments([
+        { text: broadcast.coastalStations.introduction, label: 'Coastal Stations' },
+        ...broadcast.coastalStations.stations.map((station) => ({ text: station.text, label: station.name, role: 'area' }))
+      ].map((segment) => this._cast(segment)));
+    }
+
+    // Late-night edition: inshore waters after the area forecasts
+    if (broadcast.inshoreWaters && this.isPlaying) {
+      await this._playSegments([
+        { text: broadcast.inshoreWaters.introduction, label: 'Inshore Waters' },
+        ...broadcast.inshoreWaters.sections.map((section) => ({ text: section.text, label: section.name, role: 'area' }))
+      ].map((segment) => this._cast(segment)));
+    }
+
+    if (broadcast.signOff && this.isPlaying) {
+      await this._playSegments([this._cast({ text: broadcast.signOff.text, label: 'Sign-off' })]);
     }
 
     console.log('[AudioPlayer] EBNF broadcast complete:', broadcast.broadcastId);
   }
 
+  /**
+   * Play the shared broadcast from wherever it has got to (see shared-broadcast.js)
+   *
+   * Joins the segment on air part-way through, then plays each segment at its
+   * place in the shared programme: a segment that finishes early is followed
+   * by silence until the next one is due, and one that overruns is cut short
+   * by joining the next segment late, so every listener stays in step.
+   * Returns when the programme moves on to another broadcast.
+   * @private
+   */
+  async _playSharedBroadcast() {
+    let position = sharedBroadcast.locate(new Date());
+    const { broadcast } = position;
+    const joinedAt = Date.now();
+
+    this.currentBroadcast = broadcast;
+    this.dutyPosition = null; // Shared segments come with their voices cast
+    this.spokenSegments = [];
+    console.log('[AudioPlayer] Tuning in to shared broadcast:', broadcast.broadcastId);
+    globalEventBus.emit('broadcast:started', {
+      broadcastId: broadcast.broadcastId,
+      timestamp: new Date(broadcast.timestamp).toISOString(),
+      edition: broadcast.edition,
+      shared: true
+    });
+
+    while (this.isPlaying && this.sharedMode && position.broadcast === broadcast) {
+      const { segments, index, offset } = position;
+      const segment = segments[index];
+      const nextSegment = segments[index + 1];
+
+      if (nextSegment && !nextSegment.interlude && this._canSynthesize()) {
+        this.lookAheadPromise = this._preSynthesizeText(nextSegment.text, nextSegment.label, nextSegment.voice);
+      }
+
+      await this._playSharedSegment(segment, offset);
+
+      if (this.lookAheadPromise) {
+        await this.lookAheadPromise;
+        this.lookAheadPromise = null;
+      }
+
+      // T005: Warnings are for this listener alone; the programme carries on meanwhile
+      if (this.pendingWarning && this.isPlaying) {
+        const warning = this.pendingWarning;
+        this.pendingWarning = null;
+        await this._handleWarningInjection(warning);
+      }
+
+      await this._waitUntil(segment.endTime);
+      this._recordSilenceUntil(joinedAt, Math.min(Date.now(), segment.endTime));
+      position = sharedBroadcast.locate(new Date());
+    }
+  }
+
+  /**
+   * Play one segment of the shared programme, starting offset seconds in
+   * @private
+   * @param {Object} segment - Segment from SharedBroadcast.locate()
+   * @param {number} offset - Seconds into the segment to start from
+   */
+  async _playSharedSegment(segment, offset) {
+    if (segment.interlude) {
+      await this._playInterlude(segment.interlude, offset);
+      return;
+    }
+
+    // Browser speech cannot start part-way, so a late joiner waits for the next segment
+    const canSeek = this._canSynthesize();
+    if (offset > SHARED_JOIN_TOLERANCE && !canSeek) {
+      console.log(`[AudioPlayer] Joining after ${segment.label}`);
+      return;
+    }
+
+    if (!segment.report) {
+      await this._speakText(segment.text, segment.label, offset, segment.voice);
+      globalEventBus.emit('segment:complete', { label: segment.label, text: segment.text });
+      return;
+    }
+
+    const forecast = segment.report;
+    this.currentReport = forecast;
+    globalEventBus.emit('report:playing', forecast);
+
+    if (canSeek) {
+      try {
+        await this._playSSMLReport(forecast, offset, segment.voice);
+      } catch (error) {
+        console.error(`[AudioPlayer] SSML synthesis failed for ${forecast.area.name}:`, error);
+        if (this.fallbackToLegacy && offset <= SHARED_JOIN_TOLERANCE) {
+          await this._speakReportFallback(forecast);
+        }
+      }
+    } else {
+      await this._speakReportFallback(forecast);
+    }
+
+    globalEventBus.emit('report:complete', forecast);
+  }
+
+  /**
+   * Wait until a time (in ms), or until playback stops
+   * @private
+   * @param {number} time - Time to wait for, as from Date.now()
+   */
+  async _waitUntil(time) {
+    while (this.isPlaying && Date.now() < time) {
+      await new Promise((resolve) => setTimeout(resolve, Math.min(250, time - Date.now())));
+    }
+  }
+
+  /**
+   * Generation options for the next broadcast
+   *
+   * Continuous playback uses the player's flags; in wall-clock mode the next
+   * edition slot is awaited (or simulated) and decides the segments.
+   * @private
+   * @returns {Promise<Object|null>} Options for generateBroadcast(), or null if stopped while waiting
+   */
+  async _nextBroadcastOptions() {
+    if (!this.wallClock) {
+      return {
+        order: this.useCanonicalOrder ? 'canonical' : 'shuffled',
+        coastalStations: this.includeCoastalStations,
+        inshoreWaters: this.includeInshoreWaters
+      };
+    }
+
+    if (this.wallClock === 'wait') {
+      const next = broadcastScheduler.getNextSlot(new Date());
+      globalEventBus.emit('schedule:waiting', {
+        edition: next.edition.id,
+        name: next.edition.name,
+        time: next.time.toISOString()
+      });
+    }
+
+    const slot = await broadcastScheduler.waitForNextSlot();
+    if (!slot || !this.isPlaying) {
+      return null;
+    }
+
+    globalEventBus.emit('edition:starting', {
+      edition: slot.edition.id,
+      name: slot.edition.name,
+      time: slot.time.toISOString()
+    });
+    return broadcastScheduler.getBroadcastOptions(slot.edition, slot.time);
+  }
+
+  /**
+   * Play the Sailing By interlude from sailingByUrl, if a recording is configured
+   * @private
+   * @param {Object} interlude - Interlude from the broadcast (title, composer, duration)
+   * @param {number} [startAt=0] - Seconds into the interlude to start from
+   */
+  async _playInterlude(interlude, startAt = 0) {
+    if (!this.sailingByUrl || !this.isPlaying) {
+      console.log(`[AudioPlayer] No recording of ${interlude.title}, skipping interlude`);
+      return;
+    }
+
+    globalEventBus.emit('interlude:started', { title: interlude.title, composer: interlude.composer });
+    const startedAt = Date.now();
+
+    try {
+      this.interludeAudio = new Audio(this.sailingByUrl);
+      this.interludeAudio.currentTime = startAt;
+      await new Promise((resolve) => {
+        this.interludeAudio.addEventListener('ended', resolve, { once: true });
+        this.interludeAudio.addEventListener('pause', resolve, { once: true });
+        this.interludeAudio.addEventListener('error', resolve, { once: true });
+        // Cut off once the allotted interlude time is up
+        setTimeout(resolve, interlude.duration - startAt * 1000);
+        this.interludeAudio.play().catch(resolve);
+      });
+    } finally {
+      if (this.interludeAudio) {
+        this.interludeAudio.pause();
+        this.interludeAudio = null;
+      }
+    }
+
+    this._recordSpokenSegment('Sailing By', `♪ ${interlude.title} ♪`, (Date.now() - startedAt) / 1000);
+    globalEventBus.emit('interlude:complete', { title: interlude.title });
+  }
+
+  /**
+   * Speak a list of text segments in order, synthesizing each next segment
+   * while the current one plays
+   * @private
+   * @param {Array<{text: string, label: string, voice?: Object}>} segments - Segments to speak, in their cast voices
+   */
+  async _playSegments(segments) {
+    // Pre-synthesize first segment
+    if (segments.length > 0 && segments[0]) {
+      this._preSynthesizeText(segments[0].text, segments[0].label, segments[0].voice);
+    }
+
+    for (let i = 0; i < segments.length; i++) {
+      if (!this.isPlaying) break;
+
+      const segment = segments[i];
+      const nextSegment = segments[i + 1];
+
+      // Start pre-synthesizing next segment while current plays
+      if (nextSegment) {
+        this.lookAheadPromise = this._preSynthesizeText(nextSegment.text, nextSegment.label, nextSegment.voice);
+      }
+
+      await this._speakText(segment.text, segment.label, 0, segment.voice);
+      globalEventBus.emit('segment:complete', { label: segment.label, text: segment.text });
+
+      // Wait for look-ahead to complete before moving on
+      if (this.lookAheadPromise) {
+        await this.lookAheadPromise;
+        this.lookAheadPromise = null;
+      }
+    }
+  }
+
+  /**
+   * Restore persisted weather state (and generator profile) so systems keep
+   * moving across page reloads
+   * @private
+   */
+  _restoreWeatherState() {
+    try {
+      const saved = localStorage.getItem('weatherState');
+      if (saved !== null) {
+        broadcastGenerator.setWeatherState(JSON.parse(saved));
+        console.log('[AudioPlayer] Weather state restored');
+      }
+
+      const profile = localStorage.getItem('generatorProfile');
+      if (profile !== null) {
+        const restored = broadcastGenerator.setProfile(profile);
+        weatherGenerator.setProfile(restored);
+      }
+    } catch (error) {
+      console.warn('[AudioPlayer] Failed to restore weather state:', error);
+    }
+  }
+
+  /**
+   * Persist weather state after each broadcast
+   * @private
+   */
+  _saveWeatherState() {
+    try {
+      localStorage.setItem('weatherState', JSON.stringify(broadcastGenerator.getWeatherState()));
+    } catch (error) {
+      console.warn('[AudioPlayer] Failed to persist weather state:', error);
+    }
+  }
+
   /**
    * Play individual report (legacy mode)
    * @private
@@ -288,16 +654,16 @@ export class AudioPlayer {
     globalEventBus.emit('report:playing', report);
 
     // Use SSML synthesizer for standard areas, fallback for phantom/errors
-    if (this.useSSML && this.ssmlSynthesizer && !report.isPhantom) {
+    if (this._canSynthesize() && !report.isPhantom) {
       try {
         console.log(`[AudioPlayer] Using SSML synthesis for ${report.area}`);
-        await this._playSSMLReport(report);
+        await this._playSSMLReport(report, 0, this.voiceCasting.voiceFor('area'));
       } catch (error) {
         console.error(`[AudioPlayer] SSML synthesis failed for ${report.area}:`, error);
 
         if (this.fallbackToLegacy) {
           console.log(`[AudioPlayer] Falling back to legacy synthesizer for ${report.area}`);
-          await speechSynthesizer.speakReport(report);
+          await this._speakReportFallback(report);
         } else {
           throw error;
         }
@@ -305,7 +671,7 @@ export class AudioPlayer {
     } else {
       // Use legacy synthesizer for phantom areas or when SSML disabled
       console.log(`[AudioPlayer] Using legacy synthesizer for ${report.area} (phantom: ${report.isPhantom})`);
-      await speechSynthesizer.speakReport(report);
+      await this._speakReportFallback(report);
     }
 
     // Emit report complete event
@@ -324,9 +690,12 @@ export class AudioPlayer {
   /**
    * Pre-synthesize text for look-ahead (non-blocking)
    * @private
+   * @param {string} text - Text to speak
+   * @param {string} label - Segment label
+   * @param {Object} [voice] - Voice cast to read it
    */
-  async _preSynthesizeText(text, label) {
-    const cacheKey = `${label}:${text.substring(0, 50)}`;
+  async _preSynthesizeText(text, label, voice = null) {
+    const cacheKey = lookAheadKey(text, label, voice);
 
     // Check if already cached
     if (this.audioLookAhead.has(cacheKey)) {
@@ -335,9 +704,9 @@ export class AudioPlayer {
 
     console.log(`[AudioPlayer] Pre-synthesizing ${label} (look-ahead)`);
 
-    if (this.ssmlSynthesizer) {
+    if (this._canSynthesize()) {
       try {
-        const generatedAudio = await this.ssmlSynthesizer.synthesizeText(text, label);
+        const generatedAudio = await this._synthesize(() => this.ssmlSynthesizer.synthesizeText(text, label, { voice }));
         if (generatedAudio && generatedAudio.audioBlob) {
           this.audioLookAhead.set(cacheKey, generatedAudio);
           console.log(`[AudioPlayer] Look-ahead cached: ${label}`);
@@ -352,14 +721,18 @@ export class AudioPlayer {
   /**
    * Speak text using Google Cloud TTS (for broadcast segments)
    * @private
+   * @param {string} text - Text to speak
+   * @param {string} label - Segment label
+   * @param {number} [startAt=0] - Seconds into the audio to start from (shared broadcasts)
+   * @param {Object} [voice] - Voice cast to read it (see voice-casting.js)
    */
-  async _speakText(text, label) {
+  async _speakText(text, label, startAt = 0, voice = null) {
     console.log(`[AudioPlayer] Speaking ${label}:`, text.substring(0, 100) + '...');
 
-    const cacheKey = `${label}:${text.substring(0, 50)}`;
+    const cacheKey = lookAheadKey(text, label, voice);
 
     // Use SSML synthesizer for Google Cloud TTS (consistent voice quality)
-    if (this.ssmlSynthesizer) {
+    if (this._canSynthesize()) {
       try {
         // Check look-ahead cache first
         let generatedAudio = this.audioLookAhead.get(cacheKey);
@@ -370,7 +743,7 @@ export class AudioPlayer {
         } else {
           // Cache miss - synthesize now
           console.log(`[AudioPlayer] Cache miss - synthesizing ${label} now`);
-          generatedAudio = await this.ssmlSynthesizer.synthesizeText(text, label);
+          generatedAudio = await this._synthesize(() => this.ssmlSynthesizer.synthesizeText(text, label, { voice }));
         }
 
         if (!generatedAudio || !generatedAudio.audioBlob) {
@@ -380,6 +753,7 @@ export class AudioPlayer {
         // Create audio element for playback
         const audioUrl = URL.createObjectURL(generatedAudio.audioBlob);
         const audio = new Audio(audioUrl);
+        audio.currentTime = startAt;
 
         // Connect audio element to Web Audio API for visualization
         if (this.masterGain) {
@@ -387,26 +761,39 @@ export class AudioPlayer {
           source.connect(this.masterGain);
         }
 
-        // Play audio and wait for completion
+        // Play audio and wait for completion, captioning as it goes
+        const stopCaptions = this._followCaptions(audio, generatedAudio.captions, label, text);
+        const startedAt = Date.now();
         await new Promise((resolve, reject) => {
           audio.onended = () => {
             URL.revokeObjectURL(audioUrl);
+            stopCaptions();
             console.log(`[AudioPlayer] Completed ${label}`);
             resolve();
           };
 
           audio.onerror = (error) => {
             URL.revokeObjectURL(audioUrl);
+            stopCaptions();
             console.error(`[AudioPlayer] Audio playback error for ${label}:`, error);
             reject(new Error('Audio playback failed'));
           };
 
           audio.play().catch((error) => {
             URL.revokeObjectURL(audioUrl);
+            stopCaptions();
             console.error(`[AudioPlayer] Failed to start playback for ${label}:`, error);
             reject(error);
           });
         });
+
+        this._recordSpokenSegment(
+          label,
+          text,
+          generatedAudio.duration || audio.duration || startAt + (Date.now() - startedAt) / 1000,
+          generatedAudio.captions,
+          startAt
+        );
       } catch (error) {
         console.error(`[AudioPlayer] Google TTS failed for ${label}, falling back to browser TTS:`, error);
         // Fallback to browser speech synthesis
@@ -428,11 +815,62 @@ export class AudioPlayer {
       area: { name: label }
     };
 
+    const startedAt = Date.now();
     await speechSynthesizer.speakReport(fakeReport, {
       rate: 0.85,
       pitch: 1.0,
       volume: 1.0
     });
+    this._recordSpokenSegment(label, text, (Date.now() - startedAt) / 1000);
+  }
+
+  /**
+   * Speak an area forecast without the TTS service: audio library clips, with
+   * browser speech for any gaps (browser speech alone before initialization)
+   * @private
+   */
+  async _speakReportFallback(report) {
+    const startedAt = Date.now();
+    if (this.hybridSynthesizer && this.masterGain) {
+      await this.hybridSynthesizer.speakReport(report, { destination: this.masterGain });
+    } else {
+      await speechSynthesizer.speakReport(report);
+    }
+    this._recordSpokenSegment(report.area.name, report.text, (Date.now() - startedAt) / 1000);
+  }
+
+  /**
+   * Note a segment the current broadcast has played, for its subtitles
+   *
+   * Browser speech has no audio to measure, so its duration is the time it took to speak.
+   * Audio joined partway through (shared broadcasts) is recorded from where it started.
+   * @private
+   * @param {string} label - Segment or area label
+   * @param {string} text - Text spoken
+   * @param {number} duration - Duration in seconds
+   * @param {Array<Object>} [captions] - Timed captions from the synthesizer
+   * @param {number} [startAt=0] - Seconds into the audio playback started from
+   */
+  _recordSpokenSegment(label, text, duration, captions = [], startAt = 0) {
+    if (!this.currentBroadcast) {
+      return;
+    }
+    this.spokenSegments.push(segmentFrom({ label, text, duration, captions }, startAt));
+  }
+
+  /**
+   * Note the silence up to a point in the shared programme, so subtitles for
+   * the segments after one that finished early keep in step with the audio
+   * @private
+   * @param {number} since - When this listener joined the programme (ms)
+   * @param {number} until - Programme time reached (ms)
+   */
+  _recordSilenceUntil(since, until) {
+    const recorded = this.spokenSegments.reduce((total, segment) => total + segment.duration, 0);
+    const silence = (until - since) / 1000 - recorded;
+    if (silence > 0) {
+      this._recordSpokenSegment('', '', silence);
+    }
   }
 
   /**
@@ -452,7 +890,7 @@ export class AudioPlayer {
 
     try {
       // Synthesize and play warning message
-      await this._speakText(injectionRequest.messageText, 'InactivityWarning');
+      await this._speakText(injectionRequest.messageText, 'InactivityWarning', 0, this.voiceCasting.voiceFor('warning'));
 
       // Emit warning complete event
       globalEventBus.emit('warning:complete', {
@@ -474,14 +912,82 @@ export class AudioPlayer {
     }
   }
 
+  /**
+   * Play an interrupting gale warning announcement between area forecasts
+   * @private
+   * @param {{bulletins: Array<Object>, text: string}} announcement - From GaleWarningService
+   */
+  async _playGaleInterruption(announcement) {
+    const areas = announcement.bulletins.map((bulletin) => bulletin.area);
+    console.log('[AudioPlayer] Gale warning interruption:', areas.join(', '));
+
+    globalEventBus.emit('gale:interrupt', { areas, bulletins: announcement.bulletins, text: announcement.text });
+
+    try {
+      await this._speakText(announcement.text, 'GaleWarning', 0, this._cast({ label: 'GaleWarning' }).voice);
+    } catch (error) {
+      console.error('[AudioPlayer] Gale warning interruption failed:', error);
+    }
+
+    globalEventBus.emit('gale:interrupt:complete', { areas });
+  }
+
+  /**
+   * A segment of the current broadcast, with the voice cast to read it
+   * @private
+   * @param {{label: string, text?: string, report?: Object, role?: string}} segment - Segment
+   * @returns {Object} The segment, with `voice`
+   */
+  _cast(segment) {
+    return { ...segment, voice: this.voiceCasting.voiceForSegment(segment, this.currentBroadcast, this.dutyPosition) };
+  }
+
+  /**
+   * Whether to use the TTS service now
+   *
+   * Not when offline (by choice or by the browser's reckoning), nor for a
+   * while after it has failed, so an unreachable proxy costs one slow failure
+   * rather than one per segment.
+   * @private
+   * @returns {boolean}
+   */
+  _canSynthesize() {
+    if (!this.useSSML || !this.ssmlSynthesizer || this.offline) {
+      return false;
+    }
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return false;
+    }
+    return Date.now() >= this.ttsRetryAt;
+  }
+
+  /**
+   * Run a TTS synthesis, backing off the service when it fails
+   * @private
+   * @param {Function} synthesize - Returns the synthesis promise
+   * @returns {Promise<Object>} GeneratedAudio
+   */
+  async _synthesize(synthesize) {
+    try {
+      return await synthesize();
+    } catch (error) {
+      this.ttsRetryAt = Date.now() + TTS_RETRY_DELAY;
+      console.warn(`[AudioPlayer] TTS unavailable, playing offline for ${TTS_RETRY_DELAY / 1000}s`);
+      throw error;
+    }
+  }
+
   /**
    * Play report using SSML synthesis
    * T030: Implementation for SSML-based playback
    * @private
+   * @param {Object} report - Area forecast
+   * @param {number} [startAt=0] - Seconds into the audio to start from (shared broadcasts)
+   * @param {Object} [voice] - Voice cast to read it (see voice-casting.js)
    */
-  async _playSSMLReport(report) {
+  async _playSSMLReport(report, startAt = 0, voice = null) {
     // Synthesize to audio blob
-    const generatedAudio = await this.ssmlSynthesizer.synthesizeReport(report);
+    const generatedAudio = await this._synthesize(() => this.ssmlSynthesizer.synthesizeReport(report, { voice }));
 
     if (!generatedAudio || !generatedAudio.audioBlob) {
       throw new Error('SSML synthesis returned no audio');
@@ -490,6 +996,7 @@ export class AudioPlayer {
     // Create audio element for playback
     const audioUrl = URL.createObjectURL(generatedAudio.audioBlob);
     const audio = new Audio(audioUrl);
+    audio.currentTime = startAt;
 
     // Connect audio element to Web Audio API for visualization and filtering
     if (this.masterGain && this.audioContext) {
@@ -497,28 +1004,90 @@ export class AudioPlayer {
       source.connect(this.masterGain);
     }
 
-    // Play audio and wait for completion
+    // Play audio and wait for completion, captioning as it goes
+    const label = report.area.name || report.area;
+    const stopCaptions = this._followCaptions(audio, generatedAudio.captions, label, report.text);
+    const startedAt = Date.now();
     return new Promise((resolve, reject) => {
       audio.onended = () => {
         URL.revokeObjectURL(audioUrl);
+        stopCaptions();
+        this._recordSpokenSegment(
+          label,
+          report.text,
+          generatedAudio.duration || audio.duration || startAt + (Date.now() - startedAt) / 1000,
+          generatedAudio.captions,
+          startAt
+        );
         console.log(`[AudioPlayer] Completed playback of ${report.area}`); // T032: Logging
         resolve();
       };
 
       audio.onerror = (error) => {
         URL.revokeObjectURL(audioUrl);
+        stopCaptions();
         console.error(`[AudioPlayer] Audio playback error for ${report.area}:`, error); // T031: Error handling
         reject(new Error('Audio playback failed'));
       };
 
       audio.play().catch((error) => {
         URL.revokeObjectURL(audioUrl);
+        stopCaptions();
         console.error(`[AudioPlayer] Failed to start playback for ${report.area}:`, error); // T031: Error handling
         reject(error);
       });
     });
   }
 
+  /**
+   * Emit live captions for an audio element as it plays
+   *
+   * Emits caption:start with every caption for the text, then caption:word as
+   * audio.currentTime reaches each one (checked every animation frame, and on
+   * timeupdate where frames are unavailable). Without timepoints the whole text
+   * is one caption, so subtitles still show.
+   * @private
+   * @param {HTMLAudioElement} audio - Element about to play
+   * @param {Array<{index: number, text: string, time: number}>} captions - Timed captions from the synthesizer
+   * @param {string} label - Segment or area label
+   * @param {string} text - Full text being read
+   * @returns {Function} Stops following; emits caption:end
+   */
+  _followCaptions(audio, captions, label, text) {
+    const timed = captions && captions.length > 0 ? captions : [{ index: 0, text: text || '', time: 0 }];
+    const track = new CaptionTrack(timed);
+    const canAnimate = typeof requestAnimationFrame === 'function';
+    let frame = null;
+    let stopped = false;
+
+    const tick = () => {
+      for (const caption of track.advance(audio.currentTime || 0)) {
+        globalEventBus.emit('caption:word', { label, index: caption.index, word: caption.text, time: caption.time });
+      }
+      if (canAnimate && frame === null && !stopped && !track.isComplete()) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          tick();
+        });
+      }
+    };
+
+    globalEventBus.emit('caption:start', { label, words: timed.map((caption) => caption.text) });
+    audio.ontimeupdate = tick;
+    audio.onplaying = tick;
+
+    return () => {
+      if (stopped) {
+        return;
+      }
+      stopped = true;
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+      }
+      globalEventBus.emit('caption:end', { label });
+    };
+  }
+
   /**
    * Fill buffer to maximum capacity
    * @private
@@ -526,6 +1095,9 @@ export class AudioPlayer {
   async _fillBuffer() {
     const capacity = this.buffer.capacity();
 
+    // Individual reports follow the season of the moment they are generated
+    weatherGenerator.setTimestamp(new Date());
+
     for (let i = 0; i < capacity; i++) {
       const report = weatherGenerator.generateWeatherReport();
       this.buffer.enqueue(report);
@@ -594,6 +1166,115 @@ export class AudioPlayer {
     this.useSSML = enabled;
     console.log(`[AudioPlayer] SSML synthesis ${enabled ? 'enabled' : 'disabled'}`); // T032: Logging
   }
+
+  /**
+   * Play without the TTS service
+   *
+   * Area forecasts are spliced from the pre-generated audio library, and
+   * browser speech reads everything the library has no clips for, so playback
+   * needs no network. Playback is offline anyway while the browser has no network.
+   * @param {boolean} enabled - Whether to play offline
+   */
+  setOffline(enabled) {
+    this.offline = Boolean(enabled);
+    console.log(`[AudioPlayer] Offline playback ${this.offline ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Cast the voices that read each kind of segment, and the duty announcer rota
+   * Takes effect from the next segment; shared broadcasts already scheduled keep their voices.
+   * @param {Object} casting - Roles and duty rota (see VoiceCasting and DEFAULT_VOICE_CASTING)
+   * @throws {Error} If the casting names an unknown role or voice
+   */
+  setVoiceCasting(casting) {
+    this.voiceCasting.configure(casting);
+    console.log('[AudioPlayer] Voice casting:', this.voiceCasting.roles);
+  }
+
+  /**
+   * Switch generator profile (e.g. 'calm-summer', 'winter-storm', 'haunted')
+   * Takes effect from the next broadcast or report, and is remembered across reloads.
+   * @param {string} name - Preset name (see PROFILE_PRESETS)
+   */
+  setGeneratorProfile(name) {
+    const profile = broadcastGenerator.setProfile(name);
+    weatherGenerator.setProfile(profile);
+
+    try {
+      localStorage.setItem('generatorProfile', name);
+    } catch (error) {
+      console.warn('[AudioPlayer] Failed to persist generator profile:', error);
+    }
+
+    globalEventBus.emit('profile:changed', { name: profile.name, label: profile.label });
+  }
+
+  /**
+   * Replay an archived broadcast instead of generating the next one
+   *
+   * The broadcast is validated and queued; it plays once the current broadcast
+   * finishes (or as soon as playback starts), exactly as it was archived.
+   * @param {string|Object} json - JSON from serializeBroadcast(), or the parsed object
+   * @returns {Object} The deserialized broadcast
+   * @throws {Error} If the JSON is not a valid broadcast
+   */
+  replayBroadcast(json) {
+    const broadcast = deserializeBroadcast(json);
+    this.replayQueue.push(broadcast);
+    console.log('[AudioPlayer] Queued broadcast for replay:', broadcast.broadcastId);
+    return broadcast;
+  }
+
+  /**
+   * Subtitles for what the current broadcast has played so far
+   *
+   * Segments are placed end to end by their synthesized durations, with word
+   * timing from the TTS timepoints where available; once the broadcast has
+   * finished this is the subtitle track for a recording of the whole broadcast.
+   * @param {string} [format='vtt'] - 'vtt' or 'srt'
+   * @param {Object} [options] - Cue options (see buildSubtitleCues)
+   * @returns {string|null} Subtitle file contents, or null if no broadcast has played
+   * @throws {Error} If the format is unknown
+   */
+  exportSubtitles(format = 'vtt', options = {}) {
+    if (!this.currentBroadcast) {
+      return null;
+    }
+
+    const title = `Shipping forecast ${formatIssueTime(new Date(this.currentBroadcast.timestamp))}`;
+    return exportSubtitles(this.spokenSegments, format, { title, ...options });
+  }
+
+  /**
+   * Follow the real broadcast editions instead of playing continuously
+   *
+   * 'wait' waits for each real 00:48/05:20/12:01/17:54 slot; 'simulate' plays
+   * the editions back to back as if each slot had arrived. Takes effect from the
+   * next broadcast.
+   * @param {'wait'|'simulate'|null} mode - Wall-clock mode, or null for continuous playback
+   */
+  setWallClock(mode) {
+    if (mode) {
+      broadcastScheduler.setMode(mode);
+    } else {
+      broadcastScheduler.cancelWait();
+    }
+    this.wallClock = mode || null;
+  }
+
+  /**
+   * Hear the same broadcast as every other visitor
+   *
+   * Plays the shared programme worked out from the wall clock (see
+   * shared-broadcast.js) instead of a broadcast of this visitor's own, joining
+   * it wherever it has got to. Takes effect from the next broadcast; turning it
+   * off takes effect from the next segment.
+   * @param {boolean} enabled - Whether to play the shared broadcast
+   */
+  setSharedBroadcast(enabled) {
+    this.sharedMode = Boolean(enabled);
+    console.log(`[AudioPlayer] Shared broadcast ${this.sharedMode ? 'on' : 'off'}`);
+  }
 }
 
 // Singleton instance
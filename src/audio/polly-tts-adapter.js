@@ -0,0 +1,254 @@
+/**
+ * Amazon Polly TTS Adapter
+ *
+ * Synthesizes SSML with Amazon Polly's SynthesizeSpeech API, signing each
+ * request with AWS Signature Version 4. Credentials belong on a server: use
+ * this adapter from the Node scripts (stream-server.js, render-broadcast.js),
+ * or point `endpoint` at a proxy that signs requests and omit the credentials.
+ *
+ * Timepoints for caption <mark>s come from a second request for SSML speech
+ * marks. Neural voices reject <emphasis> and prosody pitch, so those are
+ * removed from the markup for the neural engine.
+ */
+
+import { TTSAdapter, AUDIO_MIME_TYPES } from './tts-service-adapter.js';
+import { wavHeader } from './wav.js';
+
+// Polly returns headerless 16-bit mono PCM, at 8 or 16 kHz
+const PCM_SAMPLE_RATE = 16000;
+
+// USD per million characters (https://aws.amazon.com/polly/pricing/)
+const COST_PER_MILLION = { standard: 4, neural: 16 };
+
+/**
+ * PollyTTSAdapter
+ *
+ * @class
+ */
+export class PollyTTSAdapter extends TTSAdapter {
+  /**
+   * @param {Object} [config] - Configuration object (see TTSAdapter for timeout and retries)
+   * @param {string} [config.region='eu-west-2'] - AWS region
+   * @param {string} [config.accessKeyId] - AWS access key id (omit when a signing proxy is used)
+   * @param {string} [config.secretAccessKey] - AWS secret access key
+   * @param {string} [config.sessionToken] - Session token for temporary credentials
+   * @param {string} [config.endpoint] - SynthesizeSpeech URL (default: the regional Polly endpoint)
+   * @param {Object} [config.voice] - Voice: {name: 'Brian', engine: 'neural'}
+   * @param {Object} [config.audioConfig] - Audio: {encoding: 'MP3' or 'WAV', sampleRate: 24000}
+   * @param {boolean} [config.enableTimepoints=true] - Fetch speech marks for SSML <mark> tags
+   */
+  constructor(config = {}) {
+    super(config);
+    this.region = config.region || 'eu-west-2';
+    this.credentials = config.accessKeyId
+      ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey, sessionToken: config.sessionToken }
+      : null;
+    this.endpoint = config.endpoint || `https://polly.${this.region}.amazonaws.com/v1/speech`;
+    this.voice = { name: 'Brian', engine: 'neural', ...config.voice };
+    this.voiceKey = 'polly';
+    this.audioConfig = { encoding: 'MP3', sampleRate: 24000, ...config.audioConfig };
+    this.enableTimepoints = config.enableTimepoints !== false;
+  }
+
+  /**
+   * Synthesize an SSML template with Polly
+   *
+   * @async
+   * @param {Object} ssmlTemplate - SSML template from SSMLTemplateBuilder
+   * @returns {Promise<Object>} GeneratedAudio (MP3 or WAV audioBlob; duration 0 for MP3,
+   *   which is only measured when decoded)
+   * @throws {Error} On invalid templates, missing credentials or API errors
+   */
+  async synthesize(ssmlTemplate) {
+    if (!ssmlTemplate || !ssmlTemplate.ssml) {
+      throw new Error('Invalid SSML template: ssml field is required');
+    }
+
+    const startTime = Date.now();
+    const voice = this._voiceFor(ssmlTemplate);
+    const ssml = this._toPollySSML(ssmlTemplate.ssml, voice);
+    const wav = this.audioConfig.encoding === 'WAV';
+
+    try {
+      const response = await this._request({
+        OutputFormat: wav ? 'pcm' : 'mp3',
+        SampleRate: String(wav ? PCM_SAMPLE_RATE : this.audioConfig.sampleRate)
+      }, ssml, voice);
+      const audio = new Uint8Array(await response.arrayBuffer());
+      const timepoints = this.enableTimepoints && ssml.includes('<mark ') ? await this._timepoints(ssml, voice) : [];
+
+      const audioBlob = wav
+        ? new Blob([wavHeader(PCM_SAMPLE_RATE, 1, audio.length), audio], { type: AUDIO_MIME_TYPES.WAV })
+        : new Blob([audio], { type: AUDIO_MIME_TYPES.MP3 });
+
+      this._recordSuccess(ssmlTemplate, startTime, COST_PER_MILLION[voice.engine] || 0);
+      if (this.logRequests) {
+        console.log(`[TTS] Polly synthesized ${ssmlTemplate.areaName} (${ssmlTemplate.reportId}) in ${Date.now() - startTime}ms`);
+      }
+
+      return {
+        audioBuffer: null,
+        audioBlob,
+        reportId: ssmlTemplate.reportId || '',
+        areaName: ssmlTemplate.areaName || '',
+        isPhantom: ssmlTemplate.isPhantom || false,
+        duration: wav ? audio.length / 2 / PCM_SAMPLE_RATE : 0,
+        sampleRate: wav ? PCM_SAMPLE_RATE : this.audioConfig.sampleRate,
+        fileSize: audioBlob.size,
+        synthesizedAt: new Date(),
+        cachedAt: null,
+        timepoints
+      };
+    } catch (error) {
+      this._recordFailure();
+      throw error;
+    }
+  }
+
+  /**
+   * When each <mark> is reached, from Polly's SSML speech marks
+   * @private
+   * @returns {Promise<Array<{markName: string, timeSeconds: number}>>}
+   */
+  async _timepoints(ssml, voice) {
+    const response = await this._request({ OutputFormat: 'json', SpeechMarkTypes: ['ssml'] }, ssml, voice);
+
+    // One JSON object per line: {"time": ms, "type": "ssml", "value": markName}
+    return (await response.text())
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line))
+      .filter((mark) => mark.type === 'ssml')
+      .map((mark) => ({ markName: mark.value, timeSeconds: mark.time / 1000 }));
+  }
+
+  /**
+   * POST a SynthesizeSpeech request in a voice, signed when credentials are configured
+   * @private
+   */
+  async _request(output, ssml, voice = this.voice) {
+    const body = JSON.stringify({
+      Engine: voice.engine,
+      VoiceId: voice.name,
+      TextType: 'ssml',
+      Text: ssml,
+      ...output
+    });
+
+    return this._fetchWithRetry(this.endpoint, async () => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.credentials) {
+        Object.assign(headers, await signAWSRequest({
+          method: 'POST',
+          url: this.endpoint,
+          headers,
+          body,
+          region: this.region,
+          service: 'polly',
+          credentials: this.credentials
+        }));
+      }
+      return { method: 'POST', headers, body };
+    });
+  }
+
+  /**
+   * Adapt SSML to what the voice's engine accepts
+   * @private
+   */
+  _toPollySSML(ssml, voice = this.voice) {
+    if (voice.engine !== 'neural') {
+      return ssml;
+    }
+    return ssml
+      .replace(/<\/?emphasis[^>]*>/g, '')
+      .replace(/<prosody([^>]*?)\s+pitch="[^"]*"/g, '<prosody$1')
+      .replace(/<prosody\s*>([\s\S]*?)<\/prosody>/g, '$1');
+  }
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL
+ * @param {Object} [request.headers] - Headers to sign (host is added)
+ * @param {string} [request.body=''] - Request body
+ * @param {string} request.region - AWS region
+ * @param {string} request.service - AWS service name (e.g. 'polly')
+ * @param {Object} request.credentials - {accessKeyId, secretAccessKey, sessionToken?}
+ * @param {Date} [request.date=new Date()] - Signing time
+ * @returns {Promise<Object>} Headers to add: Authorization, X-Amz-Date and, with a session token, X-Amz-Security-Token
+ */
+export async function signAWSRequest({ method, url, headers = {}, body = '', region, service, credentials, date = new Date() }) {
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/${service}/aws4_request`;
+
+  const added = { 'X-Amz-Date': amzDate };
+  if (credentials.sessionToken) {
+    added['X-Amz-Security-Token'] = credentials.sessionToken;
+  }
+
+  const signed = Object.entries({ ...headers, ...added, host })
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  const signedHeaders = signed.map(([name]) => name).join(';');
+  const query = [...searchParams]
+    .map(([name, value]) => `${encodeRFC3986(name)}=${encodeRFC3986(value)}`)
+    .sort()
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    pathname.split('/').map(encodeRFC3986).join('/'),
+    query,
+    signed.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    toHex(await sha256(body))
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, toHex(await sha256(canonicalRequest))].join('\n');
+
+  let key = new TextEncoder().encode(`AWS4${credentials.secretAccessKey}`);
+  for (const part of [day, region, service, 'aws4_request']) {
+    key = await hmac(key, part);
+  }
+  const signature = toHex(await hmac(key, stringToSign));
+
+  return {
+    ...added,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * @private
+ */
+async function sha256(text) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+/**
+ * @private
+ */
+async function hmac(key, text) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(text)));
+}
+
+/**
+ * @private
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * URI-encode as SigV4 requires (encodeURIComponent leaves !'()* alone)
+ * @private
+ */
+function encodeRFC3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
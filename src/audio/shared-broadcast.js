@@ -0,0 +1,138 @@
+/**
+ * Shared Broadcast
+ * One programme for every visitor, worked out from the wall clock
+ *
+ * The edition slot on air (see BroadcastScheduler.getEdition) seeds the first
+ * broadcast of a programme; further broadcasts of the same edition follow
+ * back to back until the next slot begins a new programme. Every segment gets
+ * a fixed place in time from an estimate of how long it takes to read, so the
+ * time alone says which segment is on air and how far into it: two players
+ * tuning in at the same moment land on the same area and the same words, with
+ * no server involved.
+ *
+ * Programmes are generated by their own BroadcastGenerator from a fresh
+ * weather state and the default profile, so they neither depend on nor
+ * disturb a visitor's own weather state and profile.
+ *
+ * Usage:
+ *   const { broadcast, segments, index, offset } = sharedBroadcast.locate(new Date());
+ *   // play segments[index] from offset seconds in, then locate() again once it ends
+ */
+
+import { BroadcastGenerator } from '../core/broadcast-generator.js';
+import { broadcastScheduler } from '../core/broadcast-scheduler.js';
+import { broadcastSegments, parseBreakTime } from './broadcast-renderer.js';
+import { PROSODY_CONFIG } from './prosody-config.js';
+
+// Reading pace for the estimate: on the slow side, so that speech usually
+// fits its place and the gap left over reads as a pause between segments
+const WORDS_PER_MINUTE = 140;
+
+// Pause at each full stop, comma or colon (the SSML breaks between components)
+const PHRASE_PAUSE = parseBreakTime(PROSODY_CONFIG.breaks.afterWindForce);
+
+// Pause after every segment
+const SEGMENT_PAUSE = parseBreakTime(PROSODY_CONFIG.breaks.endOfReport);
+
+/**
+ * Seconds a segment is given in the shared programme
+ * @param {Object} segment - Segment from broadcastSegments(), or a Sailing By segment with `interlude`
+ * @returns {number} Duration in seconds, including the pause after it
+ */
+export function estimateSegmentDuration(segment) {
+  if (segment.interlude) {
+    return segment.interlude.duration / 1000;
+  }
+
+  const words = segment.text.split(/\s+/).filter(Boolean).length;
+  const phrases = (segment.text.match(/[.,:;]/g) || []).length;
+  return words * (60 / WORDS_PER_MINUTE) + phrases * PHRASE_PAUSE + SEGMENT_PAUSE;
+}
+
+export class SharedBroadcast {
+  /**
+   * @param {Object} [options] - Options
+   * @param {BroadcastScheduler} [options.scheduler] - Edition slots (default: broadcastScheduler)
+   */
+  constructor(options = {}) {
+    this.scheduler = options.scheduler || broadcastScheduler;
+    this.programme = null; // Broadcasts scheduled so far in the current slot
+  }
+
+  /**
+   * What is on air at a given time
+   * @param {Date} [date=new Date()] - Time to look up
+   * @returns {{broadcast: Object, segments: Array<Object>, index: number, offset: number}} The broadcast,
+   *   its segments (each with startTime and endTime in ms, and duration in seconds), the index of the segment
+   *   on air and how many seconds into it the time falls
+   */
+  locate(date = new Date()) {
+    const time = date.getTime();
+    const programme = this._programmeFor(this.scheduler.getEdition(date));
+
+    let entry = programme.broadcasts[programme.broadcasts.length - 1];
+    while (!entry || entry.endTime <= time) {
+      entry = this._scheduleNext(programme);
+    }
+    entry = programme.broadcasts.find((candidate) => candidate.endTime > time);
+
+    const index = entry.segments.findIndex((segment) => segment.endTime > time);
+    return {
+      broadcast: entry.broadcast,
+      segments: entry.segments,
+      index,
+      offset: (time - entry.segments[index].startTime) / 1000,
+    };
+  }
+
+  /**
+   * The programme for a slot, starting afresh when the slot changes
+   * @private
+   */
+  _programmeFor(slot) {
+    if (!this.programme || this.programme.slot.time.getTime() !== slot.time.getTime()) {
+      this.programme = { slot, generator: new BroadcastGenerator(), broadcasts: [] };
+      console.log(`[SharedBroadcast] Tuned to the ${slot.edition.name} edition of ${slot.time.toISOString()}`);
+    }
+    return this.programme;
+  }
+
+  /**
+   * Generate the next broadcast of a programme and place its segments in time
+   * @private
+   */
+  _scheduleNext(programme) {
+    const { slot, generator, broadcasts } = programme;
+    const previous = broadcasts[broadcasts.length - 1];
+    const startTime = previous ? previous.endTime : slot.time.getTime();
+
+    // Seeded by slot and position alone; later broadcasts continue the first one's weather
+    const broadcast = generator.generateBroadcast(31, {
+      ...this.scheduler.getBroadcastOptions(slot.edition, new Date(startTime)),
+      seed: `shared-${slot.time.toISOString()}-${broadcasts.length}`,
+      weatherState: previous ? undefined : null,
+    });
+
+    // The duty announcer changes with each broadcast of the programme
+    const planned = broadcastSegments(broadcast, { position: broadcasts.length });
+    if (broadcast.sailingBy) {
+      planned.unshift({ label: 'Sailing By', text: `♪ ${broadcast.sailingBy.title} ♪`, interlude: broadcast.sailingBy });
+    }
+
+    // Whole milliseconds, so that times round-trip through Date
+    let time = startTime;
+    const segments = planned.map((segment) => {
+      const duration = estimateSegmentDuration(segment);
+      const placed = { ...segment, startTime: time, endTime: time + Math.round(duration * 1000), duration };
+      time = placed.endTime;
+      return placed;
+    });
+
+    const entry = { broadcast, segments, endTime: time };
+    broadcasts.push(entry);
+    return entry;
+  }
+}
+
+// Export singleton instance
+export const sharedBroadcast = new SharedBroadcast();
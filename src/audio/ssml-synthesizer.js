@@ -2,22 +2,24 @@
  * SSML Synthesizer
  *
  * Coordinates the complete synthesis pipeline from weather reports to audio playback.
- * Integrates SSMLTemplateBuilder, GoogleCloudTTSAdapter, and AudioCache to provide
- * a unified interface for natural speech generation.
+ * Integrates SSMLTemplateBuilder, a TTS adapter (Google Cloud TTS by default; see
+ * tts-providers.js for the others), and AudioCache to provide a unified interface
+ * for natural speech generation.
  *
  * Phase 3: T029 - Implementation
  */
 
 import { SSMLTemplateBuilder } from './ssml-template-builder.js';
-import { GoogleCloudTTSAdapter } from './tts-service-adapter.js';
+import { ttsProviders, DEFAULT_TTS_PROVIDERS } from './tts-providers.js';
 import { AudioCache } from './audio-cache.js';
+import { timeCaptions } from './captions.js';
 
 /**
  * SSMLSynthesizer
  *
  * Main orchestrator for the natural speech generation system.
  * Converts weather reports into synthesized speech using SSML templates
- * and Google Cloud TTS, with integrated caching for cost optimization.
+ * and the configured TTS providers, with integrated caching for cost optimization.
  *
  * @class
  */
@@ -28,14 +30,22 @@ export class SSMLSynthesizer {
    * Initializes the synthesizer with template builder, TTS adapter, and cache.
    *
    * @param {Object} config - Configuration object
-   * @param {Object} config.ttsConfig - TTS adapter configuration
+   * @param {Object} config.ttsConfig - TTS adapter configuration, given to every provider
+   * @param {Array<string>|string} config.ttsProviders - TTS providers in fallback order (default: ['google'])
+   * @param {Object} config.ttsProviderConfig - Configuration per provider name, merged over ttsConfig
+   *   (e.g. { polly: { region: 'eu-west-2' } })
    * @param {number} config.cacheSize - Cache size (default: 50 entries)
    * @param {boolean} config.enableCache - Enable caching (default: true)
    * @param {AudioContext} config.audioContext - Web Audio API context
+   * @param {string|null} config.captionMarks - Live caption granularity: 'word', 'phrase' or null (default: null)
+   * @param {Object} config.ttsAdapter - TTS adapter to use instead of the providers (e.g. MockTTSAdapter)
    */
   constructor(config = {}) {
-    this.templateBuilder = new SSMLTemplateBuilder();
-    this.ttsAdapter = new GoogleCloudTTSAdapter(config.ttsConfig || {});
+    this.templateBuilder = new SSMLTemplateBuilder({ captionMarks: config.captionMarks });
+    this.ttsAdapter = config.ttsAdapter || ttsProviders.createAdapter(
+      config.ttsProviders || DEFAULT_TTS_PROVIDERS,
+      { ...config.ttsProviderConfig, shared: config.ttsConfig }
+    );
     this.enableCache = config.enableCache !== false;
     this.cache = this.enableCache ? new AudioCache(config.cacheSize || 50) : null;
     this.audioContext = config.audioContext || null;
@@ -65,16 +75,20 @@ export class SSMLSynthesizer {
    * @param {Object} report.seaState - Sea state information
    * @param {Object} report.weather - Weather information
    * @param {Object} report.visibility - Visibility information
+   * @param {Object} [options] - Options
+   * @param {Object} [options.voice] - Voice cast to read the report (see voice-casting.js;
+   *   default: each provider's configured voice)
    *
    * @returns {Promise<Object>} GeneratedAudio object with audioBlob and metadata
+   *   (and timed captions when caption marks are enabled, see _withCaptions)
    * @throws {Error} On validation, synthesis, or network errors
    */
-  async synthesizeReport(report) {
+  async synthesizeReport(report, options = {}) {
     const startTime = Date.now();
 
     try {
-      // Step 1: Generate SSML template
-      const template = this.templateBuilder.build(report);
+      // Step 1: Generate SSML template, carrying the voice to read it
+      const template = { ...this.templateBuilder.build(report), voice: options.voice || null };
 
       if (!template || !template.ssml) {
         throw new Error('Failed to generate SSML template');
@@ -84,9 +98,10 @@ export class SSMLSynthesizer {
         `[SSMLSynthesizer] Generated SSML for ${template.areaName} (${template.characterCount} chars)`
       );
 
-      // Step 2: Check cache
+      // Step 2: Check cache (by words and voice, so audio is only reused in the voice it was made in)
+      const cacheKey = templateCacheKey(template);
       if (this.enableCache && this.cache) {
-        const cached = this.cache.get(template.reportId);
+        const cached = this.cache.get(cacheKey);
         if (cached) {
           this.stats.totalReports++;
           this.stats.cacheHits++;
@@ -104,7 +119,7 @@ export class SSMLSynthesizer {
       }
 
       // Step 3: Synthesize via TTS adapter
-      const generatedAudio = await this.ttsAdapter.synthesize(template);
+      const generatedAudio = this._withCaptions(template, await this.ttsAdapter.synthesize(template));
 
       if (!generatedAudio || !generatedAudio.audioBlob) {
         throw new Error('TTS synthesis returned no audio');
@@ -112,7 +127,7 @@ export class SSMLSynthesizer {
 
       // Step 4: Store in cache
       if (this.enableCache && this.cache) {
-        this.cache.set(template.reportId, generatedAudio);
+        this.cache.set(cacheKey, generatedAudio);
       }
 
       // Step 5: Update stats
@@ -196,32 +211,35 @@ export class SSMLSynthesizer {
   /**
    * Synthesize plain text to audio (for broadcast segments)
    *
-   * Converts plain text into synthesized speech using Google Cloud TTS.
+   * Converts plain text into synthesized speech with the configured TTS providers.
    * Used for introduction, gale warnings, general synopsis, and time period segments.
    *
    * @async
    * @param {string} text - Plain text to synthesize
    * @param {string} label - Label for logging (e.g., "Introduction", "General Synopsis")
+   * @param {Object} [options] - Options
+   * @param {Object} [options.voice] - Voice cast to read the text (see voice-casting.js)
    * @returns {Promise<Object>} GeneratedAudio object with audioBlob and metadata
    * @throws {Error} On synthesis or network errors
    */
-  async synthesizeText(text, label = 'Text') {
+  async synthesizeText(text, label = 'Text', options = {}) {
     const startTime = Date.now();
 
     try {
       // Create simple SSML template
-      const template = {
+      const template = this.templateBuilder.addCaptionMarks({
         ssml: `<speak><prosody rate="100%">${this._escapeXML(text)}</prosody></speak>`,
         reportId: `text-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
         areaName: label,
         characterCount: text.length,
-        createdAt: Date.now()
-      };
+        createdAt: Date.now(),
+        voice: options.voice || null
+      });
 
       console.log(`[SSMLSynthesizer] Synthesizing ${label} (${template.characterCount} chars)`);
 
       // Synthesize via TTS adapter (no caching for broadcast segments)
-      const generatedAudio = await this.ttsAdapter.synthesize(template);
+      const generatedAudio = this._withCaptions(template, await this.ttsAdapter.synthesize(template));
 
       if (!generatedAudio || !generatedAudio.audioBlob) {
         throw new Error('TTS synthesis returned no audio');
@@ -240,6 +258,21 @@ export class SSMLSynthesizer {
     }
   }
 
+  /**
+   * Attach timed captions to synthesized audio, from the template's marks and
+   * the timepoints the TTS service returned
+   * @private
+   * @returns {Object} generatedAudio with captions: Array<{index, text, time}> (empty without marks)
+   */
+  _withCaptions(template, generatedAudio) {
+    if (!generatedAudio) {
+      return generatedAudio;
+    }
+
+    const captions = template.captions ? timeCaptions(template.captions, generatedAudio.timepoints) : [];
+    return { ...generatedAudio, captions };
+  }
+
   /**
    * Escape XML special characters for SSML
    * @private
@@ -266,3 +299,12 @@ export class SSMLSynthesizer {
     }
   }
 }
+
+/**
+ * Cache key for a template: its SSML and the id of the voice cast to read it
+ * (report IDs are unique to each build, so the same forecast read again would never hit)
+ * @private
+ */
+function templateCacheKey(template) {
+  return `${template.voice ? template.voice.id : 'default'}:${template.ssml}`;
+}
@@ -9,6 +9,7 @@
  */
 
 import { PROSODY_CONFIG } from './prosody-config.js';
+import { insertCaptionMarks } from './captions.js';
 
 /**
  * SSMLTemplateBuilder
@@ -24,10 +25,14 @@ export class SSMLTemplateBuilder {
    *
    * Initializes the SSML template builder with default configuration.
    *
+   * @param {Object} [options] - Builder options
+   * @param {string|null} [options.captionMarks=null] - Insert <mark> tags for live captions: 'word', 'phrase' or null
+   *
    * TODO: Initialize with PROSODY_CONFIG for rule management
    */
-  constructor() {
+  constructor(options = {}) {
     // TODO: Initialize prosody rules from PROSODY_CONFIG
+    this.captionMarks = options.captionMarks || null;
   }
 
   /**
@@ -36,15 +41,17 @@ export class SSMLTemplateBuilder {
    * Main entry point that converts a complete weather report into an SSML template
    * object with proper markup for BBC Radio 4 shipping forecast style delivery.
    *
-   * EBNF Format: {Area}. {Wind [Beaufort]}. {Precipitation}. {Visibility}. [Icing].
+   * EBNF Format: {Area}. {Wind [Beaufort]}. {Sea state}. {Precipitation}. {Visibility}. [Icing].
    *
    * @param {Object} report - Weather report data
    * @param {string} report.area - Sea area name (e.g., "Viking", "Dogger")
    * @param {boolean} report.isPhantom - Whether this is a phantom area
    * @param {Object} report.wind - Wind information with forceText (Beaufort scale)
+   * @param {Object|string} [report.seaState] - Sea state information
    * @param {Object} report.precipitation - Precipitation information (NEW EBNF)
    * @param {Object} report.visibility - Visibility information
    * @param {Object|null} report.icing - Icing information (NEW EBNF, optional)
+   * @param {Array} [report.areas] - Member areas when neighbouring areas are read together
    *
    * @returns {Object} SSMLTemplate object with structure:
    *   {
@@ -54,9 +61,18 @@ export class SSMLTemplateBuilder {
    *     isPhantom: boolean - Phantom area flag
    *     characterCount: number - Character count for billing
    *     createdAt: string - ISO 8601 timestamp
+   *     captions: Array - Caption text per <mark> (only when captionMarks is set)
    *   }
    */
   build(report) {
+    return this.addCaptionMarks(this._buildReport(report));
+  }
+
+  /**
+   * Build a report's SSML template without caption marks
+   * @private
+   */
+  _buildReport(report) {
     // Validate input structure
     if (!report || !report.area || !report.wind) {
       throw new Error('Invalid report structure: area and wind are required');
@@ -75,12 +91,18 @@ export class SSMLTemplateBuilder {
       : Math.round(PROSODY_CONFIG.rates.standard * 100);
 
     // Build SSML components per EBNF specification
-    const areaSSML = this._buildAreaSSML(areaName);
+    const areaSSML = report.areas && report.areas.length > 1
+      ? report.areas.map((area) => this._buildAreaSSML(area.name)).join(', ')
+      : this._buildAreaSSML(areaName);
     const breakAfterArea = `<break time="${PROSODY_CONFIG.breaks.afterAreaName}"/>`;
 
     const windSSML = this._buildWindSSML(report.wind);
 
-    // NEW EBNF: Precipitation replaces sea state and weather
+    const seaStateSSML = report.seaState
+      ? this._buildSeaStateSSML(report.seaState)
+      : '';
+
+    // NEW EBNF: Precipitation replaces weather
     const precipitationSSML = report.precipitation
       ? this._buildPrecipitationSSML(report.precipitation)
       : '';
@@ -96,7 +118,7 @@ export class SSMLTemplateBuilder {
       : '';
 
     // Assemble final SSML (only wrap with prosody if rate is not 100%)
-    const content = `${areaSSML}${breakAfterArea}${windSSML}${precipitationSSML}${visibilitySSML}${icingSSML}<break time="${PROSODY_CONFIG.breaks.endOfReport}"/>`;
+    const content = `${areaSSML}${breakAfterArea}${windSSML}${seaStateSSML}${precipitationSSML}${visibilitySSML}${icingSSML}<break time="${PROSODY_CONFIG.breaks.endOfReport}"/>`;
     const ssml = rate === 100
       ? `<speak>${content}</speak>`
       : `<speak><prosody rate="${rate}%">${content}</prosody></speak>`;
@@ -143,6 +165,9 @@ export class SSMLTemplateBuilder {
    *
    * Generates SSML for complete EBNF-compliant broadcast structure:
    * Introduction → Gale Warnings (conditional) → General Synopsis → Time Period → Area Forecasts
+   * → Coastal Station Reports (optional) → Inshore Waters (optional) → Sign-off (edition broadcasts)
+   *
+   * Sailing By is music, so it has no SSML; metadata.hasSailingBy tells the player to play it first.
    *
    * All segments wrapped in single <speak> tag with BBC Radio 4 prosody (85% rate).
    *
@@ -150,8 +175,11 @@ export class SSMLTemplateBuilder {
    * @param {Object} broadcast.introduction - Introduction segment
    * @param {Object|null} broadcast.galeWarnings - Gale warnings (null if no gales)
    * @param {Object} broadcast.generalSynopsis - General synopsis segment (NEW EBNF)
-   * @param {Object} broadcast.timePeriod - Time period transition
+   * @param {Object|null} broadcast.timePeriod - Time period transition (null if the edition omits it)
    * @param {Array} broadcast.areaForecasts - Area forecast array
+   * @param {Object|null} [broadcast.coastalStations] - Coastal station reports (null if not included)
+   * @param {Object|null} [broadcast.inshoreWaters] - Inshore waters segment (null if not included)
+   * @param {Object|null} [broadcast.signOff] - Closing sign-off (null without an edition)
    * @param {string} broadcast.broadcastId - Broadcast ID
    *
    * @returns {Object} SSML template object
@@ -177,24 +205,41 @@ export class SSMLTemplateBuilder {
       ssmlContent += this._buildGeneralSynopsisSSML(broadcast.generalSynopsis);
     }
 
-    // Build time period SSML
-    ssmlContent += this._buildTimePeriodSSML(broadcast.timePeriod);
+    // Build time period SSML (the 12:01 edition goes straight to the areas)
+    if (broadcast.timePeriod) {
+      ssmlContent += this._buildTimePeriodSSML(broadcast.timePeriod);
+    }
 
-    // Build area forecast SSML (use existing build() method for each area)
+    // Build area forecast SSML (use existing build() method for each area or group of areas)
     broadcast.areaForecasts.forEach((forecast) => {
-      const areaTemplate = this.build(forecast);
+      const areaTemplate = this._buildReport(forecast);
       // Extract just the content inside <speak><prosody>...</prosody></speak>
       const content = areaTemplate.ssml.replace(/<speak><prosody[^>]*>|<\/prosody><\/speak>/g, '');
       ssmlContent += content;
     });
 
+    // Build coastal station reports SSML (00:48 and 05:20 editions)
+    if (broadcast.coastalStations) {
+      ssmlContent += this._buildCoastalStationsSSML(broadcast.coastalStations);
+    }
+
+    // Build inshore waters SSML (late-night edition only)
+    if (broadcast.inshoreWaters) {
+      ssmlContent += this._buildInshoreWatersSSML(broadcast.inshoreWaters);
+    }
+
+    // Build closing sign-off SSML (edition broadcasts)
+    if (broadcast.signOff) {
+      ssmlContent += `<break time="1000ms"/>${this._escape(broadcast.signOff.text)}<break time="1500ms"/>`;
+    }
+
     // Wrap everything in single <speak> tag (only add prosody if rate is not 100%)
     const rate = Math.round(PROSODY_CONFIG.rates.standard * 100);
     const ssml = rate === 100
       ? `<speak>${ssmlContent}</speak>`
       : `<speak><prosody rate="${rate}%">${ssmlContent}</prosody></speak>`;
 
-    return {
+    return this.addCaptionMarks({
       ssml,
       reportId: broadcast.broadcastId,
       characterCount: ssml.length,
@@ -202,13 +247,49 @@ export class SSMLTemplateBuilder {
       metadata: {
         hasGaleWarnings: broadcast.galeWarnings !== null,
         hasGeneralSynopsis: broadcast.generalSynopsis !== null,
+        hasCoastalStations: Boolean(broadcast.coastalStations),
+        hasInshoreWaters: Boolean(broadcast.inshoreWaters),
         introductionVariant: broadcast.introduction.variantId,
         galeWarningVariant: broadcast.galeWarnings ? broadcast.galeWarnings.variantId : null,
-        timePeriodVariant: broadcast.timePeriod.variantId,
+        timePeriodVariant: broadcast.timePeriod ? broadcast.timePeriod.variantId : null,
+        edition: broadcast.edition || null,
+        hasSailingBy: Boolean(broadcast.sailingBy),
         galeCount: broadcast.galeWarnings ? broadcast.galeWarnings.affectedAreas?.length : 0,
-        areaCount: broadcast.areaForecasts.length
+        areaCount: broadcast.areaForecasts.reduce(
+          (count, forecast) => count + (forecast.areas ? forecast.areas.length : 1),
+          0
+        ),
+        forecastCount: broadcast.areaForecasts.length
       }
-    };
+    });
+  }
+
+  /**
+   * Insert caption marks into a template, if captionMarks is set
+   *
+   * Adds a <mark> before each word or phrase and lists the caption text for
+   * each mark in template.captions, written as in the report (respelled
+   * area names are captioned with their usual spelling).
+   *
+   * @param {Object} template - SSML template ({ssml, characterCount, ...})
+   * @returns {Object} The template, with marked ssml and captions when enabled
+   */
+  addCaptionMarks(template) {
+    if (!this.captionMarks) {
+      return template;
+    }
+
+    const { ssml, captions } = insertCaptionMarks(template.ssml, this.captionMarks);
+    const respellings = Object.values(PROSODY_CONFIG.pronunciations || {})
+      .filter((pronunciation) => pronunciation.respelling);
+
+    for (const caption of captions) {
+      for (const pronunciation of respellings) {
+        caption.text = caption.text.replace(pronunciation.respelling, pronunciation.word);
+      }
+    }
+
+    return { ...template, ssml, characterCount: ssml.length, captions };
   }
 
   /**
@@ -233,20 +314,29 @@ export class SSMLTemplateBuilder {
   /**
    * Build gale warnings SSML segment
    *
-   * Wraps gale warnings text with prosody and adds 1000ms break.
+   * Reads the affected areas, then each bulletin with its issue time, number
+   * and timing, with a 600ms break between bulletins and 1000ms after the last.
+   * Segments without bulletins (saved before they were issued) read their text.
    * Implements FR-008 through FR-015.
    *
    * @param {Object} galeWarnings - Gale warnings segment from broadcast-generator
+   * @param {string} [galeWarnings.summary] - Affected areas list
+   * @param {Array<{text: string}>} [galeWarnings.bulletins] - Numbered bulletins
    * @param {string} galeWarnings.text - Complete gale warnings text
    *
    * @returns {string} SSML for gale warnings segment
    * @private
    */
   _buildGaleWarningsSSML(galeWarnings) {
-    const text = this._escape(galeWarnings.text);
     const breakDuration = '1000ms'; // FR-023: 1000ms after gale warnings
+    const bulletins = galeWarnings.bulletins || [];
 
-    return `${text}<break time="${breakDuration}"/>`;
+    if (!galeWarnings.summary || bulletins.length === 0) {
+      return `${this._escape(galeWarnings.text)}<break time="${breakDuration}"/>`;
+    }
+
+    const parts = [`${galeWarnings.summary}.`, ...bulletins.map((bulletin) => bulletin.text)];
+    return parts.map((part) => this._escape(part)).join('<break time="600ms"/>') + `<break time="${breakDuration}"/>`;
   }
 
   /**
@@ -287,6 +377,74 @@ export class SSMLTemplateBuilder {
     return `${text}<break time="${breakDuration}"/>`;
   }
 
+  /**
+   * Build coastal station reports SSML segment
+   *
+   * Introduction line followed by each station: name, then its report
+   * ("Westerly 6, rain, 8 miles, nine-nine-eight, falling slowly"), 800ms between stations.
+   *
+   * @param {Object} coastalStations - Coastal stations segment from broadcast-generator
+   * @param {string} coastalStations.introduction - Introduction line
+   * @param {Array} coastalStations.stations - Station reports (name and report)
+   *
+   * @returns {string} SSML for coastal station reports
+   * @private
+   */
+  _buildCoastalStationsSSML(coastalStations) {
+    const introduction = `${this._escape(coastalStations.introduction)}<break time="1200ms"/>`;
+    const stations = coastalStations.stations
+      .map((station) =>
+        `${this._escape(station.name)}<break time="${PROSODY_CONFIG.breaks.afterAreaName}"/>` +
+        `${this._escape(station.report)}.<break time="800ms"/>`
+      )
+      .join('');
+
+    return `${introduction}${stations}<break time="400ms"/>`;
+  }
+
+  /**
+   * Build inshore waters SSML segment
+   *
+   * Introduction line followed by each coastal section, 1200ms after the
+   * introduction and 1000ms between sections.
+   *
+   * @param {Object} inshoreWaters - Inshore waters segment from broadcast-generator
+   * @param {string} inshoreWaters.introduction - Introduction line
+   * @param {Array} inshoreWaters.sections - Section forecasts
+   *
+   * @returns {string} SSML for inshore waters segment
+   * @private
+   */
+  _buildInshoreWatersSSML(inshoreWaters) {
+    const introduction = `${this._escape(inshoreWaters.introduction)}<break time="1200ms"/>`;
+    const sections = inshoreWaters.sections
+      .map((section) => this._buildInshoreSectionSSML(section))
+      .join('');
+
+    return `${introduction}${sections}`;
+  }
+
+  /**
+   * Build SSML for one inshore waters section
+   *
+   * Format: {Section}. 12 hour forecast: {Wind}. {Sea state}. {Weather}. {Visibility}. 24 hour outlook: ...
+   *
+   * @param {Object} section - Section forecast from InshoreWatersGenerator
+   * @param {string} section.name - Section name
+   * @param {Array} section.periods - Forecast periods (label and text)
+   *
+   * @returns {string} SSML for the section
+   * @private
+   */
+  _buildInshoreSectionSSML(section) {
+    const name = `${this._escape(section.name)}<break time="${PROSODY_CONFIG.breaks.afterAreaName}"/>`;
+    const periods = section.periods
+      .map((period) => `${this._escape(period.label)}:<break time="400ms"/>${this._escape(period.text)}<break time="600ms"/>`)
+      .join('');
+
+    return `${name}${periods}<break time="1000ms"/>`;
+  }
+
   /**
    * Build SSML for wind information (UPDATED for EBNF Beaufort scale text)
    *
@@ -371,6 +529,26 @@ export class SSMLTemplateBuilder {
     return `${text}<break time="${breakDuration}"/>`;
   }
 
+  /**
+   * Build SSML for sea state
+   *
+   * Format: state [" or " state | ", becoming " state [" later"]] [", occasionally " state]
+   * (e.g., "Moderate or rough, occasionally very rough")
+   *
+   * @private
+   * @param {Object|string} seaState - Sea state from generator (or plain text)
+   *
+   * @returns {string} SSML markup for sea state
+   */
+  _buildSeaStateSSML(seaState) {
+    const text = typeof seaState === 'string' ? seaState : seaState.text;
+    if (!text) {
+      return '';
+    }
+
+    return `${this._escape(text)}<break time="${PROSODY_CONFIG.breaks.afterSeaState}"/>`;
+  }
+
   /**
    * Build SSML for icing conditions (NEW EBNF feature)
    *
@@ -0,0 +1,223 @@
+/**
+ * Subtitle export
+ *
+ * Builds WebVTT and SRT subtitle tracks for a synthesized broadcast. Each
+ * spoken segment starts where the previous one ended (cumulative
+ * GeneratedAudio durations), and within a segment words are placed at their
+ * TTS timepoints when the synthesizer returned captions, or spread across the
+ * segment by character count when it did not. Words are then grouped into
+ * cues of at most two subtitle lines, ending at a phrase where possible.
+ */
+
+export const SUBTITLE_FORMATS = ['vtt', 'srt'];
+
+// Subtitle line length, and the length after which a cue ends at the next phrase
+const MAX_LINE_LENGTH = 42;
+const MIN_CUE_LENGTH = 24;
+
+const PHRASE_END = /[.,;:!?]$/;
+
+/**
+ * Build subtitle cues for a sequence of spoken segments
+ *
+ * @param {Array<Object>} segments - Segments in playback order
+ * @param {string} segments[].label - Segment or area label
+ * @param {string} segments[].text - Text spoken
+ * @param {number} segments[].duration - Audio duration in seconds (GeneratedAudio.duration)
+ * @param {Array<{text: string, time: number}>} [segments[].captions] - Timed captions from SSMLSynthesizer
+ * @param {Object} [options] - Cue options
+ * @param {boolean} [options.wordTiming=true] - Use caption timepoints where segments have them
+ * @param {number} [options.gap=0] - Silence between segments, in seconds
+ * @returns {Array<{start: number, end: number, text: string, label: string}>} Cues, times in seconds
+ */
+export function buildSubtitleCues(segments, options = {}) {
+  const wordTiming = options.wordTiming !== false;
+  const gap = options.gap || 0;
+  const cues = [];
+  let offset = 0;
+
+  for (const segment of segments) {
+    const duration = Math.max(0, segment.duration || 0);
+    const words = wordTiming && segment.captions && segment.captions.length > 0
+      ? segment.captions.map((caption) => ({ text: caption.text, time: Math.min(caption.time, duration) }))
+      : spreadWords(segment.text || '', duration);
+
+    const groups = groupWords(words);
+    groups.forEach((group, index) => {
+      const next = groups[index + 1];
+      cues.push({
+        start: offset + group[0].time,
+        end: offset + (next ? next[0].time : duration),
+        text: group.map((word) => word.text).join(' '),
+        label: segment.label,
+      });
+    });
+
+    offset += duration + gap;
+  }
+
+  return cues.filter((cue) => cue.end > cue.start && cue.text !== '');
+}
+
+/**
+ * A spoken segment as heard when playback joined it partway through
+ *
+ * Its duration is what was left after startAt, and its captions are shifted to
+ * start there: the word being read at startAt opens the segment, and words
+ * already read are dropped.
+ * @param {Object} segment - Segment as for buildSubtitleCues, as synthesized
+ * @param {number} startAt - Seconds into the segment's audio playback started from
+ * @returns {Object} The segment as heard
+ */
+export function segmentFrom(segment, startAt) {
+  if (!(startAt > 0)) {
+    return segment;
+  }
+  const captions = segment.captions || [];
+  const reading = captions.filter((caption) => caption.time <= startAt).length - 1;
+  return {
+    ...segment,
+    duration: Math.max(0, (segment.duration || 0) - startAt),
+    captions: captions.slice(Math.max(0, reading)).map((caption) => ({
+      ...caption,
+      time: Math.max(0, caption.time - startAt),
+    })),
+  };
+}
+
+/**
+ * Render a subtitle track in one of SUBTITLE_FORMATS
+ * @param {Array<Object>} segments - Segments in playback order (see buildSubtitleCues)
+ * @param {string} [format='vtt'] - 'vtt' or 'srt'
+ * @param {Object} [options] - Cue options (see buildSubtitleCues), plus title for WebVTT
+ * @returns {string} Subtitle file contents
+ * @throws {Error} If the format is unknown
+ */
+export function exportSubtitles(segments, format = 'vtt', options = {}) {
+  switch (format) {
+    case 'vtt':
+      return renderWebVTT(buildSubtitleCues(segments, options), options);
+    case 'srt':
+      return renderSRT(buildSubtitleCues(segments, options));
+    default:
+      throw new Error(`Unknown subtitle format: ${format}`);
+  }
+}
+
+/**
+ * Render cues as WebVTT
+ * @param {Array<{start: number, end: number, text: string}>} cues - From buildSubtitleCues()
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.title] - Text after the WEBVTT signature
+ * @returns {string} WebVTT file contents
+ */
+export function renderWebVTT(cues, options = {}) {
+  const header = options.title ? `WEBVTT - ${options.title}` : 'WEBVTT';
+  const blocks = cues.map((cue, index) => [
+    String(index + 1),
+    `${formatSubtitleTime(cue.start, '.')} --> ${formatSubtitleTime(cue.end, '.')}`,
+    // "-->" may not appear in WebVTT cue text
+    wrapCueText(cue.text.replace(/-->/g, '->')),
+  ].join('\n'));
+
+  return [header, ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Render cues as SubRip (SRT)
+ * @param {Array<{start: number, end: number, text: string}>} cues - From buildSubtitleCues()
+ * @returns {string} SRT file contents
+ */
+export function renderSRT(cues) {
+  return cues.map((cue, index) => [
+    String(index + 1),
+    `${formatSubtitleTime(cue.start, ',')} --> ${formatSubtitleTime(cue.end, ',')}`,
+    wrapCueText(cue.text),
+  ].join('\n') + '\n').join('\n');
+}
+
+/**
+ * Format a time as a subtitle timestamp (hh:mm:ss.mmm)
+ * @param {number} seconds - Time in seconds
+ * @param {string} [separator='.'] - Before the milliseconds: '.' for WebVTT, ',' for SRT
+ * @returns {string} Timestamp
+ */
+export function formatSubtitleTime(seconds, separator = '.') {
+  const totalMs = Math.round(Math.max(0, seconds) * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Place the words of untimed text across a segment in proportion to their position
+ * @private
+ */
+function spreadWords(text, duration) {
+  const length = text.length || 1;
+  const words = [];
+  const pattern = /\S+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({ text: match[0], time: (match.index / length) * duration });
+  }
+  return words;
+}
+
+/**
+ * Group timed words into cues of at most two lines, ending at a phrase once
+ * a cue is long enough to read
+ * @private
+ */
+function groupWords(words) {
+  const groups = [];
+  let group = [];
+  let length = 0;
+
+  for (const word of words) {
+    if (group.length > 0 && length + 1 + word.text.length > MAX_LINE_LENGTH * 2) {
+      groups.push(group);
+      group = [];
+      length = 0;
+    }
+
+    group.push(word);
+    length += (length > 0 ? 1 : 0) + word.text.length;
+
+    if (length >= MIN_CUE_LENGTH && PHRASE_END.test(word.text)) {
+      groups.push(group);
+      group = [];
+      length = 0;
+    }
+  }
+
+  if (group.length > 0) {
+    groups.push(group);
+  }
+  return groups;
+}
+
+/**
+ * Break cue text longer than a line at the space nearest its middle
+ * @private
+ */
+function wrapCueText(text) {
+  if (text.length <= MAX_LINE_LENGTH) {
+    return text;
+  }
+
+  const middle = text.length / 2;
+  let best = -1;
+  for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+    if (best === -1 || Math.abs(i - middle) < Math.abs(best - middle)) {
+      best = i;
+    }
+  }
+
+  return best === -1 ? text : `${text.slice(0, best)}\n${text.slice(best + 1)}`;
+}
@@ -81,6 +81,17 @@ export class SpeechSynthesizer {
     await longPause();
   }
 
+  /**
+   * Speak text as it stands, without the report pauses
+   * @param {string} text - Text to speak
+   * @param {Object} options - Speech options (rate, pitch, volume; default 1.0)
+   * @returns {Promise<void>} Resolves when speech completes
+   */
+  speak(text, options = {}) {
+    const { rate = 1.0, pitch = 1.0, volume = 1.0 } = options;
+    return this._speakText(text, { rate, pitch, volume });
+  }
+
   /**
    * Speak a single text string
    * @private
@@ -122,7 +133,7 @@ export class SpeechSynthesizer {
    * Stop current speech
    */
   stopSpeaking() {
-    if (this.synth.speaking) {
+    if (this.synth && this.synth.speaking) {
       this.synth.cancel();
     }
     this.currentUtterance = null;
@@ -0,0 +1,277 @@
+/**
+ * TTS Provider Registry
+ *
+ * Names every TTS adapter the synthesizer can use and builds the adapter for
+ * a configured provider order: a single provider on its own, or several
+ * wrapped in a FallbackTTSAdapter that tries each in turn. New providers are
+ * added with ttsProviders.register().
+ *
+ * Built-in providers:
+ *   google  Google Cloud TTS through the backend proxy (the default)
+ *   polly   Amazon Polly (AWS credentials, or a signing proxy)
+ *   azure   Azure AI Speech (resource key, or a proxy)
+ *   local   eSpeak NG on this machine (Node only)
+ *   piper   Piper on this machine (Node only)
+ *   mock    Silent placeholder audio, no requests
+ *
+ * Usage:
+ *   const adapter = ttsProviders.createAdapter(['google', 'polly', 'local'], { polly: { region: 'eu-west-2' } });
+ *   const synthesizer = new SSMLSynthesizer({ ttsAdapter: adapter });
+ */
+
+import { TTSAdapter, GoogleCloudTTSAdapter, MockTTSAdapter } from './tts-service-adapter.js';
+import { PollyTTSAdapter } from './polly-tts-adapter.js';
+import { AzureTTSAdapter } from './azure-tts-adapter.js';
+import { LocalTTSAdapter } from './local-tts-adapter.js';
+
+// Provider order when none is configured
+export const DEFAULT_TTS_PROVIDERS = ['google'];
+
+// How long a failed provider is passed over before it is tried again
+const FAILURE_COOLDOWN = 60000;
+
+/**
+ * Registry of TTS providers by name
+ */
+export class TTSProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Add (or replace) a provider
+   * @param {string} name - Provider name, as used in provider orders
+   * @param {Function} create - Returns a new adapter for a config object
+   * @param {Object} [info] - About the provider
+   * @param {string} [info.description] - One line for help text
+   * @param {boolean} [info.mp3=false] - Whether it can return MP3 (for the MP3 stream)
+   */
+  register(name, create, info = {}) {
+    this.providers.set(name, { name, create, description: info.description || name, mp3: info.mp3 || false });
+  }
+
+  /**
+   * Look up a provider
+   * @param {string} name - Provider name
+   * @returns {{name: string, create: Function, description: string, mp3: boolean}}
+   * @throws {Error} If no provider has that name
+   */
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown TTS provider: ${name} (available: ${this.names().join(', ')})`);
+    }
+    return provider;
+  }
+
+  /**
+   * Registered provider names
+   * @returns {Array<string>}
+   */
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Create one provider's adapter
+   * @param {string} name - Provider name
+   * @param {Object} [config] - Adapter configuration
+   * @returns {TTSAdapter}
+   * @throws {Error} If no provider has that name
+   */
+  create(name, config = {}) {
+    return this.get(name).create(config);
+  }
+
+  /**
+   * Create the adapter for a provider order
+   *
+   * @param {Array<string>|string} [order=DEFAULT_TTS_PROVIDERS] - Provider names in fallback order
+   *   (an array, or a comma-separated list such as 'google,polly,local')
+   * @param {Object} [configs] - Configuration: `shared` goes to every provider, and each
+   *   provider's own entry (e.g. `polly: {region}`) is merged over it
+   * @returns {TTSAdapter} The provider's adapter, or a FallbackTTSAdapter over several
+   * @throws {Error} If the order is empty or names an unknown provider
+   */
+  createAdapter(order = DEFAULT_TTS_PROVIDERS, configs = {}) {
+    const names = parseProviderOrder(order);
+    if (names.length === 0) {
+      throw new Error('No TTS providers configured');
+    }
+
+    const adapters = names.map((name) => ({ name, adapter: this.create(name, { ...configs.shared, ...configs[name] }) }));
+    return adapters.length === 1 ? adapters[0].adapter : new FallbackTTSAdapter(adapters);
+  }
+}
+
+/**
+ * FallbackTTSAdapter
+ *
+ * Tries providers in order until one synthesizes the template. A provider
+ * that fails is passed over for a minute (while others remain), so a broken
+ * service costs one timeout rather than one per segment.
+ *
+ * @class
+ */
+export class FallbackTTSAdapter extends TTSAdapter {
+  /**
+   * @param {Array<{name: string, adapter: TTSAdapter}>} providers - Providers in fallback order
+   * @param {Object} [config] - Configuration object
+   * @param {number} [config.cooldown=60000] - Milliseconds a failed provider is passed over
+   * @param {Function} [config.now] - Clock returning milliseconds (for tests)
+   */
+  constructor(providers, config = {}) {
+    super(config);
+    this.providers = providers.map((provider) => ({ ...provider, failedAt: null }));
+    this.cooldown = config.cooldown ?? FAILURE_COOLDOWN;
+    this.now = config.now || (() => Date.now());
+  }
+
+  /**
+   * Synthesize with the first provider that succeeds
+   *
+   * @async
+   * @param {Object} ssmlTemplate - SSML template from SSMLTemplateBuilder
+   * @returns {Promise<Object>} GeneratedAudio, with `provider` naming the provider that made it
+   *   and `voice` its voice name
+   * @throws {Error} If every provider fails (the last provider's error, listing all failures)
+   */
+  async synthesize(ssmlTemplate) {
+    const startTime = Date.now();
+    const failures = [];
+
+    for (const provider of this._candidates()) {
+      try {
+        const generatedAudio = await provider.adapter.synthesize(ssmlTemplate);
+        provider.failedAt = null;
+        this._recordSuccess(ssmlTemplate, startTime);
+        return { ...generatedAudio, provider: provider.name, voice: provider.adapter.getVoiceName(ssmlTemplate) };
+      } catch (error) {
+        provider.failedAt = this.now();
+        failures.push(`${provider.name}: ${error.message}`);
+        console.warn(`[TTS] ${provider.name} failed for ${ssmlTemplate.areaName || ssmlTemplate.reportId}, trying the next provider:`, error.message);
+      }
+    }
+
+    this._recordFailure();
+    throw new Error(`All TTS providers failed (${failures.join('; ')})`);
+  }
+
+  /**
+   * Validate SSML with the first provider
+   *
+   * @async
+   * @param {string} ssml - SSML markup
+   * @returns {Promise<boolean>}
+   */
+  async validateSSML(ssml) {
+    return this.providers[0].adapter.validateSSML(ssml);
+  }
+
+  /**
+   * Voice of the first provider, the one used whenever it works
+   *
+   * @param {Object} [ssmlTemplate] - Template, with the `voice` cast to read it
+   * @returns {string|null}
+   */
+  getVoiceName(ssmlTemplate = null) {
+    return this.providers[0].adapter.getVoiceName(ssmlTemplate);
+  }
+
+  /**
+   * Usage across the chain, with each provider's own statistics
+   *
+   * @returns {Object} UsageStats plus `providers`: provider name → UsageStats
+   */
+  getUsageStats() {
+    const providers = Object.fromEntries(this.providers.map(({ name, adapter }) => [name, adapter.getUsageStats()]));
+    const estimatedCost = Object.values(providers).reduce((total, stats) => total + (stats.estimatedCost || 0), 0);
+    return { ...this.stats, estimatedCost, providers };
+  }
+
+  /**
+   * Providers to try, in order: those not recently failed first, then the
+   * recently failed, so that something is always tried
+   * @private
+   */
+  _candidates() {
+    const now = this.now();
+    const cooling = (provider) => provider.failedAt !== null && now - provider.failedAt < this.cooldown;
+    return [...this.providers.filter((provider) => !cooling(provider)), ...this.providers.filter(cooling)];
+  }
+}
+
+/**
+ * Provider names from an order given as an array or a comma-separated list
+ * @param {Array<string>|string} order - e.g. ['google', 'local'] or 'google,local'
+ * @returns {Array<string>}
+ */
+export function parseProviderOrder(order) {
+  const names = Array.isArray(order) ? order : String(order).split(',');
+  return names.map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Provider configuration from environment variables, for the Node scripts
+ *
+ *   AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN, POLLY_VOICE
+ *   AZURE_SPEECH_REGION, AZURE_SPEECH_KEY, AZURE_SPEECH_VOICE
+ *   PIPER_MODEL
+ *
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} Configs for createAdapter()
+ */
+export function providerConfigFromEnv(env) {
+  return {
+    polly: setOnly({
+      region: env.AWS_REGION,
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: env.AWS_SESSION_TOKEN,
+      voice: env.POLLY_VOICE ? { name: env.POLLY_VOICE } : undefined
+    }),
+    azure: setOnly({
+      region: env.AZURE_SPEECH_REGION,
+      key: env.AZURE_SPEECH_KEY,
+      voice: env.AZURE_SPEECH_VOICE ? { name: env.AZURE_SPEECH_VOICE } : undefined
+    }),
+    piper: setOnly({
+      model: env.PIPER_MODEL
+    })
+  };
+}
+
+/**
+ * A config without its unset entries, so that they don't override `shared` in createAdapter()
+ * @param {Object} config
+ * @returns {Object}
+ * @private
+ */
+function setOnly(config) {
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
+
+// Export singleton instance, with the built-in providers
+export const ttsProviders = new TTSProviderRegistry();
+
+ttsProviders.register('google', (config) => new GoogleCloudTTSAdapter(config), {
+  description: 'Google Cloud TTS via the backend proxy',
+  mp3: true
+});
+ttsProviders.register('polly', (config) => new PollyTTSAdapter(config), {
+  description: 'Amazon Polly (AWS credentials)',
+  mp3: true
+});
+ttsProviders.register('azure', (config) => new AzureTTSAdapter(config), {
+  description: 'Azure AI Speech (resource key)',
+  mp3: true
+});
+ttsProviders.register('local', (config) => new LocalTTSAdapter(config), {
+  description: 'eSpeak NG on this machine'
+});
+ttsProviders.register('piper', (config) => new LocalTTSAdapter({ ...config, engine: 'piper' }), {
+  description: 'Piper on this machine'
+});
+ttsProviders.register('mock', (config) => new MockTTSAdapter(config), {
+  description: 'Silent placeholder audio, no requests'
+});
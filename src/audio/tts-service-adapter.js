@@ -5,12 +5,212 @@
  * providing a unified interface for SSML synthesis with error handling,
  * retry logic, and usage statistics tracking.
  *
+ * TTSAdapter is the common interface (see
+ * specs/002-natural-speech-generation/contracts/tts-service.interface.md);
+ * other providers live in their own modules and are chosen through the
+ * provider registry (tts-providers.js).
+ *
  * Phase 2: T008 - Skeleton Implementation
  */
 
 // API key now securely managed by backend Worker proxy
 // import { TTS_API_KEY } from '../config.js';  // REMOVED - No longer needed
 
+// MIME types for the contract's audio encodings
+export const AUDIO_MIME_TYPES = {
+  MP3: 'audio/mpeg',
+  WAV: 'audio/wav',
+  OGG: 'audio/ogg'
+};
+
+// Google Cloud names for the contract's audio encodings
+const GOOGLE_ENCODINGS = {
+  WAV: 'LINEAR16', // 16-bit PCM with a WAV header
+  OGG: 'OGG_OPUS'
+};
+
+/**
+ * TTSAdapter
+ *
+ * Base class for TTS service adapters: synthesize(ssmlTemplate) resolves to
+ * GeneratedAudio, validateSSML(ssml) checks markup, getUsageStats() reports
+ * usage. Subclasses implement synthesize(); the base class keeps the usage
+ * statistics and makes HTTP requests with a timeout and retries.
+ *
+ * @class
+ */
+export class TTSAdapter {
+  /**
+   * @param {Object} [config] - Configuration object
+   * @param {number} [config.timeout=5000] - Request timeout in milliseconds
+   * @param {number} [config.retryAttempts=3] - Attempts per request
+   * @param {number} [config.retryDelay=100] - Base delay between retries in ms (doubled each attempt)
+   * @param {boolean} [config.enableMetrics=true] - Track usage statistics
+   * @param {boolean} [config.logRequests=false] - Log each synthesis
+   */
+  constructor(config = {}) {
+    this.timeout = config.timeout || 5000;
+    this.retryAttempts = config.retryAttempts || 3;
+    this.retryDelay = config.retryDelay || 100;
+    this.enableMetrics = config.enableMetrics !== false;
+    this.logRequests = config.logRequests || false;
+    this.voiceKey = null; // This provider's key in voice-casting.js voices, for subclasses that cast voices
+    this.stats = {
+      requestCount: 0,
+      successCount: 0,
+      failureCount: 0,
+      characterCount: 0,
+      estimatedCost: 0,
+      lastRequestAt: null,
+      averageLatency: 0
+    };
+  }
+
+  /**
+   * Synthesize SSML template into audio
+   *
+   * @async
+   * @param {Object} _ssmlTemplate - SSML template from SSMLTemplateBuilder
+   * @returns {Promise<Object>} GeneratedAudio (see GoogleCloudTTSAdapter.synthesize)
+   * @throws {Error} Always: subclasses implement synthesis
+   */
+  async synthesize(_ssmlTemplate) {
+    throw new Error(`${this.constructor.name} does not implement synthesize()`);
+  }
+
+  /**
+   * Validate SSML structure before synthesis
+   *
+   * @async
+   * @param {string} ssml - SSML markup
+   * @returns {Promise<boolean>} Whether the markup is a <speak> document
+   */
+  async validateSSML(ssml) {
+    return /^<speak>[\s\S]*<\/speak>$/.test(ssml.trim());
+  }
+
+  /**
+   * Get usage statistics
+   *
+   * @returns {Object} UsageStats (requestCount, successCount, failureCount,
+   *   characterCount, estimatedCost, lastRequestAt, averageLatency)
+   */
+  getUsageStats() {
+    return this.stats;
+  }
+
+  /**
+   * Name of the voice this adapter speaks a template with, to tell audio from
+   * different voices apart (e.g. audio library clip hashes)
+   *
+   * @param {Object} [ssmlTemplate] - Template, with the `voice` cast to read it (see voice-casting.js)
+   * @returns {string|null} The voice's name, or null if there is none
+   */
+  getVoiceName(ssmlTemplate = null) {
+    const voice = this._voiceFor(ssmlTemplate);
+    return (voice && voice.name) || null;
+  }
+
+  /**
+   * Voice to speak a template with: the configured voice, renamed to this
+   * provider's name for the voice cast in the template (or with the cast
+   * voice's settings, where it has more than a name), if there is one
+   * @private
+   * @param {Object|null} ssmlTemplate - Template, optionally with a cast `voice`
+   * @returns {Object|undefined} Voice settings
+   */
+  _voiceFor(ssmlTemplate) {
+    const cast = ssmlTemplate && ssmlTemplate.voice && this.voiceKey && ssmlTemplate.voice[this.voiceKey];
+    if (!cast) {
+      return this.voice;
+    }
+    return typeof cast === 'string' ? { ...this.voice, name: cast } : { ...this.voice, ...cast };
+  }
+
+  /**
+   * Count a successful synthesis
+   * @private
+   * @param {Object} ssmlTemplate - Template synthesized
+   * @param {number} startTime - When the synthesis started (Date.now())
+   * @param {number} [costPerMillion=0] - Provider price in USD per million characters
+   */
+  _recordSuccess(ssmlTemplate, startTime, costPerMillion = 0) {
+    if (!this.enableMetrics) {
+      return;
+    }
+
+    const characters = ssmlTemplate.characterCount || 0;
+    this.stats.requestCount++;
+    this.stats.successCount++;
+    this.stats.characterCount += characters;
+    this.stats.estimatedCost += (characters / 1000000) * costPerMillion;
+    this.stats.lastRequestAt = new Date();
+    this.stats.averageLatency =
+      (this.stats.averageLatency * (this.stats.requestCount - 1) + (Date.now() - startTime)) /
+      this.stats.requestCount;
+  }
+
+  /**
+   * Count a failed synthesis
+   * @private
+   */
+  _recordFailure() {
+    if (this.enableMetrics) {
+      this.stats.requestCount++;
+      this.stats.failureCount++;
+      this.stats.lastRequestAt = new Date();
+    }
+  }
+
+  /**
+   * Make an HTTP request, retrying on timeouts, 429 and 5xx with exponential backoff
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object|Function} init - fetch() options, or a function returning them
+   *   for each attempt (e.g. to sign the request afresh)
+   * @param {number} [attempt=1] - Current attempt number
+   * @returns {Promise<Response>} Successful response
+   * @throws {Error} On a non-retryable status, or once the attempts run out
+   */
+  async _fetchWithRetry(url, init, attempt = 1) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const name = this.constructor.name;
+    const retry = async (reason) => {
+      const backoffDelay = this.retryDelay * Math.pow(2, attempt - 1);
+      console.warn(`[TTS] ${name} ${reason}, retrying in ${backoffDelay}ms (attempt ${attempt}/${this.retryAttempts})`);
+      await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+      return this._fetchWithRetry(url, init, attempt + 1);
+    };
+
+    let response;
+    try {
+      const options = typeof init === 'function' ? await init() : init;
+      response = await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        throw error;
+      }
+      if (attempt < this.retryAttempts) {
+        return retry('timeout');
+      }
+      throw new Error(`${name} timeout after ${this.retryAttempts} attempts`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      if ((response.status === 429 || response.status >= 500) && attempt < this.retryAttempts) {
+        return retry(`API error ${response.status}`);
+      }
+      const message = (await response.text().catch(() => '')) || response.statusText;
+      throw new Error(`${name} API error ${response.status}: ${message.slice(0, 200)}`);
+    }
+
+    return response;
+  }
+}
+
 /**
  * GoogleCloudTTSAdapter
  *
@@ -20,7 +220,7 @@
  *
  * @class
  */
-export class GoogleCloudTTSAdapter {
+export class GoogleCloudTTSAdapter extends TTSAdapter {
   /**
    * Constructor
    *
@@ -34,12 +234,14 @@ export class GoogleCloudTTSAdapter {
    * @param {number} config.retryDelay - Base delay between retries in ms (default: 100)
    * @param {Object} config.voice - Voice configuration
    * @param {string} config.voice.languageCode - Language code (default: "en-GB")
-   * @param {string} config.voice.name - Voice name (default: "en-GB-Neural2-B")
+   * @param {string} config.voice.name - Voice name (default: "en-GB-Neural2-B"); segments cast
+   *   a voice in voice-casting.js are read in that voice instead
    * @param {Object} config.audioConfig - Audio configuration
-   * @param {string} config.audioConfig.encoding - Audio encoding (default: "MP3")
+   * @param {string} config.audioConfig.encoding - Audio encoding: "MP3", "WAV" or "OGG" (default: "MP3")
    * @param {number} config.audioConfig.sampleRate - Sample rate Hz (default: 24000)
    * @param {boolean} config.enableMetrics - Enable usage metrics (default: true)
    * @param {boolean} config.logRequests - Log API requests (default: false)
+   * @param {boolean} config.enableTimepoints - Request timepoints for SSML <mark> tags (default: true)
    *
    * TODO: Implement configuration validation in Phase 3
    * TODO: Initialize HTTP client with proper headers
@@ -50,31 +252,20 @@ export class GoogleCloudTTSAdapter {
     // TODO: Store configuration with defaults
     // TODO: Initialize stats tracking object
     // TODO: Setup retry policy with exponential backoff
+    super(config);
 
     // API key removed - now handled by backend Worker proxy
     this.apiKey = null;  // No longer needed in frontend
-    this.timeout = config.timeout || 5000;
-    this.retryAttempts = config.retryAttempts || 3;
-    this.retryDelay = config.retryDelay || 100;
     this.voice = config.voice || {
       languageCode: 'en-GB',
-      name: 'en-GB-Neural2-D'
+      name: 'en-GB-Neural2-B'
     };
+    this.voiceKey = 'google';
     this.audioConfig = config.audioConfig || {
       encoding: 'MP3',
       sampleRate: 24000
     };
-    this.stats = {
-      requestCount: 0,
-      successCount: 0,
-      failureCount: 0,
-      characterCount: 0,
-      estimatedCost: 0,
-      lastRequestAt: null,
-      averageLatency: 0
-    };
-    this.enableMetrics = config.enableMetrics !== false;
-    this.logRequests = config.logRequests || false;
+    this.enableTimepoints = config.enableTimepoints !== false;
 
     // Initialize persistent AudioContext for decoding (browser only)
     this.audioContext = null;
@@ -97,6 +288,7 @@ export class GoogleCloudTTSAdapter {
    * @param {string} ssmlTemplate.areaName - Area name for logging
    * @param {boolean} ssmlTemplate.isPhantom - Phantom area flag
    * @param {number} ssmlTemplate.characterCount - Character count for billing
+   * @param {Object} [ssmlTemplate.voice] - Voice cast to read it (see voice-casting.js)
    *
    * @returns {Promise<Object>} GeneratedAudio object with structure:
    *   {
@@ -111,6 +303,7 @@ export class GoogleCloudTTSAdapter {
    *     fileSize: number - File size in bytes
    *     synthesizedAt: Date - Timestamp
    *     cachedAt: Date|null - Cache timestamp if cached
+   *     timepoints: Array - When each <mark> was reached ({markName, timeSeconds}), empty without marks
    *   }
    *
    * @throws {ValidationError} Invalid SSML structure
@@ -138,7 +331,7 @@ export class GoogleCloudTTSAdapter {
 
     try {
       // Call Google Cloud TTS API with retry logic
-      const response = await this._callAPI(ssmlTemplate.ssml);
+      const response = await this._callAPI(ssmlTemplate.ssml, 1, this._voiceFor(ssmlTemplate));
 
       // Extract audio content
       const base64Audio = response.audioContent;
@@ -165,14 +358,14 @@ export class GoogleCloudTTSAdapter {
         } catch (decodeError) {
           console.error('[TTS] Audio decoding failed:', decodeError);
           // Fallback to blob-only
-          audioBlob = await this._base64ToBlob(base64Audio, 'audio/mpeg');
+          audioBlob = await this._base64ToBlob(base64Audio, this._mimeType());
           audioBuffer = null;
           duration = 0;
           sampleRate = this.audioConfig.sampleRate;
         }
       } else {
         // Node.js context - Blob only
-        audioBlob = await this._base64ToBlob(base64Audio, 'audio/mpeg');
+        audioBlob = await this._base64ToBlob(base64Audio, this._mimeType());
         audioBuffer = null;
         duration = 0;
         sampleRate = this.audioConfig.sampleRate;
@@ -209,7 +402,8 @@ export class GoogleCloudTTSAdapter {
         sampleRate,
         fileSize: audioBlob.size,
         synthesizedAt: new Date(),
-        cachedAt: null
+        cachedAt: null,
+        timepoints: response.timepoints || []
       };
     } catch (error) {
       if (this.enableMetrics) {
@@ -229,6 +423,7 @@ export class GoogleCloudTTSAdapter {
    * @async
    * @param {string} ssml - SSML markup to synthesize
    * @param {number} attempt - Current attempt number (default: 1)
+   * @param {Object} voice - Voice settings {languageCode, name} (default: the configured voice)
    *
    * @returns {Promise<Object>} API response:
    *   {
@@ -250,7 +445,7 @@ export class GoogleCloudTTSAdapter {
    *
    * T026: Implementation with retry logic
    */
-  async _callAPI(ssml, attempt = 1) {
+  async _callAPI(ssml, attempt = 1, voice = this.voice) {
     // Route through backend Worker proxy for secure API key management
     const endpoint = 'https://infinite-shipper-tts-proxy.dudekiller.workers.dev/synthesize';
 
@@ -260,15 +455,20 @@ export class GoogleCloudTTSAdapter {
         ssml: ssml
       },
       voice: {
-        languageCode: this.voice.languageCode,
-        name: this.voice.name
+        languageCode: voice.languageCode,
+        name: voice.name
       },
       audioConfig: {
-        audioEncoding: this.audioConfig.encoding,
+        audioEncoding: GOOGLE_ENCODINGS[this.audioConfig.encoding] || this.audioConfig.encoding,
         sampleRateHertz: this.audioConfig.sampleRate
       }
     };
 
+    // Ask when each caption <mark> is reached (the proxy switches to the v1beta1 API for this)
+    if (this.enableTimepoints && ssml.includes('<mark ')) {
+      payload.enableTimePointing = ['SSML_MARK'];
+    }
+
     // Debug logging for phoneme tag verification
     console.log('[TTS-DEBUG] SSML being sent to API:', ssml);
     if (ssml.includes('phoneme') || ssml.includes('Utsire')) {
@@ -304,7 +504,7 @@ export class GoogleCloudTTSAdapter {
             `[TTS] API error ${response.status}, retrying in ${backoffDelay}ms (attempt ${attempt}/${this.retryAttempts})`
           );
           await new Promise((resolve) => setTimeout(resolve, backoffDelay));
-          return this._callAPI(ssml, attempt + 1);
+          return this._callAPI(ssml, attempt + 1, voice);
         }
 
         // Not retryable or out of retries
@@ -328,7 +528,7 @@ export class GoogleCloudTTSAdapter {
           const backoffDelay = this.retryDelay * Math.pow(2, attempt - 1);
           console.warn(`[TTS] Timeout, retrying in ${backoffDelay}ms (attempt ${attempt}/${this.retryAttempts})`);
           await new Promise((resolve) => setTimeout(resolve, backoffDelay));
-          return this._callAPI(ssml, attempt + 1);
+          return this._callAPI(ssml, attempt + 1, voice);
         }
         throw new Error(`TTS API timeout after ${this.retryAttempts} attempts`);
       }
@@ -379,7 +579,7 @@ export class GoogleCloudTTSAdapter {
    */
   async _decodeAudio(base64Audio, audioContext) {
     // Convert base64 to Blob
-    const audioBlob = await this._base64ToBlob(base64Audio, 'audio/mpeg');
+    const audioBlob = await this._base64ToBlob(base64Audio, this._mimeType());
 
     // If AudioContext is provided, decode to AudioBuffer
     let audioBuffer = null;
@@ -409,6 +609,14 @@ export class GoogleCloudTTSAdapter {
     };
   }
 
+  /**
+   * MIME type of the audio for the configured encoding
+   * @private
+   */
+  _mimeType() {
+    return AUDIO_MIME_TYPES[this.audioConfig.encoding] || 'audio/mpeg';
+  }
+
   /**
    * Convert base64 string to Blob
    *
@@ -477,7 +685,7 @@ export class GoogleCloudTTSAdapter {
  *
  * @class
  */
-export class MockTTSAdapter {
+export class MockTTSAdapter extends TTSAdapter {
   /**
    * Constructor
    *
@@ -489,15 +697,7 @@ export class MockTTSAdapter {
    */
   constructor(config = {}) {
     // TODO: Initialize mock state
-    this.stats = {
-      requestCount: 0,
-      successCount: 0,
-      failureCount: 0,
-      characterCount: 0,
-      estimatedCost: 0,
-      lastRequestAt: null,
-      averageLatency: 0
-    };
+    super(config);
     this.shouldFail = false;
     this.delay = 0;
     this.lastRequest = null;
@@ -534,6 +734,8 @@ export class MockTTSAdapter {
     this.stats.characterCount += ssmlTemplate.characterCount || 0;
     this.stats.lastRequestAt = new Date();
 
+    const duration = 15;
+
     return {
       audioBuffer: null,
       audioBlob,
@@ -541,14 +743,37 @@ export class MockTTSAdapter {
       reportId: ssmlTemplate.reportId || '',
       areaName: ssmlTemplate.areaName || '',
       isPhantom: ssmlTemplate.isPhantom || false,
-      duration: 15,
+      duration,
       sampleRate: 24000,
       fileSize: audioBlob.size,
       synthesizedAt: new Date(),
-      cachedAt: null
+      cachedAt: null,
+      timepoints: this._mockTimepoints(ssmlTemplate.ssml || '', duration)
     };
   }
 
+  /**
+   * Voice name (the mock's placeholder voice, named for the voice cast in the template)
+   *
+   * @param {Object} [ssmlTemplate] - Template, with the `voice` cast to read it
+   * @returns {string}
+   */
+  getVoiceName(ssmlTemplate = null) {
+    return ssmlTemplate && ssmlTemplate.voice ? `mock:${ssmlTemplate.voice.id}` : 'mock';
+  }
+
+  /**
+   * Mock timepoints: the SSML's <mark> tags spread evenly over the audio
+   * @private
+   */
+  _mockTimepoints(ssml, duration) {
+    const marks = [...ssml.matchAll(/<mark name="([^"]+)"\/>/g)].map((match) => match[1]);
+    return marks.map((markName, index) => ({
+      markName,
+      timeSeconds: Math.round((index / marks.length) * duration * 1000) / 1000
+    }));
+  }
+
   /**
    * Validate SSML (mock implementation)
    *
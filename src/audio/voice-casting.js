@@ -0,0 +1,193 @@
+/**
+ * Voice Casting
+ * Which voice reads which part of a broadcast
+ *
+ * Every segment has a role: the announcer (introduction, gale warnings, time
+ * period, sign-off), the synopsis reader, the area reader (area forecasts,
+ * coastal stations, inshore waters), the phantom voice (phantom areas) and
+ * inactivity warnings. A casting assigns each role a voice, or the duty
+ * announcer: a rota of voices that takes turns, one broadcast each, as the
+ * continuity announcers do on Radio 4.
+ *
+ * Voices are named once here, with each TTS provider's name for them, so the
+ * live synthesizer, the audio library generator and every provider agree on
+ * who is speaking. Synthesized audio is cached and hashed by voice id, so
+ * audio is never replayed in a voice other than the one cast.
+ *
+ * Usage:
+ *   const voice = voiceCasting.voiceFor('synopsis', broadcast, position);
+ *   const audio = await ssmlSynthesizer.synthesizeText(text, 'General Synopsis', { voice });
+ */
+
+import { normalizeSeed } from '../utils/random.js';
+
+// Segment roles a casting assigns voices to
+export const SEGMENT_ROLES = ['announcer', 'synopsis', 'area', 'phantom', 'warning'];
+
+// Role cast as the duty announcer, who changes from broadcast to broadcast
+export const DUTY = 'duty';
+
+// British English voices, by each provider's name for them (or the provider's
+// voice settings, where the voice needs more than a name). Each provider's
+// voices are all different, so every role cast apart is heard apart. Polly has
+// only four en-GB neural voices, so the fifth is Geraint (Welsh English), who
+// speaks with the standard engine.
+export const VOICES = {
+  'male-1': { google: 'en-GB-Neural2-B', polly: 'Brian', azure: 'en-GB-RyanNeural' },
+  'male-2': { google: 'en-GB-Neural2-D', polly: 'Arthur', azure: 'en-GB-ThomasNeural' },
+  'female-1': { google: 'en-GB-Neural2-A', polly: 'Amy', azure: 'en-GB-SoniaNeural' },
+  'female-2': { google: 'en-GB-Neural2-C', polly: 'Emma', azure: 'en-GB-LibbyNeural' },
+  'female-3': { google: 'en-GB-Neural2-F', polly: { name: 'Geraint', engine: 'standard' }, azure: 'en-GB-AbbiNeural' },
+};
+
+// The duty announcer reads everything but phantoms and warnings, which keep
+// voices of their own so they always sound apart from the programme
+export const DEFAULT_VOICE_CASTING = {
+  roles: {
+    announcer: DUTY,
+    synopsis: DUTY,
+    area: DUTY,
+    phantom: 'female-2',
+    warning: 'female-3',
+  },
+  dutyRota: ['male-1', 'male-2', 'female-1'],
+};
+
+// Segment labels read by the synopsis reader and the warning voice
+const SYNOPSIS_LABELS = ['General Synopsis'];
+const WARNING_LABELS = ['InactivityWarning'];
+
+/**
+ * Role of a broadcast segment
+ *
+ * Coastal station and inshore waters sections are read by the area reader but
+ * are told apart only by where they fall in the broadcast, so they carry their
+ * role (see broadcastSegments()).
+ * @param {{label: string, report?: Object, role?: string}} segment - Segment from broadcastSegments(),
+ *   or a label and text
+ * @returns {string} One of SEGMENT_ROLES
+ */
+export function roleForSegment(segment) {
+  const { label, report, role } = segment;
+  if (role) {
+    return role;
+  }
+  if (report) {
+    const phantom = report.isPhantom || (report.area && report.area.type === 'phantom');
+    return phantom ? 'phantom' : 'area';
+  }
+  if (SYNOPSIS_LABELS.includes(label)) {
+    return 'synopsis';
+  }
+  return WARNING_LABELS.includes(label) ? 'warning' : 'announcer';
+}
+
+export class VoiceCasting {
+  /**
+   * @param {Object} [casting] - Casting (default: DEFAULT_VOICE_CASTING)
+   * @param {Object} [casting.roles] - Role → voice id, or DUTY; roles left out keep their default
+   * @param {Array<string>} [casting.dutyRota] - Voice ids taking turns as duty announcer
+   * @param {Object} [casting.voices] - Extra voices by id, each with provider names as in VOICES
+   * @throws {Error} If the casting names an unknown role or voice, or the rota is empty
+   */
+  constructor(casting = DEFAULT_VOICE_CASTING) {
+    this.configure(casting);
+  }
+
+  /**
+   * Replace the casting
+   * @param {Object} casting - Casting, as for the constructor
+   * @throws {Error} If the casting names an unknown role or voice, or the rota is empty
+   */
+  configure(casting) {
+    const voices = { ...VOICES, ...casting.voices };
+    const roles = { ...DEFAULT_VOICE_CASTING.roles, ...casting.roles };
+    const dutyRota = casting.dutyRota || DEFAULT_VOICE_CASTING.dutyRota;
+
+    for (const role of Object.keys(roles)) {
+      if (!SEGMENT_ROLES.includes(role)) {
+        throw new Error(`Unknown segment role: ${role} (use ${SEGMENT_ROLES.join(', ')})`);
+      }
+    }
+    if (dutyRota.length === 0) {
+      throw new Error('The duty rota needs at least one voice');
+    }
+    for (const id of [...Object.values(roles).filter((id) => id !== DUTY), ...dutyRota]) {
+      if (!voices[id]) {
+        throw new Error(`Unknown voice: ${id} (use ${Object.keys(voices).join(', ')})`);
+      }
+    }
+
+    this.voices = voices;
+    this.roles = roles;
+    this.dutyRota = [...dutyRota];
+  }
+
+  /**
+   * A voice by id
+   * @param {string} id - Voice id
+   * @returns {{id: string, google: string, polly: string|Object, azure: string}} The voice, with each
+   *   provider's name (or voice settings) for it
+   * @throws {Error} If there is no such voice
+   */
+  voice(id) {
+    if (!this.voices[id]) {
+      throw new Error(`Unknown voice: ${id}`);
+    }
+    return { id, ...this.voices[id] };
+  }
+
+  /**
+   * The duty announcer for a broadcast
+   *
+   * Takes the rota in turn by the broadcast's position in a run of broadcasts;
+   * a broadcast heard on its own is placed in the rota by its broadcastId, so
+   * the same broadcast always has the same announcer.
+   * @param {Object|null} [broadcast] - Broadcast from BroadcastGenerator.generateBroadcast()
+   * @param {number|null} [position] - Its position in the run of broadcasts (0 for the first)
+   * @returns {Object} Voice, as from voice()
+   */
+  dutyAnnouncer(broadcast = null, position = null) {
+    const turn = position ?? (broadcast ? normalizeSeed(broadcast.broadcastId) : 0);
+    return this.voice(this.dutyRota[turn % this.dutyRota.length]);
+  }
+
+  /**
+   * The voice cast for a role
+   * @param {string} role - One of SEGMENT_ROLES
+   * @param {Object|null} [broadcast] - Broadcast being read, for the duty announcer
+   * @param {number|null} [position] - Its position in the run of broadcasts
+   * @returns {Object} Voice, as from voice()
+   * @throws {Error} If the role is unknown
+   */
+  voiceFor(role, broadcast = null, position = null) {
+    if (!SEGMENT_ROLES.includes(role)) {
+      throw new Error(`Unknown segment role: ${role}`);
+    }
+    const id = this.roles[role];
+    return id === DUTY ? this.dutyAnnouncer(broadcast, position) : this.voice(id);
+  }
+
+  /**
+   * The voice cast for a broadcast segment
+   * @param {{label: string, report?: Object, role?: string}} segment - Segment, as for roleForSegment()
+   * @param {Object|null} [broadcast] - Broadcast it belongs to, for the duty announcer
+   * @param {number|null} [position] - The broadcast's position in the run of broadcasts
+   * @returns {Object} Voice, as from voice()
+   */
+  voiceForSegment(segment, broadcast = null, position = null) {
+    return this.voiceFor(roleForSegment(segment), broadcast, position);
+  }
+
+  /**
+   * The voice that reads library clips: the area reader, or the head of the
+   * rota when the duty announcer reads the areas
+   * @returns {Object} Voice, as from voice()
+   */
+  houseVoice() {
+    return this.voiceFor('area', null, 0);
+  }
+}
+
+// Export singleton instance
+export const voiceCasting = new VoiceCasting();
@@ -0,0 +1,191 @@
+/**
+ * WAV encoding and decoding
+ *
+ * Minimal RIFF/WAVE support for the offline broadcast renderer and the stream
+ * server: encodes 16-bit PCM, and decodes 8/16/24-bit PCM and 32-bit float
+ * (what local TTS engines write), so audio can be assembled without a Web
+ * Audio context.
+ */
+
+const PCM = 1;
+const IEEE_FLOAT = 3;
+const EXTENSIBLE = 0xfffe;
+
+/**
+ * Encode audio as a 16-bit PCM WAV file
+ * @param {Object} audio - Audio to encode
+ * @param {number} audio.sampleRate - Sample rate in Hz
+ * @param {Array<Float32Array>} audio.channels - Samples per channel, -1 to 1
+ * @returns {ArrayBuffer} WAV file contents
+ */
+export function encodeWAV({ sampleRate, channels }) {
+  const data = encodePCM(channels);
+  const buffer = new ArrayBuffer(44 + data.byteLength);
+
+  new Uint8Array(buffer).set(wavHeader(sampleRate, channels.length, data.byteLength), 0);
+  new Uint8Array(buffer).set(data, 44);
+  return buffer;
+}
+
+/**
+ * The 44-byte header of a 16-bit PCM WAV file
+ *
+ * For a stream of unknown length, pass the largest data size (0xffffffff - 36):
+ * players read until the stream ends.
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channelCount - Number of channels
+ * @param {number} dataSize - Size of the sample data in bytes
+ * @returns {Uint8Array} Header bytes
+ */
+export function wavHeader(sampleRate, channelCount, dataSize) {
+  const header = new Uint8Array(44);
+  const view = new DataView(header.buffer);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, PCM, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channelCount * 2, true);
+  view.setUint16(32, channelCount * 2, true);
+  view.setUint16(34, 16, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  return header;
+}
+
+/**
+ * Interleave channels as 16-bit little-endian PCM
+ * @param {Array<Float32Array>} channels - Samples per channel, -1 to 1
+ * @returns {Uint8Array} PCM bytes
+ */
+export function encodePCM(channels) {
+  const channelCount = channels.length;
+  const frames = channelCount > 0 ? channels[0].length : 0;
+  const bytes = new Uint8Array(frames * channelCount * 2);
+  const view = new DataView(bytes.buffer);
+
+  let offset = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Decode a WAV file
+ * @param {ArrayBuffer} buffer - WAV file contents
+ * @returns {{sampleRate: number, channels: Array<Float32Array>}} Decoded audio
+ * @throws {Error} If the file is not a WAV file, or its sample format is unsupported
+ */
+export function decodeWAV(buffer) {
+  const view = new DataView(buffer);
+  if (!isWAV(buffer)) {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const id = readString(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      const tag = view.getUint16(body, true);
+      format = {
+        // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+        tag: tag === EXTENSIBLE ? view.getUint16(body + 24, true) : tag,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === 'data') {
+      if (!format) {
+        throw new Error('Invalid WAV file: data before fmt chunk');
+      }
+      // Streamed WAVs (e.g. TTS engines writing to stdout) may leave the data size unset
+      const length = Math.min(size, view.byteLength - body);
+      return { sampleRate: format.sampleRate, channels: readSamples(view, body, length, format) };
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  throw new Error('Invalid WAV file: no data chunk');
+}
+
+/**
+ * Whether a buffer holds a WAV file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {boolean}
+ */
+export function isWAV(buffer) {
+  if (buffer.byteLength < 12) {
+    return false;
+  }
+  const view = new DataView(buffer);
+  return readString(view, 0, 4) === 'RIFF' && readString(view, 8, 4) === 'WAVE';
+}
+
+/**
+ * @private
+ */
+function readSamples(view, start, length, { tag, channelCount, bitsPerSample }) {
+  const bytes = bitsPerSample / 8;
+  const frames = Math.floor(length / (bytes * channelCount));
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+
+  let read;
+  if (tag === IEEE_FLOAT && bitsPerSample === 32) {
+    read = (offset) => view.getFloat32(offset, true);
+  } else if (tag === PCM && bitsPerSample === 16) {
+    read = (offset) => view.getInt16(offset, true) / 0x8000;
+  } else if (tag === PCM && bitsPerSample === 24) {
+    read = (offset) => ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 0x800000;
+  } else if (tag === PCM && bitsPerSample === 8) {
+    read = (offset) => (view.getUint8(offset) - 128) / 128;
+  } else {
+    throw new Error(`Unsupported WAV format: ${tag === PCM ? 'PCM' : `format ${tag}`}, ${bitsPerSample}-bit`);
+  }
+
+  let offset = start;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      channels[channel][frame] = read(offset);
+      offset += bytes;
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * @private
+ */
+function readString(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+}
+
+/**
+ * @private
+ */
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
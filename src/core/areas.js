@@ -1,7 +1,12 @@
 /**
  * Sea area definitions for weather report generation
+ *
+ * Names, broadcast order, regional grouping, approximate geography
+ * (centroid and simplified boundary box) and the adjacency graph.
  */
 
+import { createSeededRandom } from '../utils/random.js';
+
 export const STANDARD_AREAS = [
   'Viking',
   'North Utsire',
@@ -46,16 +51,346 @@ export const PHANTOM_AREAS = [
   'Obsidian Deep',
 ];
 
+/**
+ * Adjacency graph of the standard sea areas
+ * Each area lists the areas it shares a boundary with (symmetric).
+ */
+export const AREA_ADJACENCY = {
+  'Viking': ['North Utsire', 'South Utsire', 'Forties', 'Fair Isle'],
+  'North Utsire': ['Viking', 'South Utsire'],
+  'South Utsire': ['North Utsire', 'Viking', 'Forties', 'Fisher'],
+  'Forties': ['Viking', 'South Utsire', 'Fisher', 'Dogger', 'Tyne', 'Forth', 'Cromarty', 'Fair Isle'],
+  'Cromarty': ['Forties', 'Forth', 'Fair Isle'],
+  'Forth': ['Cromarty', 'Forties', 'Tyne'],
+  'Tyne': ['Forth', 'Forties', 'Dogger', 'Humber'],
+  'Dogger': ['Tyne', 'Forties', 'Fisher', 'German Bight', 'Humber'],
+  'Fisher': ['South Utsire', 'Forties', 'Dogger', 'German Bight'],
+  'German Bight': ['Fisher', 'Dogger', 'Humber', 'Thames'],
+  'Humber': ['Tyne', 'Dogger', 'German Bight', 'Thames'],
+  'Thames': ['Humber', 'German Bight', 'Dover'],
+  'Dover': ['Thames', 'Wight'],
+  'Wight': ['Dover', 'Portland'],
+  'Portland': ['Wight', 'Plymouth'],
+  'Plymouth': ['Portland', 'Biscay', 'Sole', 'Lundy'],
+  'Biscay': ['Plymouth', 'Sole', 'FitzRoy'],
+  'Trafalgar': ['FitzRoy'],
+  'FitzRoy': ['Biscay', 'Trafalgar', 'Sole'],
+  'Sole': ['FitzRoy', 'Biscay', 'Plymouth', 'Lundy', 'Fastnet', 'Shannon'],
+  'Lundy': ['Sole', 'Plymouth', 'Fastnet', 'Irish Sea'],
+  'Fastnet': ['Lundy', 'Sole', 'Shannon', 'Irish Sea'],
+  'Irish Sea': ['Lundy', 'Fastnet', 'Malin'],
+  'Shannon': ['Fastnet', 'Sole', 'Rockall', 'Malin'],
+  'Rockall': ['Shannon', 'Malin', 'Hebrides', 'Bailey'],
+  'Malin': ['Irish Sea', 'Shannon', 'Rockall', 'Hebrides'],
+  'Hebrides': ['Malin', 'Rockall', 'Bailey', 'Fair Isle', 'Faeroes'],
+  'Bailey': ['Rockall', 'Hebrides', 'Faeroes', 'South-East Iceland'],
+  'Fair Isle': ['Hebrides', 'Faeroes', 'Cromarty', 'Forties', 'Viking'],
+  'Faeroes': ['Fair Isle', 'Hebrides', 'Bailey', 'South-East Iceland'],
+  'South-East Iceland': ['Faeroes', 'Bailey'],
+};
+
+/**
+ * Get the neighbouring areas of a standard area
+ * @param {string} name - Area name
+ * @returns {string[]} Neighbouring area names (empty for phantom/unknown areas)
+ */
+export function getNeighbours(name) {
+  return AREA_ADJACENCY[name] || [];
+}
+
+/**
+ * Breadth-first hop distances from an area to every reachable standard area
+ * @param {string} origin - Starting area name
+ * @returns {Map<string, number>} Area name → number of boundaries crossed
+ */
+export function getGraphDistances(origin) {
+  const distances = new Map();
+  if (!AREA_ADJACENCY[origin]) {
+    return distances;
+  }
+
+  distances.set(origin, 0);
+  const queue = [origin];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const neighbour of getNeighbours(current)) {
+      if (!distances.has(neighbour)) {
+        distances.set(neighbour, distances.get(current) + 1);
+        queue.push(neighbour);
+      }
+    }
+  }
+
+  return distances;
+}
+
+/**
+ * Regional groupings used when reading neighbouring areas together
+ */
+export const AREA_REGIONS = [
+  'Northern North Sea',
+  'Southern North Sea',
+  'English Channel',
+  'Biscay and Iberia',
+  'Celtic and Irish Seas',
+  'Atlantic West',
+  'Northern Isles and Iceland',
+];
+
+/**
+ * Approximate geography of the standard areas, in official BBC broadcast order
+ * bounds: [south, west, north, east] in decimal degrees (west negative)
+ */
+const AREA_GEOGRAPHY = [
+  { name: 'Viking', region: 'Northern North Sea', centroid: [60.0, 2.0], bounds: [58.5, 0.0, 61.0, 4.0] },
+  { name: 'North Utsire', region: 'Northern North Sea', centroid: [60.5, 4.5], bounds: [59.0, 4.0, 61.0, 5.0] },
+  { name: 'South Utsire', region: 'Northern North Sea', centroid: [58.5, 4.5], bounds: [57.5, 4.0, 59.0, 6.0] },
+  { name: 'Forties', region: 'Northern North Sea', centroid: [57.5, 1.0], bounds: [56.0, -1.0, 58.5, 4.0] },
+  { name: 'Cromarty', region: 'Northern North Sea', centroid: [58.0, -2.5], bounds: [57.0, -4.0, 58.5, -1.0] },
+  { name: 'Forth', region: 'Northern North Sea', centroid: [56.5, -1.5], bounds: [55.8, -3.0, 57.0, -1.0] },
+  { name: 'Tyne', region: 'Southern North Sea', centroid: [55.0, -0.5], bounds: [54.0, -1.5, 55.8, 1.0] },
+  { name: 'Dogger', region: 'Southern North Sea', centroid: [55.0, 2.5], bounds: [54.0, 1.0, 56.0, 4.0] },
+  { name: 'Fisher', region: 'Southern North Sea', centroid: [56.5, 6.0], bounds: [55.0, 4.0, 57.5, 8.0] },
+  { name: 'German Bight', region: 'Southern North Sea', centroid: [54.5, 6.5], bounds: [53.0, 4.0, 55.0, 9.0] },
+  { name: 'Humber', region: 'Southern North Sea', centroid: [53.5, 1.5], bounds: [52.5, 0.0, 54.0, 4.0] },
+  { name: 'Thames', region: 'Southern North Sea', centroid: [52.0, 2.0], bounds: [51.2, 1.0, 52.5, 4.0] },
+  { name: 'Dover', region: 'English Channel', centroid: [50.8, 1.0], bounds: [50.2, 0.0, 51.2, 2.0] },
+  { name: 'Wight', region: 'English Channel', centroid: [50.2, -1.0], bounds: [49.5, -2.0, 50.8, 0.0] },
+  { name: 'Portland', region: 'English Channel', centroid: [49.8, -3.0], bounds: [48.8, -4.0, 50.6, -2.0] },
+  { name: 'Plymouth', region: 'English Channel', centroid: [49.5, -5.0], bounds: [48.5, -6.3, 50.3, -4.0] },
+  { name: 'Biscay', region: 'Biscay and Iberia', centroid: [46.0, -4.5], bounds: [43.5, -8.0, 48.5, -1.5] },
+  { name: 'Trafalgar', region: 'Biscay and Iberia', centroid: [37.0, -11.0], bounds: [35.0, -15.0, 39.0, -6.0] },
+  { name: 'FitzRoy', region: 'Biscay and Iberia', centroid: [43.0, -11.5], bounds: [39.0, -15.0, 48.5, -8.0] },
+  { name: 'Sole', region: 'Biscay and Iberia', centroid: [48.5, -11.0], bounds: [48.5, -15.0, 50.0, -6.3] },
+  { name: 'Lundy', region: 'Celtic and Irish Seas', centroid: [51.0, -5.5], bounds: [50.3, -6.3, 51.7, -4.0] },
+  { name: 'Fastnet', region: 'Celtic and Irish Seas', centroid: [50.8, -8.5], bounds: [50.0, -10.0, 51.7, -6.3] },
+  { name: 'Irish Sea', region: 'Celtic and Irish Seas', centroid: [53.5, -5.0], bounds: [51.7, -6.5, 55.0, -3.0] },
+  { name: 'Shannon', region: 'Atlantic West', centroid: [52.5, -12.5], bounds: [50.0, -15.0, 54.5, -10.0] },
+  { name: 'Rockall', region: 'Atlantic West', centroid: [56.5, -14.0], bounds: [54.5, -15.0, 58.0, -10.0] },
+  { name: 'Malin', region: 'Atlantic West', centroid: [55.5, -8.5], bounds: [54.5, -10.0, 57.0, -6.0] },
+  { name: 'Hebrides', region: 'Northern Isles and Iceland', centroid: [58.5, -9.0], bounds: [57.0, -10.0, 60.0, -6.0] },
+  { name: 'Bailey', region: 'Northern Isles and Iceland', centroid: [60.0, -15.0], bounds: [58.0, -20.0, 62.0, -10.0] },
+  { name: 'Fair Isle', region: 'Northern Isles and Iceland', centroid: [59.5, -2.5], bounds: [58.5, -6.0, 61.0, 0.0] },
+  { name: 'Faeroes', region: 'Northern Isles and Iceland', centroid: [62.0, -6.0], bounds: [60.0, -10.0, 63.5, -2.0] },
+  { name: 'South-East Iceland', region: 'Northern Isles and Iceland', centroid: [63.5, -13.0], bounds: [62.0, -20.0, 65.0, -10.0] },
+];
+
+// Phantom areas lie beyond the charted areas, out in the open Atlantic
+const PHANTOM_LATITUDE_RANGE = [44.0, 66.0];
+const PHANTOM_LONGITUDE_RANGE = [-30.0, -21.0];
+const PHANTOM_HALF_SIZE = 1.0; // Degrees either side of the centroid
+
+/**
+ * Convert [south, west, north, east] bounds to a closed polygon of [lat, lon] points
+ * @param {number[]} bounds - Bounding box
+ * @returns {Array<[number, number]>} Polygon vertices
+ */
+function boundsToPolygon([south, west, north, east]) {
+  return [
+    [south, west],
+    [north, west],
+    [north, east],
+    [south, east],
+    [south, west],
+  ];
+}
+
+/**
+ * Convert an area name to its id
+ * @param {string} name - Area name
+ * @returns {string} Lower-case, hyphenated id
+ */
+function toAreaId(name) {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Invent consistent geography for a phantom area
+ * The same name always yields the same coordinates.
+ * @param {string} name - Phantom area name
+ * @returns {{centroid: number[], bounds: number[]}}
+ */
+function inventPhantomGeography(name) {
+  const random = createSeededRandom(`phantom:${name}`);
+  const [minLat, maxLat] = PHANTOM_LATITUDE_RANGE;
+  const [minLon, maxLon] = PHANTOM_LONGITUDE_RANGE;
+  const lat = Math.round((minLat + random() * (maxLat - minLat)) * 10) / 10;
+  const lon = Math.round((minLon + random() * (maxLon - minLon)) * 10) / 10;
+
+  return {
+    centroid: [lat, lon],
+    bounds: [lat - PHANTOM_HALF_SIZE, lon - PHANTOM_HALF_SIZE, lat + PHANTOM_HALF_SIZE, lon + PHANTOM_HALF_SIZE],
+  };
+}
+
 /**
  * Creates a SeaArea object
  * @param {string} name - Display name of the area
  * @param {'standard'|'phantom'} type - Classification of area
- * @returns {{name: string, type: string, id: string}}
+ * @returns {{
+ *   name: string,
+ *   type: string,
+ *   id: string,
+ *   order: number|null,
+ *   region: string|null,
+ *   centroid: {lat: number, lon: number},
+ *   polygon: Array<[number, number]>,
+ *   neighbours: string[]
+ * }}
  */
 export function createSeaArea(name, type) {
+  const geography = AREA_GEOGRAPHY.find((area) => area.name === name);
+  const { centroid, bounds } = geography || inventPhantomGeography(name);
+
   return {
     name,
     type,
-    id: name.toLowerCase().replace(/\s+/g, '-'),
+    id: toAreaId(name),
+    order: geography ? AREA_GEOGRAPHY.indexOf(geography) + 1 : null,
+    region: geography ? geography.region : null,
+    centroid: { lat: centroid[0], lon: centroid[1] },
+    polygon: boundsToPolygon(bounds),
+    neighbours: [...getNeighbours(name)],
   };
 }
+
+/**
+ * All standard areas as SeaArea objects, in official BBC broadcast order
+ */
+export const SEA_AREAS = AREA_GEOGRAPHY.map((area) => createSeaArea(area.name, 'standard'));
+
+/**
+ * Look up a sea area by name (standard or phantom)
+ * @param {string} name - Area name
+ * @returns {Object|null} SeaArea, or null for unknown names
+ */
+export function getSeaArea(name) {
+  const standard = SEA_AREAS.find((area) => area.name === name);
+  if (standard) {
+    return standard;
+  }
+  return PHANTOM_AREAS.includes(name) ? createSeaArea(name, 'phantom') : null;
+}
+
+/**
+ * Position of an area in the official broadcast order (1-31)
+ * @param {string} name - Area name
+ * @returns {number} Broadcast order, or Infinity for phantom/unknown areas
+ */
+export function getBroadcastOrder(name) {
+  const area = SEA_AREAS.find((candidate) => candidate.name === name);
+  return area ? area.order : Infinity;
+}
+
+/**
+ * Standard areas belonging to a region, in broadcast order
+ * @param {string} region - Region name (see AREA_REGIONS)
+ * @returns {Object[]} SeaArea objects
+ */
+export function getAreasByRegion(region) {
+  return SEA_AREAS.filter((area) => area.region === region);
+}
+
+/**
+ * Great-circle distance between two area centroids
+ * @param {string} from - Area name
+ * @param {string} to - Area name
+ * @returns {number} Distance in nautical miles
+ */
+export function getAreaDistance(from, to) {
+  const a = getSeaArea(from);
+  const b = getSeaArea(to);
+  if (!a || !b) {
+    throw new Error(`Unknown sea area: ${!a ? from : to}`);
+  }
+
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.centroid.lat - a.centroid.lat);
+  const dLon = toRadians(b.centroid.lon - a.centroid.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.centroid.lat)) * Math.cos(toRadians(b.centroid.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * 3440.065 * Math.asin(Math.sqrt(h)); // Earth radius in nautical miles
+}
+
+/**
+ * Initial compass bearing from one area centroid to another
+ * @param {string} from - Area name
+ * @param {string} to - Area name
+ * @returns {number} Bearing in degrees (0 = north, clockwise)
+ */
+export function getAreaBearing(from, to) {
+  const a = getSeaArea(from);
+  const b = getSeaArea(to);
+  if (!a || !b) {
+    throw new Error(`Unknown sea area: ${!a ? from : to}`);
+  }
+
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const lat1 = toRadians(a.centroid.lat);
+  const lat2 = toRadians(b.centroid.lat);
+  const dLon = toRadians(b.centroid.lon - a.centroid.lon);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Inshore waters sections in broadcast order, clockwise from Cape Wrath
+ * Each section takes its weather from the offshore sea area it borders.
+ */
+export const INSHORE_WATERS = [
+  { name: 'Cape Wrath to Rattray Head including Orkney', seaArea: 'Fair Isle' },
+  { name: 'Rattray Head to Berwick-upon-Tweed', seaArea: 'Forth' },
+  { name: 'Berwick-upon-Tweed to Whitby', seaArea: 'Tyne' },
+  { name: 'Whitby to Gibraltar Point', seaArea: 'Humber' },
+  { name: 'Gibraltar Point to North Foreland', seaArea: 'Thames' },
+  { name: 'North Foreland to Selsey Bill', seaArea: 'Dover' },
+  { name: 'Selsey Bill to Lyme Regis', seaArea: 'Wight' },
+  { name: "Lyme Regis to Land's End including the Isles of Scilly", seaArea: 'Plymouth' },
+  { name: "Land's End to St David's Head including the Bristol Channel", seaArea: 'Lundy' },
+  { name: "St David's Head to Great Orme Head including St George's Channel", seaArea: 'Irish Sea' },
+  { name: 'Great Orme Head to the Mull of Galloway', seaArea: 'Irish Sea' },
+  { name: 'Isle of Man', seaArea: 'Irish Sea' },
+  { name: 'Lough Foyle to Carlingford Lough', seaArea: 'Irish Sea' },
+  {
+    name: 'Mull of Galloway to Mull of Kintyre including the Firth of Clyde and the North Channel',
+    seaArea: 'Malin',
+  },
+  { name: 'Mull of Kintyre to Ardnamurchan Point', seaArea: 'Malin' },
+  { name: 'The Minch', seaArea: 'Hebrides' },
+  { name: 'Ardnamurchan Point to Cape Wrath', seaArea: 'Hebrides' },
+  { name: 'Shetland Isles', seaArea: 'Fair Isle' },
+];
+
+/**
+ * Coastal stations in broadcast order, clockwise from the Hebrides
+ * Each station reads the weather of the sea area it sits on. Automatic
+ * stations report no present weather.
+ */
+export const COASTAL_STATIONS = [
+  { name: 'Tiree Automatic', seaArea: 'Malin', automatic: true },
+  { name: 'Stornoway', seaArea: 'Hebrides', automatic: false },
+  { name: 'Lerwick', seaArea: 'Fair Isle', automatic: false },
+  { name: 'Wick Automatic', seaArea: 'Cromarty', automatic: true },
+  { name: 'Aberdeen', seaArea: 'Forth', automatic: false },
+  { name: 'Leuchars', seaArea: 'Forth', automatic: false },
+  { name: 'Boulmer', seaArea: 'Tyne', automatic: false },
+  { name: 'Bridlington', seaArea: 'Humber', automatic: false },
+  { name: 'Sandettie Lightvessel Automatic', seaArea: 'Dover', automatic: true },
+  { name: 'Greenwich Lightvessel Automatic', seaArea: 'Wight', automatic: true },
+  { name: 'Jersey', seaArea: 'Portland', automatic: false },
+  { name: 'Channel Lightvessel Automatic', seaArea: 'Plymouth', automatic: true },
+  { name: 'Scilly Automatic', seaArea: 'Plymouth', automatic: true },
+  { name: 'Milford Haven', seaArea: 'Lundy', automatic: false },
+  { name: 'Aberporth', seaArea: 'Irish Sea', automatic: false },
+  { name: 'Valley', seaArea: 'Irish Sea', automatic: false },
+  { name: 'Liverpool Crosby', seaArea: 'Irish Sea', automatic: false },
+  { name: 'Valentia', seaArea: 'Shannon', automatic: false },
+  { name: 'Ronaldsway', seaArea: 'Irish Sea', automatic: false },
+  { name: 'Malin Head', seaArea: 'Malin', automatic: false },
+  { name: 'Machrihanish Automatic', seaArea: 'Malin', automatic: true },
+];
@@ -6,6 +6,9 @@
  * - Gale Warnings (conditional, force 8+)
  * - Time Period Transition
  * - Area Forecasts (from existing generator)
+ * - Coastal Station Reports (optional, 00:48 and 05:20 editions)
+ * - Inshore Waters (optional, 00:48 and 05:20 editions)
+ * - Sailing By and sign-off (when generated for an edition, see broadcast-scheduler.js)
  *
  * Implements User Stories 1, 2, 3 from specs/003-broadcast-structure/spec.md
  *
@@ -14,16 +17,25 @@
  */
 
 import { WeatherReportGenerator } from './generator.js';
-import { STANDARD_AREAS } from './areas.js';
+import { InshoreWatersGenerator } from './inshore-waters-generator.js';
+import { CoastalStationGenerator } from './coastal-station-generator.js';
+import { GaleWarningService } from './gale-warning-service.js';
+import { BROADCAST_SEGMENTS, SAILING_BY, getEdition } from './broadcast-scheduler.js';
+import { WeatherField } from './weather-field.js';
+import { WeatherState } from './weather-state.js';
+import { GeneratorProfile } from './generator-profile.js';
+import { STANDARD_AREAS, getBroadcastOrder, getGraphDistances, getNeighbours } from './areas.js';
 import {
   selectIntroductionVariant,
   selectTimePeriodVariant
 } from '../audio/broadcast-variants.js';
 import { formatBBCTime, formatBBCDate, formatPressureDigits } from '../utils/date-formatter.js';
+import { createSeededRandom, generateSeed } from '../utils/random.js';
 import {
-  PRESSURE_DESCRIPTIONS,
+  PRESSURE_RANGES,
   RATE_OF_CHANGE,
   COMPASS_DIRECTIONS_SYNOPSIS,
+  formatWindText,
   getRandomElement,
   getRandomInt,
 } from './vocabulary.js';
@@ -35,53 +47,301 @@ import {
  */
 export class BroadcastGenerator {
   constructor() {
+    this.random = Math.random;
+    this.profile = new GeneratorProfile();
+    this.weatherField = null;
+    this.weatherState = new WeatherState();
     this.weatherGenerator = new WeatherReportGenerator();
+    this.inshoreWatersGenerator = new InshoreWatersGenerator();
+    this.coastalStationGenerator = new CoastalStationGenerator();
+    this.galeWarningService = new GaleWarningService();
   }
 
   /**
    * Generate complete broadcast with all segments
    *
-   * Structure: Introduction → Gale Warnings (conditional) → General Synopsis → Time Period → Area Forecasts
+   * Structure: [Sailing By] → Introduction → Gale Warnings (conditional) → General Synopsis → Time Period
+   *   → Area Forecasts → Coastal Station Reports (optional) → Inshore Waters (optional) → [Sign-off]
+   *
+   * Every broadcast is driven by a single seeded random source and continues the
+   * generator's persistent weather state: synopsis systems keep moving towards
+   * their announced positions and area conditions drift between broadcasts.
+   * Passing back the recorded `seed`, `timestamp` and `priorWeatherState`
+   * regenerates exactly the same broadcast text.
    *
    * @param {number} [areaCount=31] - Number of area forecasts to generate (default: all 31 standard areas)
+   * @param {Object} [options] - Generation options
+   * @param {number|string} [options.seed] - Seed for reproducible output (random if omitted)
+   * @param {Date|string|number} [options.timestamp] - Broadcast time (defaults to now)
+   * @param {Object|null} [options.weatherState] - Weather state snapshot to start from
+   *   (null for a fresh start; omit to continue from the previous broadcast)
+   * @param {'shuffled'|'canonical'} [options.order='shuffled'] - 'canonical' reads areas in
+   *   official broadcast order and groups neighbouring areas with identical conditions
+   * @param {boolean} [options.coastalStations=false] - Include the reports from coastal stations
+   * @param {boolean} [options.inshoreWaters=false] - Include the inshore waters forecast
+   * @param {string} [options.edition] - Edition id from BROADCAST_EDITIONS ('0048', '0520', '1201', '1754');
+   *   limits the broadcast to that edition's segments, condenses its area forecasts if the edition
+   *   reads them condensed, and adds its Sailing By interlude and sign-off
    * @returns {Object} Complete broadcast object
    * @returns {string} return.broadcastId - Unique identifier
+   * @returns {number} return.seed - Seed the broadcast was generated from
+   * @returns {Object} return.priorWeatherState - Weather state snapshot the broadcast started from
    * @returns {Date} return.timestamp - Generation timestamp
    * @returns {Object} return.introduction - Introduction segment
    * @returns {Object|null} return.galeWarnings - Gale warnings segment (null if no gales)
    * @returns {Object} return.generalSynopsis - General synopsis segment (NEW EBNF feature)
    * @returns {Object} return.timePeriod - Time period transition
    * @returns {Array} return.areaForecasts - Array of area forecast objects
+   *   (in canonical order, grouped forecasts list their member areas in `areas`)
+   * @returns {Object|null} return.coastalStations - Coastal station reports (null if not included)
+   * @returns {Object|null} return.inshoreWaters - Inshore waters segment (null if not included)
+   * @returns {Object|null} return.sailingBy - Sailing By interlude (null unless the edition opens with it)
+   * @returns {Object|null} return.signOff - Closing sign-off (null without an edition)
+   * @returns {string|null} return.edition - Edition id (null without an edition)
+   * @returns {string} return.order - Area order the broadcast was read in
+   * @returns {string} return.profile - Name of the generator profile in use
    * @returns {Date} return.createdAt - Generation timestamp
    */
-  generateBroadcast(areaCount = 31) {
-    const timestamp = new Date();
-    const broadcastId = this._generateBroadcastId();
+  generateBroadcast(areaCount = 31, options = {}) {
+    const random = createSeededRandom(options.seed !== undefined ? options.seed : generateSeed());
+    const seed = random.seed;
+    const timestamp = options.timestamp !== undefined ? new Date(options.timestamp) : new Date();
+    const edition = options.edition ? getEdition(options.edition) : null;
+    const segments = edition ? edition.segments : BROADCAST_SEGMENTS;
+
+    // Resume from an explicit snapshot (replay) or continue the previous broadcast
+    if (options.weatherState !== undefined) {
+      this.weatherState = WeatherState.fromJSON(options.weatherState);
+    }
+    const priorWeatherState = this.weatherState.toJSON();
+
+    // Thread the seeded source through every generator and restart the area cycle
+    // so the broadcast depends only on (seed, timestamp, prior weather state)
+    this.random = random;
+    this.weatherGenerator.setRandom(random);
+    this.weatherGenerator.setProfile(this.profile);
+    this.weatherGenerator.setTimestamp(timestamp);
+    this.weatherGenerator.resetCycle();
+
+    const broadcastId = this._generateBroadcastId(timestamp);
+
+    // The synopsis pressure system drives the weather field the areas are read from
+    const generalSynopsis = this._buildGeneralSynopsis(timestamp); // NEW EBNF feature
+    this.weatherField = this._buildWeatherField(timestamp);
+    this.weatherGenerator.setWeatherField(this.weatherField);
 
     // Generate area forecasts using existing generator
-    const areaForecasts = [];
-    for (let i = 0; i < areaCount; i++) {
-      areaForecasts.push(this.weatherGenerator.generateWeatherReport());
+    const order = options.order === 'canonical' ? 'canonical' : 'shuffled';
+    let areaForecasts = [];
+    if (order === 'canonical') {
+      areaForecasts = this._generateCanonicalForecasts(areaCount);
+    } else {
+      for (let i = 0; i < areaCount; i++) {
+        areaForecasts.push(this.weatherGenerator.generateWeatherReport());
+      }
     }
 
     // Build broadcast segments per EBNF specification
     const introduction = this._buildIntroduction(timestamp);
-    const galeWarnings = this._buildGaleWarnings(areaForecasts);
-    const generalSynopsis = this._buildGeneralSynopsis(); // NEW EBNF feature
+    const galeWarnings = this._buildGaleWarnings(areaForecasts, timestamp);
+    if (edition && edition.condensed) {
+      // Gale warnings keep the full forecasts' later gales, so condense only once they are built
+      areaForecasts = areaForecasts.map((forecast) => this._condenseForecast(forecast));
+    }
+    if (order === 'canonical') {
+      // Gale warnings list individual areas, so group only once they are built
+      areaForecasts = this._groupAreaForecasts(areaForecasts);
+    }
     const timePeriod = this._buildTimePeriod();
+    const coastalStations = options.coastalStations && segments.includes('coastalStations')
+      ? this._buildCoastalStations(timestamp)
+      : null;
+    const inshoreWaters = options.inshoreWaters && segments.includes('inshoreWaters')
+      ? this._buildInshoreWaters(timestamp)
+      : null;
+
+    // The core segments are always built (keeping the random sequence and weather
+    // state the same), then the edition drops those it does not carry
+    const carries = (segment) => segments.includes(segment);
 
     return {
       broadcastId,
+      seed,
+      priorWeatherState,
       timestamp,
+      sailingBy: edition && carries('sailingBy') ? { ...SAILING_BY } : null,
       introduction,
-      galeWarnings,
-      generalSynopsis,
-      timePeriod,
+      galeWarnings: carries('galeWarnings') ? galeWarnings : null,
+      generalSynopsis: carries('generalSynopsis') ? generalSynopsis : null,
+      timePeriod: carries('timePeriod') ? timePeriod : null,
       areaForecasts,
+      coastalStations,
+      inshoreWaters,
+      signOff: edition && carries('signOff') ? { text: edition.signOff } : null,
+      edition: edition ? edition.id : null,
+      order,
+      profile: this.profile.name,
       createdAt: timestamp
     };
   }
 
+  /**
+   * Build coastal station reports, with pressures from the tracked synopsis systems
+   *
+   * @param {Date} timestamp - Broadcast timestamp
+   * @returns {Object} Coastal stations segment (see CoastalStationGenerator.generateReports)
+   * @private
+   */
+  _buildCoastalStations(timestamp) {
+    this.coastalStationGenerator.setRandom(this.random);
+    this.coastalStationGenerator.setProfile(this.profile);
+    this.coastalStationGenerator.setTimestamp(timestamp);
+    this.coastalStationGenerator.setWeatherField(this.weatherField);
+    this.coastalStationGenerator.setWeatherState(this.weatherState);
+    return this.coastalStationGenerator.generateReports();
+  }
+
+  /**
+   * Build inshore waters segment from the same weather field as the areas
+   *
+   * @param {Date} timestamp - Broadcast timestamp
+   * @returns {Object} Inshore waters segment (see InshoreWatersGenerator.generateForecast)
+   * @private
+   */
+  _buildInshoreWaters(timestamp) {
+    this.inshoreWatersGenerator.setRandom(this.random);
+    this.inshoreWatersGenerator.setProfile(this.profile);
+    this.inshoreWatersGenerator.setTimestamp(timestamp);
+    this.inshoreWatersGenerator.setWeatherField(this.weatherField);
+    return this.inshoreWatersGenerator.generateForecast();
+  }
+
+  /**
+   * Generate forecasts for the standard areas in official broadcast order
+   *
+   * A neighbouring area under the same field wind as the area before it may
+   * share that area's forecast outright, so runs of adjacent areas can be read
+   * together as in the real broadcast.
+   *
+   * @param {number} areaCount - Number of areas to read (from the start of the order)
+   * @returns {Array} Area forecasts, one per area
+   * @private
+   */
+  _generateCanonicalForecasts(areaCount) {
+    const forecasts = [];
+
+    for (const name of STANDARD_AREAS.slice(0, areaCount)) {
+      const previous = forecasts[forecasts.length - 1];
+      const sharedWith = previous && this._sharesWeather(previous.area.name, name)
+        && this.profile.chance('sharedWeather', this.random)
+        ? previous
+        : null;
+
+      forecasts.push(this.weatherGenerator.generateAreaReport(name, 'standard', { sharedWith }));
+    }
+
+    return forecasts;
+  }
+
+  /**
+   * Whether two areas are neighbours lying under the same field wind
+   * @param {string} a - Area name
+   * @param {string} b - Area name
+   * @returns {boolean}
+   * @private
+   */
+  _sharesWeather(a, b) {
+    if (!this.weatherField || !getNeighbours(a).includes(b)) {
+      return false;
+    }
+
+    const here = this.weatherField.getConditions(a);
+    const there = this.weatherField.getConditions(b);
+    return here.direction === there.direction && here.force === there.force;
+  }
+
+  /**
+   * Merge runs of neighbouring areas whose forecasts are identical
+   *
+   * "Viking, North Utsire, South Utsire. Southwesterly 5 to 7. ..."
+   * Every returned forecast lists its member area objects in `areas`; a
+   * grouped forecast's `area` names the whole run.
+   *
+   * @param {Array} forecasts - Area forecasts in broadcast order
+   * @returns {Array} Grouped area forecasts
+   * @private
+   */
+  _groupAreaForecasts(forecasts) {
+    const groups = [];
+
+    for (const forecast of forecasts) {
+      const group = groups[groups.length - 1];
+      const last = group && group[group.length - 1];
+
+      if (last
+        && getNeighbours(last.area.name).includes(forecast.area.name)
+        && this._conditionsText(last) === this._conditionsText(forecast)) {
+        group.push(forecast);
+      } else {
+        groups.push([forecast]);
+      }
+    }
+
+    return groups.map((group) => {
+      const areas = group.map((forecast) => forecast.area);
+      if (group.length === 1) {
+        return { ...group[0], areas };
+      }
+
+      const name = areas.map((area) => area.name).join(', ');
+      return {
+        ...group[0],
+        area: {
+          name,
+          type: 'standard',
+          id: areas.map((area) => area.id).join('+'),
+          region: areas[0].region
+        },
+        areas,
+        text: `${name}. ${this._conditionsText(group[0])}`
+      };
+    });
+  }
+
+  /**
+   * Condensed area forecast: the conditions now, without the changes and
+   * occasional conditions expected later
+   *
+   * "Tyne. Southerly 4. Slight. Wintry showers. Good."
+   *
+   * @param {Object} forecast - Area forecast
+   * @returns {Object} Forecast with condensed conditions and text
+   * @private
+   */
+  _condenseForecast(forecast) {
+    const wind = { ...forecast.wind, windChange: null, subsequentWind: null, occasionalWind: null };
+    const { state } = forecast.seaState;
+    const seaState = { state, connector: null, subsequent: null, later: false, occasional: null, text: state };
+    const visibility = forecast.visibility.split(',')[0];
+
+    const parts = [forecast.area.name, formatWindText(wind), seaState.text, forecast.precipitation.text, visibility];
+    if (forecast.icing) {
+      parts.push(forecast.icing.text);
+    }
+
+    return { ...forecast, wind, seaState, visibility, text: parts.join('. ') + '.' };
+  }
+
+  /**
+   * Forecast text without the leading area name
+   * @param {Object} forecast - Area forecast
+   * @returns {string}
+   * @private
+   */
+  _conditionsText(forecast) {
+    return forecast.text.slice(forecast.area.name.length + 2);
+  }
+
   /**
    * Build introduction segment with timestamp/date
    *
@@ -100,7 +360,7 @@ export class BroadcastGenerator {
    */
   _buildIntroduction(timestamp) {
     // Select variant using weighted random selection
-    const variant = selectIntroductionVariant();
+    const variant = selectIntroductionVariant(this.random, this.profile.surrealIntroductionFactor);
 
     // Format timestamp and date in BBC style
     const time = formatBBCTime(timestamp);
@@ -125,34 +385,42 @@ export class BroadcastGenerator {
   /**
    * Build gale warnings segment (conditional)
    *
-   * Checks all area forecasts for force 8+ winds.
-   * Lists affected areas using standard format (<16 areas) or inverse format (16+ areas).
+   * Issues a numbered bulletin for every area forecasting force 8+ winds, now
+   * or later in the period (see GaleWarningService).
+   * Lists affected areas using standard format (<16 areas) or inverse format (16+ areas),
+   * then reads each bulletin in full.
    * If no gales, returns null (segment omitted from broadcast).
    *
    * Implements FR-008 through FR-015.
    *
    * @param {Array} areaForecasts - Array of area forecast objects
+   * @param {Date} timestamp - Broadcast timestamp
    * @returns {Object|null} Gale warnings segment or null
    * @returns {Array} return.affectedAreas - Array of area names with force 8+
+   * @returns {Array} return.bulletins - Numbered bulletins, one per affected area
    * @returns {string} return.formatType - 'standard' or 'inverse'
-   * @returns {string} return.text - Complete gale warnings text
+   * @returns {string} return.summary - Affected areas list
+   * @returns {string} return.text - Complete gale warnings text: the summary, then every bulletin
    * @private
    */
-  _buildGaleWarnings(areaForecasts) {
-    // Check if any gales exist
-    if (!this._hasGales(areaForecasts)) {
+  _buildGaleWarnings(areaForecasts, timestamp) {
+    this.galeWarningService.setRandom(this.random);
+    this.galeWarningService.setProfile(this.profile);
+    this.galeWarningService.setWeatherState(this.weatherState);
+    const bulletins = this.galeWarningService.issueWarnings(areaForecasts, timestamp);
+
+    if (bulletins.length === 0) {
       return null;
     }
 
-    // Extract area names with gale force winds
-    const galeAreaNames = this._extractGaleAreaNames(areaForecasts);
+    const galeAreaNames = bulletins.map((bulletin) => bulletin.area);
 
-    // Order areas geographically (north to south) using STANDARD_AREAS sequence
+    // Order areas geographically (north to south) using the official broadcast order
     const orderedAreas = this._orderAreasGeographically(galeAreaNames);
 
     // Determine format based on threshold (16 areas)
     const useInverseFormat = orderedAreas.length >= 16;
-    let text;
+    let summary;
     let listedAreas;
 
     if (useInverseFormat) {
@@ -161,19 +429,23 @@ export class BroadcastGenerator {
       const orderedAllAreas = this._orderAreasGeographically(allAreaNames);
       const nonGaleAreas = orderedAllAreas.filter(name => !orderedAreas.includes(name));
 
-      text = 'Gale warnings are in effect in all areas except: ' + nonGaleAreas.join(', ');
+      summary = nonGaleAreas.length > 0
+        ? 'Gale warnings are in effect in all areas except: ' + nonGaleAreas.join(', ')
+        : 'Gale warnings are in effect in all areas';
       listedAreas = nonGaleAreas;
     } else {
       // Standard format: list areas WITH gales
-      text = 'Gale warnings are in effect for: ' + orderedAreas.join(', ');
+      summary = 'Gale warnings are in effect for: ' + orderedAreas.join(', ');
       listedAreas = orderedAreas;
     }
 
     return {
       affectedAreas: orderedAreas,
       listedAreas: listedAreas,
+      bulletins,
       formatType: useInverseFormat ? 'inverse' : 'standard',
-      text: text
+      summary,
+      text: [`${summary}.`, ...bulletins.map((bulletin) => bulletin.text)].join(' ')
     };
   }
 
@@ -192,7 +464,7 @@ export class BroadcastGenerator {
    */
   _buildTimePeriod() {
     // Select time period variant
-    const variant = selectTimePeriodVariant();
+    const variant = selectTimePeriodVariant(this.random);
 
     // For now, all forecasts are 24 hours (can be made dynamic in future)
     const validityHours = 24;
@@ -208,18 +480,20 @@ export class BroadcastGenerator {
   /**
    * Build general synopsis segment (NEW EBNF feature)
    *
-   * Generates pressure system summary with current location, optional change, and expected position.
+   * Describes the tracked pressure system: where it is now (interpolated along its
+   * path since the last broadcast), any change, and its expected position.
    * Implements EBNF lines 33-38.
    *
    * Format: "The general synopsis:\n\n{Pressure} {direction} of {area} {pressure}, [{change} {rate},] expected {direction} of {area} {pressure} by {time}."
    *
    * Example: "The general synopsis:\n\nLow north of Viking 998, deepening slowly, expected west of Faeroes 992 by 18:00 tomorrow."
    *
+   * @param {Date} timestamp - Broadcast timestamp (reference point for expected time)
    * @returns {Object} General synopsis segment
    * @returns {string} return.pressureDescription - High/Medium/Low
    * @returns {string} return.currentDirection - Compass direction
    * @returns {string} return.currentArea - Sea area name
-   * @returns {number} return.currentPressure - Pressure in mb (900-1099)
+   * @returns {number} return.currentPressure - Pressure in mb (range set by description, see PRESSURE_RANGES)
    * @returns {string|null} return.changeType - 'deepening' or 'clearing' (50% probability)
    * @returns {string|null} return.changeRate - Rate of change (if change present)
    * @returns {string} return.expectedDirection - Future compass direction
@@ -229,34 +503,23 @@ export class BroadcastGenerator {
    * @returns {string} return.text - Complete synopsis text
    * @private
    */
-  _buildGeneralSynopsis() {
+  _buildGeneralSynopsis(timestamp) {
     // Current pressure system
-    const pressureDescription = getRandomElement(PRESSURE_DESCRIPTIONS);
-    const currentDirection = getRandomElement(COMPASS_DIRECTIONS_SYNOPSIS);
-    const currentArea = getRandomElement(STANDARD_AREAS);
-    const currentPressure = getRandomInt(900, 1099);
+    const system = this._advanceSynopticSystem(timestamp);
+    const position = this.weatherState.positionAt(system, timestamp);
 
-    // Optional change clause (50% probability per EBNF spec)
-    let changeType = null;
-    let changeRate = null;
-    let changeMagnitude = 0;
-
-    if (Math.random() < 0.5) {
-      changeType = getRandomElement(['deepening', 'clearing']);
-      changeRate = getRandomElement(RATE_OF_CHANGE);
-      changeMagnitude = this._calculatePressureMagnitude(changeRate);
-
-      // Apply change direction to pressure
-      if (changeType === 'deepening') {
-        changeMagnitude = -changeMagnitude; // Deepening = pressure decreases
-      }
-    }
+    const pressureDescription = system.type;
+    const currentDirection = position.direction;
+    const currentArea = position.area;
+    const currentPressure = position.pressure;
+    const changeType = system.changeType;
+    const changeRate = system.changeRate;
 
     // Expected future position
-    const expectedDirection = getRandomElement(COMPASS_DIRECTIONS_SYNOPSIS);
-    const expectedArea = getRandomElement(STANDARD_AREAS);
-    const expectedPressure = currentPressure + changeMagnitude;
-    const expectedTime = this._formatFutureTime();
+    const expectedDirection = system.to.direction;
+    const expectedArea = system.to.area;
+    const expectedPressure = system.to.pressure;
+    const expectedTime = this._formatExpectedTime(new Date(system.to.time), timestamp);
 
     // Format pressure values as digits
     const currentPressureFormatted = formatPressureDigits(currentPressure);
@@ -287,6 +550,119 @@ export class BroadcastGenerator {
     };
   }
 
+  /**
+   * Get the synopsis pressure system for this broadcast
+   *
+   * Starts a new system on the first broadcast, and plans the next leg of the
+   * journey once a system has reached its expected position.
+   *
+   * @param {Date} timestamp - Broadcast timestamp
+   * @returns {Object} System leg (see WeatherState)
+   * @private
+   */
+  _advanceSynopticSystem(timestamp) {
+    if (!this.weatherState.hasSystems()) {
+      const type = this.profile.pick('pressureSystems', this.random);
+      const [minPressure, maxPressure] = PRESSURE_RANGES[type];
+      const system = this._planSystemLeg(type, {
+        direction: getRandomElement(COMPASS_DIRECTIONS_SYNOPSIS, this.random),
+        area: getRandomElement(STANDARD_AREAS, this.random),
+        pressure: getRandomInt(minPressure, maxPressure, this.random),
+        time: timestamp.toISOString()
+      }, timestamp);
+
+      this.weatherState.addSystem(system);
+      return system;
+    }
+
+    const system = this.weatherState.systems[0];
+    if (this.weatherState.positionAt(system, timestamp).arrived) {
+      const next = this._planSystemLeg(system.type, system.to, timestamp);
+      this.weatherState.replaceSystem(0, next);
+      return next;
+    }
+
+    return system;
+  }
+
+  /**
+   * Plan the next leg of a pressure system's journey
+   *
+   * The expected position is up to four areas away and 3-24 hours after the
+   * broadcast, with an optional deepening/clearing change (50% probability per EBNF spec).
+   * The expected pressure stays within the range for the type, and the change is
+   * described by what is left of it: a system already at the limit of its range
+   * is not announced as changing.
+   *
+   * @param {string} type - Pressure description (High/Medium/Low)
+   * @param {Object} from - Starting position { direction, area, pressure, time }
+   * @param {Date} timestamp - Broadcast timestamp
+   * @returns {Object} System leg
+   * @private
+   */
+  _planSystemLeg(type, from, timestamp) {
+    let changeType = null;
+    let changeRate = null;
+    let changeMagnitude = 0;
+
+    if (this.profile.chance('synopsisChange', this.random)) {
+      changeType = getRandomElement(['deepening', 'clearing'], this.random);
+      changeRate = getRandomElement(RATE_OF_CHANGE, this.random);
+      changeMagnitude = this._calculatePressureMagnitude(changeRate);
+
+      // Apply change direction to pressure
+      if (changeType === 'deepening') {
+        changeMagnitude = -changeMagnitude; // Deepening = pressure decreases
+      }
+    }
+
+    const [minPressure, maxPressure] = PRESSURE_RANGES[type];
+    const pressure = Math.min(maxPressure, Math.max(minPressure, from.pressure + changeMagnitude));
+    if (changeType && pressure !== from.pressure + changeMagnitude) {
+      const change = Math.abs(pressure - from.pressure);
+      changeRate = change === 0 ? null : this._rateForMagnitude(change);
+      changeType = change === 0 ? null : changeType;
+    }
+
+    const reachable = [...getGraphDistances(from.area)]
+      .filter(([, distance]) => distance >= 1 && distance <= 4)
+      .map(([area]) => area);
+    const hoursAhead = getRandomInt(3, 24, this.random);
+
+    return {
+      type,
+      changeType,
+      changeRate,
+      from,
+      to: {
+        direction: getRandomElement(COMPASS_DIRECTIONS_SYNOPSIS, this.random),
+        area: reachable.length > 0 ? getRandomElement(reachable, this.random) : from.area,
+        pressure,
+        time: new Date(timestamp.getTime() + hoursAhead * 60 * 60 * 1000).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Build the weather field for the area forecasts from the tracked systems
+   *
+   * The field is simulated at each system's current position, so areas near an
+   * announced low get the strongest winds and poorest visibility. Conditions are
+   * limited to drift from those of the previous broadcast.
+   *
+   * @param {Date} timestamp - Broadcast timestamp
+   * @returns {WeatherField} Simulated weather field
+   * @private
+   */
+  _buildWeatherField(timestamp) {
+    const field = new WeatherField({ random: this.random, profile: this.profile }).build(
+      this.weatherState.getFieldSystems(timestamp),
+      this.weatherState.getPreviousCells()
+    );
+    this.weatherState.recordField(field, timestamp);
+    return field;
+  }
+
   /**
    * Calculate pressure magnitude change based on rate of change
    *
@@ -298,34 +674,47 @@ export class BroadcastGenerator {
    */
   _calculatePressureMagnitude(rate) {
     const magnitudeMap = {
-      'more slowly': getRandomInt(3, 5),   // 3-5mb
-      'slowly': getRandomInt(4, 6),        // 4-6mb
-      'quickly': getRandomInt(8, 10),      // 8-10mb
-      'very rapidly': getRandomInt(10, 12) // 10-12mb
+      'more slowly': getRandomInt(3, 5, this.random),   // 3-5mb
+      'slowly': getRandomInt(4, 6, this.random),        // 4-6mb
+      'quickly': getRandomInt(8, 10, this.random),      // 8-10mb
+      'very rapidly': getRandomInt(10, 12, this.random) // 10-12mb
     };
 
     return magnitudeMap[rate] || 5; // Default to 5mb if unknown
   }
 
   /**
-   * Format future time for general synopsis expected position
+   * Rate of change describing a pressure change (the inverse of _calculatePressureMagnitude)
    *
-   * Generates time between 3-24 hours in future, with optional "tomorrow" suffix
+   * @param {number} magnitude - Pressure change in mb (positive)
+   * @returns {string} Rate of change (see RATE_OF_CHANGE)
+   * @private
+   */
+  _rateForMagnitude(magnitude) {
+    if (magnitude < 4) return 'more slowly';
+    if (magnitude < 8) return 'slowly';
+    if (magnitude < 10) return 'quickly';
+    return 'very rapidly';
+  }
+
+  /**
+   * Format expected time for general synopsis expected position
+   *
+   * Formats as HH:MM UTC, like the broadcast time, with a "tomorrow" suffix when
+   * the time falls on a later day.
    *
+   * @param {Date} future - Expected time
+   * @param {Date} now - Reference time (the broadcast timestamp)
    * @returns {string} Future time (HH:MM or HH:MM tomorrow)
    * @private
    */
-  _formatFutureTime() {
-    const now = new Date();
-    const hoursAhead = getRandomInt(3, 24);
-    const future = new Date(now.getTime() + hoursAhead * 60 * 60 * 1000);
-
-    const hours = String(future.getHours()).padStart(2, '0');
-    const minutes = String(future.getMinutes()).padStart(2, '0');
+  _formatExpectedTime(future, now) {
+    const hours = String(future.getUTCHours()).padStart(2, '0');
+    const minutes = String(future.getUTCMinutes()).padStart(2, '0');
     const timeString = `${hours}:${minutes}`;
 
     // Add "tomorrow" suffix if crossed midnight
-    if (future.getDate() !== now.getDate()) {
+    if (future.getUTCDate() !== now.getUTCDate()) {
       return `${timeString} tomorrow`;
     }
 
@@ -333,75 +722,62 @@ export class BroadcastGenerator {
   }
 
   /**
-   * Check if any area forecasts have gale force winds (8+)
+   * Order area names geographically using the official broadcast order
    *
-   * @param {Array} areaForecasts - Array of area forecast objects
-   * @returns {boolean} True if any gales exist
+   * BBC ordering convention: north to south, following the established
+   * 31-area sequence. Per research.md RQ-002. Phantom areas go last.
+   *
+   * @param {Array} areaNames - Array of area names
+   * @returns {Array} Geographically ordered area names
    * @private
    */
-  _hasGales(areaForecasts) {
-    return areaForecasts.some((forecast) => {
-      const force = forecast.wind.force;
-
-      // Handle both single force and force ranges
-      if (Array.isArray(force)) {
-        return Math.max(...force) >= 8;
-      }
+  _orderAreasGeographically(areaNames) {
+    return areaNames.sort((a, b) => {
+      const orderA = getBroadcastOrder(a);
+      const orderB = getBroadcastOrder(b);
 
-      return force >= 8;
+      if (orderA === orderB) return 0;
+      return orderA < orderB ? -1 : 1;
     });
   }
 
   /**
-   * Extract area names with gale force winds (8+)
+   * Get a snapshot of the persistent weather state
    *
-   * @param {Array} areaForecasts - Array of area forecast objects
-   * @returns {Array} Array of area names with force 8+
-   * @private
+   * @returns {Object} Weather state snapshot (see WeatherState.toJSON)
    */
-  _extractGaleAreaNames(areaForecasts) {
-    const galeAreas = [];
-
-    areaForecasts.forEach((forecast) => {
-      const force = forecast.wind.force;
-      let maxForce;
-
-      // Handle both single force and force ranges
-      if (Array.isArray(force)) {
-        maxForce = Math.max(...force);
-      } else {
-        maxForce = force;
-      }
-
-      if (maxForce >= 8) {
-        galeAreas.push(forecast.area.name);
-      }
-    });
-
-    return galeAreas;
+  getWeatherState() {
+    return this.weatherState.toJSON();
   }
 
   /**
-   * Order area names geographically using STANDARD_AREAS sequence
+   * Resume from a weather state snapshot (e.g. restored after a page reload)
    *
-   * BBC ordering convention: north to south, following the established
-   * 31-area sequence. Per research.md RQ-002.
-   *
-   * @param {Array} areaNames - Array of area names
-   * @returns {Array} Geographically ordered area names
-   * @private
+   * @param {Object|null} snapshot - Weather state snapshot, or null to start afresh
    */
-  _orderAreasGeographically(areaNames) {
-    return areaNames.sort((a, b) => {
-      const indexA = STANDARD_AREAS.indexOf(a);
-      const indexB = STANDARD_AREAS.indexOf(b);
+  setWeatherState(snapshot) {
+    this.weatherState = WeatherState.fromJSON(snapshot);
+  }
 
-      // If area not found in standard areas (e.g., phantom), put at end
-      if (indexA === -1) return 1;
-      if (indexB === -1) return -1;
+  /**
+   * Switch generator profile; takes effect from the next broadcast
+   *
+   * @param {GeneratorProfile|string} profile - Profile, or preset name (see PROFILE_PRESETS)
+   * @returns {GeneratorProfile} The profile now in use
+   */
+  setProfile(profile) {
+    this.profile = typeof profile === 'string' ? GeneratorProfile.fromPreset(profile) : profile;
+    console.log(`[BroadcastGenerator] Generator profile: ${this.profile.label}`);
+    return this.profile;
+  }
 
-      return indexA - indexB;
-    });
+  /**
+   * Current generator profile
+   *
+   * @returns {GeneratorProfile}
+   */
+  getProfile() {
+    return this.profile;
   }
 
   /**
@@ -409,13 +785,13 @@ export class BroadcastGenerator {
    *
    * Format: broadcast-[8 hex chars]
    *
+   * @param {Date} timestamp - Broadcast timestamp
    * @returns {string} Broadcast ID
    * @private
    */
-  _generateBroadcastId() {
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 0xffffffff);
-    const combined = timestamp ^ random;
+  _generateBroadcastId(timestamp) {
+    const random = Math.floor(this.random() * 0xffffffff);
+    const combined = (timestamp.getTime() ^ random) >>> 0;
     const hex = combined.toString(16).padStart(8, '0').substring(0, 8);
     return `broadcast-${hex}`;
   }
@@ -0,0 +1,223 @@
+/**
+ * Broadcast editions scheduler
+ *
+ * Knows the four daily editions of the shipping forecast (00:48, 05:20, 12:01
+ * and 17:54) and which segments each one carries: the late-night edition opens
+ * with Sailing By and adds coastal station reports and the inshore waters
+ * forecast, the 12:01 edition is shorter (no time period, and condensed area
+ * forecasts that give only the conditions now), and every edition ends with a sign-off.
+ *
+ * Slot times are UTC, as formatBBCTime() reads them.
+ *
+ * In wall-clock mode the scheduler either waits for the next real slot
+ * ('wait') or jumps a simulated clock straight to it ('simulate'), so a
+ * session can sit through the day's editions in order.
+ */
+
+// Segment names in broadcast order (see BroadcastGenerator.generateBroadcast)
+export const BROADCAST_SEGMENTS = [
+  'sailingBy',
+  'introduction',
+  'galeWarnings',
+  'generalSynopsis',
+  'timePeriod',
+  'areaForecasts',
+  'coastalStations',
+  'inshoreWaters',
+  'signOff',
+];
+
+// Interlude played before the late-night edition
+export const SAILING_BY = {
+  title: 'Sailing By',
+  composer: 'Ronald Binge',
+  duration: 150000, // ms, as usually faded to fit the slot
+};
+
+/**
+ * The daily editions, earliest first
+ */
+export const BROADCAST_EDITIONS = [
+  {
+    id: '0048',
+    name: 'Late-night',
+    hour: 0,
+    minute: 48,
+    segments: [
+      'sailingBy', 'introduction', 'galeWarnings', 'generalSynopsis', 'timePeriod',
+      'areaForecasts', 'coastalStations', 'inshoreWaters', 'signOff',
+    ],
+    signOff: 'And that completes the shipping forecast. Radio 4 now closes down and hands over to the BBC World Service. Good night.',
+  },
+  {
+    id: '0520',
+    name: 'Early morning',
+    hour: 5,
+    minute: 20,
+    segments: [
+      'introduction', 'galeWarnings', 'generalSynopsis', 'timePeriod',
+      'areaForecasts', 'coastalStations', 'inshoreWaters', 'signOff',
+    ],
+    signOff: 'And that completes this morning\'s shipping forecast.',
+  },
+  {
+    id: '1201',
+    name: 'Midday',
+    hour: 12,
+    minute: 1,
+    segments: ['introduction', 'galeWarnings', 'generalSynopsis', 'areaForecasts', 'signOff'],
+    condensed: true, // Area forecasts without later and occasional conditions
+    signOff: 'And that completes the shipping forecast.',
+  },
+  {
+    id: '1754',
+    name: 'Evening',
+    hour: 17,
+    minute: 54,
+    segments: ['introduction', 'galeWarnings', 'generalSynopsis', 'timePeriod', 'areaForecasts', 'signOff'],
+    signOff: 'And that completes the shipping forecast.',
+  },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Look up an edition by id
+ * @param {string} id - Edition id ('0048', '0520', '1201' or '1754')
+ * @returns {Object} Edition from BROADCAST_EDITIONS
+ * @throws {Error} If the id is unknown
+ */
+export function getEdition(id) {
+  const edition = BROADCAST_EDITIONS.find((candidate) => candidate.id === id);
+  if (!edition) {
+    throw new Error(`Unknown broadcast edition: ${id}`);
+  }
+  return edition;
+}
+
+/**
+ * Broadcast Scheduler
+ *
+ * Usage:
+ *   const { edition, time } = broadcastScheduler.getNextSlot(new Date());
+ *   broadcastGenerator.generateBroadcast(31, broadcastScheduler.getBroadcastOptions(edition, time));
+ */
+export class BroadcastScheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {'wait'|'simulate'} [options.mode='simulate'] - How waitForNextSlot() reaches the next slot
+   * @param {Function} [options.now] - Clock returning the current Date (for tests)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'simulate';
+    this.now = options.now || (() => new Date());
+    this.simulatedTime = null;
+    this.pendingWait = null;
+  }
+
+  /**
+   * Choose how waitForNextSlot() reaches the next slot
+   * @param {'wait'|'simulate'} mode - Wait for real time, or jump a simulated clock
+   */
+  setMode(mode) {
+    if (mode !== 'wait' && mode !== 'simulate') {
+      throw new Error(`Unknown scheduler mode: ${mode}`);
+    }
+    this.mode = mode;
+    this.simulatedTime = null;
+  }
+
+  /**
+   * The edition on air at a given time (the latest slot at or before it)
+   * @param {Date} date - Time to look up
+   * @returns {{edition: Object, time: Date}} Edition and its slot time
+   */
+  getEdition(date) {
+    return this._slotsAround(date)
+      .filter((slot) => slot.time.getTime() <= date.getTime())
+      .pop();
+  }
+
+  /**
+   * The first slot strictly after a given time
+   * @param {Date} date - Time to search from
+   * @returns {{edition: Object, time: Date}} Edition and its slot time
+   */
+  getNextSlot(date) {
+    return this._slotsAround(date).find((slot) => slot.time.getTime() > date.getTime());
+  }
+
+  /**
+   * Options for BroadcastGenerator.generateBroadcast() for an edition
+   * @param {Object} edition - Edition from BROADCAST_EDITIONS
+   * @param {Date} time - Slot time (becomes the broadcast timestamp)
+   * @returns {{timestamp: Date, edition: string, order: string, coastalStations: boolean, inshoreWaters: boolean}}
+   */
+  getBroadcastOptions(edition, time) {
+    return {
+      timestamp: time,
+      edition: edition.id,
+      order: 'canonical',
+      coastalStations: edition.segments.includes('coastalStations'),
+      inshoreWaters: edition.segments.includes('inshoreWaters'),
+    };
+  }
+
+  /**
+   * Reach the next slot: wait for it in real time, or jump the simulated clock
+   *
+   * @returns {Promise<{edition: Object, time: Date}|null>} The slot, or null if cancelled while waiting
+   */
+  async waitForNextSlot() {
+    if (this.mode === 'simulate') {
+      const slot = this.getNextSlot(this.simulatedTime || this.now());
+      this.simulatedTime = slot.time;
+      console.log(`[BroadcastScheduler] Simulating ${slot.edition.name} edition at ${slot.time.toISOString()}`);
+      return slot;
+    }
+
+    const slot = this.getNextSlot(this.now());
+    const delay = Math.max(0, slot.time.getTime() - this.now().getTime());
+    console.log(`[BroadcastScheduler] Waiting ${Math.round(delay / 1000)}s for ${slot.edition.name} edition`);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pendingWait = null;
+        resolve(slot);
+      }, delay);
+      this.pendingWait = { timer, resolve };
+    });
+  }
+
+  /**
+   * Stop waiting for the next slot (resolves the pending wait with null)
+   */
+  cancelWait() {
+    if (this.pendingWait) {
+      clearTimeout(this.pendingWait.timer);
+      this.pendingWait.resolve(null);
+      this.pendingWait = null;
+    }
+  }
+
+  /**
+   * Slots from the day before to the day after a date, in time order
+   * @private
+   */
+  _slotsAround(date) {
+    const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const slots = [];
+
+    for (const dayOffset of [-1, 0, 1]) {
+      for (const edition of BROADCAST_EDITIONS) {
+        const time = new Date(midnight + dayOffset * DAY_MS + (edition.hour * 60 + edition.minute) * 60 * 1000);
+        slots.push({ edition, time });
+      }
+    }
+
+    return slots;
+  }
+}
+
+// Export singleton instance
+export const broadcastScheduler = new BroadcastScheduler();
@@ -0,0 +1,376 @@
+/**
+ * Broadcast serializer
+ *
+ * Writes broadcasts from BroadcastGenerator.generateBroadcast() as versioned
+ * JSON and reads them back, so a broadcast can be archived, diffed against
+ * another, or handed to the player to replay without regenerating it.
+ *
+ * The document format is specified by
+ * specs/003-broadcast-structure/contracts/broadcast.schema.json. Dates are
+ * written as ISO 8601 strings and revived as Date objects on the way back in.
+ * Bump BROADCAST_SCHEMA_VERSION (and the schema's const) whenever a change
+ * means existing archives can no longer be read as they are.
+ */
+
+export const BROADCAST_SCHEMA_VERSION = 1;
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const EDITION_IDS = ['0048', '0520', '1201', '1754'];
+
+/**
+ * Serialize a broadcast to schema-versioned JSON
+ * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+ * @param {Object} [options] - Serialization options
+ * @param {number} [options.space] - Indentation passed to JSON.stringify (e.g. 2 for archives meant to be diffed)
+ * @returns {string} JSON document
+ */
+export function serializeBroadcast(broadcast, options = {}) {
+  const document = { schemaVersion: BROADCAST_SCHEMA_VERSION, ...broadcast };
+  return JSON.stringify(document, null, options.space);
+}
+
+/**
+ * Read a broadcast back from JSON, validating it against the schema
+ * @param {string|Object} json - JSON document, or an already-parsed object
+ * @returns {Object} Broadcast with Date fields revived (without schemaVersion)
+ * @throws {Error} If the document is not valid JSON, has an unsupported version or fails validation
+ */
+export function deserializeBroadcast(json) {
+  let data = json;
+  if (typeof json === 'string') {
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid broadcast JSON: ${error.message}`);
+    }
+  }
+
+  if (data && typeof data === 'object' && data.schemaVersion !== BROADCAST_SCHEMA_VERSION) {
+    throw new Error(`Unsupported broadcast schema version: ${data.schemaVersion}`);
+  }
+
+  const errors = validateBroadcast(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid broadcast JSON: ${errors.join('; ')}`);
+  }
+
+  const broadcast = { ...data };
+  delete broadcast.schemaVersion;
+  return reviveDates(broadcast);
+}
+
+/**
+ * Check a parsed document against the broadcast schema
+ *
+ * Covers the required fields and types of the broadcast and every segment,
+ * enough to be sure the player and SSML builder can read it.
+ *
+ * @param {*} data - Parsed JSON document
+ * @returns {Array<string>} Errors as "path: problem" (empty when valid)
+ */
+export function validateBroadcast(data) {
+  const errors = [];
+  const check = new Checker(errors);
+
+  if (!check.object(data, '')) {
+    return errors;
+  }
+
+  check.required(data, '', [
+    'schemaVersion', 'broadcastId', 'seed', 'timestamp', 'introduction', 'galeWarnings',
+    'generalSynopsis', 'timePeriod', 'areaForecasts', 'order', 'createdAt',
+  ]);
+  if (data.schemaVersion !== undefined && data.schemaVersion !== BROADCAST_SCHEMA_VERSION) {
+    errors.push(`schemaVersion: must be ${BROADCAST_SCHEMA_VERSION}`);
+  }
+  check.pattern(data.broadcastId, 'broadcastId', /^broadcast-[0-9a-f]{8}$/);
+  check.integer(data.seed, 'seed');
+  check.dateTime(data.timestamp, 'timestamp');
+  check.dateTime(data.createdAt, 'createdAt');
+  check.oneOf(data.order, 'order', ['shuffled', 'canonical']);
+  check.optional(data.edition, () => check.oneOf(data.edition, 'edition', EDITION_IDS));
+  check.optional(data.profile, () => check.type(data.profile, 'profile', 'string'));
+  check.optional(data.priorWeatherState, () => validateWeatherState(check, data.priorWeatherState));
+
+  check.optional(data.sailingBy, () => {
+    if (check.object(data.sailingBy, 'sailingBy')) {
+      check.type(data.sailingBy.title, 'sailingBy.title', 'string');
+      check.integer(data.sailingBy.duration, 'sailingBy.duration');
+    }
+  });
+
+  if (check.object(data.introduction, 'introduction')) {
+    check.type(data.introduction.variantId, 'introduction.variantId', 'string');
+    check.text(data.introduction.text, 'introduction.text');
+  }
+
+  check.optional(data.galeWarnings, () => validateGaleWarnings(check, data.galeWarnings));
+
+  check.optional(data.generalSynopsis, () => {
+    const synopsis = data.generalSynopsis;
+    if (check.object(synopsis, 'generalSynopsis')) {
+      check.oneOf(synopsis.pressureDescription, 'generalSynopsis.pressureDescription', ['High', 'Medium', 'Low']);
+      check.type(synopsis.currentArea, 'generalSynopsis.currentArea', 'string');
+      check.integer(synopsis.currentPressure, 'generalSynopsis.currentPressure');
+      check.text(synopsis.text, 'generalSynopsis.text');
+    }
+  });
+
+  check.optional(data.timePeriod, () => {
+    if (check.object(data.timePeriod, 'timePeriod')) {
+      check.type(data.timePeriod.variantId, 'timePeriod.variantId', 'string');
+      check.text(data.timePeriod.text, 'timePeriod.text');
+    }
+  });
+
+  if (check.array(data.areaForecasts, 'areaForecasts')) {
+    data.areaForecasts.forEach((forecast, i) => validateAreaForecast(check, forecast, `areaForecasts[${i}]`));
+  }
+
+  check.optional(data.coastalStations, () => validateCoastalStations(check, data.coastalStations));
+  check.optional(data.inshoreWaters, () => validateInshoreWaters(check, data.inshoreWaters));
+
+  check.optional(data.signOff, () => {
+    if (check.object(data.signOff, 'signOff')) {
+      check.text(data.signOff.text, 'signOff.text');
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Collects "path: problem" errors; each check returns whether the value passed
+ * @private
+ */
+class Checker {
+  constructor(errors) {
+    this.errors = errors;
+  }
+
+  fail(path, problem) {
+    this.errors.push(`${path || '(root)'}: ${problem}`);
+    return false;
+  }
+
+  required(value, path, keys) {
+    for (const key of keys) {
+      if (value[key] === undefined) {
+        this.fail(path ? `${path}.${key}` : key, 'is required');
+      }
+    }
+  }
+
+  optional(value, validate) {
+    if (value !== undefined && value !== null) {
+      validate();
+    }
+  }
+
+  object(value, path) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? true
+      : this.fail(path, 'must be an object');
+  }
+
+  array(value, path) {
+    return Array.isArray(value) || this.fail(path, 'must be an array');
+  }
+
+  type(value, path, type) {
+    return value === undefined || typeof value === type || this.fail(path, `must be a ${type}`);
+  }
+
+  integer(value, path) {
+    return value === undefined || Number.isInteger(value) || this.fail(path, 'must be an integer');
+  }
+
+  text(value, path) {
+    return (typeof value === 'string' && value.length > 0) || this.fail(path, 'must be a non-empty string');
+  }
+
+  pattern(value, path, regex) {
+    return value === undefined || (typeof value === 'string' && regex.test(value))
+      || this.fail(path, `must match ${regex}`);
+  }
+
+  dateTime(value, path) {
+    return value === undefined || (typeof value === 'string' && ISO_DATE_TIME.test(value))
+      || this.fail(path, 'must be an ISO 8601 date-time');
+  }
+
+  oneOf(value, path, allowed) {
+    return value === undefined || allowed.includes(value) || this.fail(path, `must be one of ${allowed.join(', ')}`);
+  }
+
+  force(value, path) {
+    const valid = (force) => Number.isInteger(force) && force >= 0 && force <= 12;
+    const ok = Array.isArray(value) ? value.length === 2 && value.every(valid) : valid(value);
+    return ok || this.fail(path, 'must be a Beaufort force or a pair of forces');
+  }
+}
+
+/**
+ * @private
+ */
+function validateWeatherState(check, state) {
+  if (check.object(state, 'priorWeatherState')) {
+    check.required(state, 'priorWeatherState', ['version', 'systems', 'cells']);
+    check.integer(state.version, 'priorWeatherState.version');
+    check.array(state.systems, 'priorWeatherState.systems');
+  }
+}
+
+/**
+ * @private
+ */
+function validateGaleWarnings(check, galeWarnings) {
+  if (!check.object(galeWarnings, 'galeWarnings')) {
+    return;
+  }
+
+  check.array(galeWarnings.affectedAreas, 'galeWarnings.affectedAreas');
+  check.oneOf(galeWarnings.formatType, 'galeWarnings.formatType', ['standard', 'inverse']);
+  check.text(galeWarnings.text, 'galeWarnings.text');
+  check.optional(galeWarnings.summary, () => check.text(galeWarnings.summary, 'galeWarnings.summary'));
+
+  check.optional(galeWarnings.bulletins, () => {
+    if (!check.array(galeWarnings.bulletins, 'galeWarnings.bulletins')) {
+      return;
+    }
+    galeWarnings.bulletins.forEach((bulletin, i) => {
+      const path = `galeWarnings.bulletins[${i}]`;
+      if (check.object(bulletin, path)) {
+        check.required(bulletin, path, ['area', 'number', 'issuedAt', 'timing', 'text']);
+        check.integer(bulletin.number, `${path}.number`);
+        check.dateTime(bulletin.issuedAt, `${path}.issuedAt`);
+        check.dateTime(bulletin.expectedAt, `${path}.expectedAt`);
+        check.oneOf(bulletin.timing, `${path}.timing`, ['imminent', 'soon', 'later']);
+        check.text(bulletin.text, `${path}.text`);
+      }
+    });
+  });
+}
+
+/**
+ * @private
+ */
+function validateAreaForecast(check, forecast, path) {
+  if (!check.object(forecast, path)) {
+    return;
+  }
+
+  check.required(forecast, path, ['area', 'wind', 'seaState', 'precipitation', 'visibility', 'text']);
+
+  if (check.object(forecast.area, `${path}.area`)) {
+    check.type(forecast.area.name, `${path}.area.name`, 'string');
+    check.oneOf(forecast.area.type, `${path}.area.type`, ['standard', 'phantom']);
+  }
+  check.optional(forecast.areas, () => check.array(forecast.areas, `${path}.areas`));
+
+  if (check.object(forecast.wind, `${path}.wind`)) {
+    check.type(forecast.wind.direction, `${path}.wind.direction`, 'string');
+    check.force(forecast.wind.force, `${path}.wind.force`);
+    check.type(forecast.wind.forceText, `${path}.wind.forceText`, 'string');
+    for (const key of ['subsequentWind', 'occasionalWind']) {
+      check.optional(forecast.wind[key], () => {
+        if (check.object(forecast.wind[key], `${path}.wind.${key}`)) {
+          check.force(forecast.wind[key].force, `${path}.wind.${key}.force`);
+        }
+      });
+    }
+  }
+
+  if (check.object(forecast.seaState, `${path}.seaState`)) {
+    check.type(forecast.seaState.state, `${path}.seaState.state`, 'string');
+  }
+  if (check.object(forecast.precipitation, `${path}.precipitation`)) {
+    check.type(forecast.precipitation.text, `${path}.precipitation.text`, 'string');
+  }
+  check.optional(forecast.icing, () => check.object(forecast.icing, `${path}.icing`));
+  check.type(forecast.visibility, `${path}.visibility`, 'string');
+  check.dateTime(forecast.timestamp, `${path}.timestamp`);
+  check.text(forecast.text, `${path}.text`);
+}
+
+/**
+ * @private
+ */
+function validateCoastalStations(check, coastalStations) {
+  if (!check.object(coastalStations, 'coastalStations')) {
+    return;
+  }
+
+  check.text(coastalStations.introduction, 'coastalStations.introduction');
+  check.required(coastalStations, 'coastalStations', ['observedAt']);
+  check.dateTime(coastalStations.observedAt, 'coastalStations.observedAt');
+
+  if (check.array(coastalStations.stations, 'coastalStations.stations')) {
+    coastalStations.stations.forEach((station, i) => {
+      const path = `coastalStations.stations[${i}]`;
+      if (check.object(station, path)) {
+        check.required(station, path, ['name', 'seaArea', 'wind', 'visibility', 'pressure', 'tendency', 'text']);
+        check.integer(station.pressure, `${path}.pressure`);
+        check.text(station.text, `${path}.text`);
+      }
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function validateInshoreWaters(check, inshoreWaters) {
+  if (!check.object(inshoreWaters, 'inshoreWaters')) {
+    return;
+  }
+
+  check.text(inshoreWaters.introduction, 'inshoreWaters.introduction');
+
+  if (check.array(inshoreWaters.sections, 'inshoreWaters.sections')) {
+    inshoreWaters.sections.forEach((section, i) => {
+      const path = `inshoreWaters.sections[${i}]`;
+      if (check.object(section, path)) {
+        check.type(section.name, `${path}.name`, 'string');
+        check.array(section.periods, `${path}.periods`);
+        check.text(section.text, `${path}.text`);
+      }
+    });
+  }
+}
+
+/**
+ * Turn the ISO strings written for Date fields back into Dates
+ * (area forecast timestamps are generated as ISO strings and stay that way)
+ * @private
+ */
+function reviveDates(broadcast) {
+  const toDate = (value) => (typeof value === 'string' ? new Date(value) : value);
+
+  const revived = {
+    ...broadcast,
+    timestamp: toDate(broadcast.timestamp),
+    createdAt: toDate(broadcast.createdAt),
+  };
+
+  if (broadcast.galeWarnings && broadcast.galeWarnings.bulletins) {
+    revived.galeWarnings = {
+      ...broadcast.galeWarnings,
+      bulletins: broadcast.galeWarnings.bulletins.map((bulletin) => ({
+        ...bulletin,
+        issuedAt: toDate(bulletin.issuedAt),
+        expectedAt: toDate(bulletin.expectedAt),
+      })),
+    };
+  }
+
+  if (broadcast.coastalStations) {
+    revived.coastalStations = {
+      ...broadcast.coastalStations,
+      observedAt: toDate(broadcast.coastalStations.observedAt),
+    };
+  }
+
+  return revived;
+}
@@ -0,0 +1,142 @@
+/**
+ * Seasonal climatology
+ *
+ * Biases generated weather by month, time of day and latitude: icing and snow
+ * in the northern winter (South-East Iceland in January), fog banks in spring
+ * and early summer and around dawn, showers and thunder in late summer, in the
+ * afternoon and in the warmer southern areas. Pure data and functions, so it
+ * can be tested without a browser.
+ */
+
+/**
+ * Monthly factors, January first
+ * icing/snow/fog/thunder multiply the profile's odds and weights (1 = unchanged);
+ * fogBank is the chance an area's visibility is replaced by a fog bank.
+ */
+export const MONTHLY_CLIMATE = [
+  { month: 'January', icing: 1.0, snow: 1.0, fog: 0.7, thunder: 0.2, fogBank: 0.02 },
+  { month: 'February', icing: 1.0, snow: 1.0, fog: 0.8, thunder: 0.2, fogBank: 0.03 },
+  { month: 'March', icing: 0.7, snow: 0.7, fog: 1.2, thunder: 0.3, fogBank: 0.06 },
+  { month: 'April', icing: 0.3, snow: 0.4, fog: 1.8, thunder: 0.5, fogBank: 0.1 },
+  { month: 'May', icing: 0.05, snow: 0.1, fog: 2.0, thunder: 0.8, fogBank: 0.12 },
+  { month: 'June', icing: 0, snow: 0, fog: 1.8, thunder: 1.2, fogBank: 0.1 },
+  { month: 'July', icing: 0, snow: 0, fog: 1.2, thunder: 1.6, fogBank: 0.06 },
+  { month: 'August', icing: 0, snow: 0, fog: 0.9, thunder: 2.0, fogBank: 0.04 },
+  { month: 'September', icing: 0, snow: 0, fog: 0.8, thunder: 1.6, fogBank: 0.04 },
+  { month: 'October', icing: 0.1, snow: 0.1, fog: 0.9, thunder: 0.8, fogBank: 0.04 },
+  { month: 'November', icing: 0.5, snow: 0.5, fog: 1.0, thunder: 0.4, fogBank: 0.03 },
+  { month: 'December', icing: 0.9, snow: 0.9, fog: 0.8, thunder: 0.2, fogBank: 0.02 },
+];
+
+/**
+ * Time-of-day factors by UTC hour, multiplying the monthly fog, fog bank,
+ * shower and thunder factors. Radiation fog forms in the clear night and
+ * lingers until the sun burns it off; convective showers and thunder build
+ * through the afternoon. Each edition falls in its own band.
+ */
+export const DIURNAL_CLIMATE = [
+  { period: 'night', fromHour: 0, toHour: 4, fog: 1.3, showers: 0.8, thunder: 0.6 }, // 00:48
+  { period: 'dawn', fromHour: 4, toHour: 9, fog: 1.8, showers: 0.7, thunder: 0.4 }, // 05:20
+  { period: 'morning', fromHour: 9, toHour: 12, fog: 1.0, showers: 0.9, thunder: 0.8 },
+  { period: 'afternoon', fromHour: 12, toHour: 18, fog: 0.6, showers: 1.4, thunder: 1.6 }, // 12:01, 17:54
+  { period: 'evening', fromHour: 18, toHour: 24, fog: 0.9, showers: 1.1, thunder: 1.1 },
+];
+
+// Latitude (°N) below which icing never forms, and the span over which it reaches full strength
+const ICING_LATITUDE = 48;
+const ICING_LATITUDE_SPAN = 14;
+// Latitude below which snow never falls at sea level
+const SNOW_LATITUDE = 45;
+const SNOW_LATITUDE_SPAN = 12;
+// Thunder favours the warmer southern areas
+const THUNDER_LATITUDE = 66;
+const THUNDER_LATITUDE_SPAN = 14;
+
+// Icing is rare outside the cold north; scale the profile's base odds up there
+const ICING_SCALE = 2.5;
+const MAX_ICING_PROBABILITY = 0.9;
+
+/**
+ * Clamp a value to a range
+ * @param {number} value - Value
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Climate table entry for a date (by UTC month)
+ * @param {Date} date - Date
+ * @returns {Object} Entry from MONTHLY_CLIMATE
+ */
+export function getMonthlyClimate(date) {
+  return MONTHLY_CLIMATE[date.getUTCMonth()];
+}
+
+/**
+ * Time-of-day table entry for a date (by UTC hour)
+ * @param {Date} date - Date
+ * @returns {Object} Entry from DIURNAL_CLIMATE
+ */
+export function getDiurnalClimate(date) {
+  const hour = date.getUTCHours();
+  return DIURNAL_CLIMATE.find((entry) => hour >= entry.fromHour && hour < entry.toHour);
+}
+
+/**
+ * Climate bias for a place and time
+ *
+ * @param {Date} date - Broadcast time
+ * @param {number} latitude - Latitude in degrees north (e.g. an area centroid)
+ * @returns {{
+ *   icing: number,
+ *   snow: number,
+ *   fog: number,
+ *   showers: number,
+ *   thunder: number,
+ *   fogBank: number
+ * }} Multipliers for icing odds and snow/fog/shower/thunder weights, and the fog bank chance
+ */
+export function getClimateBias(date, latitude) {
+  const climate = getMonthlyClimate(date);
+  const diurnal = getDiurnalClimate(date);
+
+  const cold = clamp((latitude - ICING_LATITUDE) / ICING_LATITUDE_SPAN, 0, 1.2);
+  const snowy = clamp((latitude - SNOW_LATITUDE) / SNOW_LATITUDE_SPAN, 0, 1.5);
+  const warm = clamp((THUNDER_LATITUDE - latitude) / THUNDER_LATITUDE_SPAN, 0.3, 1.5);
+
+  return {
+    icing: climate.icing * cold * ICING_SCALE,
+    snow: climate.snow * snowy,
+    fog: climate.fog * diurnal.fog,
+    showers: diurnal.showers,
+    thunder: climate.thunder * diurnal.thunder * warm,
+    fogBank: clamp(climate.fogBank * diurnal.fog, 0, 1),
+  };
+}
+
+/**
+ * Icing probability after climate bias
+ * @param {number} baseProbability - Profile icing probability
+ * @param {Object} bias - From getClimateBias()
+ * @returns {number} Probability in [0, MAX_ICING_PROBABILITY]
+ */
+export function applyIcingBias(baseProbability, bias) {
+  return clamp(baseProbability * bias.icing, 0, MAX_ICING_PROBABILITY);
+}
+
+/**
+ * Per-value weight multipliers implied by a climate bias, for GeneratorProfile.pick()
+ * @param {Object} bias - From getClimateBias()
+ * @returns {{precipitationTypes: Object, precipitationModifiers: Object, visibility: Object}}
+ */
+export function getClimateWeights(bias) {
+  return {
+    precipitationTypes: { snow: bias.snow, showers: bias.showers },
+    precipitationModifiers: { Wintry: bias.snow, Thundery: bias.thunder },
+    visibility: { 'Fog': bias.fog, 'Dense fog': bias.fog },
+  };
+}
@@ -0,0 +1,242 @@
+/**
+ * Coastal station reports generator
+ *
+ * Produces the "reports from coastal stations" read in the 00:48 and 05:20
+ * editions: each station gives wind, present weather, visibility, pressure in
+ * millibars and the pressure tendency. Pressures are taken from the synopsis
+ * pressure systems (via the weather state), so a station near an announced low
+ * reads low and falls as the low approaches.
+ */
+
+import { COASTAL_STATIONS, getSeaArea } from './areas.js';
+import { WIND_DIRECTIONS, VISIBILITY, formatWindForce, getRandomElement, getRandomInt } from './vocabulary.js';
+import { GeneratorProfile } from './generator-profile.js';
+import { getClimateBias, getClimateWeights } from './climatology.js';
+import { computeAreaPressures } from './weather-field.js';
+import { formatBBCTime, formatPressureDigits } from '../utils/date-formatter.js';
+
+const COMPASS_WINDS = WIND_DIRECTIONS.slice(0, 8);
+
+// Observations are made on the hour, this long before the broadcast
+const OBSERVATION_LEAD_MS = 60 * 60 * 1000;
+
+// Tendency is the pressure change over three hours
+const TENDENCY_PERIOD_MS = 3 * 60 * 60 * 1000;
+
+// Met Office tendency terms by three-hour change (mb), smallest first
+const PRESSURE_TENDENCIES = [
+  { limit: 0.1, term: 'steady' },
+  { limit: 1.6, term: 'slowly' },
+  { limit: 3.6, term: null },
+  { limit: 6.1, term: 'quickly' },
+  { limit: Infinity, term: 'very rapidly' },
+];
+
+// Reported distance for each visibility term: [min, max, unit]
+const VISIBILITY_DISTANCES = {
+  'Excellent': [30, 40, 'miles'],
+  'Very good': [16, 29, 'miles'],
+  'Good': [6, 15, 'miles'],
+  'Moderate': [2, 5, 'miles'],
+  'Poor': [1000, 3000, 'metres'],
+  'Very poor': [500, 900, 'metres'],
+  'Fog': [200, 400, 'metres'],
+  'Dense fog': [50, 150, 'metres'],
+};
+
+// Below this pressure (mb), or in poor visibility, manned stations report precipitation
+const WET_PRESSURE = 1008;
+
+/**
+ * Coastal Station Generator
+ */
+export class CoastalStationGenerator {
+  /**
+   * @param {Object} [options] - Generator options
+   * @param {Function} [options.random=Math.random] - Random source (see utils/random.js)
+   * @param {GeneratorProfile} [options.profile] - Probabilities and weights (default profile if omitted)
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.profile = options.profile || new GeneratorProfile();
+    this.weatherField = null;
+    this.weatherState = null;
+    this.timestamp = null;
+  }
+
+  /**
+   * Replace the random source used for all subsequent draws
+   * @param {Function} random - Random source returning floats in [0, 1)
+   */
+  setRandom(random) {
+    this.random = random || Math.random;
+  }
+
+  /**
+   * Replace the profile used for subsequent reports
+   * @param {GeneratorProfile} profile - Generator profile
+   */
+  setProfile(profile) {
+    this.profile = profile || new GeneratorProfile();
+  }
+
+  /**
+   * Drive station wind and visibility from the offshore weather field
+   * @param {import('./weather-field.js').WeatherField|null} field - Field, or null for independent rolls
+   */
+  setWeatherField(field) {
+    this.weatherField = field;
+  }
+
+  /**
+   * Take station pressures from the synopsis systems tracked by a weather state
+   * @param {import('./weather-state.js').WeatherState|null} state - Weather state, or null for background pressure
+   */
+  setWeatherState(state) {
+    this.weatherState = state;
+  }
+
+  /**
+   * Set the broadcast time (observation time and seasonal weather)
+   * @param {Date|null} timestamp - Broadcast time, or null for now
+   */
+  setTimestamp(timestamp) {
+    this.timestamp = timestamp ? new Date(timestamp) : null;
+  }
+
+  /**
+   * Generate the coastal station reports segment
+   *
+   * @returns {{
+   *   introduction: string,
+   *   observedAt: Date,
+   *   stations: Array<Object>,
+   *   text: string
+   * }}
+   */
+  generateReports() {
+    const timestamp = this.timestamp || new Date();
+    const observedAt = new Date(timestamp.getTime() - OBSERVATION_LEAD_MS);
+    observedAt.setUTCMinutes(0, 0, 0);
+
+    // Tendency follows the systems along their current legs from the broadcast onwards
+    const systems = this.weatherState ? this.weatherState.getFieldSystems(timestamp) : [];
+    const nextSystems = this.weatherState
+      ? this.weatherState.getFieldSystems(new Date(timestamp.getTime() + TENDENCY_PERIOD_MS))
+      : [];
+    const pressures = computeAreaPressures(systems);
+    const nextPressures = computeAreaPressures(nextSystems);
+
+    const introduction = `And now the reports from coastal stations for ${formatBBCTime(observedAt)}.`;
+    const stations = COASTAL_STATIONS.map((station) =>
+      this._generateStation(station, pressures.get(station.seaArea), nextPressures.get(station.seaArea), timestamp)
+    );
+
+    return {
+      introduction,
+      observedAt,
+      stations,
+      text: [introduction, ...stations.map((station) => station.text)].join('\n')
+    };
+  }
+
+  /**
+   * Generate one station's report
+   * @private
+   * @returns {{name: string, seaArea: string, automatic: boolean, wind: Object, weather: string|null,
+   *   visibility: Object, pressure: number, tendency: string, report: string, text: string}}
+   */
+  _generateStation(station, pressureNow, pressureNext, timestamp) {
+    const conditions = this.weatherField ? this.weatherField.getConditions(station.seaArea) : null;
+
+    // Stations sit a millibar or so either side of their sea area
+    const offset = getRandomInt(-1, 1, this.random);
+    const pressure = Math.round(pressureNow + offset);
+    const tendency = this._describeTendency(pressureNext - pressureNow);
+
+    const wind = this._generateWind(conditions);
+    const visibilityTerm = conditions ? conditions.visibility : this.profile.pick('visibility', this.random);
+    const visibility = this._generateVisibility(visibilityTerm);
+    const weather = station.automatic ? null : this._generateWeather(station, visibilityTerm, pressure, timestamp);
+
+    // "Stornoway. Westerly 6, rain, 8 miles, nine-nine-eight, falling slowly."
+    const report = [wind.text, weather, visibility.text, formatPressureDigits(pressure), tendency]
+      .filter((part) => part !== null)
+      .join(', ');
+
+    return {
+      name: station.name,
+      seaArea: station.seaArea,
+      automatic: station.automatic,
+      wind,
+      weather,
+      visibility,
+      pressure,
+      tendency,
+      report,
+      text: `${station.name}. ${report}.`
+    };
+  }
+
+  /**
+   * Station wind: the area's wind, a little lighter on the coast
+   * @private
+   */
+  _generateWind(conditions) {
+    let direction = conditions ? conditions.direction : this.profile.pick('directions', this.random);
+    const baseForce = conditions ? conditions.force : this.profile.pick('forces', this.random);
+    const force = Math.max(1, baseForce - getRandomInt(0, 2, this.random));
+
+    // A station measures an actual direction, even at the centre of a low
+    if (direction === 'Cyclonic') {
+      direction = getRandomElement(COMPASS_WINDS, this.random);
+    }
+
+    return { direction, force, text: `${direction} ${formatWindForce(force)}` };
+  }
+
+  /**
+   * Reported visibility distance for a visibility term
+   * @private
+   */
+  _generateVisibility(term) {
+    const [min, max, unit] = VISIBILITY_DISTANCES[term] || VISIBILITY_DISTANCES['Good'];
+    const distance = unit === 'metres'
+      ? Math.round(getRandomInt(min, max, this.random) / 100) * 100 || min
+      : getRandomInt(min, max, this.random);
+
+    return { term, distance, unit, text: `${distance} ${distance === 1 ? 'mile' : unit}` };
+  }
+
+  /**
+   * Present weather at a manned station, or null when there is nothing to report
+   * @private
+   */
+  _generateWeather(station, visibilityTerm, pressure, timestamp) {
+    const visibilityIndex = VISIBILITY.indexOf(visibilityTerm);
+    if (visibilityTerm === 'Fog' || visibilityTerm === 'Dense fog') {
+      return 'fog';
+    }
+    if (pressure >= WET_PRESSURE && visibilityIndex < VISIBILITY.indexOf('Poor')) {
+      return null;
+    }
+
+    const weights = getClimateWeights(getClimateBias(timestamp, getSeaArea(station.seaArea).centroid.lat));
+    const type = this.profile.pick('precipitationTypes', this.random, null, weights.precipitationTypes);
+    return this.random() < 0.3 ? `recent ${type}` : type;
+  }
+
+  /**
+   * Tendency phrase for a three-hour pressure change ("rising slowly", "falling", "steady")
+   * @private
+   */
+  _describeTendency(change) {
+    const magnitude = Math.abs(change);
+    const { term } = PRESSURE_TENDENCIES.find((tendency) => magnitude < tendency.limit);
+    if (term === 'steady') {
+      return term;
+    }
+    const trend = change > 0 ? 'rising' : 'falling';
+    return term ? `${trend} ${term}` : trend;
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Gale warning service
+ *
+ * Issues gale warnings as bulletins in the Met Office form: each area's
+ * warnings are numbered in sequence across broadcasts, carry the time they
+ * were issued, and say when the gale is expected using the defined timing
+ * terms ("imminent", "soon", "later"). The numbering lives in the weather
+ * state so it survives reloads and replays.
+ *
+ * A forecast gale may also arrive early while a broadcast is playing; the
+ * service then reissues the warning as imminent for an interrupting
+ * announcement, the way Radio 4 breaks in with gale warnings.
+ */
+
+import { getBroadcastOrder } from './areas.js';
+import { formatWindForce, getRandomInt } from './vocabulary.js';
+import { GeneratorProfile } from './generator-profile.js';
+import { WeatherState } from './weather-state.js';
+
+export const GALE_FORCE = 8;
+
+/**
+ * Timing terms by hours from issue until the gale arrives
+ * imminent: within 6 hours; soon: 6 to 12 hours; later: more than 12 hours
+ */
+export const GALE_TIMING_TERMS = [
+  { term: 'imminent', maxHours: 6 },
+  { term: 'soon', maxHours: 12 },
+  { term: 'later', maxHours: Infinity },
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// New warnings are issued this many minutes before the broadcast that first reads them
+const ISSUE_LEAD_MINUTES = [10, 90];
+
+/**
+ * Compare bulletins by official broadcast order (phantom areas last)
+ * @param {Object} a - Bulletin
+ * @param {Object} b - Bulletin
+ * @returns {number}
+ */
+function byBroadcastOrder(a, b) {
+  return getBroadcastOrder(a.area) - getBroadcastOrder(b.area) || 0;
+}
+
+/**
+ * Timing term for a gale expected some hours after a warning is issued
+ * @param {number} hours - Hours from issue to arrival
+ * @returns {string} 'imminent', 'soon' or 'later'
+ */
+export function getTimingTerm(hours) {
+  return GALE_TIMING_TERMS.find((timing) => hours < timing.maxHours).term;
+}
+
+/**
+ * Format an issue time as in the bulletin ("1623 UTC")
+ * @param {Date} date - Issue time
+ * @returns {string}
+ */
+export function formatIssueTime(date) {
+  const hours = String(date.getUTCHours()).padStart(2, '0');
+  const minutes = String(date.getUTCMinutes()).padStart(2, '0');
+  return `${hours}${minutes} UTC`;
+}
+
+/**
+ * Gale Warning Service
+ */
+export class GaleWarningService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {Function} [options.random=Math.random] - Random source (see utils/random.js)
+   * @param {GeneratorProfile} [options.profile] - Profile (galeInterruption probability)
+   * @param {WeatherState} [options.weatherState] - State holding the per-area warning numbers
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.profile = options.profile || new GeneratorProfile();
+    this.weatherState = options.weatherState || new WeatherState();
+  }
+
+  /**
+   * Replace the random source used for all subsequent draws
+   * @param {Function} random - Random source returning floats in [0, 1)
+   */
+  setRandom(random) {
+    this.random = random || Math.random;
+  }
+
+  /**
+   * Replace the profile used for interruptions
+   * @param {GeneratorProfile} profile - Generator profile
+   */
+  setProfile(profile) {
+    this.profile = profile || new GeneratorProfile();
+  }
+
+  /**
+   * Keep warning numbers in a weather state
+   * @param {WeatherState} state - Weather state
+   */
+  setWeatherState(state) {
+    this.weatherState = state;
+  }
+
+  /**
+   * Issue the gale warnings for a broadcast's area forecasts
+   *
+   * A gale in the initial wind is imminent; one in the subsequent or
+   * occasional wind arrives soon, or later when the forecast says "later".
+   * A warning still in force with the same timing keeps its number and issue
+   * time; a new or changed warning takes the area's next number. Areas no
+   * longer forecast a gale have their warning cancelled.
+   *
+   * @param {Array} areaForecasts - Ungrouped area forecasts
+   * @param {Date} timestamp - Broadcast time
+   * @returns {Array<Object>} Bulletins in broadcast order (see _bulletin)
+   */
+  issueWarnings(areaForecasts, timestamp) {
+    const bulletins = [];
+    const galeAreas = new Set();
+
+    for (const forecast of areaForecasts) {
+      const gale = this._findGale(forecast.wind);
+      if (!gale) {
+        continue;
+      }
+
+      const area = forecast.area.name;
+      galeAreas.add(area);
+
+      const previous = this.weatherState.getGaleWarning(area);
+      const expectedAt = new Date(timestamp.getTime() + gale.hours * HOUR_MS);
+      const timing = getTimingTerm(gale.hours);
+
+      let warning;
+      if (previous && previous.active && previous.timing === timing) {
+        warning = { ...previous, expectedAt: expectedAt.toISOString() };
+      } else {
+        const lead = getRandomInt(ISSUE_LEAD_MINUTES[0], ISSUE_LEAD_MINUTES[1], this.random);
+        warning = {
+          number: (previous ? previous.number : 0) + 1,
+          issuedAt: new Date(timestamp.getTime() - lead * 60 * 1000).toISOString(),
+          expectedAt: expectedAt.toISOString(),
+          timing,
+          active: true
+        };
+      }
+
+      warning.direction = gale.direction;
+      warning.force = gale.force;
+      this.weatherState.setGaleWarning(area, warning);
+      bulletins.push(this._bulletin(area, warning));
+    }
+
+    for (const [area, warning] of Object.entries(this.weatherState.galeWarnings)) {
+      if (warning.active && !galeAreas.has(area)) {
+        this.weatherState.setGaleWarning(area, { ...warning, active: false });
+      }
+    }
+
+    return bulletins.sort(byBroadcastOrder);
+  }
+
+  /**
+   * Warnings currently in force
+   * @returns {Array<Object>} Bulletins in broadcast order
+   */
+  getActiveWarnings() {
+    return Object.entries(this.weatherState.galeWarnings)
+      .filter(([, warning]) => warning.active)
+      .map(([area, warning]) => this._bulletin(area, warning))
+      .sort(byBroadcastOrder);
+  }
+
+  /**
+   * Reissue an area's warning as imminent, taking the area's next number
+   * @param {string} area - Area with a warning in force
+   * @param {Date} timestamp - Time of the new issue
+   * @returns {Object|null} Bulletin, or null if the area has no warning in force
+   */
+  reissueImminent(area, timestamp) {
+    const previous = this.weatherState.getGaleWarning(area);
+    if (!previous || !previous.active) {
+      return null;
+    }
+
+    const warning = {
+      ...previous,
+      number: previous.number + 1,
+      issuedAt: timestamp.toISOString(),
+      expectedAt: timestamp.toISOString(),
+      timing: 'imminent'
+    };
+    this.weatherState.setGaleWarning(area, warning);
+    return this._bulletin(area, warning);
+  }
+
+  /**
+   * Perhaps bring a forecast gale forward, for an interrupting announcement
+   *
+   * Called between area forecasts while a broadcast plays. With the profile's
+   * galeInterruption probability, the first warning in force that is not yet
+   * imminent is reissued as imminent.
+   *
+   * @param {Date} timestamp - Current time
+   * @param {Function} [random] - Random source (defaults to the service's)
+   * @returns {{bulletins: Array<Object>, text: string}|null} Announcement, or null
+   */
+  checkForInterruption(timestamp, random = this.random) {
+    const candidates = this.getActiveWarnings().filter((bulletin) => bulletin.timing !== 'imminent');
+    if (candidates.length === 0 || !this.profile.chance('galeInterruption', random)) {
+      return null;
+    }
+
+    const bulletin = this.reissueImminent(candidates[0].area, timestamp);
+    return this.buildAnnouncement([bulletin]);
+  }
+
+  /**
+   * Interrupting announcement for one or more bulletins
+   * @param {Array<Object>} bulletins - Bulletins to announce
+   * @returns {{bulletins: Array<Object>, text: string}}
+   */
+  buildAnnouncement(bulletins) {
+    const text = [
+      'Here is a gale warning for shipping.',
+      ...bulletins.map((bulletin) => bulletin.text),
+      'That is the end of the gale warning.'
+    ].join(' ');
+
+    return { bulletins, text };
+  }
+
+  /**
+   * Gale in a forecast wind, with hours until it arrives
+   * @private
+   * @returns {{direction: string, force: number, hours: number}|null}
+   */
+  _findGale(wind) {
+    const initial = Array.isArray(wind.force) ? Math.max(...wind.force) : wind.force;
+    if (initial >= GALE_FORCE) {
+      return { direction: wind.direction, force: initial, hours: getRandomInt(0, 5, this.random) };
+    }
+
+    for (const later of [wind.subsequentWind, wind.occasionalWind]) {
+      if (later && later.force >= GALE_FORCE) {
+        const hours = later.later ? getRandomInt(12, 24, this.random) : getRandomInt(6, 11, this.random);
+        const direction = later.direction.charAt(0).toUpperCase() + later.direction.slice(1);
+        return { direction, force: later.force, hours };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Bulletin for a warning record
+   * "Dogger. Gale warning issued 1623 UTC, number 27. South-westerly severe gale 9 imminent."
+   * @private
+   */
+  _bulletin(area, warning) {
+    const issuedAt = new Date(warning.issuedAt);
+    const issueTime = formatIssueTime(issuedAt);
+
+    return {
+      area,
+      number: warning.number,
+      issuedAt,
+      issueTime,
+      expectedAt: new Date(warning.expectedAt),
+      timing: warning.timing,
+      direction: warning.direction,
+      force: warning.force,
+      text: `${area}. Gale warning issued ${issueTime}, number ${warning.number}. `
+        + `${warning.direction} ${formatWindForce(warning.force)} ${warning.timing}.`
+    };
+  }
+}
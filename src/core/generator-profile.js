@@ -0,0 +1,329 @@
+/**
+ * Generator profiles
+ *
+ * A GeneratorProfile declares every probability and weighting the weather
+ * generators draw from: how often phantom areas, icing, compound forces and
+ * wind changes appear, and per-value weights for directions, forces,
+ * visibility, precipitation and synopsis pressure systems. Presets give the
+ * broadcast a character ("calm summer", "winter storm", ...) and can be
+ * swapped at runtime via BroadcastGenerator.setProfile().
+ */
+
+import {
+  WIND_DIRECTIONS,
+  WIND_BEHAVIORS,
+  PRECIPITATION_MODIFIERS,
+  PRECIPITATION_TYPES,
+  ICING_SEVERITIES,
+  PRESSURE_DESCRIPTIONS,
+  VISIBILITY,
+} from './vocabulary.js';
+
+/**
+ * Equal weight for every value
+ * @param {Array} values - Values to weight
+ * @returns {Object} Value → 1
+ */
+function uniform(values) {
+  return Object.fromEntries(values.map((value) => [value, 1]));
+}
+
+/**
+ * Default settings: the generator's original odds with uniform weights
+ */
+const DEFAULT_SETTINGS = {
+  name: 'default',
+  label: 'Default',
+  probabilities: {
+    phantom: 0.02, // Area replaced by a phantom area
+    icing: 0.1,
+    compoundForce: 0.2, // "5 to 7"
+    windChange: 0.25, // "backing southwesterly 4"
+    occasionalWind: 0.3, // ", occasionally easterly 6" (given a wind change)
+    windLater: 0.5, // " later" on a subsequent wind
+    compoundVisibility: 0.4, // "Good, occasionally poor"
+    visibilityLater: 0.5, // " later" on occasional/becoming visibility
+    seaSwell: 0.2, // Sea a category rougher than the wind suggests
+    seaStateRange: 0.25, // "Moderate or rough" without a compound force
+    sharedWeather: 0.6, // Neighbour under the same field wind shares the forecast
+    synopsisChange: 0.5, // Synopsis system deepening/clearing
+    galeInterruption: 0.05, // A forecast gale arrives early, per area read (interrupting gale warning)
+  },
+  // Relative frequency of compound visibility patterns
+  visibilityPatterns: { or: 2, occasionally: 3, becoming: 3 },
+  weights: {
+    directions: uniform(WIND_DIRECTIONS),
+    forces: uniform([3, 4, 5, 6, 7, 8, 9, 10, 11, 12]),
+    visibility: uniform(VISIBILITY),
+    windChanges: uniform(WIND_BEHAVIORS.filter((behavior) => behavior !== null)),
+    precipitationModifiers: uniform(PRECIPITATION_MODIFIERS),
+    precipitationTypes: uniform(PRECIPITATION_TYPES),
+    icingSeverities: uniform(ICING_SEVERITIES),
+    pressureSystems: uniform(PRESSURE_DESCRIPTIONS),
+  },
+  // Adjustments to the simulated weather field
+  field: {
+    forceOffset: 0, // Added to every area's force
+    visibilityOffset: 0, // Visibility categories poorer (+) or better (-)
+  },
+  // Multiplier on the weight of surreal introduction variants
+  surrealIntroductionFactor: 1,
+};
+
+/**
+ * Preset profiles (partial settings merged over the defaults)
+ * A weights category given here replaces the default weights for that category;
+ * values it leaves out are never chosen.
+ */
+export const PROFILE_PRESETS = {
+  default: {},
+
+  'calm-summer': {
+    label: 'Calm summer',
+    probabilities: {
+      phantom: 0.01,
+      icing: 0,
+      compoundForce: 0.15,
+      windChange: 0.15,
+      compoundVisibility: 0.6,
+      seaSwell: 0.05,
+    },
+    weights: {
+      directions: {
+        'Northerly': 1, 'North-easterly': 1, 'Easterly': 1, 'South-easterly': 1,
+        'Southerly': 2, 'South-westerly': 3, 'Westerly': 3, 'North-westerly': 2,
+        'Variable': 3, 'Cyclonic': 0,
+      },
+      forces: { 3: 5, 4: 5, 5: 3, 6: 1 },
+      visibility: { 'Excellent': 2, 'Very good': 4, 'Good': 5, 'Moderate': 2, 'Poor': 1, 'Fog': 1 },
+      precipitationModifiers: { 'Thundery': 2, 'Occasionally': 4, 'Light': 4 },
+      precipitationTypes: { showers: 3, rain: 2 },
+      pressureSystems: { High: 4, Medium: 2, Low: 1 },
+    },
+    field: { forceOffset: -1, visibilityOffset: -1 },
+  },
+
+  'winter-storm': {
+    label: 'Winter storm',
+    probabilities: {
+      icing: 0.35,
+      compoundForce: 0.35,
+      windChange: 0.45,
+      occasionalWind: 0.5,
+      seaSwell: 0.5,
+      seaStateRange: 0.4,
+      galeInterruption: 0.15,
+    },
+    weights: {
+      directions: {
+        'Northerly': 2, 'North-easterly': 1, 'Easterly': 1, 'South-easterly': 1,
+        'Southerly': 2, 'South-westerly': 4, 'Westerly': 4, 'North-westerly': 3,
+        'Variable': 0, 'Cyclonic': 3,
+      },
+      forces: { 5: 1, 6: 2, 7: 4, 8: 5, 9: 5, 10: 4, 11: 2, 12: 1 },
+      visibility: { 'Good': 2, 'Moderate': 4, 'Poor': 4, 'Very poor': 2, 'Fog': 1 },
+      precipitationModifiers: { 'Wintry': 4, 'Squally': 4, 'Heavy': 4, 'Thundery': 1, 'Occasionally': 1 },
+      precipitationTypes: { showers: 3, rain: 2, snow: 3 },
+      icingSeverities: { Moderate: 2, Severe: 2 },
+      pressureSystems: { High: 1, Medium: 1, Low: 6 },
+    },
+    field: { forceOffset: 3, visibilityOffset: 1 },
+  },
+
+  'authentic-climatology': {
+    label: 'Authentic climatology',
+    probabilities: {
+      phantom: 0,
+      icing: 0.03,
+      compoundForce: 0.45,
+      windChange: 0.35,
+      compoundVisibility: 0.55,
+    },
+    weights: {
+      directions: {
+        'Northerly': 2, 'North-easterly': 1, 'Easterly': 1, 'South-easterly': 1,
+        'Southerly': 2, 'South-westerly': 5, 'Westerly': 4, 'North-westerly': 3,
+        'Variable': 1, 'Cyclonic': 1,
+      },
+      forces: { 3: 3, 4: 5, 5: 6, 6: 5, 7: 3, 8: 2, 9: 1, 10: 0.5, 11: 0.2, 12: 0.1 },
+      visibility: {
+        'Excellent': 0.5, 'Very good': 2, 'Good': 8, 'Moderate': 4, 'Poor': 2, 'Very poor': 0.5,
+        'Fog': 1, 'Dense fog': 0.2,
+      },
+      precipitationModifiers: { 'Occasionally': 5, 'Light': 2, 'Heavy': 1, 'Squally': 1, 'Thundery': 1, 'Wintry': 1 },
+      precipitationTypes: { showers: 5, rain: 4, snow: 0.5 },
+      icingSeverities: { Moderate: 4, Severe: 1 },
+      pressureSystems: { High: 2, Medium: 2, Low: 3 },
+    },
+  },
+
+  haunted: {
+    label: 'Haunted',
+    probabilities: {
+      phantom: 0.25,
+      icing: 0.15,
+      sharedWeather: 0.9,
+    },
+    weights: {
+      directions: {
+        'Northerly': 1, 'North-easterly': 1, 'Easterly': 1, 'South-easterly': 1,
+        'Southerly': 1, 'South-westerly': 1, 'Westerly': 1, 'North-westerly': 1,
+        'Variable': 4, 'Cyclonic': 4,
+      },
+      forces: { 3: 4, 4: 3, 5: 2, 6: 1 },
+      visibility: { 'Poor': 2, 'Very poor': 3, 'Fog': 4, 'Dense fog': 4 },
+      precipitationModifiers: { 'Occasionally': 3, 'Light': 3, 'Wintry': 1 },
+      icingSeverities: { Moderate: 1, Severe: 3 },
+    },
+    field: { forceOffset: -1, visibilityOffset: 3 },
+    surrealIntroductionFactor: 4,
+  },
+};
+
+/**
+ * Generator Profile
+ *
+ * Usage:
+ *   const profile = GeneratorProfile.fromPreset('winter-storm');
+ *   if (profile.chance('icing', random)) { ... }
+ *   const force = profile.pick('forces', random);
+ */
+export class GeneratorProfile {
+  /**
+   * @param {Object} [settings] - Partial settings merged over the defaults
+   */
+  constructor(settings = {}) {
+    this.name = settings.name || DEFAULT_SETTINGS.name;
+    this.label = settings.label || DEFAULT_SETTINGS.label;
+    this.probabilities = { ...DEFAULT_SETTINGS.probabilities, ...settings.probabilities };
+    this.visibilityPatterns = { ...DEFAULT_SETTINGS.visibilityPatterns, ...settings.visibilityPatterns };
+    this.weights = { ...DEFAULT_SETTINGS.weights, ...settings.weights };
+    this.field = { ...DEFAULT_SETTINGS.field, ...settings.field };
+    this.surrealIntroductionFactor = settings.surrealIntroductionFactor !== undefined
+      ? settings.surrealIntroductionFactor
+      : DEFAULT_SETTINGS.surrealIntroductionFactor;
+
+    for (const [name, probability] of Object.entries(this.probabilities)) {
+      if (typeof probability !== 'number' || probability < 0 || probability > 1) {
+        throw new Error(`Invalid probability for ${name}: ${probability}`);
+      }
+    }
+  }
+
+  /**
+   * Create a profile from a named preset
+   * @param {string} name - Preset name (see PROFILE_PRESETS)
+   * @returns {GeneratorProfile}
+   */
+  static fromPreset(name) {
+    const preset = PROFILE_PRESETS[name];
+    if (!preset) {
+      throw new Error(`Unknown generator profile: ${name}`);
+    }
+    return new GeneratorProfile({ name, ...preset });
+  }
+
+  /**
+   * Probability of a named event
+   * @param {string} name - Event name (see DEFAULT_SETTINGS.probabilities)
+   * @returns {number} Probability in [0, 1]
+   */
+  probability(name) {
+    if (!(name in this.probabilities)) {
+      throw new Error(`Unknown probability: ${name}`);
+    }
+    return this.probabilities[name];
+  }
+
+  /**
+   * Roll for a named event
+   * @param {string} name - Event name
+   * @param {Function} random - Random source (see utils/random.js)
+   * @returns {boolean} True if the event happens
+   */
+  chance(name, random) {
+    return random() < this.probability(name);
+  }
+
+  /**
+   * Weighted choice from a category
+   *
+   * @param {string} category - Weights category (e.g. 'directions', 'forces')
+   * @param {Function} random - Random source
+   * @param {Array|null} [allowed=null] - Restrict the choice to these values
+   *   (falls back to a uniform choice among them if none carry weight)
+   * @param {Object|null} [bias=null] - Weight multipliers per value (e.g. from climatology)
+   * @returns {*} Chosen value (forces are returned as numbers)
+   */
+  pick(category, random, allowed = null, bias = null) {
+    const weights = this.weights[category];
+    if (!weights) {
+      throw new Error(`Unknown weights category: ${category}`);
+    }
+
+    let entries = Object.entries(weights)
+      .map(([value, weight]) => [
+        category === 'forces' ? Number(value) : value,
+        bias && bias[value] !== undefined ? weight * bias[value] : weight
+      ])
+      .filter(([value, weight]) => weight > 0 && (!allowed || allowed.includes(value)));
+
+    if (entries.length === 0) {
+      const values = allowed || Object.keys(weights).map((value) => (category === 'forces' ? Number(value) : value));
+      entries = values.map((value) => [value, 1]);
+    }
+
+    return this._pickWeighted(entries, random);
+  }
+
+  /**
+   * Weighted choice of compound visibility pattern
+   * @param {Function} random - Random source
+   * @returns {'or'|'occasionally'|'becoming'}
+   */
+  pickVisibilityPattern(random) {
+    return this._pickWeighted(Object.entries(this.visibilityPatterns), random);
+  }
+
+  /**
+   * Serialisable settings (round-trips through the constructor)
+   * @returns {Object}
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify({
+      name: this.name,
+      label: this.label,
+      probabilities: this.probabilities,
+      visibilityPatterns: this.visibilityPatterns,
+      weights: this.weights,
+      field: this.field,
+      surrealIntroductionFactor: this.surrealIntroductionFactor
+    }));
+  }
+
+  /**
+   * Choose from [value, weight] entries
+   * @private
+   */
+  _pickWeighted(entries, random) {
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let remaining = random() * total;
+
+    for (const [value, weight] of entries) {
+      remaining -= weight;
+      if (remaining < 0) {
+        return value;
+      }
+    }
+
+    return entries[entries.length - 1][0];
+  }
+}
+
+/**
+ * Names of the available presets
+ * @returns {string[]}
+ */
+export function getProfilePresetNames() {
+  return Object.keys(PROFILE_PRESETS);
+}
@@ -3,40 +3,70 @@
  * Produces procedural weather reports for sea areas
  */
 
-import { STANDARD_AREAS, PHANTOM_AREAS } from './areas.js';
+import { STANDARD_AREAS, PHANTOM_AREAS, createSeaArea } from './areas.js';
 import {
   WIND_DIRECTIONS,
-  WIND_BEHAVIORS,
-  PRECIPITATION_MODIFIERS,
-  PRECIPITATION_TYPES,
-  ICING_SEVERITIES,
+  SEA_STATES,
+  SEA_STATE_BY_FORCE,
   VISIBILITY,
+  formatWindForce,
+  formatWindText,
   getRandomElement,
   getRandomInt,
 } from './vocabulary.js';
 import { getCurrentTimestamp } from '../utils/timing.js';
-
-/**
- * Fisher-Yates shuffle algorithm
- * @param {Array} array - Array to shuffle (not mutated)
- * @returns {Array} New shuffled array
- */
-function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-}
+import { shuffleArray } from '../utils/random.js';
+import { GeneratorProfile } from './generator-profile.js';
+import { getClimateBias, getClimateWeights, applyIcingBias } from './climatology.js';
 
 /**
  * Weather Report Generator
  */
 export class WeatherReportGenerator {
-  constructor() {
+  /**
+   * @param {Object} [options] - Generator options
+   * @param {Function} [options.random=Math.random] - Random source (see utils/random.js)
+   * @param {GeneratorProfile} [options.profile] - Probabilities and weights (default profile if omitted)
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.profile = options.profile || new GeneratorProfile();
+    this.timestamp = null;
+    this.weatherField = null;
     this.currentAreaIndex = 0;
-    this.shuffledAreas = shuffleArray(STANDARD_AREAS);
+    this.shuffledAreas = shuffleArray(STANDARD_AREAS, this.random);
+  }
+
+  /**
+   * Replace the random source used for all subsequent draws
+   * @param {Function} random - Random source returning floats in [0, 1)
+   */
+  setRandom(random) {
+    this.random = random || Math.random;
+  }
+
+  /**
+   * Replace the profile used for all subsequent reports
+   * @param {GeneratorProfile} profile - Generator profile
+   */
+  setProfile(profile) {
+    this.profile = profile || new GeneratorProfile();
+  }
+
+  /**
+   * Set the forecast time, biasing icing, snow, fog, showers and thunder by season and time of day
+   * @param {Date|null} timestamp - Forecast time, or null to ignore the season and hour
+   */
+  setTimestamp(timestamp) {
+    this.timestamp = timestamp ? new Date(timestamp) : null;
+  }
+
+  /**
+   * Drive standard-area wind and visibility from a simulated weather field
+   * @param {import('./weather-field.js').WeatherField|null} field - Field, or null for independent rolls
+   */
+  setWeatherField(field) {
+    this.weatherField = field;
   }
 
   /**
@@ -44,7 +74,7 @@ export class WeatherReportGenerator {
    * @returns {{
    *   area: {name: string, type: string, id: string},
    *   wind: {direction: string, behavior: string|null, force: number|number[], connector: string|null, modifier: string|null, timing: string|null},
-   *   seaState: string,
+   *   seaState: {state: string, connector: string|null, subsequent: string|null, later: boolean, occasional: string|null, text: string},
    *   seaTiming: string|null,
    *   weather: string,
    *   weatherTiming: string|null,
@@ -57,15 +87,15 @@ export class WeatherReportGenerator {
    * }}
    */
   generateWeatherReport() {
-    // Determine if this should be a phantom area (2% probability)
-    const isPhantom = Math.random() < 0.02;
+    // Determine if this should be a phantom area (profile: phantom)
+    const isPhantom = this.profile.chance('phantom', this.random);
 
     // Select area
     let areaName;
     let areaType;
 
     if (isPhantom) {
-      areaName = getRandomElement(PHANTOM_AREAS);
+      areaName = getRandomElement(PHANTOM_AREAS, this.random);
       areaType = 'phantom';
     } else {
       areaName = this.shuffledAreas[this.currentAreaIndex];
@@ -77,28 +107,61 @@ export class WeatherReportGenerator {
       // If we've cycled through all standard areas, reshuffle
       if (this.currentAreaIndex >= this.shuffledAreas.length) {
         this.currentAreaIndex = 0;
-        this.shuffledAreas = shuffleArray(STANDARD_AREAS);
+        this.shuffledAreas = shuffleArray(STANDARD_AREAS, this.random);
       }
     }
 
-    const area = {
-      name: areaName,
-      type: areaType,
-      id: areaName.toLowerCase().replace(/\s+/g, '-'),
-    };
+    return this.generateAreaReport(areaName, areaType);
+  }
+
+  /**
+   * Generate a weather report for a specific area
+   *
+   * Used when areas are read in a fixed order rather than from the shuffled cycle.
+   * Passing `sharedWith` gives the area the same conditions as another report,
+   * as when neighbouring areas lie under the same weather.
+   *
+   * @param {string} areaName - Sea area name
+   * @param {'standard'|'phantom'} [areaType='standard'] - Classification of area
+   * @param {Object} [options] - Report options
+   * @param {Object|null} [options.sharedWith=null] - Report whose conditions to reuse
+   * @returns {Object} Weather report (same shape as generateWeatherReport())
+   */
+  generateAreaReport(areaName, areaType = 'standard', options = {}) {
+    const area = createSeaArea(areaName, areaType);
+    const shared = options.sharedWith || null;
+
+    let wind;
+    let seaState;
+    let precipitation;
+    let icing;
+    let visibility;
+
+    if (shared) {
+      ({ wind, seaState, precipitation, icing, visibility } = shared);
+    } else {
+      // Field conditions for standard areas (phantom areas fall outside the field)
+      const conditions = this.weatherField ? this.weatherField.getConditions(area.name) : null;
+
+      // Seasonal bias for the area's latitude (none without a forecast time)
+      const climate = this.timestamp ? getClimateBias(this.timestamp, area.centroid.lat) : null;
 
-    // Generate wind with realistic variations
-    const wind = this._generateWindConditions();
+      // Generate wind with realistic variations
+      wind = this._generateWindConditions(conditions);
 
-    // Generate EBNF-compliant precipitation (replaces generic weather)
-    const precipitation = this._generatePrecipitation();
+      // Sea state follows the wind that raises it
+      seaState = this._generateSeaState(wind);
 
-    // Generate EBNF-compliant icing (10% probability)
-    const icing = this._generateIcing();
+      // Generate EBNF-compliant precipitation (replaces generic weather)
+      precipitation = this._generatePrecipitation(climate);
 
-    // Generate EBNF-compliant visibility (with compound patterns)
-    const visibility = this._generateVisibility();
-    console.log('[Generator] Visibility:', visibility);
+      // Generate EBNF-compliant icing (10% probability)
+      icing = this._generateIcing(climate);
+
+      // Generate EBNF-compliant visibility (with compound patterns)
+      visibility = this._generateVisibility(conditions, climate);
+      console.log('[Generator] Visibility:', visibility);
+    }
 
     const timestamp = getCurrentTimestamp();
 
@@ -106,6 +169,7 @@ export class WeatherReportGenerator {
     const text = this._formatReportText(
       area,
       wind,
+      seaState,
       precipitation,
       visibility,
       icing
@@ -114,6 +178,7 @@ export class WeatherReportGenerator {
     return {
       area,
       wind,
+      seaState,
       precipitation,
       icing,
       visibility,
@@ -122,14 +187,96 @@ export class WeatherReportGenerator {
     };
   }
 
+  /**
+   * Generate sea state correlated with the wind (EBNF sea_state)
+   * Implements patterns:
+   * - Single: "Moderate"
+   * - Range with "or": "Moderate or rough" (compound force, or uncertainty)
+   * - Change with "becoming": "Slight, becoming moderate later" (follows a wind change)
+   * - Occasional: "Moderate or rough, occasionally very rough" (follows an occasional wind)
+   * @private
+   * @param {Object} wind - Wind conditions from _generateWindConditions()
+   * @returns {{state: string, connector: string|null, subsequent: string|null, later: boolean, occasional: string|null, text: string}}
+   */
+  _generateSeaState(wind) {
+    const forces = Array.isArray(wind.force) ? wind.force : [wind.force, wind.force];
+
+    // Swell and fetch can leave the sea a category rougher than the wind alone suggests
+    const swell = this.profile.chance('seaSwell', this.random) ? 1 : 0;
+    const initialIndex = this._seaStateIndex(forces[0], swell);
+
+    let connector = null;
+    let subsequentIndex = null;
+    let later = false;
+
+    if (wind.subsequentWind && this._seaStateIndex(wind.subsequentWind.force, swell) !== initialIndex) {
+      // Sea builds or eases with the change in wind
+      connector = 'becoming';
+      subsequentIndex = this._seaStateIndex(wind.subsequentWind.force, swell);
+      later = wind.subsequentWind.text.endsWith(' later');
+    } else if (this._seaStateIndex(forces[1], swell) !== initialIndex) {
+      connector = 'or';
+      subsequentIndex = this._seaStateIndex(forces[1], swell);
+    } else if (this.profile.chance('seaStateRange', this.random)) {
+      // Forecast uncertainty: the next category up or down
+      const step = initialIndex === 0 || (initialIndex < SEA_STATES.length - 1 && this.random() < 0.5) ? 1 : -1;
+      connector = 'or';
+      subsequentIndex = initialIndex + step;
+    }
+
+    // Occasional rougher sea in stronger gusts
+    let occasional = null;
+    if (wind.occasionalWind) {
+      const occasionalIndex = this._seaStateIndex(wind.occasionalWind.force, swell);
+      if (occasionalIndex > Math.max(initialIndex, subsequentIndex ?? initialIndex)) {
+        occasional = SEA_STATES[occasionalIndex].toLowerCase();
+      }
+    }
+
+    // "or" ranges read calmest first
+    let stateIndex = initialIndex;
+    if (connector === 'or' && subsequentIndex < initialIndex) {
+      [stateIndex, subsequentIndex] = [subsequentIndex, initialIndex];
+    }
+
+    const state = SEA_STATES[stateIndex];
+    const subsequent = subsequentIndex !== null ? SEA_STATES[subsequentIndex].toLowerCase() : null;
+
+    let text = state;
+    if (connector === 'or') {
+      text += ` or ${subsequent}`;
+    } else if (connector === 'becoming') {
+      text += `, becoming ${subsequent}${later ? ' later' : ''}`;
+    }
+    if (occasional) {
+      text += `, occasionally ${occasional}`;
+    }
+
+    return { state, connector, subsequent, later, occasional, text };
+  }
+
+  /**
+   * Sea state index for a wind force
+   * @private
+   * @param {number} force - Beaufort force (0-12)
+   * @param {number} [offset=0] - Categories to add (swell)
+   * @returns {number} Index into SEA_STATES
+   */
+  _seaStateIndex(force, offset = 0) {
+    const index = SEA_STATE_BY_FORCE[Math.min(Math.max(force, 0), 12)] + offset;
+    return Math.min(index, SEA_STATES.length - 1);
+  }
+
   /**
    * Generate EBNF-compliant precipitation (EBNF lines 40-42)
    * @private
+   * @param {Object|null} [climate=null] - Climate bias (snow and thunder weights)
    * @returns {{modifier: string, type: string, text: string}}
    */
-  _generatePrecipitation() {
-    const modifier = getRandomElement(PRECIPITATION_MODIFIERS);
-    const type = getRandomElement(PRECIPITATION_TYPES);
+  _generatePrecipitation(climate = null) {
+    const weights = climate ? getClimateWeights(climate) : {};
+    const modifier = this.profile.pick('precipitationModifiers', this.random, null, weights.precipitationModifiers);
+    const type = this.profile.pick('precipitationTypes', this.random, null, weights.precipitationTypes);
     return {
       modifier,
       type,
@@ -140,14 +287,19 @@ export class WeatherReportGenerator {
   /**
    * Generate EBNF-compliant icing conditions (EBNF line 59)
    * @private
+   * @param {Object|null} [climate=null] - Climate bias (icing odds)
    * @returns {{severity: string, text: string}|null}
    */
-  _generateIcing() {
-    // 10% probability of icing per spec clarification
-    if (Math.random() > 0.1) {
+  _generateIcing(climate = null) {
+    // Icing probability from profile (10% by default per spec clarification),
+    // scaled by season and latitude
+    const probability = climate
+      ? applyIcingBias(this.profile.probability('icing'), climate)
+      : this.profile.probability('icing');
+    if (this.random() >= probability) {
       return null;
     }
-    const severity = getRandomElement(ICING_SEVERITIES);
+    const severity = this.profile.pick('icingSeverities', this.random);
     return {
       severity,
       text: `${severity} icing`,
@@ -162,35 +314,55 @@ export class WeatherReportGenerator {
    * - Compound with "occasionally": "Good, occasionally poor" or "Good, occasionally poor later"
    * - Compound with "becoming": "Good, becoming moderate" or "Good, becoming moderate later"
    * @private
+   * @param {Object|null} conditions - Weather field conditions for the area
+   * @param {Object|null} [climate=null] - Climate bias (fog weights and fog banks)
    * @returns {string} Visibility text
    */
-  _generateVisibility() {
-    const initialVisibility = getRandomElement(VISIBILITY);
+  _generateVisibility(conditions, climate = null) {
+    const weights = climate ? getClimateWeights(climate) : {};
+    let initialVisibility = conditions
+      ? conditions.visibility
+      : this.profile.pick('visibility', this.random, null, weights.visibility);
+
+    // Seasonal fog banks settle over the field's visibility, and very poor
+    // visibility (under 1000 m, as fog is) reads as fog as often as the climate favours it
+    if (conditions && climate) {
+      if (this.random() < climate.fogBank) {
+        initialVisibility = 'Fog';
+      } else if (initialVisibility === 'Very poor') {
+        initialVisibility = this.profile.pick('visibility', this.random, ['Very poor', 'Fog'], weights.visibility);
+      }
+    }
 
-    // 100% chance of compound visibility (temporarily for testing)
-    const useCompound = Math.random() < 1.0;
+    const useCompound = this.profile.chance('compoundVisibility', this.random);
 
     if (!useCompound) {
       return initialVisibility;
     }
 
     // For compound patterns, we need a different subsequent visibility
-    const subsequentOptions = VISIBILITY.filter(v => v !== initialVisibility);
-    const subsequentVisibility = getRandomElement(subsequentOptions).toLowerCase();
+    // Within the field, visibility only changes by a category or two
+    const initialIndex = VISIBILITY.indexOf(initialVisibility);
+    const subsequentOptions = VISIBILITY.filter(
+      (v, index) => v !== initialVisibility && (!conditions || Math.abs(index - initialIndex) <= 2)
+    );
+    const subsequentVisibility = this.profile
+      .pick('visibility', this.random, subsequentOptions, weights.visibility)
+      .toLowerCase();
 
     // Choose compound pattern type
-    const patternType = Math.random();
+    const patternType = this.profile.pickVisibilityPattern(this.random);
 
-    if (patternType < 0.25) {
+    if (patternType === 'or') {
       // Pattern: "Good or moderate"
       return `${initialVisibility} or ${subsequentVisibility}`;
-    } else if (patternType < 0.625) {
-      // Pattern: "Good, occasionally poor" (50% with "later")
-      const withLater = Math.random() < 0.5 ? ' later' : '';
+    } else if (patternType === 'occasionally') {
+      // Pattern: "Good, occasionally poor" (optionally with "later")
+      const withLater = this.profile.chance('visibilityLater', this.random) ? ' later' : '';
       return `${initialVisibility}, occasionally ${subsequentVisibility}${withLater}`;
     } else {
-      // Pattern: "Good, becoming moderate" (50% with "later")
-      const withLater = Math.random() < 0.5 ? ' later' : '';
+      // Pattern: "Good, becoming moderate" (optionally with "later")
+      const withLater = this.profile.chance('visibilityLater', this.random) ? ' later' : '';
       return `${initialVisibility}, becoming ${subsequentVisibility}${withLater}`;
     }
   }
@@ -202,14 +374,7 @@ export class WeatherReportGenerator {
    * @returns {string} Formatted force text
    */
   _formatWindForce(force) {
-    const beaufortMap = {
-      8: 'gale 8',
-      9: 'severe gale 9',
-      10: 'storm 10',
-      11: 'violent storm 11',
-      12: 'hurricane force 12',
-    };
-    return beaufortMap[force] || String(force);
+    return formatWindForce(force);
   }
 
   /**
@@ -220,67 +385,82 @@ export class WeatherReportGenerator {
    * - With change: "Northwesterly 5 to 7, backing southwesterly 4"
    * - With change + occasional: "Northwesterly 5 to 7, backing southwesterly 4, occasionally easterly 6"
    * @private
+   * @param {Object|null} conditions - Weather field conditions for the area
    * @returns {{direction: string, force: number|number[], forceText: string, windChange: string|null, subsequentWind: object|null, occasionalWind: object|null}}
    */
-  _generateWindConditions() {
+  _generateWindConditions(conditions) {
     // Initial wind direction (capitalized per EBNF)
-    const direction = getRandomElement(WIND_DIRECTIONS);
+    const direction = conditions
+      ? conditions.direction
+      : this.profile.pick('directions', this.random);
 
-    // 20% chance of compound wind forces (EBNF: " to " connector only)
-    const useCompoundForce = Math.random() < 0.2;
+    // Compound wind forces (EBNF: " to " connector only)
+    const useCompoundForce = this.profile.chance('compoundForce', this.random);
 
     let force;
     let forceText;
 
     if (useCompoundForce) {
-      const baseForce = getRandomInt(3, 10);
-      const secondForce = baseForce + getRandomInt(1, 3);
+      const baseForce = conditions
+        ? Math.min(Math.max(conditions.force - 1, 3), 11)
+        : Math.min(this.profile.pick('forces', this.random), 11);
+      const secondForce = baseForce + getRandomInt(1, conditions ? 2 : 3, this.random);
       force = [baseForce, Math.min(secondForce, 12)];
       // Compound force: handle mixed format when spanning gale threshold (7 to gale 8)
       const force1Text = this._formatWindForce(force[0]);
       const force2Text = this._formatWindForce(force[1]);
       forceText = `${force1Text} to ${force2Text}`;
     } else {
-      force = getRandomInt(3, 12);
+      force = conditions ? conditions.force : this.profile.pick('forces', this.random);
       forceText = this._formatWindForce(force);
     }
 
-    // 25% chance of wind change (EBNF: backing, veering, becoming cyclonic)
-    const hasWindChange = Math.random() < 0.25;
+    // Wind change (EBNF: backing, veering, becoming cyclonic)
+    const hasWindChange = this.profile.chance('windChange', this.random);
     let windChange = null;
     let subsequentWind = null;
     let occasionalWind = null;
 
     if (hasWindChange) {
       // EBNF wind_change: "becoming cyclonic" | "veering" | "backing"
-      windChange = getRandomElement(WIND_BEHAVIORS.filter(b => b !== null));
+      windChange = this.profile.pick('windChanges', this.random);
 
       // Generate subsequent wind (lowercase direction per EBNF)
-      const subsequentDirection = getRandomElement(WIND_DIRECTIONS).toLowerCase();
-      const subsequentForce = getRandomInt(3, 10);
+      const subsequentDirection = conditions
+        ? this._shiftDirection(direction, windChange).toLowerCase()
+        : this.profile.pick('directions', this.random).toLowerCase();
+      const subsequentForce = conditions
+        ? this._nearbyForce(conditions.force)
+        : this.profile.pick('forces', this.random);
       const subsequentForceText = this._formatWindForce(subsequentForce);
 
-      // 50% chance of "later" suffix
-      const laterSuffix = Math.random() < 0.5 ? ' later' : '';
+      // Optional "later" suffix
+      const laterSuffix = this.profile.chance('windLater', this.random) ? ' later' : '';
 
       subsequentWind = {
         direction: subsequentDirection,
         force: subsequentForce,
+        later: laterSuffix !== '',
         text: `${subsequentDirection} ${subsequentForceText}${laterSuffix}`
       };
 
-      // 30% chance of occasional subsequent wind (EBNF: ", occasionally " <subsequent_wind>)
-      if (Math.random() < 0.3) {
-        const occasionalDirection = getRandomElement(WIND_DIRECTIONS).toLowerCase();
-        const occasionalForce = getRandomInt(3, 10);
+      // Occasional subsequent wind (EBNF: ", occasionally " <subsequent_wind>)
+      if (this.profile.chance('occasionalWind', this.random)) {
+        const occasionalDirection = conditions
+          ? this._shiftDirection(direction, null).toLowerCase()
+          : this.profile.pick('directions', this.random).toLowerCase();
+        const occasionalForce = conditions
+          ? this._nearbyForce(conditions.force)
+          : this.profile.pick('forces', this.random);
         const occasionalForceText = this._formatWindForce(occasionalForce);
 
         // 50% chance of "later" suffix
-        const occasionalLater = Math.random() < 0.5 ? ' later' : '';
+        const occasionalLater = this.profile.chance('windLater', this.random) ? ' later' : '';
 
         occasionalWind = {
           direction: occasionalDirection,
           force: occasionalForce,
+          later: occasionalLater !== '',
           text: `${occasionalDirection} ${occasionalForceText}${occasionalLater}`
         };
       }
@@ -297,34 +477,62 @@ export class WeatherReportGenerator {
   }
 
   /**
-   * Format report text per EBNF specification (lines 61-63)
-   * EBNF template: "{Area name}. {Wind [Beaufort]}. {Precipitation}. {Visibility}. [Icing]."
-   * Example: "Dogger. Southwest gale 8 to 9. Thundery showers. Good, occasionally poor. Moderate icing."
+   * Shift a wind direction one compass point in the sense of the wind change
+   * Backing turns anticlockwise, veering clockwise; anything else drifts either way.
    * @private
+   * @param {string} direction - Current wind direction
+   * @param {string|null} windChange - Wind change phrase
+   * @returns {string} Shifted direction
    */
-  _formatReportText(area, wind, precipitation, visibility, icing) {
+  _shiftDirection(direction, windChange) {
+    const compass = WIND_DIRECTIONS.slice(0, 8);
+    const index = compass.indexOf(direction);
+    if (index === -1) {
+      // Variable/cyclonic winds have no bearing to shift from
+      return getRandomElement(compass, this.random);
+    }
+
+    let step;
+    if (windChange === 'Backing') {
+      step = -1;
+    } else if (windChange === 'Veering') {
+      step = 1;
+    } else {
+      step = this.random() < 0.5 ? -1 : 1;
+    }
+
+    return compass[(index + step + compass.length) % compass.length];
+  }
+
+  /**
+   * Pick a force within two of the field force
+   * @private
+   * @param {number} force - Field force
+   * @returns {number} Nearby force (3-12)
+   */
+  _nearbyForce(force) {
+    return Math.min(Math.max(force + getRandomInt(-2, 2, this.random), 3), 12);
+  }
+
+  /**
+   * Format report text per EBNF specification (area_forecast)
+   * EBNF template: "{Area name}. {Wind [Beaufort]}. {Sea state}. {Precipitation}. {Visibility}. [Icing]."
+   * Example: "Dogger. Southwest gale 8 to 9. Very rough or high. Thundery showers. Good, occasionally poor. Moderate icing."
+   * @private
+   */
+  _formatReportText(area, wind, seaState, precipitation, visibility, icing) {
     const parts = [];
 
     // Area name
     parts.push(area.name);
 
     // Wind per EBNF specification (lines 47-50)
-    // Pattern: <initial_wind> [", " <wind_change> " " <subsequent_wind> [", occasionally " <occasional_wind>]]
-    let windText = `${wind.direction} ${wind.forceText}`;
-
-    // Add wind change and subsequent wind if present
-    if (wind.windChange && wind.subsequentWind) {
-      windText += `, ${wind.windChange.toLowerCase()} ${wind.subsequentWind.text}`;
-
-      // Add occasional wind if present
-      if (wind.occasionalWind) {
-        windText += `, occasionally ${wind.occasionalWind.text}`;
-      }
-    }
+    parts.push(formatWindText(wind));
 
-    parts.push(windText);
+    // Sea state
+    parts.push(seaState.text);
 
-    // Precipitation (EBNF-compliant, replaces sea state and weather)
+    // Precipitation (EBNF-compliant, replaces weather)
     parts.push(precipitation.text);
 
     // Visibility (EBNF lines 52-57) - already formatted by _generateVisibility()
@@ -352,7 +560,7 @@ export class WeatherReportGenerator {
    */
   resetCycle() {
     this.currentAreaIndex = 0;
-    this.shuffledAreas = shuffleArray(STANDARD_AREAS);
+    this.shuffledAreas = shuffleArray(STANDARD_AREAS, this.random);
   }
 }
 
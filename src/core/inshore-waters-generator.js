@@ -0,0 +1,205 @@
+/**
+ * Inshore waters forecast generator
+ *
+ * Produces the inshore waters segment read in the late-night edition:
+ * each coastal section ("Cape Wrath to Rattray Head including Orkney")
+ * gets a 12 hour forecast and a 24 hour outlook. Sections take their wind
+ * and visibility from the offshore sea area they border, so the inshore
+ * forecast agrees with the area forecasts read before it.
+ */
+
+import { INSHORE_WATERS, getSeaArea } from './areas.js';
+import {
+  WIND_DIRECTIONS,
+  SEA_STATES,
+  SEA_STATE_BY_FORCE,
+  VISIBILITY,
+  formatWindForce,
+  getRandomInt,
+} from './vocabulary.js';
+import { GeneratorProfile } from './generator-profile.js';
+import { getClimateBias, getClimateWeights } from './climatology.js';
+
+const COMPASS_WINDS = WIND_DIRECTIONS.slice(0, 8);
+
+const INTRODUCTION = 'And now the inshore waters forecast.';
+
+// Coastal waters are a little sheltered from the offshore wind
+const MIN_INSHORE_FORCE = 2;
+
+// Pressure (mb) above which a section under the field is simply "Fair"
+const FAIR_PRESSURE = 1020;
+
+/**
+ * Inshore Waters Generator
+ */
+export class InshoreWatersGenerator {
+  /**
+   * @param {Object} [options] - Generator options
+   * @param {Function} [options.random=Math.random] - Random source (see utils/random.js)
+   * @param {GeneratorProfile} [options.profile] - Probabilities and weights (default profile if omitted)
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.profile = options.profile || new GeneratorProfile();
+    this.weatherField = null;
+    this.timestamp = null;
+  }
+
+  /**
+   * Replace the random source used for all subsequent draws
+   * @param {Function} random - Random source returning floats in [0, 1)
+   */
+  setRandom(random) {
+    this.random = random || Math.random;
+  }
+
+  /**
+   * Replace the profile used for subsequent forecasts
+   * @param {GeneratorProfile} profile - Generator profile
+   */
+  setProfile(profile) {
+    this.profile = profile || new GeneratorProfile();
+  }
+
+  /**
+   * Drive section wind and visibility from the offshore weather field
+   * @param {import('./weather-field.js').WeatherField|null} field - Field, or null for independent rolls
+   */
+  setWeatherField(field) {
+    this.weatherField = field;
+  }
+
+  /**
+   * Set the forecast time, biasing the weather by season
+   * @param {Date|null} timestamp - Forecast time, or null to ignore the season
+   */
+  setTimestamp(timestamp) {
+    this.timestamp = timestamp ? new Date(timestamp) : null;
+  }
+
+  /**
+   * Generate the inshore waters segment
+   *
+   * @returns {{
+   *   introduction: string,
+   *   sections: Array<{name: string, seaArea: string, periods: Array<Object>, text: string}>,
+   *   text: string
+   * }}
+   */
+  generateForecast() {
+    const sections = INSHORE_WATERS.map((section) => this._generateSection(section));
+
+    return {
+      introduction: INTRODUCTION,
+      sections,
+      text: [INTRODUCTION, ...sections.map((section) => section.text)].join('\n')
+    };
+  }
+
+  /**
+   * Generate one section's 12 hour forecast and 24 hour outlook
+   * @private
+   */
+  _generateSection(section) {
+    const conditions = this.weatherField ? this.weatherField.getConditions(section.seaArea) : null;
+    const climate = this.timestamp
+      ? getClimateBias(this.timestamp, getSeaArea(section.seaArea).centroid.lat)
+      : null;
+
+    const direction = conditions ? conditions.direction : this.profile.pick('directions', this.random);
+    const baseForce = conditions ? conditions.force : this.profile.pick('forces', this.random);
+    const visibilityIndex = conditions
+      ? conditions.visibilityIndex
+      : VISIBILITY.indexOf(this.profile.pick('visibility', this.random));
+    const fair = conditions ? conditions.pressure >= FAIR_PRESSURE : false;
+
+    const forecast = this._generatePeriod(
+      { hours: 12, label: '12 hour forecast' },
+      direction,
+      Math.max(MIN_INSHORE_FORCE, baseForce - getRandomInt(0, 1, this.random)),
+      visibilityIndex,
+      fair,
+      climate
+    );
+
+    // The outlook drifts a compass point and a force or so from the forecast
+    const outlook = this._generatePeriod(
+      { hours: 24, label: '24 hour outlook' },
+      this._driftDirection(direction),
+      Math.min(12, Math.max(MIN_INSHORE_FORCE, forecast.wind.force + getRandomInt(-1, 1, this.random))),
+      Math.min(VISIBILITY.length - 1, Math.max(0, visibilityIndex + getRandomInt(-1, 1, this.random))),
+      fair && this.random() < 0.5,
+      climate
+    );
+
+    const periods = [forecast, outlook];
+
+    return {
+      name: section.name,
+      seaArea: section.seaArea,
+      periods,
+      text: `${section.name}. ${periods.map((period) => `${period.label}: ${period.text}`).join(' ')}`
+    };
+  }
+
+  /**
+   * Generate the conditions for one period
+   * @private
+   * @returns {{hours: number, label: string, wind: Object, seaState: string, weather: string, visibility: string, text: string}}
+   */
+  _generatePeriod(period, direction, force, visibilityIndex, fair, climate) {
+    const weights = climate ? getClimateWeights(climate) : {};
+
+    // Inshore forces are given as "4 or 5"
+    const upper = this.profile.chance('compoundForce', this.random) ? Math.min(force + 1, 12) : null;
+    const forceText = upper ? `${formatWindForce(force)} or ${formatWindForce(upper)}` : formatWindForce(force);
+    const wind = { direction, force, upperForce: upper, text: `${direction} ${forceText}` };
+
+    const seaState = this._describeSeaState(force, upper);
+
+    let weather = 'Fair';
+    if (!fair) {
+      const modifier = this.profile.pick('precipitationModifiers', this.random, null, weights.precipitationModifiers);
+      const type = this.profile.pick('precipitationTypes', this.random, null, weights.precipitationTypes);
+      weather = `${modifier} ${type}`;
+    }
+
+    const visibility = VISIBILITY[visibilityIndex];
+
+    return {
+      hours: period.hours,
+      label: period.label,
+      wind,
+      seaState,
+      weather,
+      visibility,
+      text: `${wind.text}. ${seaState}. ${weather}. ${visibility}.`
+    };
+  }
+
+  /**
+   * Sea state for a force, as a range when the force is a range
+   * @private
+   */
+  _describeSeaState(force, upper) {
+    const state = SEA_STATES[SEA_STATE_BY_FORCE[force]];
+    if (!upper || SEA_STATE_BY_FORCE[upper] === SEA_STATE_BY_FORCE[force]) {
+      return state;
+    }
+    return `${state} or ${SEA_STATES[SEA_STATE_BY_FORCE[upper]].toLowerCase()}`;
+  }
+
+  /**
+   * Turn up to one compass point (variable/cyclonic winds stay as they are)
+   * @private
+   */
+  _driftDirection(direction) {
+    const index = COMPASS_WINDS.indexOf(direction);
+    if (index === -1) {
+      return direction;
+    }
+    const step = getRandomInt(-1, 1, this.random);
+    return COMPASS_WINDS[(index + step + COMPASS_WINDS.length) % COMPASS_WINDS.length];
+  }
+}
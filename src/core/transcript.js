@@ -0,0 +1,312 @@
+/**
+ * Broadcast transcripts
+ *
+ * Assembles a broadcast's report and segment texts into a written transcript
+ * laid out like the Met Office's published shipping forecast: a header with
+ * issue time and period of validity, the gale warnings and general synopsis
+ * when the broadcast carries them, then one block per area (or group of
+ * areas) with its wind, sea state, weather, visibility and icing. Coastal
+ * station reports and the inshore waters forecast follow when present.
+ *
+ * The same transcript renders as plain text, Markdown or a printable HTML page.
+ */
+
+import { formatWindText } from './vocabulary.js';
+import { formatIssueTime } from './gale-warning-service.js';
+import { formatPrintedDate } from '../utils/date-formatter.js';
+
+export const TRANSCRIPT_FORMATS = ['text', 'markdown', 'html'];
+
+// Validity when the broadcast has no time period segment (the 12:01 edition)
+const DEFAULT_VALIDITY_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PRINT_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 42em; margin: 2em auto; padding: 0 1em; color: #111; }
+  h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+  h2 { font-size: 1.2em; border-bottom: 1px solid #999; margin-top: 1.5em; }
+  h3 { font-size: 1em; margin: 1em 0 0.2em; }
+  .issue, .validity { margin: 0.2em 0; font-style: italic; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0 1em; margin: 0; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  section.area { break-inside: avoid; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }
+`;
+
+/**
+ * Build the transcript of a broadcast, ready to render
+ * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+ * @returns {Object} Transcript: title, issued, validity, galeWarnings, synopsis, areas, coastalStations, inshoreWaters
+ */
+export function buildTranscript(broadcast) {
+  const issuedAt = new Date(broadcast.timestamp);
+  const validityHours = broadcast.timePeriod ? broadcast.timePeriod.validityHours : DEFAULT_VALIDITY_HOURS;
+  const validUntil = new Date(issuedAt.getTime() + validityHours * HOUR_MS);
+
+  return {
+    title: 'Shipping forecast',
+    issued: 'Issued by the Met Office, on behalf of the Maritime and Coastguard Agency, '
+      + `at ${formatIssueTime(issuedAt)} on ${formatPrintedDate(issuedAt)}`,
+    validity: `For the period ${formatIssueTime(issuedAt)} ${formatPrintedDate(issuedAt, false)} `
+      + `to ${formatIssueTime(validUntil)} ${formatPrintedDate(validUntil, false)}`,
+    galeWarnings: broadcast.galeWarnings ? galeWarningLines(broadcast.galeWarnings) : null,
+    synopsis: broadcast.generalSynopsis
+      ? broadcast.generalSynopsis.text.replace(/^The general synopsis:\s*/, '')
+      : null,
+    areas: broadcast.areaForecasts.map(areaBlock),
+    coastalStations: broadcast.coastalStations ? coastalStationBlocks(broadcast.coastalStations) : null,
+    inshoreWaters: broadcast.inshoreWaters ? inshoreWaterBlocks(broadcast.inshoreWaters) : null,
+  };
+}
+
+/**
+ * Render a broadcast transcript in one of TRANSCRIPT_FORMATS
+ * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+ * @param {string} [format='text'] - 'text', 'markdown' or 'html'
+ * @returns {string} Rendered transcript
+ * @throws {Error} If the format is unknown
+ */
+export function renderTranscript(broadcast, format = 'text') {
+  switch (format) {
+    case 'text':
+      return renderPlainText(broadcast);
+    case 'markdown':
+      return renderMarkdown(broadcast);
+    case 'html':
+      return renderHTML(broadcast);
+    default:
+      throw new Error(`Unknown transcript format: ${format}`);
+  }
+}
+
+/**
+ * Render a broadcast as plain text, as the Met Office publishes it
+ * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+ * @returns {string} Plain-text transcript
+ */
+export function renderPlainText(broadcast) {
+  const transcript = buildTranscript(broadcast);
+  const blocks = [[transcript.title, transcript.issued].join('\n'), transcript.validity];
+
+  for (const section of transcriptSections(transcript)) {
+    const lines = [section.heading, ...(section.paragraphs || [])];
+    blocks.push(lines.join('\n'));
+
+    for (const block of section.blocks || []) {
+      blocks.push([block.heading, ...block.lines.map((line) => `${line.label}: ${line.text}`)].join('\n'));
+    }
+  }
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Render a broadcast as Markdown
+ * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+ * @returns {string} Markdown transcript
+ */
+export function renderMarkdown(broadcast) {
+  const transcript = buildTranscript(broadcast);
+  const blocks = [`# ${transcript.title}`, `_${transcript.issued}_`, `**${transcript.validity}**`];
+
+  for (const section of transcriptSections(transcript)) {
+    blocks.push(`## ${section.heading}`);
+    blocks.push(...(section.paragraphs || []));
+
+    for (const block of section.blocks || []) {
+      blocks.push([`### ${block.heading}`, '', ...block.lines.map((line) => `- **${line.label}:** ${line.text}`)].join('\n'));
+    }
+  }
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Render a broadcast as a printable HTML page
+ * @param {Object} broadcast - Broadcast from BroadcastGenerator.generateBroadcast()
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.fragment=false] - Return only the <article>, for embedding in a page
+ * @returns {string} HTML transcript
+ */
+export function renderHTML(broadcast, options = {}) {
+  const transcript = buildTranscript(broadcast);
+  const parts = [
+    '<article class="transcript">',
+    '<header>',
+    `<h1>${escapeHTML(transcript.title)}</h1>`,
+    `<p class="issue">${escapeHTML(transcript.issued)}</p>`,
+    `<p class="validity">${escapeHTML(transcript.validity)}</p>`,
+    '</header>',
+  ];
+
+  for (const section of transcriptSections(transcript)) {
+    parts.push(`<section class="${section.id}">`, `<h2>${escapeHTML(section.heading)}</h2>`);
+    parts.push(...(section.paragraphs || []).map((paragraph) => `<p>${escapeHTML(paragraph)}</p>`));
+
+    for (const block of section.blocks || []) {
+      parts.push(
+        `<section class="${section.blockClass}">`,
+        `<h3>${escapeHTML(block.heading)}</h3>`,
+        '<dl>',
+        ...block.lines.map((line) => `<dt>${escapeHTML(line.label)}</dt><dd>${escapeHTML(line.text)}</dd>`),
+        '</dl>',
+        '</section>'
+      );
+    }
+
+    parts.push('</section>');
+  }
+
+  parts.push('</article>');
+  const article = parts.join('\n');
+
+  if (options.fragment) {
+    return article;
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="UTF-8">',
+    `<title>${escapeHTML(`${transcript.title} ${formatIssueTime(new Date(broadcast.timestamp))}`)}</title>`,
+    `<style>${PRINT_STYLES}</style>`,
+    '</head>',
+    '<body>',
+    article,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Escape text for HTML element content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * End a spoken phrase as a written sentence
+ * @private
+ */
+function toSentence(text) {
+  return /[.!?]$/.test(text) ? text : `${text}.`;
+}
+
+/**
+ * @private
+ */
+function galeWarningLines(galeWarnings) {
+  return {
+    summary: toSentence(galeWarnings.summary || galeWarnings.text),
+    bulletins: (galeWarnings.bulletins || []).map((bulletin) => bulletin.text),
+  };
+}
+
+/**
+ * Labelled lines for an area forecast (group forecasts head the block with every member)
+ * @private
+ */
+function areaBlock(forecast) {
+  const lines = [
+    { label: 'Wind', text: toSentence(formatWindText(forecast.wind)) },
+    { label: 'Sea state', text: toSentence(forecast.seaState.text) },
+    { label: 'Weather', text: toSentence(forecast.precipitation.text) },
+    { label: 'Visibility', text: toSentence(forecast.visibility) },
+  ];
+  if (forecast.icing) {
+    lines.push({ label: 'Icing', text: toSentence(forecast.icing.severity) });
+  }
+
+  return { heading: forecast.area.name, lines };
+}
+
+/**
+ * Coastal station reports, with pressures printed as figures
+ * @private
+ */
+function coastalStationBlocks(coastalStations) {
+  const observedAt = new Date(coastalStations.observedAt);
+
+  return {
+    heading: `Reports from coastal stations at ${formatIssueTime(observedAt)}`,
+    blocks: coastalStations.stations.map((station) => ({
+      heading: station.name,
+      lines: [{
+        label: 'Report',
+        text: toSentence(
+          [station.wind.text, station.weather, station.visibility.text, String(station.pressure), station.tendency]
+            .filter((part) => part !== null)
+            .join(', ')
+        ),
+      }],
+    })),
+  };
+}
+
+/**
+ * @private
+ */
+function inshoreWaterBlocks(inshoreWaters) {
+  return {
+    heading: 'Inshore waters forecast',
+    blocks: inshoreWaters.sections.map((section) => ({
+      heading: section.name,
+      lines: section.periods.map((period) => ({ label: period.label, text: toSentence(period.text) })),
+    })),
+  };
+}
+
+/**
+ * Transcript sections after the header, in broadcast order
+ * @private
+ * @returns {Array<{id: string, heading: string, paragraphs?: Array<string>, blocks?: Array, blockClass?: string}>}
+ */
+function transcriptSections(transcript) {
+  const sections = [];
+
+  if (transcript.galeWarnings) {
+    sections.push({
+      id: 'gale-warnings',
+      heading: 'Gale warnings',
+      paragraphs: [transcript.galeWarnings.summary, ...transcript.galeWarnings.bulletins],
+    });
+  }
+
+  if (transcript.synopsis) {
+    sections.push({ id: 'general-synopsis', heading: 'General synopsis', paragraphs: [transcript.synopsis] });
+  }
+
+  sections.push({ id: 'area-forecasts', heading: 'Area forecasts', blocks: transcript.areas, blockClass: 'area' });
+
+  if (transcript.coastalStations) {
+    sections.push({
+      id: 'coastal-stations',
+      heading: transcript.coastalStations.heading,
+      blocks: transcript.coastalStations.blocks,
+      blockClass: 'station',
+    });
+  }
+
+  if (transcript.inshoreWaters) {
+    sections.push({
+      id: 'inshore-waters',
+      heading: transcript.inshoreWaters.heading,
+      blocks: transcript.inshoreWaters.blocks,
+      blockClass: 'area',
+    });
+  }
+
+  return sections;
+}
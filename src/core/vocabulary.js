@@ -52,6 +52,13 @@ export const PRESSURE_DESCRIPTIONS = [
   'Low',
 ];
 
+// Central pressure ranges (mb) for each pressure description
+export const PRESSURE_RANGES = {
+  High: [1020, 1045],
+  Medium: [1005, 1020],
+  Low: [950, 1005],
+};
+
 export const RATE_OF_CHANGE = [
   'more slowly',
   'slowly',
@@ -70,6 +77,21 @@ export const COMPASS_DIRECTIONS_SYNOPSIS = [
   'west',
 ];
 
+// Met Office sea state terms, calmest first
+export const SEA_STATES = [
+  'Smooth',
+  'Slight',
+  'Moderate',
+  'Rough',
+  'Very rough',
+  'High',
+  'Very high',
+  'Phenomenal',
+];
+
+// Typical sea state (index into SEA_STATES) for each Beaufort force 0-12
+export const SEA_STATE_BY_FORCE = [0, 0, 0, 1, 1, 2, 3, 3, 4, 5, 6, 6, 7];
+
 export const VISIBILITY = [
   'Excellent',
   'Very good',
@@ -143,21 +165,61 @@ export const WAVE_CONDITIONS = [
   'Confused sea',
 ];
 
+// Beaufort terms spoken for forces 8-12 (EBNF wind_strength)
+export const BEAUFORT_TERMS = {
+  8: 'gale 8',
+  9: 'severe gale 9',
+  10: 'storm 10',
+  11: 'violent storm 11',
+  12: 'hurricane force 12',
+};
+
+/**
+ * Format wind force using Beaufort scale text for forces 8-12
+ * @param {number} force - Wind force (0-12)
+ * @returns {string} Formatted force text (e.g. "6", "severe gale 9")
+ */
+export function formatWindForce(force) {
+  return BEAUFORT_TERMS[force] || String(force);
+}
+
+/**
+ * Format a forecast wind as read: initial wind, then any change and occasional wind
+ * Pattern (EBNF lines 47-50): <initial_wind> [", " <wind_change> " " <subsequent_wind> [", occasionally " <occasional_wind>]]
+ * @param {Object} wind - Wind from WeatherReportGenerator (direction, forceText, windChange, subsequentWind, occasionalWind)
+ * @returns {string} Wind text (e.g. "Southerly 5 to 7, veering westerly gale 8 later")
+ */
+export function formatWindText(wind) {
+  let text = `${wind.direction} ${wind.forceText}`;
+
+  if (wind.windChange && wind.subsequentWind) {
+    text += `, ${wind.windChange.toLowerCase()} ${wind.subsequentWind.text}`;
+
+    if (wind.occasionalWind) {
+      text += `, occasionally ${wind.occasionalWind.text}`;
+    }
+  }
+
+  return text;
+}
+
 /**
  * Get random element from an array
  * @param {Array} array - Source array
+ * @param {Function} [random=Math.random] - Random source (see utils/random.js)
  * @returns {*} Random element
  */
-export function getRandomElement(array) {
-  return array[Math.floor(Math.random() * array.length)];
+export function getRandomElement(array, random = Math.random) {
+  return array[Math.floor(random() * array.length)];
 }
 
 /**
  * Get random integer in range [min, max] inclusive
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} [random=Math.random] - Random source (see utils/random.js)
  * @returns {number} Random integer
  */
-export function getRandomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export function getRandomInt(min, max, random = Math.random) {
+  return Math.floor(random() * (max - min + 1)) + min;
 }
@@ -0,0 +1,359 @@
+/**
+ * Weather field simulation
+ *
+ * Builds a spatially coherent pressure/wind/visibility field over the standard
+ * sea areas, driven by the pressure systems announced in the general synopsis.
+ * Neighbouring areas (see AREA_ADJACENCY) receive related directions, forces and
+ * visibility, so the broadcast describes one weather picture instead of 31
+ * independent dice rolls.
+ */
+
+import { STANDARD_AREAS, getNeighbours, getGraphDistances, getSeaArea } from './areas.js';
+import { WIND_DIRECTIONS, VISIBILITY } from './vocabulary.js';
+import { GeneratorProfile } from './generator-profile.js';
+
+// Compass directions in clockwise order (Northerly = 0°, 45° per step)
+const COMPASS_WINDS = WIND_DIRECTIONS.slice(0, 8);
+
+const BACKGROUND_PRESSURE = 1013; // mb
+const SYSTEM_RADIUS = 2.5; // Hops over which a system's pressure anomaly decays
+const BASE_FORCE = 4; // Background wind away from any system
+const MIN_FORCE = 3;
+const MAX_FORCE = 12;
+const BASE_VISIBILITY_INDEX = VISIBILITY.indexOf('Good');
+
+// Degrees the surface wind crosses the isobars, in towards a low and out from a high
+const INFLOW_ANGLE = 20;
+// Pressure anomaly (mb) at which a system's circulation fully governs the wind
+const FULL_CIRCULATION_ANOMALY = 15;
+// Weight of the profile's prevailing direction, which shows where the circulation is weak
+const PREVAILING_WEIGHT = 0.15;
+// Degrees of random veer or back per area before smoothing
+const DIRECTION_NOISE = 20;
+
+// Largest change allowed between consecutive broadcasts when a previous field is given
+const MAX_FORCE_DRIFT = 2;
+const MAX_VISIBILITY_DRIFT = 1;
+
+// Wind strength per mb of neighbour pressure difference (anticyclones have slack gradients)
+const GRADIENT_FORCE_FACTOR = {
+  Low: 0.45,
+  Medium: 0.3,
+  High: 0.2,
+};
+
+/**
+ * Sea-level pressure over the standard areas for a set of pressure systems
+ *
+ * Each system's anomaly from the background pressure decays with hop distance
+ * from its centre, and the anomalies are superposed.
+ *
+ * @param {Array<{area: string, pressure: number}>} systems - Pressure systems (as for WeatherField.build)
+ * @returns {Map<string, number>} Area name → pressure in mb (unrounded)
+ */
+export function computeAreaPressures(systems) {
+  const distances = systems.map((system) => getGraphDistances(system.area));
+  const pressures = new Map();
+
+  for (const area of STANDARD_AREAS) {
+    let pressure = BACKGROUND_PRESSURE;
+    systems.forEach((system, index) => {
+      const distance = distances[index].get(area);
+      if (distance !== undefined) {
+        pressure += (system.pressure - BACKGROUND_PRESSURE) * Math.exp(-distance / SYSTEM_RADIUS);
+      }
+    });
+    pressures.set(area, pressure);
+  }
+
+  return pressures;
+}
+
+/**
+ * Weather Field
+ *
+ * Usage:
+ *   const field = new WeatherField({ random }).build([{ type: 'Low', area: 'Rockall', pressure: 972 }]);
+ *   field.getConditions('Malin'); // { direction, force, visibility, ... }
+ */
+export class WeatherField {
+  /**
+   * @param {Object} [options] - Field options
+   * @param {Function} [options.random=Math.random] - Random source (see utils/random.js)
+   * @param {GeneratorProfile} [options.profile] - Prevailing direction weights and force/visibility offsets
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.profile = options.profile || new GeneratorProfile();
+    this.systems = [];
+    this.cells = new Map();
+  }
+
+  /**
+   * Simulate the field for a set of pressure systems
+   *
+   * @param {Array<Object>} systems - Pressure systems driving the field
+   * @param {string} systems[].type - 'Low' | 'Medium' | 'High'
+   * @param {string} systems[].area - Standard area at the system centre
+   * @param {number} systems[].pressure - Central pressure in mb
+   * @param {Object|null} [previous=null] - Previous conditions per area ({ direction, force, visibilityIndex }),
+   *   used to limit how far each area drifts since the last broadcast
+   * @returns {WeatherField} This field (for chaining)
+   */
+  build(systems, previous = null) {
+    this.systems = systems.filter((system) => getGraphDistances(system.area).size > 0);
+    this.cells.clear();
+
+    const distances = this.systems.map((system) => getGraphDistances(system.area));
+    const pressures = computeAreaPressures(this.systems);
+    const angles = this._computeDirections(distances);
+    const forceNoise = this._smooth(this._noise(2.5));
+    const visibilityNoise = this._smooth(this._noise(2.5));
+
+    for (const area of STANDARD_AREAS) {
+      const nearest = this._nearestSystem(area, distances);
+      const gradient = this._meanGradient(area, pressures);
+      const factor = nearest ? GRADIENT_FORCE_FACTOR[nearest.system.type] || 0.3 : 0.3;
+
+      let force = Math.round(
+        BASE_FORCE + this.profile.field.forceOffset + gradient * factor + forceNoise.get(area)
+      );
+      force = Math.max(MIN_FORCE, Math.min(MAX_FORCE, force));
+
+      let direction = this._angleToDirection(angles.get(area));
+      if (nearest && nearest.distance === 0) {
+        // Light and variable under a high; cyclonic at the centre of a deep low
+        if (nearest.system.type === 'High') {
+          direction = 'Variable';
+          force = Math.min(force, 4);
+        } else if (nearest.system.type === 'Low' && nearest.system.pressure < 990) {
+          direction = 'Cyclonic';
+        }
+      }
+
+      // Poorer visibility in the rain bands around a low
+      const lowInfluence = this._lowInfluence(area, distances);
+      let visibilityIndex = Math.round(
+        BASE_VISIBILITY_INDEX + this.profile.field.visibilityOffset + lowInfluence * 3 + visibilityNoise.get(area)
+      );
+      visibilityIndex = Math.max(0, Math.min(VISIBILITY.length - 1, visibilityIndex));
+
+      const last = previous ? previous[area] : null;
+      if (last) {
+        force = this._limitDrift(force, last.force, MAX_FORCE_DRIFT);
+        visibilityIndex = this._limitDrift(visibilityIndex, last.visibilityIndex, MAX_VISIBILITY_DRIFT);
+        direction = this._limitDirectionDrift(direction, last.direction);
+      }
+
+      this.cells.set(area, {
+        area,
+        pressure: Math.round(pressures.get(area)),
+        direction,
+        force,
+        visibility: VISIBILITY[visibilityIndex],
+        visibilityIndex,
+        systemDistance: nearest ? nearest.distance : null,
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Get simulated conditions for an area
+   * @param {string} areaName - Area name
+   * @returns {{area: string, pressure: number, direction: string, force: number, visibility: string, visibilityIndex: number, systemDistance: number|null}|null}
+   *   Conditions, or null for areas outside the field (phantom areas)
+   */
+  getConditions(areaName) {
+    return this.cells.get(areaName) || null;
+  }
+
+  /**
+   * Mean absolute pressure difference to neighbouring areas
+   * @private
+   */
+  _meanGradient(area, pressures) {
+    const neighbours = getNeighbours(area);
+    if (neighbours.length === 0) {
+      return 0;
+    }
+
+    const total = neighbours.reduce(
+      (sum, neighbour) => sum + Math.abs(pressures.get(area) - pressures.get(neighbour)),
+      0
+    );
+    return total / neighbours.length;
+  }
+
+  /**
+   * Wind directions from the circulation round the systems: backing
+   * anticlockwise round lows and veering clockwise round highs, crossing the
+   * isobars in towards a low and out from a high. Each system counts by its
+   * depth and nearness, over a prevailing direction drawn from the profile;
+   * then a little noise, and smoothing so no two neighbours differ by more
+   * than a compass step or two
+   * @private
+   */
+  _computeDirections(distances) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const prevailing = COMPASS_WINDS.indexOf(this.profile.pick('directions', this.random, COMPASS_WINDS)) * 45;
+    const angles = new Map();
+
+    for (const area of STANDARD_AREAS) {
+      let x = PREVAILING_WEIGHT * Math.cos(toRadians(prevailing));
+      let y = PREVAILING_WEIGHT * Math.sin(toRadians(prevailing));
+
+      this.systems.forEach((system, index) => {
+        const distance = distances[index].get(area);
+        if (!distance) {
+          return; // No circulation direction at the centre itself
+        }
+        const anomaly = system.pressure - BACKGROUND_PRESSURE;
+        const weight = Math.min(1, Math.abs(anomaly) / FULL_CIRCULATION_ANOMALY) * Math.exp(-distance / SYSTEM_RADIUS);
+        const bearing = this._bearing(system.area, area);
+        const from = anomaly < 0 ? bearing + 90 - INFLOW_ANGLE : bearing - 90 - INFLOW_ANGLE;
+        x += weight * Math.cos(toRadians(from));
+        y += weight * Math.sin(toRadians(from));
+      });
+
+      const angle = (Math.atan2(y, x) * 180) / Math.PI + (this.random() * 2 - 1) * DIRECTION_NOISE;
+      angles.set(area, (angle + 360) % 360);
+    }
+
+    return this._smoothAngles(angles);
+  }
+
+  /**
+   * Compass bearing in degrees from one area's centroid to another's
+   * @private
+   */
+  _bearing(from, to) {
+    const a = getSeaArea(from).centroid;
+    const b = getSeaArea(to).centroid;
+    const east = (b.lon - a.lon) * Math.cos((((a.lat + b.lat) / 2) * Math.PI) / 180);
+    const north = b.lat - a.lat;
+    return ((Math.atan2(east, north) * 180) / Math.PI + 360) % 360;
+  }
+
+  /**
+   * Circular (vector) mean of each area with its neighbours, self weighted double
+   * @private
+   */
+  _smoothAngles(angles) {
+    const smoothed = new Map();
+
+    for (const area of STANDARD_AREAS) {
+      const toRadians = (degrees) => (degrees * Math.PI) / 180;
+      let x = 2 * Math.cos(toRadians(angles.get(area)));
+      let y = 2 * Math.sin(toRadians(angles.get(area)));
+
+      for (const neighbour of getNeighbours(area)) {
+        x += Math.cos(toRadians(angles.get(neighbour)));
+        y += Math.sin(toRadians(angles.get(neighbour)));
+      }
+
+      smoothed.set(area, ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360);
+    }
+
+    return smoothed;
+  }
+
+  /**
+   * Clamp a value to within maxStep of its previous value
+   * @private
+   */
+  _limitDrift(value, previousValue, maxStep) {
+    return Math.max(previousValue - maxStep, Math.min(previousValue + maxStep, value));
+  }
+
+  /**
+   * Turn at most one compass point from the previous direction
+   * Variable and cyclonic winds are free to appear or clear.
+   * @private
+   */
+  _limitDirectionDrift(direction, previousDirection) {
+    const from = COMPASS_WINDS.indexOf(previousDirection);
+    const to = COMPASS_WINDS.indexOf(direction);
+    if (from === -1 || to === -1) {
+      return direction;
+    }
+
+    const diff = (to - from + 8) % 8;
+    if (diff <= 1 || diff >= 7) {
+      return direction;
+    }
+    return COMPASS_WINDS[(from + (diff < 4 ? 1 : 7)) % 8];
+  }
+
+  /**
+   * Quantise an angle to the nearest compass wind direction
+   * @private
+   */
+  _angleToDirection(angle) {
+    return COMPASS_WINDS[Math.round(angle / 45) % 8];
+  }
+
+  /**
+   * Uniform noise in [-amplitude, amplitude] per area
+   * @private
+   */
+  _noise(amplitude) {
+    const noise = new Map();
+    for (const area of STANDARD_AREAS) {
+      noise.set(area, (this.random() * 2 - 1) * amplitude);
+    }
+    return noise;
+  }
+
+  /**
+   * Average each area with its neighbours (self weighted double)
+   * @private
+   */
+  _smooth(values) {
+    const smoothed = new Map();
+
+    for (const area of STANDARD_AREAS) {
+      const neighbours = getNeighbours(area);
+      const total = neighbours.reduce((sum, neighbour) => sum + values.get(neighbour), 2 * values.get(area));
+      smoothed.set(area, total / (neighbours.length + 2));
+    }
+
+    return smoothed;
+  }
+
+  /**
+   * Find the closest system to an area
+   * @private
+   */
+  _nearestSystem(area, distances) {
+    let nearest = null;
+
+    this.systems.forEach((system, index) => {
+      const distance = distances[index].get(area);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { system, distance };
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Strength of low-pressure influence at an area (0-1)
+   * @private
+   */
+  _lowInfluence(area, distances) {
+    let influence = 0;
+
+    this.systems.forEach((system, index) => {
+      if (system.pressure >= BACKGROUND_PRESSURE) {
+        return;
+      }
+      const depth = Math.min(1, (BACKGROUND_PRESSURE - system.pressure) / 40);
+      influence = Math.max(influence, depth * Math.exp(-distances[index].get(area) / SYSTEM_RADIUS));
+    });
+
+    return influence;
+  }
+}
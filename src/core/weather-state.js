@@ -0,0 +1,242 @@
+/**
+ * Persistent weather state
+ *
+ * Carries the synoptic picture from one broadcast to the next. Pressure systems
+ * travel along the sea-area graph from where the general synopsis placed them
+ * to where it said they were expected, arriving at the announced time, and the
+ * last weather field is kept so area conditions drift rather than jump.
+ *
+ * The state is a plain JSON-serialisable snapshot so it can be recorded on a
+ * broadcast (for replay) or persisted between page loads.
+ */
+
+import { AREA_ADJACENCY, getNeighbours } from './areas.js';
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Shortest path between two areas on the adjacency graph
+ * @param {string} from - Start area
+ * @param {string} to - End area
+ * @returns {string[]} Areas along the path, inclusive of both ends
+ */
+export function findAreaPath(from, to) {
+  if (from === to || !AREA_ADJACENCY[from] || !AREA_ADJACENCY[to]) {
+    return [from];
+  }
+
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === to) {
+      break;
+    }
+    for (const neighbour of getNeighbours(current)) {
+      if (!previous.has(neighbour)) {
+        previous.set(neighbour, current);
+        queue.push(neighbour);
+      }
+    }
+  }
+
+  const path = [];
+  for (let area = to; area !== null; area = previous.get(area)) {
+    path.unshift(area);
+  }
+  return path;
+}
+
+/**
+ * Weather State
+ *
+ * A system is one leg of a pressure system's journey:
+ *   {
+ *     type: 'Low'|'Medium'|'High',
+ *     changeType: 'deepening'|'clearing'|null,
+ *     changeRate: string|null,
+ *     from: { direction, area, pressure, time },  // time as ISO 8601 string
+ *     to:   { direction, area, pressure, time }
+ *   }
+ *
+ * Gale warnings are kept per area so their numbers run on across broadcasts
+ * (see GaleWarningService):
+ *   { number, issuedAt, expectedAt, timing, active }
+ */
+export class WeatherState {
+  /**
+   * @param {Object|null} [snapshot] - Snapshot from toJSON() to resume from
+   */
+  constructor(snapshot = null) {
+    this.systems = [];
+    this.cells = {};
+    this.galeWarnings = {};
+    this.updatedAt = null;
+
+    if (snapshot) {
+      this._restore(snapshot);
+    }
+  }
+
+  /**
+   * Create a state from a snapshot
+   * @param {Object|null} snapshot - Snapshot from toJSON()
+   * @returns {WeatherState}
+   */
+  static fromJSON(snapshot) {
+    return new WeatherState(snapshot);
+  }
+
+  /**
+   * Whether any pressure systems are being tracked
+   * @returns {boolean}
+   */
+  hasSystems() {
+    return this.systems.length > 0;
+  }
+
+  /**
+   * Start tracking a new pressure system leg
+   * @param {Object} system - System leg (see class description)
+   */
+  addSystem(system) {
+    this.systems.push(system);
+  }
+
+  /**
+   * Replace a system's leg once it has arrived at its expected position
+   * @param {number} index - System index
+   * @param {Object} system - New system leg
+   */
+  replaceSystem(index, system) {
+    this.systems[index] = system;
+  }
+
+  /**
+   * Position of a system at a given time, interpolated along its path
+   *
+   * The system reaches the last area of its path only on arrival, so until
+   * then it is never already where it is expected to be.
+   *
+   * @param {Object} system - System leg
+   * @param {Date} time - Time to evaluate
+   * @returns {{direction: string, area: string, pressure: number, progress: number, arrived: boolean}}
+   */
+  positionAt(system, time) {
+    const start = new Date(system.from.time).getTime();
+    const end = new Date(system.to.time).getTime();
+    const progress = end > start
+      ? Math.min(1, Math.max(0, (time.getTime() - start) / (end - start)))
+      : 1;
+
+    const path = findAreaPath(system.from.area, system.to.area);
+    const area = progress >= 1 ? path[path.length - 1] : path[Math.floor(progress * (path.length - 1))];
+    const pressure = Math.round(system.from.pressure + (system.to.pressure - system.from.pressure) * progress);
+    const direction = progress < 0.5 ? system.from.direction : system.to.direction;
+
+    return {
+      direction,
+      area,
+      pressure,
+      progress,
+      arrived: time.getTime() >= end
+    };
+  }
+
+  /**
+   * Systems positioned at a given time, in the form WeatherField.build() expects
+   * @param {Date} time - Time to evaluate
+   * @returns {Array<{type: string, area: string, pressure: number}>}
+   */
+  getFieldSystems(time) {
+    return this.systems.map((system) => {
+      const position = this.positionAt(system, time);
+      return { type: system.type, area: position.area, pressure: position.pressure };
+    });
+  }
+
+  /**
+   * Remember the area conditions of the latest weather field
+   * @param {import('./weather-field.js').WeatherField} field - Field just used for a broadcast
+   * @param {Date} time - Broadcast time
+   */
+  recordField(field, time) {
+    this.cells = {};
+    for (const [area, cell] of field.cells) {
+      this.cells[area] = {
+        direction: cell.direction,
+        force: cell.force,
+        visibilityIndex: cell.visibilityIndex
+      };
+    }
+    this.updatedAt = time.toISOString();
+  }
+
+  /**
+   * Previous area conditions (for drift limiting), or null before the first broadcast
+   * @returns {Object|null} Area name → { direction, force, visibilityIndex }
+   */
+  getPreviousCells() {
+    return Object.keys(this.cells).length > 0 ? this.cells : null;
+  }
+
+  /**
+   * Latest gale warning for an area
+   * @param {string} area - Area name
+   * @returns {Object|null} Warning record, or null if the area has never had one
+   */
+  getGaleWarning(area) {
+    return this.galeWarnings[area] || null;
+  }
+
+  /**
+   * Record the latest gale warning for an area
+   * @param {string} area - Area name
+   * @param {Object} warning - Warning record (see class description)
+   */
+  setGaleWarning(area, warning) {
+    this.galeWarnings[area] = warning;
+  }
+
+  /**
+   * Forget all systems and conditions
+   */
+  reset() {
+    this.systems = [];
+    this.cells = {};
+    this.galeWarnings = {};
+    this.updatedAt = null;
+  }
+
+  /**
+   * Serialisable snapshot of the state
+   * @returns {Object}
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      updatedAt: this.updatedAt,
+      systems: this.systems,
+      cells: this.cells,
+      galeWarnings: this.galeWarnings
+    }));
+  }
+
+  /**
+   * Restore from a snapshot
+   * @private
+   */
+  _restore(snapshot) {
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      console.warn(`[WeatherState] Ignoring snapshot with unsupported version ${snapshot.version}`);
+      return;
+    }
+
+    const copy = JSON.parse(JSON.stringify(snapshot));
+    this.systems = copy.systems || [];
+    this.cells = copy.cells || {};
+    this.galeWarnings = copy.galeWarnings || {};
+    this.updatedAt = copy.updatedAt || null;
+  }
+}
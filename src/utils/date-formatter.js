@@ -130,6 +130,23 @@ export function formatBBCDate(date, includeOn = false) {
   return `${dayOfWeek} the ${ordinal} of ${month}`;
 }
 
+/**
+ * Format date as printed in the published forecast
+ *
+ * Example: "Tuesday 2 February 2027"
+ *
+ * @param {Date} date - Date object to format
+ * @param {boolean} [includeYear=true] - Whether to end with the year
+ * @returns {string} Printed date string
+ */
+export function formatPrintedDate(date, includeYear = true) {
+  const dayOfWeek = getDayOfWeek(date.getUTCDay());
+  const month = getMonth(date.getUTCMonth());
+  const printed = `${dayOfWeek} ${date.getUTCDate()} ${month}`;
+
+  return includeYear ? `${printed} ${date.getUTCFullYear()}` : printed;
+}
+
 /**
  * Get day of week name
  *
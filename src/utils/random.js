@@ -0,0 +1,82 @@
+/**
+ * Seedable pseudo-random number generation
+ *
+ * Every generator draws from a random source: a function returning a float in [0, 1),
+ * the same contract as Math.random. Passing a seeded source makes a broadcast
+ * reproducible for bug reports, snapshot tests and "play that one again" links.
+ */
+
+/**
+ * Normalise a seed to an unsigned 32-bit integer
+ *
+ * Numbers are truncated to uint32; strings are hashed with FNV-1a so that
+ * human-friendly seeds ("dogger-bank") can be used in links.
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  if (typeof seed === 'string' && seed.length > 0) {
+    if (/^\d+$/.test(seed)) {
+      return Number(seed) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  throw new Error(`Invalid seed: ${seed}`);
+}
+
+/**
+ * Generate a fresh seed from the platform random source
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a seeded random source (mulberry32)
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Random source returning floats in [0, 1), with a `seed` property
+ */
+export function createSeededRandom(seed) {
+  const normalized = normalizeSeed(seed);
+  let state = normalized;
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = normalized;
+
+  return random;
+}
+
+/**
+ * Fisher-Yates shuffle algorithm
+ * @param {Array} array - Array to shuffle (not mutated)
+ * @param {Function} [random=Math.random] - Random source
+ * @returns {Array} New shuffled array
+ */
+export function shuffleArray(array, random = Math.random) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
@@ -0,0 +1,106 @@
+/**
+ * Caption View
+ * Live subtitles with the word being read highlighted
+ *
+ * Follows the player's caption events: caption:start lays out the words of
+ * the segment or area being read, each caption:word highlights the next word
+ * (earlier words stay lit as spoken), and caption:end clears the line.
+ */
+
+import { globalEventBus } from '../state/events.js';
+
+export class CaptionView {
+  /**
+   * @param {HTMLElement} container - Element the captions are shown in (an aria-live region)
+   */
+  constructor(container) {
+    this.container = container;
+    this.enabled = true;
+    this.words = [];
+    this.handlers = {
+      'caption:start': (data) => this._show(data.words),
+      'caption:word': (data) => this._highlight(data.index),
+      'caption:end': () => this._clear(),
+    };
+  }
+
+  /**
+   * Start following the player's caption events
+   */
+  initialize() {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      globalEventBus.on(event, handler);
+    }
+  }
+
+  /**
+   * Stop following the player's caption events
+   */
+  destroy() {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      globalEventBus.off(event, handler);
+    }
+  }
+
+  /**
+   * Turn captions on or off
+   * @returns {boolean} Whether captions are now shown
+   */
+  toggle() {
+    this.enabled = !this.enabled;
+    this.container.classList.toggle('hidden', !this.enabled);
+    if (!this.enabled) {
+      this._clear();
+    }
+    return this.enabled;
+  }
+
+  /**
+   * @private
+   * @param {Array<string>} words - Caption text in reading order
+   */
+  _show(words) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.words = words.map((word) => {
+      const span = document.createElement('span');
+      span.className = 'caption-word';
+      span.textContent = word;
+      return span;
+    });
+
+    this.container.replaceChildren(...this.words.flatMap((span, i) => (i === 0 ? [span] : [' ', span])));
+    this.container.classList.add('visible');
+  }
+
+  /**
+   * @private
+   * @param {number} index - Caption reached
+   */
+  _highlight(index) {
+    const current = this.words[index];
+    if (!current) {
+      return;
+    }
+
+    for (let i = 0; i <= index; i++) {
+      this.words[i].classList.add('spoken');
+      this.words[i].classList.toggle('current', i === index);
+    }
+
+    if (typeof current.scrollIntoView === 'function') {
+      current.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _clear() {
+    this.words = [];
+    this.container.classList.remove('visible');
+    this.container.replaceChildren();
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Transcript View
+ * Scrolling on-screen transcript of what has been spoken so far
+ *
+ * Follows the player's events: each broadcast starts a new heading, and every
+ * segment, area forecast and gale warning interruption is appended once it
+ * has been read, so the transcript never runs ahead of the voice.
+ */
+
+import { globalEventBus } from '../state/events.js';
+import { formatIssueTime } from '../core/gale-warning-service.js';
+
+// Oldest lines are dropped beyond this, so a long session doesn't grow the page without bound
+const MAX_LINES = 400;
+
+export class TranscriptView {
+  /**
+   * @param {HTMLElement} container - Element the transcript scrolls in
+   */
+  constructor(container) {
+    this.container = container;
+    this.visible = false;
+    this.handlers = {
+      'broadcast:started': (data) => this._addHeading(data),
+      'segment:complete': (data) => this._addLine(data.text, data.label),
+      'report:complete': (report) => this._addLine(report.text, 'Area'),
+      'gale:interrupt': (data) => this._addLine(data.text, 'GaleWarning'),
+    };
+  }
+
+  /**
+   * Start following the player's events
+   */
+  initialize() {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      globalEventBus.on(event, handler);
+    }
+  }
+
+  /**
+   * Stop following the player's events
+   */
+  destroy() {
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      globalEventBus.off(event, handler);
+    }
+  }
+
+  /**
+   * Show or hide the transcript
+   * @returns {boolean} Whether the transcript is now visible
+   */
+  toggle() {
+    this.visible = !this.visible;
+    this.container.classList.toggle('visible', this.visible);
+    this.container.setAttribute('aria-hidden', String(!this.visible));
+    if (this.visible) {
+      this._scrollToEnd();
+    }
+    return this.visible;
+  }
+
+  /**
+   * Remove everything spoken so far
+   */
+  clear() {
+    this.container.replaceChildren();
+  }
+
+  /**
+   * @private
+   * @param {{broadcastId: string, timestamp: string, edition: string|null}} data - broadcast:started payload
+   */
+  _addHeading(data) {
+    const heading = document.createElement('h2');
+    heading.className = 'transcript-heading';
+    heading.textContent = `Shipping forecast ${formatIssueTime(new Date(data.timestamp))}`;
+    this._append(heading);
+  }
+
+  /**
+   * @private
+   * @param {string} text - Spoken text
+   * @param {string} label - Segment label (used as a class for styling)
+   */
+  _addLine(text, label) {
+    if (!text) {
+      return;
+    }
+
+    const line = document.createElement('p');
+    line.className = 'transcript-line';
+    line.dataset.segment = label;
+    line.textContent = text;
+    this._append(line);
+  }
+
+  /**
+   * @private
+   */
+  _append(element) {
+    this.container.appendChild(element);
+    while (this.container.childElementCount > MAX_LINES) {
+      this.container.firstElementChild.remove();
+    }
+    this._scrollToEnd();
+  }
+
+  /**
+   * @private
+   */
+  _scrollToEnd() {
+    this.container.scrollTop = this.container.scrollHeight;
+  }
+}
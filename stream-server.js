@@ -0,0 +1,166 @@
+/**
+ * Shipping Forecast Stream Server
+ * Runs the generator and synthesis headlessly and serves a never-ending
+ * internet-radio stream that any number of listeners share
+ *
+ * Usage: node stream-server.js [options]
+ *
+ *   --port PORT         HTTP port (default: 8000)
+ *   --tts PROVIDERS     TTS providers in fallback order, comma-separated: google
+ *                       (Cloud TTS via the proxy), polly, azure, local (eSpeak NG),
+ *                       piper or mock (silence) (default: google)
+ *   --format mp3|wav    Stream format (default: mp3 when every provider can return
+ *                       MP3, wav otherwise)
+ *   --profile NAME      Generator profile (e.g. winter-storm)
+ *   --shuffled          Read the areas in shuffled rather than canonical order
+ *
+ * Endpoints:
+ *   GET /stream         The audio stream. Send "Icy-MetaData: 1" for in-band
+ *                       now-playing titles (Icecast/SHOUTcast ICY metadata)
+ *   GET /listen.m3u     Playlist pointing at the stream, for media players
+ *   GET /now-playing    JSON: broadcast id, edition, segment label and text
+ *
+ * Polly and Azure read their credentials from the environment (see
+ * providerConfigFromEnv in src/audio/tts-providers.js).
+ *
+ * HLS is not served: it would need the audio re-encoded into AAC or MPEG-TS
+ * segments. Media players (VLC, mpv, foobar2000) and Icecast relays play /stream.
+ */
+
+import http from 'http';
+import { parseArgs } from 'util';
+import { broadcastGenerator } from './src/core/broadcast-generator.js';
+import { SSMLSynthesizer } from './src/audio/ssml-synthesizer.js';
+import { ttsProviders, parseProviderOrder, providerConfigFromEnv } from './src/audio/tts-providers.js';
+import { BroadcastRenderer } from './src/audio/broadcast-renderer.js';
+import { BroadcastStream, IcyWriter, ICY_METAINT } from './src/audio/broadcast-stream.js';
+
+const STATION_NAME = 'The Infinite Shipping Forecast';
+
+// Listeners this far behind (unable to keep up) are disconnected
+const MAX_BACKLOG_BYTES = 1024 * 1024;
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8000' },
+    tts: { type: 'string', default: 'google' },
+    format: { type: 'string' },
+    profile: { type: 'string' },
+    shuffled: { type: 'boolean', default: false }
+  }
+});
+
+const providers = parseProviderOrder(options.tts);
+const unknown = providers.filter((name) => !ttsProviders.names().includes(name));
+if (providers.length === 0 || unknown.length > 0) {
+  console.error(`❌ Error: Unknown TTS "${unknown.join(', ') || options.tts}" (use ${ttsProviders.names().join(', ')})`);
+  process.exit(1);
+}
+
+// MP3 clips are joined as they come; otherwise the audio is decoded, so ask for WAV
+const format = options.format || (providers.every((name) => ttsProviders.get(name).mp3) ? 'mp3' : 'wav');
+
+if (options.profile) {
+  broadcastGenerator.setProfile(options.profile);
+}
+
+const stream = new BroadcastStream({
+  renderer: new BroadcastRenderer({
+    synthesizer: new SSMLSynthesizer({
+      ttsAdapter: ttsProviders.createAdapter(providers, {
+        ...providerConfigFromEnv(process.env),
+        shared: { audioConfig: { encoding: format === 'mp3' ? 'MP3' : 'WAV', sampleRate: 24000 } }
+      })
+    })
+  }),
+  format,
+  nextBroadcast: () => broadcastGenerator.generateBroadcast(31, { order: options.shuffled ? 'shuffled' : 'canonical' })
+});
+
+/**
+ * Attach a listener to the stream
+ */
+function serveStream(req, res) {
+  const metadata = req.headers['icy-metadata'] === '1';
+  const headers = {
+    'Content-Type': stream.contentType,
+    'Cache-Control': 'no-cache, no-store',
+    'Connection': 'close',
+    'icy-name': STATION_NAME,
+    'icy-description': 'A never-ending generative shipping forecast'
+  };
+  if (metadata) {
+    headers['icy-metaint'] = String(ICY_METAINT);
+  }
+  res.writeHead(200, headers);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  const write = (bytes) => {
+    res.write(bytes);
+    if (res.writableLength > MAX_BACKLOG_BYTES) {
+      console.warn('[StreamServer] Listener fell behind, disconnecting');
+      res.destroy();
+    }
+  };
+  const icy = metadata ? new IcyWriter(write) : null;
+
+  const header = stream.header();
+  if (icy) {
+    icy.write(header, stream.nowPlaying ? `Shipping Forecast - ${stream.nowPlaying.label}` : STATION_NAME);
+  } else {
+    write(header);
+  }
+
+  const remove = stream.addListener((bytes, title) => (icy ? icy.write(bytes, title) : write(bytes)));
+  console.log(`[StreamServer] Listener connected (${stream.listeners.size} listening)`);
+
+  res.on('close', () => {
+    remove();
+    console.log(`[StreamServer] Listener left (${stream.listeners.size} listening)`);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Allow': 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  switch (pathname) {
+    case '/stream':
+      serveStream(req, res);
+      return;
+
+    case '/listen.m3u':
+      res.writeHead(200, { 'Content-Type': 'audio/x-mpegurl' });
+      res.end(`#EXTM3U\n#EXTINF:-1,${STATION_NAME}\nhttp://${req.headers.host}/stream\n`);
+      return;
+
+    case '/now-playing':
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+      res.end(JSON.stringify({ station: STATION_NAME, listeners: stream.listeners.size, nowPlaying: stream.nowPlaying }));
+      return;
+
+    default:
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Tune in at /stream or /listen.m3u\n');
+  }
+});
+
+stream.start();
+server.listen(Number(options.port), () => {
+  console.log(`📻 ${STATION_NAME} on air: http://localhost:${options.port}/listen.m3u (${stream.format}, ${options.tts} TTS)`);
+});
+
+process.on('SIGINT', () => {
+  console.log('\n📴 Closing down');
+  stream.stop();
+  server.close();
+  process.exit(0);
+});
@@ -0,0 +1,83 @@
+/**
+ * Sea Area Geography Unit Tests
+ *
+ * Tests for the geographic metadata in core/areas.js covering:
+ * - Official broadcast order and regional grouping
+ * - Centroids, polygons and neighbours
+ * - Consistent invented geography for phantom areas
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  STANDARD_AREAS,
+  AREA_REGIONS,
+  SEA_AREAS,
+  createSeaArea,
+  getSeaArea,
+  getBroadcastOrder,
+  getAreasByRegion,
+  getAreaDistance,
+  getAreaBearing,
+} from '../../src/core/areas.js';
+
+describe('Sea area metadata', () => {
+  it('should list standard areas in official broadcast order', () => {
+    expect(SEA_AREAS.map((area) => area.name)).toEqual(STANDARD_AREAS);
+    expect(SEA_AREAS.map((area) => area.order)).toEqual(STANDARD_AREAS.map((_, i) => i + 1));
+    expect(getBroadcastOrder('Viking')).toBe(1);
+    expect(getBroadcastOrder('South-East Iceland')).toBe(31);
+    expect(getBroadcastOrder('The Void')).toBe(Infinity);
+  });
+
+  it('should place every standard area in a known region', () => {
+    for (const area of SEA_AREAS) {
+      expect(AREA_REGIONS).toContain(area.region);
+    }
+    expect(getAreasByRegion('Northern Isles and Iceland').map((area) => area.name)).toEqual([
+      'Hebrides',
+      'Bailey',
+      'Fair Isle',
+      'Faeroes',
+      'South-East Iceland',
+    ]);
+  });
+
+  it('should keep each centroid inside its polygon', () => {
+    for (const area of SEA_AREAS) {
+      const lats = area.polygon.map(([lat]) => lat);
+      const lons = area.polygon.map(([, lon]) => lon);
+
+      expect(area.polygon[0]).toEqual(area.polygon[area.polygon.length - 1]);
+      expect(area.centroid.lat).toBeGreaterThanOrEqual(Math.min(...lats));
+      expect(area.centroid.lat).toBeLessThanOrEqual(Math.max(...lats));
+      expect(area.centroid.lon).toBeGreaterThanOrEqual(Math.min(...lons));
+      expect(area.centroid.lon).toBeLessThanOrEqual(Math.max(...lons));
+    }
+  });
+
+  it('should expose neighbours from the adjacency graph', () => {
+    expect(getSeaArea('Dover').neighbours).toEqual(['Thames', 'Wight']);
+  });
+
+  it('should measure distance and bearing between areas', () => {
+    expect(getAreaDistance('Dover', 'Wight')).toBeLessThan(getAreaDistance('Dover', 'Trafalgar'));
+    expect(getAreaBearing('Trafalgar', 'Viking')).toBeLessThan(90);
+    expect(() => getAreaDistance('Dover', 'Atlantis')).toThrow('Unknown sea area');
+  });
+});
+
+describe('Phantom area geography', () => {
+  it('should invent the same coordinates every time', () => {
+    expect(createSeaArea('Elder Bank', 'phantom')).toEqual(createSeaArea('Elder Bank', 'phantom'));
+  });
+
+  it('should lie beyond the charted areas with no neighbours', () => {
+    const westernEdge = Math.min(...SEA_AREAS.flatMap((area) => area.polygon.map(([, lon]) => lon)));
+    const phantom = getSeaArea('Obsidian Deep');
+
+    expect(phantom.type).toBe('phantom');
+    expect(phantom.order).toBeNull();
+    expect(phantom.neighbours).toEqual([]);
+    expect(Math.max(...phantom.polygon.map(([, lon]) => lon))).toBeLessThan(westernEdge);
+  });
+});
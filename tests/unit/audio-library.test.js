@@ -0,0 +1,122 @@
+/**
+ * Audio Library Unit Tests
+ *
+ * Tests for the clip catalog and coverage of the EBNF report schema: every
+ * generated area forecast should be voiced entirely from library clips.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { AudioLibrary } from '../../src/audio/audio-library.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { getProfilePresetNames } from '../../src/core/generator-profile.js';
+
+const library = new AudioLibrary();
+
+function fileOf(path) {
+  return path && path.replace('public/audio/', '');
+}
+
+describe('AudioLibrary EBNF sequence', () => {
+  it('should read forces as numbers up to 7 and Beaufort terms above', () => {
+    expect(fileOf(library.getWindStrengthPath(7))).toBe('numbers/7.mp3');
+    expect(fileOf(library.getWindStrengthPath(9))).toBe('wind/beaufort/severe-gale-9.mp3');
+    expect(fileOf(library.getWindStrengthPath(12))).toBe('wind/beaufort/hurricane-force-12.mp3');
+  });
+
+  it('should voice a wind change with an occasional wind', () => {
+    const parts = library.buildReportParts({
+      area: { name: 'Sole', type: 'standard' },
+      wind: {
+        direction: 'Southerly',
+        force: [7, 8],
+        windChange: 'Becoming cyclonic',
+        subsequentWind: { direction: 'westerly', force: 9, later: false },
+        occasionalWind: { direction: 'northerly', force: 10, later: true }
+      },
+      seaState: { state: 'Very rough', connector: 'becoming', subsequent: 'high', later: true, occasional: null },
+      precipitation: { text: 'Squally showers' },
+      visibility: 'Poor'
+    });
+
+    expect(parts.map((part) => part.text).filter(Boolean).join(' ')).toBe(
+      'Sole Southerly 7 to gale 8 becoming cyclonic westerly severe gale 9 occasionally northerly storm 10 later '
+      + 'Very rough becoming high later Squally showers Poor'
+    );
+    expect(parts.every((part) => part.path)).toBe(true);
+  });
+
+  it('should read grouped areas with a pause between them', () => {
+    const parts = library.buildReportParts({
+      area: { name: 'Viking', type: 'standard' },
+      areas: [{ name: 'Viking' }, { name: 'North Utsire' }],
+      wind: { direction: 'Westerly', force: 4 },
+      seaState: 'Moderate',
+      precipitation: { text: 'Light rain' },
+      visibility: 'Good'
+    });
+
+    expect(parts.slice(0, 4).map((part) => fileOf(part.path))).toEqual([
+      'areas/viking.mp3',
+      'pauses/short-500ms.mp3',
+      'areas/north-utsire.mp3',
+      'pauses/short-500ms.mp3'
+    ]);
+  });
+});
+
+describe('AudioLibrary clip catalog', () => {
+  it('should list each clip once, with its category and words', () => {
+    const catalog = library.getClipCatalog();
+    const paths = catalog.map((clip) => clip.path);
+
+    expect(new Set(paths).size).toBe(paths.length);
+    expect(catalog).toContainEqual({
+      category: 'precipitation',
+      text: 'Wintry snow',
+      path: 'public/audio/precipitation/wintry-snow.mp3'
+    });
+    expect(catalog).toContainEqual({
+      category: 'areas',
+      text: 'The Void',
+      path: 'public/audio/areas/the-void-phantom.mp3',
+      slow: true
+    });
+  });
+
+  it('should report the words no available clip covers', () => {
+    const report = {
+      area: { name: 'Dogger', type: 'standard' },
+      wind: { direction: 'Westerly', force: 5 },
+      seaState: 'Rough',
+      precipitation: { text: 'Heavy rain' },
+      visibility: 'Good or poor'
+    };
+    const available = new Set(library.getClipCatalog().map((clip) => clip.path));
+    available.delete(library.getConnectorPath('or'));
+
+    expect(library.findGaps(report)).toEqual([]);
+    expect(library.findGaps(report, available)).toEqual([{ path: library.getConnectorPath('or'), text: 'or' }]);
+  });
+});
+
+describe('AudioLibrary coverage of generated forecasts', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(getProfilePresetNames())('should voice every %s forecast from clips', (profile) => {
+    const generator = new BroadcastGenerator();
+    generator.setProfile(profile);
+
+    for (let n = 0; n < 4; n++) {
+      const broadcast = generator.generateBroadcast(31, { seed: `coverage-${n}`, order: 'canonical' });
+      for (const forecast of broadcast.areaForecasts) {
+        expect({ text: forecast.text, gaps: library.findGaps(forecast) }).toEqual({ text: forecast.text, gaps: [] });
+      }
+    }
+  });
+});
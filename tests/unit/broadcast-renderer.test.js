@@ -0,0 +1,109 @@
+/**
+ * Broadcast Renderer Unit Tests
+ *
+ * @jest-environment node
+ *
+ * Tests for audio/wav.js and audio/broadcast-renderer.js covering:
+ * - WAV encoding and decoding
+ * - Segment order and end-of-report pauses
+ * - Offline assembly without Web Audio, and silence for undecodable audio
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { encodeWAV, decodeWAV, isWAV } from '../../src/audio/wav.js';
+import { BroadcastRenderer, parseBreakTime } from '../../src/audio/broadcast-renderer.js';
+import { SSMLSynthesizer } from '../../src/audio/ssml-synthesizer.js';
+import { MockTTSAdapter } from '../../src/audio/tts-service-adapter.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+
+function generate(options = {}) {
+  const generator = new BroadcastGenerator();
+  return generator.generateBroadcast(3, { seed: 7, timestamp: new Date('2026-01-15T17:54:00Z'), ...options });
+}
+
+/**
+ * Adapter returning a WAV of a constant level per request: 0.5s at 12 kHz
+ */
+class ToneAdapter {
+  constructor() {
+    this.requests = [];
+  }
+
+  async synthesize(template) {
+    this.requests.push(template);
+    const samples = new Float32Array(6000).fill(0.25);
+    return { audioBuffer: null, audioBlob: new Blob([encodeWAV({ sampleRate: 12000, channels: [samples] })]), duration: 0.5 };
+  }
+}
+
+describe('WAV', () => {
+  it('should round-trip 16-bit PCM', () => {
+    const left = Float32Array.from([0, 0.5, -0.5, 1]);
+    const right = Float32Array.from([-1, 0.25, 0, -0.25]);
+    const wav = encodeWAV({ sampleRate: 22050, channels: [left, right] });
+
+    expect(wav.byteLength).toBe(44 + 4 * 2 * 2);
+    expect(isWAV(wav)).toBe(true);
+
+    const decoded = decodeWAV(wav);
+    expect(decoded.sampleRate).toBe(22050);
+    expect(Array.from(decoded.channels[0])).toEqual([0, expect.closeTo(0.5, 3), -0.5, expect.closeTo(1, 3)]);
+    expect(Array.from(decoded.channels[1])).toEqual([-1, expect.closeTo(0.25, 3), 0, expect.closeTo(-0.25, 3)]);
+  });
+
+  it('should reject files that are not WAV', () => {
+    expect(isWAV(new ArrayBuffer(4))).toBe(false);
+    expect(() => decodeWAV(new Uint8Array(64).buffer)).toThrow('Not a WAV file');
+  });
+});
+
+describe('BroadcastRenderer', () => {
+  it('should read segments in playback order', () => {
+    const broadcast = generate({ edition: '0048', coastalStations: true });
+    const labels = new BroadcastRenderer({ synthesizer: {} }).segmentsFor(broadcast).map((segment) => segment.label);
+
+    expect(labels.slice(0, 2)).toEqual(['Introduction', labels[1]]);
+    expect(labels).toContain(broadcast.areaForecasts[0].area.name);
+    expect(labels.indexOf('Coastal Stations')).toBeGreaterThan(labels.indexOf(broadcast.areaForecasts[2].area.name));
+    expect(labels[labels.length - 1]).toBe('Sign-off');
+  });
+
+  it('should join segments end to end with a pause after each spoken segment', async () => {
+    const broadcast = generate({ edition: '1201' });
+    const adapter = new ToneAdapter();
+    const renderer = new BroadcastRenderer({
+      synthesizer: new SSMLSynthesizer({ ttsAdapter: adapter, enableCache: false }),
+      sampleRate: 24000,
+    });
+
+    const rendered = await renderer.render(broadcast);
+    const pause = parseBreakTime('1500ms');
+    const [introduction, second] = rendered.segments;
+    const area = rendered.segments.find((segment) => segment.label === broadcast.areaForecasts[0].area.name);
+
+    expect(adapter.requests).toHaveLength(rendered.segments.length);
+    expect(introduction).toMatchObject({ offset: 0, duration: 0.5 + pause });
+    expect(second.offset).toBeCloseTo(0.5 + pause);
+    expect(area.duration).toBe(0.5); // Area SSML already ends with its pause
+    expect(rendered.duration).toBeCloseTo(rendered.segments.reduce((total, segment) => total + segment.duration, 0));
+
+    // Resampled to 24 kHz: tone for the segment, then silence
+    const samples = rendered.channels[0];
+    expect(samples.length).toBe(Math.ceil(rendered.duration * 24000));
+    expect(samples[100]).toBeCloseTo(0.25, 3);
+    expect(samples[Math.round(0.5 * 24000) + 100]).toBe(0);
+  });
+
+  it('should keep the timing of audio it cannot decode as silence', async () => {
+    const broadcast = generate({ edition: '1201' });
+    const renderer = new BroadcastRenderer({
+      synthesizer: new SSMLSynthesizer({ ttsAdapter: new MockTTSAdapter(), enableCache: false }),
+      sampleRate: 8000,
+    });
+
+    const { wav, duration, segments } = await renderer.renderWAV(broadcast);
+
+    expect(segments[0].duration).toBe(15 + 1.5);
+    expect(decodeWAV(wav).channels[0].length).toBe(Math.ceil(duration * 8000));
+  });
+});
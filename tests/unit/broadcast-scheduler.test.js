@@ -0,0 +1,146 @@
+/**
+ * Broadcast Scheduler Unit Tests
+ *
+ * Tests for core/broadcast-scheduler.js covering:
+ * - Edition selection by time
+ * - Segments carried by each edition
+ * - Wall-clock wait and simulate modes
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import {
+  BroadcastScheduler,
+  BROADCAST_EDITIONS,
+  getEdition,
+} from '../../src/core/broadcast-scheduler.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { SSMLTemplateBuilder } from '../../src/audio/ssml-template-builder.js';
+
+const at = (iso) => new Date(iso);
+
+describe('Edition selection', () => {
+  const scheduler = new BroadcastScheduler();
+
+  it('should know the four daily editions', () => {
+    expect(BROADCAST_EDITIONS.map((edition) => edition.id)).toEqual(['0048', '0520', '1201', '1754']);
+    expect(() => getEdition('0900')).toThrow('Unknown broadcast edition');
+  });
+
+  it('should select the edition on air at a given time', () => {
+    expect(scheduler.getEdition(at('2026-03-10T00:48:00Z')).edition.id).toBe('0048');
+    expect(scheduler.getEdition(at('2026-03-10T11:00:00Z')).edition.id).toBe('0520');
+    expect(scheduler.getEdition(at('2026-03-10T23:59:00Z')).edition.id).toBe('1754');
+
+    // Before the first slot of the day, the previous evening's edition
+    const early = scheduler.getEdition(at('2026-03-10T00:10:00Z'));
+    expect(early.edition.id).toBe('1754');
+    expect(early.time.toISOString()).toBe('2026-03-09T17:54:00.000Z');
+  });
+
+  it('should find the next slot, rolling over midnight', () => {
+    expect(scheduler.getNextSlot(at('2026-03-10T12:01:00Z')).edition.id).toBe('1754');
+
+    const next = scheduler.getNextSlot(at('2026-03-10T20:00:00Z'));
+    expect(next.edition.id).toBe('0048');
+    expect(next.time.toISOString()).toBe('2026-03-11T00:48:00.000Z');
+  });
+});
+
+describe('Edition segments', () => {
+  const scheduler = new BroadcastScheduler();
+
+  function generateEdition(id) {
+    const edition = getEdition(id);
+    const options = scheduler.getBroadcastOptions(edition, at('2026-03-10T00:00:00Z'));
+    return new BroadcastGenerator().generateBroadcast(31, { ...options, seed: 4 });
+  }
+
+  it('should open the late-night edition with Sailing By and add the reports', () => {
+    const broadcast = generateEdition('0048');
+
+    expect(broadcast.edition).toBe('0048');
+    expect(broadcast.sailingBy.title).toBe('Sailing By');
+    expect(broadcast.coastalStations).not.toBeNull();
+    expect(broadcast.inshoreWaters).not.toBeNull();
+    expect(broadcast.signOff.text).toContain('completes the shipping forecast');
+  });
+
+  it('should keep the 12:01 edition shorter', () => {
+    const midday = generateEdition('1201');
+    const evening = generateEdition('1754');
+
+    expect(midday.sailingBy).toBeNull();
+    expect(midday.coastalStations).toBeNull();
+    expect(midday.inshoreWaters).toBeNull();
+    expect(midday.timePeriod).toBeNull();
+    expect(evening.timePeriod).not.toBeNull();
+  });
+
+  it('should read condensed area forecasts in the 12:01 edition', () => {
+    const midday = generateEdition('1201');
+    const evening = generateEdition('1754');
+    const builder = new SSMLTemplateBuilder();
+    const spoken = (broadcast) => broadcast.areaForecasts.map((forecast) => forecast.text).join(' ').length;
+    const ssml = (broadcast) => broadcast.areaForecasts
+      .reduce((length, forecast) => length + builder.build(forecast).ssml.length, 0);
+    const areas = (broadcast) => broadcast.areaForecasts.flatMap((forecast) => forecast.areas.map((area) => area.name));
+
+    // Condensed forecasts agree more often, so neighbours may be grouped differently
+    expect(areas(midday)).toEqual(areas(evening));
+    midday.areaForecasts.forEach((forecast) => {
+      expect(forecast.wind.windChange).toBeNull();
+      expect(forecast.seaState.text).toBe(forecast.seaState.state);
+      expect(forecast.visibility).not.toContain(',');
+    });
+    expect(spoken(midday)).toBeLessThan(spoken(evening) * 0.85);
+    expect(ssml(midday)).toBeLessThan(ssml(evening));
+    expect(midday.galeWarnings).toEqual(evening.galeWarnings);
+  });
+
+  it('should end the SSML with the sign-off', () => {
+    const broadcast = generateEdition('1201');
+    const template = new SSMLTemplateBuilder().buildBroadcast(broadcast);
+
+    expect(template.metadata.edition).toBe('1201');
+    expect(template.metadata.timePeriodVariant).toBeNull();
+    expect(template.ssml).toMatch(/completes the shipping forecast\.<break time="1500ms"\/>(<\/prosody>)?<\/speak>$/);
+  });
+
+  it('should leave broadcasts without an edition unchanged', () => {
+    const broadcast = new BroadcastGenerator().generateBroadcast(31, { seed: 4 });
+
+    expect(broadcast.edition).toBeNull();
+    expect(broadcast.sailingBy).toBeNull();
+    expect(broadcast.signOff).toBeNull();
+    expect(broadcast.timePeriod).not.toBeNull();
+  });
+});
+
+describe('Wall-clock mode', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should simulate the editions in slot order', async () => {
+    const scheduler = new BroadcastScheduler({ mode: 'simulate', now: () => at('2026-03-10T13:00:00Z') });
+    const slots = [];
+    for (let i = 0; i < 5; i++) {
+      slots.push((await scheduler.waitForNextSlot()).edition.id);
+    }
+
+    expect(slots).toEqual(['1754', '0048', '0520', '1201', '1754']);
+  });
+
+  it('should wait for the next real slot, and stop waiting when cancelled', async () => {
+    jest.useFakeTimers();
+    const scheduler = new BroadcastScheduler({ mode: 'wait', now: () => at('2026-03-10T05:19:00Z') });
+
+    const waiting = scheduler.waitForNextSlot();
+    jest.advanceTimersByTime(60 * 1000);
+    expect((await waiting).edition.id).toBe('0520');
+
+    const cancelled = scheduler.waitForNextSlot();
+    scheduler.cancelWait();
+    expect(await cancelled).toBeNull();
+  });
+});
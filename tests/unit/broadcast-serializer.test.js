@@ -0,0 +1,108 @@
+/**
+ * Broadcast Serializer Unit Tests
+ *
+ * Tests for core/broadcast-serializer.js covering:
+ * - JSON round trip with Date revival
+ * - Validation errors and schema versions
+ * - Agreement with the broadcast schema contract
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
+import {
+  serializeBroadcast,
+  deserializeBroadcast,
+  validateBroadcast,
+  BROADCAST_SCHEMA_VERSION,
+} from '../../src/core/broadcast-serializer.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { BroadcastScheduler, getEdition } from '../../src/core/broadcast-scheduler.js';
+import { SSMLTemplateBuilder } from '../../src/audio/ssml-template-builder.js';
+
+const schema = JSON.parse(
+  readFileSync(new URL('../../specs/003-broadcast-structure/contracts/broadcast.schema.json', import.meta.url), 'utf8')
+);
+
+function lateNightBroadcast() {
+  const generator = new BroadcastGenerator();
+  generator.setProfile('winter-storm');
+  const options = new BroadcastScheduler().getBroadcastOptions(getEdition('0048'), new Date('2026-01-15T00:48:00Z'));
+  return generator.generateBroadcast(31, { ...options, seed: 5 });
+}
+
+describe('Broadcast serialization', () => {
+  const broadcast = lateNightBroadcast();
+  const json = serializeBroadcast(broadcast);
+
+  it('should write the schema version first', () => {
+    const data = JSON.parse(json);
+
+    expect(Object.keys(data)[0]).toBe('schemaVersion');
+    expect(data.schemaVersion).toBe(BROADCAST_SCHEMA_VERSION);
+    expect(data.schemaVersion).toBe(schema.properties.schemaVersion.const);
+    expect(validateBroadcast(data)).toEqual([]);
+  });
+
+  it('should read back the same broadcast, with Dates revived', () => {
+    const restored = deserializeBroadcast(json);
+
+    expect(restored).toEqual(broadcast);
+    expect(restored.timestamp).toBeInstanceOf(Date);
+    expect(restored.coastalStations.observedAt).toBeInstanceOf(Date);
+    expect(restored.galeWarnings.bulletins[0].issuedAt).toBeInstanceOf(Date);
+    expect(serializeBroadcast(restored)).toBe(json);
+  });
+
+  it('should build the same SSML from a replayed broadcast', () => {
+    const builder = new SSMLTemplateBuilder();
+    const original = builder.buildBroadcast(broadcast);
+    const replayed = builder.buildBroadcast(deserializeBroadcast(json));
+
+    expect(replayed.ssml).toBe(original.ssml);
+  });
+
+  it('should write every top-level field the schema knows, and only those', () => {
+    const data = JSON.parse(json);
+
+    expect(Object.keys(data).sort()).toEqual(Object.keys(schema.properties).sort());
+    for (const key of schema.required) {
+      expect(data).toHaveProperty(key);
+    }
+  });
+
+  it('should indent archives on request, for diffing', () => {
+    expect(serializeBroadcast(broadcast, { space: 2 })).toContain('\n  "schemaVersion": 1,');
+  });
+});
+
+describe('Broadcast validation', () => {
+  const data = JSON.parse(serializeBroadcast(lateNightBroadcast()));
+
+  it('should report missing and mistyped fields by path', () => {
+    const broken = JSON.parse(JSON.stringify(data));
+    delete broken.introduction;
+    broken.areaForecasts[2].wind.force = 13;
+    broken.coastalStations.observedAt = 'yesterday';
+
+    expect(validateBroadcast(broken)).toEqual([
+      'introduction: is required',
+      'introduction: must be an object',
+      'areaForecasts[2].wind.force: must be a Beaufort force or a pair of forces',
+      'coastalStations.observedAt: must be an ISO 8601 date-time',
+    ]);
+    expect(() => deserializeBroadcast(broken)).toThrow(/^Invalid broadcast JSON: introduction: is required/);
+  });
+
+  it('should accept the segments an edition leaves out', () => {
+    const midday = { ...data, timePeriod: null, coastalStations: null, inshoreWaters: null, sailingBy: null };
+
+    expect(validateBroadcast(midday)).toEqual([]);
+  });
+
+  it('should reject unsupported schema versions and malformed JSON', () => {
+    expect(() => deserializeBroadcast({ ...data, schemaVersion: 2 })).toThrow('Unsupported broadcast schema version: 2');
+    expect(() => deserializeBroadcast({ ...data, schemaVersion: undefined })).toThrow('Unsupported broadcast schema version');
+    expect(() => deserializeBroadcast('{"schemaVersion": 1,')).toThrow(/^Invalid broadcast JSON/);
+    expect(validateBroadcast([])).toEqual(['(root): must be an object']);
+  });
+});
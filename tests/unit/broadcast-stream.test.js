@@ -0,0 +1,164 @@
+/**
+ * Broadcast Stream Unit Tests
+ *
+ * @jest-environment node
+ *
+ * Tests for audio/mp3.js and audio/broadcast-stream.js covering:
+ * - MP3 frame timing and ID3 stripping
+ * - ICY metadata interleaving
+ * - Real-time pacing shared by every listener, with burst on connect
+ * - MP3 streams joined frame for frame with synthesized pauses
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { readMP3, stripID3, isMP3 } from '../../src/audio/mp3.js';
+import { BroadcastStream, IcyWriter, icyMetadata } from '../../src/audio/broadcast-stream.js';
+import { BroadcastRenderer } from '../../src/audio/broadcast-renderer.js';
+import { SSMLSynthesizer } from '../../src/audio/ssml-synthesizer.js';
+import { encodeWAV } from '../../src/audio/wav.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+
+// MPEG-2 Layer III, 32 kbps, 24 kHz, mono: 96-byte frames of 576 samples (24ms)
+function mp3Frames(count) {
+  const bytes = new Uint8Array(96 * count);
+  for (let frame = 0; frame < count; frame++) {
+    bytes.set([0xff, 0xf3, 0x44, 0xc4], frame * 96);
+  }
+  return bytes;
+}
+
+/**
+ * Adapter returning one second of audio per request (WAV or MP3), and MP3
+ * silence for a bare <break>
+ */
+class ClipAdapter {
+  constructor(format) {
+    this.format = format;
+  }
+
+  async synthesize(template) {
+    if (this.format === 'mp3') {
+      const frames = template.ssml.startsWith('<speak><break') ? 25 : 125; // 0.6s pause, 3s speech
+      return { audioBlob: new Blob([mp3Frames(frames)]), duration: 0 };
+    }
+    const samples = new Float32Array(8000).fill(0.5);
+    return { audioBuffer: null, audioBlob: new Blob([encodeWAV({ sampleRate: 8000, channels: [samples] })]), duration: 1 };
+  }
+}
+
+function createStream(format, clock) {
+  const generator = new BroadcastGenerator();
+  return new BroadcastStream({
+    renderer: new BroadcastRenderer({
+      synthesizer: new SSMLSynthesizer({ ttsAdapter: new ClipAdapter(format), enableCache: false }),
+      sampleRate: 8000,
+    }),
+    format,
+    nextBroadcast: () => generator.generateBroadcast(2, { seed: 4, order: 'canonical' }),
+    bufferSeconds: 5,
+    burstSeconds: 1,
+    now: () => clock.time,
+  });
+}
+
+describe('MP3 frames', () => {
+  it('should time frames and strip ID3 tags', () => {
+    const id3 = [0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 5, 1, 2, 3, 4, 5];
+    const file = new Uint8Array([...id3, ...mp3Frames(50)]);
+
+    const audio = stripID3(file);
+    expect(audio.length).toBe(50 * 96);
+    expect(isMP3(file)).toBe(true);
+    expect(readMP3(audio)).toEqual({ frames: 50, duration: 1.2, sampleRate: 24000 });
+    expect(readMP3(new Uint8Array(100))).toEqual({ frames: 0, duration: 0, sampleRate: null });
+  });
+});
+
+describe('ICY metadata', () => {
+  it('should pad the title into 16-byte blocks', () => {
+    const block = icyMetadata('Shipping Forecast - Viking');
+
+    expect(block[0]).toBe(3);
+    expect(block.length).toBe(49);
+    expect(new TextDecoder().decode(block.subarray(1)).replace(/\0+$/, '')).toBe("StreamTitle='Shipping Forecast - Viking';");
+    expect(Array.from(icyMetadata(null))).toEqual([0]);
+  });
+
+  it('should insert a block after every interval, with the title only when it changes', () => {
+    const output = [];
+    const writer = new IcyWriter((bytes) => output.push(Array.from(bytes)), 4);
+
+    writer.write(new Uint8Array(10).fill(1), 'Viking');
+    writer.write(new Uint8Array(2).fill(2), 'Viking');
+
+    expect(output.map((bytes) => bytes.length)).toEqual([4, 1 + 32, 4, 1, 2, 2, 1]);
+    expect(output[1][0]).toBe(2);
+    expect(output[3]).toEqual([0]);
+  });
+});
+
+describe('BroadcastStream', () => {
+  it('should release audio in real time to every listener alike', async () => {
+    const clock = { time: 0 };
+    const stream = createStream('wav', clock);
+    await stream.fill();
+
+    const first = [];
+    const second = [];
+    stream.addListener((bytes, title) => first.push({ length: bytes.length, title }));
+    stream.addListener((bytes) => second.push(bytes.length));
+
+    stream.tick();
+    clock.time = 500;
+    stream.tick();
+
+    // Introduction: 1s of speech and 1.5s of pause at 8 kHz, 16-bit
+    expect(stream.nowPlaying).toMatchObject({ label: 'Introduction', startedAt: new Date(0).toISOString() });
+    expect(first).toEqual([{ length: 8000, title: 'Shipping Forecast - Introduction' }]);
+    expect(second).toEqual([8000]);
+    expect(stream.header().length).toBe(44);
+
+    clock.time = 2600;
+    stream.tick();
+    expect(stream.nowPlaying.label).not.toBe('Introduction');
+    expect(first.reduce((total, chunk) => total + chunk.length, 0)).toBe(2.6 * 8000 * 2);
+    expect(first[first.length - 1].title).toBe(`Shipping Forecast - ${stream.nowPlaying.label}`);
+  });
+
+  it('should give new listeners the last moments of audio straight away', async () => {
+    const clock = { time: 0 };
+    const stream = createStream('wav', clock);
+    await stream.fill();
+
+    for (clock.time = 0; clock.time <= 2000; clock.time += 250) {
+      stream.tick();
+    }
+
+    const burst = [];
+    stream.addListener((bytes) => burst.push(bytes.length));
+    const seconds = burst.reduce((total, length) => total + length, 0) / (8000 * 2);
+
+    expect(seconds).toBeGreaterThanOrEqual(1);
+    expect(seconds).toBeLessThan(1.5);
+  });
+
+  it('should join MP3 clips with a synthesized pause after spoken segments', async () => {
+    const clock = { time: 0 };
+    const stream = createStream('mp3', clock);
+    await stream.fill();
+
+    const [introduction] = stream.queue;
+    expect(introduction.bytes.length).toBe((125 + 25) * 96);
+    expect(introduction.duration).toBeCloseTo(3.6);
+    expect(stream.contentType).toBe('audio/mpeg');
+    expect(stream.header().length).toBe(0);
+  });
+
+  it('should refuse an MP3 stream from a TTS service that does not return MP3', async () => {
+    const stream = createStream('wav', { time: 0 });
+    stream.format = 'mp3';
+
+    await expect(stream.fill()).rejects.toThrow('TTS audio for Introduction is not MP3; stream in wav format instead');
+    expect(() => new BroadcastStream({ format: 'ogg' })).toThrow('Unknown stream format: ogg');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Canonical Broadcast Order Unit Tests
+ *
+ * Tests for reading areas in official order covering:
+ * - Every standard area read once, in broadcast order
+ * - Grouping of neighbouring areas with identical conditions
+ * - Grouped forecasts flowing through SSMLTemplateBuilder.buildBroadcast()
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { STANDARD_AREAS, getNeighbours } from '../../src/core/areas.js';
+import { SSMLTemplateBuilder } from '../../src/audio/ssml-template-builder.js';
+
+function canonicalBroadcast(seed) {
+  return new BroadcastGenerator().generateBroadcast(31, { seed, order: 'canonical' });
+}
+
+describe('BroadcastGenerator canonical order', () => {
+  it('should read every standard area once in official order', () => {
+    for (let seed = 0; seed < 5; seed++) {
+      const broadcast = canonicalBroadcast(seed);
+      const names = broadcast.areaForecasts.flatMap((forecast) => forecast.areas.map((a) => a.name));
+
+      expect(broadcast.order).toBe('canonical');
+      expect(names).toEqual(STANDARD_AREAS);
+    }
+  });
+
+  it('should only group neighbouring areas with identical conditions', () => {
+    let grouped = 0;
+
+    for (let seed = 0; seed < 10; seed++) {
+      for (const forecast of canonicalBroadcast(seed).areaForecasts) {
+        if (forecast.areas.length < 2) continue;
+        grouped++;
+
+        const names = forecast.areas.map((area) => area.name);
+        expect(forecast.area.name).toBe(names.join(', '));
+        expect(forecast.text.startsWith(`${names.join(', ')}. `)).toBe(true);
+        for (let i = 1; i < names.length; i++) {
+          expect(getNeighbours(names[i - 1])).toContain(names[i]);
+        }
+      }
+    }
+
+    expect(grouped).toBeGreaterThan(0);
+  });
+
+  it('should never leave identical neighbours ungrouped', () => {
+    const { areaForecasts } = canonicalBroadcast(3);
+    const conditions = (forecast) => forecast.text.slice(forecast.area.name.length + 2);
+
+    for (let i = 1; i < areaForecasts.length; i++) {
+      const before = areaForecasts[i - 1].areas.at(-1).name;
+      const after = areaForecasts[i].areas[0].name;
+      if (getNeighbours(before).includes(after)) {
+        expect(conditions(areaForecasts[i])).not.toBe(conditions(areaForecasts[i - 1]));
+      }
+    }
+  });
+
+  it('should list gale areas individually', () => {
+    for (let seed = 0; seed < 10; seed++) {
+      const { galeWarnings } = canonicalBroadcast(seed);
+      if (!galeWarnings) continue;
+
+      for (const area of galeWarnings.affectedAreas) {
+        expect(STANDARD_AREAS).toContain(area);
+      }
+    }
+  });
+
+  it('should keep the shuffled cycle by default', () => {
+    const broadcast = new BroadcastGenerator().generateBroadcast(31, { seed: 1 });
+
+    expect(broadcast.order).toBe('shuffled');
+  });
+});
+
+describe('SSMLTemplateBuilder grouped forecasts', () => {
+  it('should speak every member area of a group', () => {
+    const builder = new SSMLTemplateBuilder();
+    const broadcast = canonicalBroadcast(0);
+    const template = builder.buildBroadcast(broadcast);
+
+    expect(template.metadata.areaCount).toBe(31);
+    expect(template.metadata.forecastCount).toBe(broadcast.areaForecasts.length);
+
+    const group = broadcast.areaForecasts.find((forecast) => forecast.areas.length > 1);
+    const ssml = builder.build(group).ssml;
+    for (const area of group.areas) {
+      expect(ssml).toContain(area.name.split(' ')[0]);
+    }
+  });
+});
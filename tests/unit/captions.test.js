@@ -0,0 +1,180 @@
+/**
+ * Live Captions Unit Tests
+ *
+ * Tests for audio/captions.js and visuals/caption-view.js covering:
+ * - <mark> insertion at word and phrase boundaries
+ * - Pairing captions with TTS timepoints and following playback
+ * - Caption marks in SSMLTemplateBuilder and SSMLSynthesizer output
+ * - Highlighted live subtitles
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { insertCaptionMarks, timeCaptions, CaptionTrack } from '../../src/audio/captions.js';
+import { SSMLTemplateBuilder } from '../../src/audio/ssml-template-builder.js';
+import { SSMLSynthesizer } from '../../src/audio/ssml-synthesizer.js';
+import { GoogleCloudTTSAdapter, MockTTSAdapter } from '../../src/audio/tts-service-adapter.js';
+import { CaptionView } from '../../src/visuals/caption-view.js';
+import { globalEventBus } from '../../src/state/events.js';
+
+const REPORT = {
+  area: { name: 'South Utsire' },
+  wind: { direction: 'Southwest', forceMin: 5, forceMax: 7 },
+  seaState: { text: 'Rough' },
+  precipitation: { text: 'Rain' },
+  visibility: 'Good',
+};
+
+describe('insertCaptionMarks', () => {
+  it('should mark every word in reading order', () => {
+    const { ssml, captions } = insertCaptionMarks('<speak>Viking, <break time="200ms"/>westerly 5.</speak>');
+
+    expect(ssml).toBe(
+      '<speak><mark name="c0"/>Viking, <break time="200ms"/><mark name="c1"/>westerly <mark name="c2"/>5.</speak>'
+    );
+    expect(captions).toEqual([
+      { mark: 'c0', text: 'Viking,' },
+      { mark: 'c1', text: 'westerly' },
+      { mark: 'c2', text: '5.' },
+    ]);
+  });
+
+  it('should mark phrases at punctuation and breaks', () => {
+    const { captions } = insertCaptionMarks(
+      '<speak>Westerly 5 to 7, occasionally gale 8 later<break time="600ms"/>Rough or very rough.</speak>',
+      'phrase'
+    );
+
+    expect(captions.map((caption) => caption.text)).toEqual([
+      'Westerly 5 to 7,',
+      'occasionally gale 8 later',
+      'Rough or very rough.',
+    ]);
+  });
+
+  it('should mark elements read as one word before the element, with decoded text', () => {
+    const { ssml, captions } = insertCaptionMarks(
+      '<speak><sub alias="Fisher">Fisher</sub>. Rain &amp; fog</speak>'
+    );
+
+    expect(ssml).toBe('<speak><mark name="c0"/><sub alias="Fisher">Fisher</sub>. <mark name="c1"/>Rain <mark name="c2"/>&amp; <mark name="c3"/>fog</speak>');
+    expect(captions.map((caption) => caption.text)).toEqual(['Fisher.', 'Rain', '&', 'fog']);
+  });
+
+  it('should reject an unknown granularity', () => {
+    expect(() => insertCaptionMarks('<speak>Viking</speak>', 'syllable')).toThrow('Unknown caption granularity: syllable');
+  });
+});
+
+describe('Caption timing', () => {
+  const captions = [
+    { mark: 'c0', text: 'Viking.' },
+    { mark: 'c1', text: 'Westerly' },
+    { mark: 'c2', text: '5.' },
+  ];
+
+  it('should pair captions with timepoints, carrying the last time over missing marks', () => {
+    const timed = timeCaptions(captions, [
+      { markName: 'c0', timeSeconds: 0 },
+      { markName: 'c2', timeSeconds: 1.4 },
+    ]);
+
+    expect(timed).toEqual([
+      { index: 0, text: 'Viking.', time: 0 },
+      { index: 1, text: 'Westerly', time: 0 },
+      { index: 2, text: '5.', time: 1.4 },
+    ]);
+  });
+
+  it('should give each caption once as playback reaches it', () => {
+    const track = new CaptionTrack(timeCaptions(captions, [
+      { markName: 'c0', timeSeconds: 0 },
+      { markName: 'c1', timeSeconds: 0.9 },
+      { markName: 'c2', timeSeconds: 1.4 },
+    ]));
+
+    expect(track.advance(0.5).map((caption) => caption.text)).toEqual(['Viking.']);
+    expect(track.advance(0.5)).toEqual([]);
+    expect(track.advance(2).map((caption) => caption.text)).toEqual(['Westerly', '5.']);
+    expect(track.isComplete()).toBe(true);
+  });
+});
+
+describe('Caption marks in synthesis', () => {
+  it('should leave SSML unmarked unless caption marks are enabled', () => {
+    const plain = new SSMLTemplateBuilder().build(REPORT);
+
+    expect(plain.ssml).not.toContain('<mark');
+    expect(plain.captions).toBeUndefined();
+  });
+
+  it('should caption respelled area names as they are written', () => {
+    const template = new SSMLTemplateBuilder({ captionMarks: 'word' }).build(REPORT);
+
+    expect(template.ssml).toContain('<mark name="c1"/>Uutt-seerra');
+    expect(template.captions.slice(0, 2).map((caption) => caption.text)).toEqual(['South', 'Utsire']);
+    expect(template.characterCount).toBe(template.ssml.length);
+  });
+
+  it('should return timed captions with the synthesized audio', async () => {
+    const synthesizer = new SSMLSynthesizer({ captionMarks: 'word', enableCache: false });
+    synthesizer.ttsAdapter = new MockTTSAdapter();
+
+    const audio = await synthesizer.synthesizeText('And now the shipping forecast.', 'Introduction');
+
+    expect(audio.captions.map((caption) => caption.text)).toEqual(['And', 'now', 'the', 'shipping', 'forecast.']);
+    const times = audio.captions.map((caption) => caption.time);
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+    expect(times[0]).toBe(0);
+  });
+
+  it('should return no timepoints, never undefined, when Google sends none', async () => {
+    const adapter = new GoogleCloudTTSAdapter({ logRequests: false });
+    adapter._callAPI = jest.fn(async () => ({ audioContent: 'AAAA' }));
+
+    const audio = await adapter.synthesize({ ssml: '<speak><mark name="c0"/>Viking.</speak>', reportId: 'viking' });
+
+    expect(audio.timepoints).toEqual([]);
+  });
+});
+
+describe('CaptionView', () => {
+  let view;
+
+  afterEach(() => {
+    view.destroy();
+  });
+
+  it('should highlight the word being read and keep earlier words lit', () => {
+    const container = document.createElement('div');
+    view = new CaptionView(container);
+    view.initialize();
+
+    globalEventBus.emit('caption:start', { label: 'Area', words: ['Viking.', 'Westerly', '5.'] });
+    globalEventBus.emit('caption:word', { label: 'Area', index: 0, word: 'Viking.', time: 0 });
+    globalEventBus.emit('caption:word', { label: 'Area', index: 1, word: 'Westerly', time: 0.9 });
+
+    const words = Array.from(container.querySelectorAll('.caption-word'));
+    expect(container.textContent).toBe('Viking. Westerly 5.');
+    expect(words.map((word) => word.className)).toEqual([
+      'caption-word spoken',
+      'caption-word spoken current',
+      'caption-word',
+    ]);
+
+    globalEventBus.emit('caption:end', { label: 'Area' });
+    expect(container.textContent).toBe('');
+    expect(container.classList.contains('visible')).toBe(false);
+  });
+
+  it('should show nothing while captions are turned off', () => {
+    const container = document.createElement('div');
+    view = new CaptionView(container);
+    view.initialize();
+
+    expect(view.toggle()).toBe(false);
+    globalEventBus.emit('caption:start', { label: 'Area', words: ['Viking.'] });
+
+    expect(container.children).toHaveLength(0);
+    expect(container.classList.contains('hidden')).toBe(true);
+  });
+});
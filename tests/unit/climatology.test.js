@@ -0,0 +1,135 @@
+/**
+ * Climatology Unit Tests
+ *
+ * Tests for core/climatology.js covering:
+ * - Monthly table coverage
+ * - Month and latitude bias (icing, fog, thunder, snow)
+ * - Time-of-day bias (dawn fog, afternoon showers and thunder)
+ * - Seasonal generation through BroadcastGenerator
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  MONTHLY_CLIMATE,
+  DIURNAL_CLIMATE,
+  getMonthlyClimate,
+  getDiurnalClimate,
+  getClimateBias,
+  applyIcingBias,
+} from '../../src/core/climatology.js';
+import { getSeaArea } from '../../src/core/areas.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { WeatherReportGenerator } from '../../src/core/generator.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+
+const JANUARY = new Date('2026-01-15T00:48:00Z');
+const APRIL = new Date('2026-04-15T00:48:00Z');
+const AUGUST = new Date('2026-08-15T00:48:00Z');
+
+const latitude = (name) => getSeaArea(name).centroid.lat;
+
+describe('Climatology table', () => {
+  it('should cover every month', () => {
+    expect(MONTHLY_CLIMATE).toHaveLength(12);
+    expect(getMonthlyClimate(JANUARY).month).toBe('January');
+    expect(getMonthlyClimate(AUGUST).month).toBe('August');
+  });
+
+  it('should favour icing near South-East Iceland in winter', () => {
+    const iceland = getClimateBias(JANUARY, latitude('South-East Iceland'));
+    const dover = getClimateBias(JANUARY, latitude('Dover'));
+
+    expect(applyIcingBias(0.1, iceland)).toBeGreaterThan(applyIcingBias(0.1, dover) * 3);
+    expect(applyIcingBias(0.1, getClimateBias(AUGUST, latitude('South-East Iceland')))).toBe(0);
+    expect(applyIcingBias(0.1, getClimateBias(JANUARY, latitude('Trafalgar')))).toBe(0);
+  });
+
+  it('should bring fog in spring and thunder in late summer', () => {
+    const area = latitude('Dogger');
+
+    expect(getClimateBias(APRIL, area).fog).toBeGreaterThan(getClimateBias(JANUARY, area).fog);
+    expect(getClimateBias(AUGUST, area).thunder).toBeGreaterThan(getClimateBias(JANUARY, area).thunder * 5);
+    expect(getClimateBias(AUGUST, latitude('Biscay')).thunder).toBeGreaterThan(
+      getClimateBias(AUGUST, latitude('Faeroes')).thunder
+    );
+  });
+
+  it('should only allow snow in the colder months and latitudes', () => {
+    expect(getClimateBias(AUGUST, latitude('Viking')).snow).toBe(0);
+    expect(getClimateBias(JANUARY, latitude('Trafalgar')).snow).toBe(0);
+    expect(getClimateBias(JANUARY, latitude('Viking')).snow).toBeGreaterThan(1);
+  });
+});
+
+describe('Time of day', () => {
+  const at = (time) => new Date(`2026-05-15T${time}:00Z`);
+
+  it('should cover every hour', () => {
+    for (let hour = 0; hour < 24; hour++) {
+      expect(getDiurnalClimate(new Date(Date.UTC(2026, 4, 15, hour)))).toBeDefined();
+    }
+    expect(DIURNAL_CLIMATE.map((entry) => getDiurnalClimate(at(`${String(entry.fromHour).padStart(2, '0')}:00`))))
+      .toEqual(DIURNAL_CLIMATE);
+  });
+
+  it('should bring fog around dawn, and showers and thunder in the afternoon', () => {
+    const area = latitude('Dogger');
+
+    expect(getClimateBias(at('05:20'), area).fog).toBeGreaterThan(getClimateBias(at('12:01'), area).fog * 2);
+    expect(getClimateBias(at('05:20'), area).fogBank).toBeGreaterThan(getClimateBias(at('12:01'), area).fogBank);
+    expect(getClimateBias(at('17:54'), area).thunder).toBeGreaterThan(getClimateBias(at('00:48'), area).thunder * 2);
+    expect(getClimateBias(at('12:01'), area).showers).toBeGreaterThan(getClimateBias(at('00:48'), area).showers);
+  });
+});
+
+describe('Seasonal generation', () => {
+  function countForecasts(timestamp, predicate) {
+    let count = 0;
+    for (let seed = 0; seed < 10; seed++) {
+      const broadcast = new BroadcastGenerator().generateBroadcast(31, { seed, timestamp });
+      count += broadcast.areaForecasts.filter(predicate).length;
+    }
+    return count;
+  }
+
+  it('should bias broadcasts by the broadcast timestamp', () => {
+    const icing = (forecast) => forecast.icing !== null;
+    const snow = (forecast) => /snow|Wintry/.test(forecast.precipitation.text);
+    const thunder = (forecast) => forecast.precipitation.modifier === 'Thundery';
+
+    expect(countForecasts(AUGUST, icing)).toBe(0);
+    expect(countForecasts(AUGUST, snow)).toBe(0);
+    expect(countForecasts(JANUARY, icing)).toBeGreaterThan(0);
+    expect(countForecasts(AUGUST, thunder)).toBeGreaterThan(countForecasts(JANUARY, thunder));
+  });
+
+  it('should read the field\'s very poor visibility as fog as often as the climate favours it', () => {
+    const field = { getConditions: () => ({ direction: 'Westerly', force: 5, visibility: 'Very poor' }) };
+    const fogCount = (timestamp) => {
+      const generator = new WeatherReportGenerator({ random: createSeededRandom(7) });
+      generator.setWeatherField(field);
+      generator.setTimestamp(timestamp);
+      let count = 0;
+      for (let i = 0; i < 200; i++) {
+        count += /^Fog/.test(generator.generateAreaReport('Dogger').visibility) ? 1 : 0;
+      }
+      return count;
+    };
+
+    const dawn = fogCount(new Date('2026-05-15T05:20:00Z'));
+
+    // Far more often than fog banks alone (about one in five at dawn in May)
+    expect(dawn).toBeGreaterThan(120);
+    expect(dawn).toBeGreaterThan(fogCount(new Date('2026-01-15T12:01:00Z')) * 1.5);
+  });
+
+  it('should bias broadcasts by the hour, fog included where the weather field sets visibility', () => {
+    const fog = (forecast) => /^(Fog|Dense fog)/.test(forecast.visibility);
+    const thunder = (forecast) => forecast.precipitation.modifier === 'Thundery';
+
+    expect(countForecasts(new Date('2026-05-15T05:20:00Z'), fog))
+      .toBeGreaterThan(countForecasts(new Date('2026-05-15T12:01:00Z'), fog));
+    expect(countForecasts(new Date('2026-08-15T17:54:00Z'), thunder))
+      .toBeGreaterThan(countForecasts(new Date('2026-08-15T05:20:00Z'), thunder));
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Clip Manifest Unit Tests
+ *
+ * Tests for clip measurement (BS.1770 loudness, silence), finding clips
+ * through the manifest, and trimming, levelling and scheduling clips with it.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { integratedLoudness, silenceBounds, analyzeClip } from '../../src/audio/loudness.js';
+import { AudioLibrary, audioLibrary } from '../../src/audio/audio-library.js';
+import { LibrarySynthesizer, clipPlayback } from '../../src/audio/library-synthesizer.js';
+
+function tone(sampleRate, seconds, amplitude, { from = 0, to = seconds } = {}) {
+  const samples = new Float32Array(Math.round(sampleRate * seconds));
+  for (let i = Math.round(from * sampleRate); i < Math.round(to * sampleRate); i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * 997 * i / sampleRate);
+  }
+  return samples;
+}
+
+const manifest = {
+  clips: {
+    'areas/viking.mp3': {
+      text: 'Viking', category: 'areas', voice: 'en-GB-Neural2-B',
+      duration: 0.9, loudness: -24, leadingSilence: 0.2, trailingSilence: 0.3
+    },
+    'areas/the-void-phantom.mp3': {
+      text: 'The Void', category: 'areas', slow: true, voice: 'en-GB-Neural2-B',
+      duration: 1.2, loudness: -18, leadingSilence: 0, trailingSilence: 0
+    },
+    'sea/rough-v2.mp3': {
+      text: 'Rough', category: 'sea', voice: 'en-GB-Neural2-B',
+      duration: 0.5, loudness: -10, leadingSilence: 0.02, trailingSilence: 0.1
+    }
+  }
+};
+
+describe('Clip measurement', () => {
+  it('should read a full-scale 1kHz sine at -3 LUFS (BS.1770)', () => {
+    expect(integratedLoudness([tone(48000, 2, 1)], 48000)).toBeCloseTo(-3.01, 1);
+    expect(integratedLoudness([tone(24000, 2, 1)], 24000)).toBeCloseTo(-3.01, 1);
+    expect(integratedLoudness([tone(24000, 2, 0.1)], 24000)).toBeCloseTo(-23.01, 1);
+  });
+
+  it('should gate out silence and give null for a silent clip', () => {
+    // Ungated, a second of tone in three would read about -27.8 LUFS; blocks
+    // straddling the edges of the tone still pass the gates
+    const padded = integratedLoudness([tone(24000, 3, 0.1, { from: 1, to: 2 })], 24000);
+    expect(padded).toBeGreaterThan(-25);
+    expect(padded).toBeLessThan(-23);
+    expect(integratedLoudness([new Float32Array(24000)], 24000)).toBeNull();
+  });
+
+  it('should find the silence either side of the sound', () => {
+    const samples = tone(24000, 1, 0.1, { from: 0.25, to: 0.85 });
+    const { leading, trailing } = silenceBounds([samples], 24000);
+    expect(leading).toBeCloseTo(0.25, 2);
+    expect(trailing).toBeCloseTo(0.15, 2);
+  });
+
+  it('should summarize a clip for the manifest', () => {
+    expect(analyzeClip({ sampleRate: 24000, channels: [tone(24000, 1, 0.1, { from: 0.1, to: 0.9 })] })).toEqual({
+      duration: 1,
+      loudness: -23.3,
+      leadingSilence: 0.1,
+      trailingSilence: 0.1
+    });
+  });
+});
+
+describe('AudioLibrary with a manifest', () => {
+  it('should find clips by their words, guessing only those the manifest lacks', () => {
+    const library = new AudioLibrary();
+    expect(library.getSeaStatePath('Rough')).toBe('public/audio/sea/rough.mp3');
+
+    library.setManifest(manifest);
+
+    expect(library.hasManifest()).toBe(true);
+    expect(library.getSeaStatePath('Rough')).toBe('public/audio/sea/rough-v2.mp3');
+    expect(library.getAreaPath('The Void', true)).toBe('public/audio/areas/the-void-phantom.mp3');
+    expect(library.getAreaPath('The Void')).toBe('public/audio/areas/the-void.mp3');
+    expect(library.getSeaStatePath('Slight')).toBe('public/audio/sea/slight.mp3');
+    expect(library.getClipInfo('public/audio/areas/viking.mp3')).toMatchObject({ loudness: -24 });
+    expect(library.getClipInfo('public/audio/sea/slight.mp3')).toBeNull();
+  });
+
+  it('should not request clips the manifest does not list', async () => {
+    global.fetch = jest.fn();
+    const library = new AudioLibrary();
+    library.setManifest(manifest);
+
+    expect(await library.preloadAvailable({}, ['public/audio/sea/slight.mp3'])).toEqual([null]);
+    expect(global.fetch).not.toHaveBeenCalled();
+    delete global.fetch;
+  });
+
+  it('should load the manifest once, and carry on without one', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+    const library = new AudioLibrary();
+
+    expect(await library.loadManifest()).toBe(false);
+    expect(await library.loadManifest()).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('public/audio/manifest.json');
+    expect(library.hasManifest()).toBe(false);
+
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+});
+
+describe('clipPlayback', () => {
+  it('should play clips without manifest details as they are', () => {
+    expect(clipPlayback({ duration: 0.9 }, null)).toEqual({ offset: 0, duration: 0.9, gain: 1 });
+  });
+
+  it('should trim silence to a margin, measuring trailing silence from the end of the buffer', () => {
+    const { offset, duration } = clipPlayback({ duration: 0.95 }, manifest.clips['areas/viking.mp3']);
+    expect(offset).toBeCloseTo(0.16);
+    expect(duration).toBeCloseTo(0.95 - 0.26 - 0.16);
+  });
+
+  it('should level clips to -18 LUFS, boosting by 6dB at most', () => {
+    const gain = (loudness) => clipPlayback({ duration: 1 }, { loudness, leadingSilence: 0, trailingSilence: 0 }).gain;
+    expect(gain(-12)).toBeCloseTo(0.5, 2);
+    expect(gain(-18)).toBe(1);
+    expect(gain(-40)).toBeCloseTo(2, 2);
+    expect(gain(null)).toBe(1);
+  });
+});
+
+describe('LibrarySynthesizer scheduling', () => {
+  let audioContext;
+  let started;
+  let gains;
+
+  beforeEach(() => {
+    started = [];
+    gains = [];
+    audioContext = {
+      currentTime: 10,
+      createGain: () => {
+        const node = { gain: { value: 1 }, connect: () => {} };
+        gains.push(node);
+        return node;
+      },
+      createBufferSource: () => {
+        const source = {
+          connect: () => {},
+          disconnect: () => {},
+          stop: () => {},
+          start: (...args) => {
+            started.push([source.buffer.name, ...args]);
+            setTimeout(() => source.onended && source.onended(), 0);
+          }
+        };
+        return source;
+      }
+    };
+
+    jest.spyOn(audioLibrary, 'loadManifest').mockResolvedValue(true);
+    jest.spyOn(audioLibrary, 'preloadMultiple').mockImplementation(async (context, paths) => (
+      paths.map((path) => path && { name: path.split('/').pop(), duration: 1 })
+    ));
+    audioLibrary.setManifest({
+      clips: {
+        'unsettling/message-3.mp3': {
+          text: 'Message', category: 'unsettling', voice: 'en-GB-Neural2-B',
+          duration: 1, loudness: -24, leadingSilence: 0.1, trailingSilence: 0.2
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    audioLibrary.manifest = null;
+    audioLibrary.clipIndex.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('should schedule trimmed, levelled clips and time pauses without loading their clips', async () => {
+    jest.useFakeTimers();
+    const synthesizer = new LibrarySynthesizer(audioContext);
+
+    const playing = synthesizer.speakUnsettlingMessage(3, {});
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(audioLibrary.preloadMultiple).toHaveBeenCalledWith(audioContext, ['public/audio/unsettling/message-3.mp3', null]);
+    expect(started).toHaveLength(1);
+    const [name, when, offset, duration] = started[0];
+    expect([name, when]).toEqual(['message-3.mp3', 10]);
+    expect(offset).toBeCloseTo(0.06);
+    expect(duration).toBeCloseTo(0.78);
+    expect(gains[0].gain.value).toBeCloseTo(2, 2);
+
+    // The closing pause is waited out after the clip ends
+    let finished = false;
+    playing.then(() => {
+      finished = true;
+    });
+    await jest.advanceTimersByTimeAsync(999);
+    expect(finished).toBe(false);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(finished).toBe(true);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Coastal Station Unit Tests
+ *
+ * Tests for core/coastal-station-generator.js covering:
+ * - Canonical station list and report format
+ * - Pressures and tendencies from the synopsis systems
+ * - Optional broadcast segment and SSML
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { CoastalStationGenerator } from '../../src/core/coastal-station-generator.js';
+import { COASTAL_STATIONS, STANDARD_AREAS } from '../../src/core/areas.js';
+import { WeatherState } from '../../src/core/weather-state.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { SSMLTemplateBuilder } from '../../src/audio/ssml-template-builder.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+
+const TIMESTAMP = new Date('2026-01-15T00:48:00Z');
+
+function deepeningLow() {
+  const state = new WeatherState();
+  state.addSystem({
+    type: 'Low',
+    changeType: 'deepening',
+    changeRate: 'quickly',
+    from: { direction: 'west', area: 'Rockall', pressure: 976, time: '2026-01-14T21:00:00Z' },
+    to: { direction: 'north', area: 'Malin', pressure: 966, time: '2026-01-15T06:00:00Z' }
+  });
+  return state;
+}
+
+function generate(state) {
+  const generator = new CoastalStationGenerator({ random: createSeededRandom(2) });
+  generator.setWeatherState(state);
+  generator.setTimestamp(TIMESTAMP);
+  return generator.generateReports();
+}
+
+describe('COASTAL_STATIONS', () => {
+  it('should list the canonical stations on known sea areas', () => {
+    const names = COASTAL_STATIONS.map((station) => station.name);
+
+    expect(names).toEqual(expect.arrayContaining([
+      'Tiree Automatic', 'Stornoway', 'Lerwick', 'Sandettie Lightvessel Automatic'
+    ]));
+    for (const station of COASTAL_STATIONS) {
+      expect(STANDARD_AREAS).toContain(station.seaArea);
+    }
+  });
+});
+
+describe('CoastalStationGenerator', () => {
+  it('should report wind, visibility, pressure and tendency for every station', () => {
+    const reports = generate(deepeningLow());
+
+    expect(reports.introduction).toBe('And now the reports from coastal stations for twenty-three hundred.');
+    expect(reports.stations).toHaveLength(COASTAL_STATIONS.length);
+    for (const station of reports.stations) {
+      expect(station.text).toMatch(/^.+\. .+ \d+, .*\d+ (miles?|metres), [a-z-]+, (steady|(rising|falling)( slowly| quickly| very rapidly)?)\.$/);
+      if (station.automatic) {
+        expect(station.weather).toBeNull();
+      }
+    }
+  });
+
+  it('should read lower pressures near the synopsis low and falling ahead of it', () => {
+    const stations = generate(deepeningLow()).stations;
+    const pressureAt = (name) => stations.find((station) => station.name === name).pressure;
+
+    expect(pressureAt('Tiree Automatic')).toBeLessThan(pressureAt('Sandettie Lightvessel Automatic') - 10);
+    expect(stations.find((station) => station.name === 'Tiree Automatic').tendency).toMatch(/^falling/);
+  });
+
+  it('should report steady background pressure without systems', () => {
+    const stations = generate(new WeatherState()).stations;
+
+    for (const station of stations) {
+      expect(Math.abs(station.pressure - 1013)).toBeLessThanOrEqual(1);
+      expect(station.tendency).toBe('steady');
+    }
+  });
+});
+
+describe('Coastal stations in the broadcast', () => {
+  it('should agree with the weather field and be omitted unless requested', () => {
+    const generator = new BroadcastGenerator();
+    const broadcast = generator.generateBroadcast(31, { seed: 6, timestamp: TIMESTAMP, coastalStations: true });
+
+    for (const station of broadcast.coastalStations.stations) {
+      const offshore = generator.weatherField.getConditions(station.seaArea);
+      expect(Math.abs(station.pressure - offshore.pressure)).toBeLessThanOrEqual(2);
+    }
+    expect(generator.generateBroadcast(31, { seed: 6 }).coastalStations).toBeNull();
+  });
+
+  it('should be spoken before the inshore waters forecast', () => {
+    const broadcast = new BroadcastGenerator().generateBroadcast(31, {
+      seed: 6,
+      timestamp: TIMESTAMP,
+      coastalStations: true,
+      inshoreWaters: true
+    });
+    const template = new SSMLTemplateBuilder().buildBroadcast(broadcast);
+
+    expect(template.metadata.hasCoastalStations).toBe(true);
+    expect(template.ssml).toContain('Sandettie Lightvessel Automatic');
+    expect(template.ssml.indexOf('reports from coastal stations')).toBeLessThan(
+      template.ssml.indexOf('inshore waters forecast')
+    );
+  });
+});
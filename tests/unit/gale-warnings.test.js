@@ -0,0 +1,184 @@
+/**
+ * Gale Warning Service Unit Tests
+ *
+ * Tests for core/gale-warning-service.js covering:
+ * - Timing terms and bulletin format
+ * - Per-area numbering across broadcasts
+ * - Interrupting announcements
+ * - Bulletins read in the broadcast
+ * - Interruptions drawn from the broadcast's seed
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { GaleWarningService, getTimingTerm, formatIssueTime } from '../../src/core/gale-warning-service.js';
+import { GeneratorProfile } from '../../src/core/generator-profile.js';
+import { WeatherState } from '../../src/core/weather-state.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { SSMLTemplateBuilder } from '../../src/audio/ssml-template-builder.js';
+import { AudioPlayer } from '../../src/audio/player.js';
+import { broadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+
+const TIMESTAMP = new Date('2026-01-15T17:54:00Z');
+const HOUR = 60 * 60 * 1000;
+
+function forecast(area, wind) {
+  return { area: { name: area }, wind: { subsequentWind: null, occasionalWind: null, ...wind } };
+}
+
+function service(state = new WeatherState()) {
+  return new GaleWarningService({ random: createSeededRandom(3), weatherState: state });
+}
+
+describe('Timing terms', () => {
+  it('should follow the defined hour meanings', () => {
+    expect(getTimingTerm(0)).toBe('imminent');
+    expect(getTimingTerm(5.9)).toBe('imminent');
+    expect(getTimingTerm(6)).toBe('soon');
+    expect(getTimingTerm(11)).toBe('soon');
+    expect(getTimingTerm(12)).toBe('later');
+    expect(formatIssueTime(new Date('2026-01-15T16:23:00Z'))).toBe('1623 UTC');
+  });
+});
+
+describe('GaleWarningService', () => {
+  const forecasts = [
+    forecast('Viking', { direction: 'Southerly', force: 5 }),
+    forecast('Dogger', { direction: 'Westerly', force: [7, 9] }),
+    forecast('Fisher', {
+      direction: 'Westerly',
+      force: 6,
+      subsequentWind: { direction: 'north-westerly', force: 8, later: true }
+    }),
+    forecast('Forties', {
+      direction: 'Westerly',
+      force: 7,
+      subsequentWind: { direction: 'westerly', force: 8, later: false }
+    })
+  ];
+
+  it('should time each gale from when it arrives in the forecast', () => {
+    const bulletins = service().issueWarnings(forecasts, TIMESTAMP);
+    const timing = Object.fromEntries(bulletins.map((bulletin) => [bulletin.area, bulletin.timing]));
+
+    expect(timing).toEqual({ Forties: 'soon', Dogger: 'imminent', Fisher: 'later' });
+    expect(bulletins.map((bulletin) => bulletin.area)).toEqual(['Forties', 'Dogger', 'Fisher']);
+  });
+
+  it('should format bulletins with issue time and number', () => {
+    const [, dogger] = service().issueWarnings(forecasts, TIMESTAMP);
+
+    expect(dogger.text).toMatch(/^Dogger\. Gale warning issued \d{4} UTC, number 1\. Westerly severe gale 9 imminent\.$/);
+    expect(dogger.issuedAt.getTime()).toBeLessThan(TIMESTAMP.getTime());
+  });
+
+  it('should number each area\'s warnings across broadcasts', () => {
+    const state = new WeatherState();
+    const gales = service(state);
+
+    gales.issueWarnings(forecasts, TIMESTAMP);
+    // Still in force with the same timing: same warning
+    const [, dogger] = gales.issueWarnings(forecasts, new Date(TIMESTAMP.getTime() + 6 * HOUR));
+    expect(dogger.number).toBe(1);
+
+    // Cancelled, then a new gale: next number
+    gales.issueWarnings([forecast('Dogger', { direction: 'Westerly', force: 5 })], new Date(TIMESTAMP.getTime() + 12 * HOUR));
+    expect(gales.getActiveWarnings()).toEqual([]);
+    const [renewed] = gales.issueWarnings([forecasts[1]], new Date(TIMESTAMP.getTime() + 18 * HOUR));
+    expect(renewed.number).toBe(2);
+
+    // Numbers survive a snapshot round trip
+    const restored = service(WeatherState.fromJSON(state.toJSON()));
+    expect(restored.getActiveWarnings()[0]).toMatchObject({ area: 'Dogger', number: 2 });
+  });
+
+  it('should reissue a later gale as imminent for an interruption', () => {
+    const state = new WeatherState();
+    const gales = new GaleWarningService({
+      random: createSeededRandom(3),
+      weatherState: state,
+      profile: new GeneratorProfile({ probabilities: { galeInterruption: 1 } })
+    });
+    gales.issueWarnings(forecasts, TIMESTAMP);
+
+    const announcement = gales.checkForInterruption(new Date(TIMESTAMP.getTime() + 5 * 60 * 1000));
+
+    expect(announcement.bulletins).toHaveLength(1);
+    expect(announcement.bulletins[0]).toMatchObject({ area: 'Forties', number: 2, timing: 'imminent' });
+    expect(announcement.text).toMatch(/^Here is a gale warning for shipping\. Forties\. Gale warning issued 1759 UTC/);
+  });
+});
+
+describe('Gale warnings in the broadcast', () => {
+  it('should carry a bulletin for every affected area', () => {
+    const generator = new BroadcastGenerator();
+    generator.setProfile('winter-storm');
+    const { galeWarnings } = generator.generateBroadcast(31, { seed: 2, timestamp: TIMESTAMP, order: 'canonical' });
+
+    expect(galeWarnings.bulletins.map((bulletin) => bulletin.area)).toEqual(galeWarnings.affectedAreas);
+    expect(generator.getWeatherState().galeWarnings[galeWarnings.affectedAreas[0]].active).toBe(true);
+  });
+
+  it('should not leave the inverse list empty when every area has a gale', () => {
+    const generator = new BroadcastGenerator();
+    generator.setProfile(new GeneratorProfile({ name: 'gales everywhere', weights: { pressureSystems: { Low: 1 } }, field: { forceOffset: 8 } }));
+    const { galeWarnings } = generator.generateBroadcast(31, { seed: 3, timestamp: TIMESTAMP, order: 'canonical' });
+
+    expect(galeWarnings.affectedAreas).toHaveLength(31);
+    expect(galeWarnings.summary).toBe('Gale warnings are in effect in all areas');
+  });
+
+  it('should read every bulletin, with its number and timing, in the broadcast', () => {
+    const generator = new BroadcastGenerator();
+    generator.setProfile('winter-storm');
+    const broadcast = generator.generateBroadcast(31, { seed: 2, timestamp: TIMESTAMP, order: 'canonical' });
+    const { ssml } = new SSMLTemplateBuilder().buildBroadcast(broadcast);
+    const [first] = broadcast.galeWarnings.bulletins;
+
+    expect(broadcast.galeWarnings.text).toContain(first.text);
+    expect(ssml).toContain(`${first.area}. Gale warning issued ${first.issueTime}, number ${first.number}.`);
+    expect(ssml).toMatch(new RegExp(`number ${first.number}\\. [A-Z][a-z-]+ [^.<]*${first.timing}\\.`));
+    for (const bulletin of broadcast.galeWarnings.bulletins) {
+      expect(ssml).toContain(bulletin.text.replace(/&/g, '&amp;'));
+    }
+  });
+});
+
+describe('Gale interruptions in the player', () => {
+  afterEach(() => {
+    broadcastGenerator.setProfile('default');
+    jest.restoreAllMocks();
+  });
+
+  // Areas the player breaks in after, playing the broadcast for a seed
+  async function interruptions(seed) {
+    const player = new AudioPlayer();
+    const interrupted = [];
+    player.isPlaying = true;
+    player.galeInterruptions = true;
+    player._nextBroadcastOptions = async () => ({ seed, timestamp: TIMESTAMP, weatherState: null, order: 'canonical' });
+    player._saveWeatherState = () => {};
+    player._canSynthesize = () => false;
+    player._playSegments = async () => {};
+    player._speakReportFallback = async () => {};
+    player._playGaleInterruption = async (announcement) => {
+      interrupted.push(announcement.bulletins[0].area);
+    };
+
+    await player._playFullBroadcast();
+    return interrupted;
+  }
+
+  it('should break in at the same places for the same seed', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    broadcastGenerator.setProfile('winter-storm');
+
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+    const first = await interruptions(4);
+    random.mockReturnValue(0.999);
+    const second = await interruptions(4);
+
+    expect(first.length).toBeGreaterThan(0);
+    expect(second).toEqual(first);
+  });
+});
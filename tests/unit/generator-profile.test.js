@@ -0,0 +1,114 @@
+/**
+ * Generator Profile Unit Tests
+ *
+ * Tests for core/generator-profile.js covering:
+ * - Default odds and preset loading
+ * - Weighted choices and probabilities
+ * - Switching presets at runtime
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  GeneratorProfile,
+  PROFILE_PRESETS,
+  getProfilePresetNames,
+} from '../../src/core/generator-profile.js';
+import { WeatherReportGenerator } from '../../src/core/generator.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+
+function meanForce(broadcast) {
+  const forces = broadcast.areaForecasts.map((forecast) =>
+    Array.isArray(forecast.wind.force) ? forecast.wind.force[0] : forecast.wind.force
+  );
+  return forces.reduce((sum, force) => sum + force, 0) / forces.length;
+}
+
+describe('GeneratorProfile', () => {
+  it('should declare the original odds by default', () => {
+    const profile = new GeneratorProfile();
+
+    expect(profile.probability('phantom')).toBe(0.02);
+    expect(profile.probability('icing')).toBe(0.1);
+    expect(profile.probability('compoundForce')).toBe(0.2);
+    expect(profile.probability('windChange')).toBe(0.25);
+    expect(profile.probability('compoundVisibility')).toBeLessThanOrEqual(
+      GeneratorProfile.fromPreset('authentic-climatology').probability('compoundVisibility')
+    );
+  });
+
+  it('should ship the named presets', () => {
+    expect(getProfilePresetNames()).toEqual(
+      expect.arrayContaining(['calm-summer', 'winter-storm', 'authentic-climatology', 'haunted'])
+    );
+    for (const name of Object.keys(PROFILE_PRESETS)) {
+      expect(GeneratorProfile.fromPreset(name).name).toBe(name);
+    }
+  });
+
+  it('should reject unknown presets and invalid probabilities', () => {
+    expect(() => GeneratorProfile.fromPreset('monsoon')).toThrow('Unknown generator profile');
+    expect(() => new GeneratorProfile({ probabilities: { icing: 2 } })).toThrow('Invalid probability');
+  });
+
+  it('should only pick values that carry weight', () => {
+    const profile = GeneratorProfile.fromPreset('winter-storm');
+    const random = createSeededRandom(4);
+
+    for (let i = 0; i < 200; i++) {
+      expect(profile.pick('forces', random)).toBeGreaterThanOrEqual(5);
+      expect(profile.pick('directions', random)).not.toBe('Variable');
+    }
+  });
+
+  it('should respect allowed values', () => {
+    const profile = GeneratorProfile.fromPreset('haunted');
+    const random = createSeededRandom(5);
+
+    // None of these carry weight in the haunted preset, so choose uniformly among them
+    expect(['Excellent', 'Good']).toContain(profile.pick('visibility', random, ['Excellent', 'Good']));
+  });
+
+  it('should round-trip through JSON', () => {
+    const profile = GeneratorProfile.fromPreset('calm-summer');
+
+    expect(new GeneratorProfile(profile.toJSON()).toJSON()).toEqual(profile.toJSON());
+  });
+});
+
+describe('Profiles in generation', () => {
+  it('should drive report odds from the profile', () => {
+    const generator = new WeatherReportGenerator({
+      random: createSeededRandom(1),
+      profile: new GeneratorProfile({ probabilities: { phantom: 1, icing: 1 } }),
+    });
+    const report = generator.generateWeatherReport();
+
+    expect(report.area.type).toBe('phantom');
+    expect(report.icing).not.toBeNull();
+  });
+
+  it('should change the next broadcast when switching presets at runtime', () => {
+    const timestamp = Date.parse('2026-01-15T00:48:00Z');
+    const generator = new BroadcastGenerator();
+
+    generator.setProfile('calm-summer');
+    const calm = generator.generateBroadcast(31, { seed: 8, timestamp, weatherState: null });
+
+    generator.setProfile('winter-storm');
+    const storm = generator.generateBroadcast(31, { seed: 8, timestamp, weatherState: null });
+
+    expect(calm.profile).toBe('calm-summer');
+    expect(storm.profile).toBe('winter-storm');
+    expect(meanForce(storm)).toBeGreaterThan(meanForce(calm) + 2);
+  });
+
+  it('should read single visibilities as well as compound ones by default', () => {
+    const broadcast = new BroadcastGenerator().generateBroadcast(31, { seed: 6, timestamp: Date.parse('2026-01-15T00:48:00Z') });
+    const compound = (forecast) => /,| or /.test(forecast.visibility);
+
+    expect(broadcast.profile).toBe('default');
+    expect(broadcast.areaForecasts.filter((forecast) => !compound(forecast)).length).toBeGreaterThan(10);
+    expect(broadcast.areaForecasts.some(compound)).toBe(true);
+  });
+});
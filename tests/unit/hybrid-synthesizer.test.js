@@ -0,0 +1,184 @@
+/**
+ * Hybrid Synthesizer Unit Tests
+ *
+ * Tests for offline playback: report parts built from the audio library
+ * (including precipitation, icing and compound visibility), and playing
+ * clips with browser speech for the gaps.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { AudioLibrary, audioLibrary } from '../../src/audio/audio-library.js';
+import { HybridSynthesizer, groupRuns } from '../../src/audio/hybrid-synthesizer.js';
+import { speechSynthesizer } from '../../src/audio/synthesizer.js';
+
+const report = {
+  area: { name: 'Dogger', type: 'standard' },
+  wind: {
+    direction: 'Westerly',
+    force: [5, 7],
+    forceText: '5 to 7',
+    windChange: 'Veering',
+    subsequentWind: { direction: 'northerly', force: 8, later: true, text: 'northerly gale 8 later' },
+    occasionalWind: null
+  },
+  seaState: { state: 'Rough', connector: null, subsequent: null, later: false, occasional: null, text: 'Rough' },
+  precipitation: { modifier: 'Thundery', type: 'showers', text: 'Thundery showers' },
+  visibility: 'Good, becoming poor later',
+  icing: { severity: 'Moderate', text: 'Moderate icing' }
+};
+
+function fileOf(path) {
+  return path && path.replace('public/audio/', '');
+}
+
+describe('AudioLibrary.buildReportParts', () => {
+  it('should give every component of an EBNF report a clip or words to speak', () => {
+    const parts = new AudioLibrary().buildReportParts(report);
+
+    expect(parts.map((part) => [fileOf(part.path), part.text])).toEqual([
+      ['areas/dogger.mp3', 'Dogger'],
+      ['pauses/short-500ms.mp3', ''],
+      ['wind/directions/westerly.mp3', 'Westerly'],
+      ['numbers/5.mp3', '5'],
+      ['connectors/to.mp3', 'to'],
+      ['numbers/7.mp3', '7'],
+      ['wind/behaviors/veering.mp3', 'veering'],
+      ['wind/directions/northerly.mp3', 'northerly'],
+      ['wind/beaufort/gale-8.mp3', 'gale 8'],
+      ['timing/later.mp3', 'later'],
+      ['sea/rough.mp3', 'Rough'],
+      ['precipitation/thundery-showers.mp3', 'Thundery showers'],
+      ['visibility/good.mp3', 'Good'],
+      ['connectors/becoming.mp3', 'becoming'],
+      ['visibility/poor.mp3', 'poor'],
+      ['timing/later.mp3', 'later'],
+      ['icing/moderate-icing.mp3', 'Moderate icing'],
+      ['pauses/long-1000ms.mp3', '']
+    ]);
+  });
+
+  it('should split "or" and "occasionally" visibility into clips', () => {
+    const library = new AudioLibrary();
+    const clips = (visibility) => library
+      .buildReportParts({ ...report, visibility })
+      .map((part) => fileOf(part.path))
+      .filter((path) => /^(visibility|connectors\/o)/.test(path));
+
+    expect(clips('Moderate or very poor')).toEqual(['visibility/moderate.mp3', 'connectors/or.mp3', 'visibility/very-poor.mp3']);
+    expect(clips('Good, occasionally poor')).toEqual(['visibility/good.mp3', 'connectors/occasionally.mp3', 'visibility/poor.mp3']);
+  });
+
+  it('should keep the clip sequence to clips only', () => {
+    const sequence = new AudioLibrary().buildReportSequence(report);
+    expect(sequence).toHaveLength(18);
+    expect(sequence.every((path) => path.endsWith('.mp3'))).toBe(true);
+  });
+});
+
+describe('AudioLibrary.preloadAvailable', () => {
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it('should give null for clips that will not load, and not request them again', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn(async (path) => ({
+      ok: path.endsWith('good.mp3'),
+      arrayBuffer: async () => new ArrayBuffer(8)
+    }));
+    const audioContext = { decodeAudioData: async () => ({ duration: 0.5 }) };
+    const library = new AudioLibrary();
+
+    const buffers = await library.preloadAvailable(audioContext, ['a/good.mp3', 'a/missing.mp3', null]);
+    await library.preloadAvailable(audioContext, ['a/missing.mp3']);
+
+    expect(buffers).toEqual([{ duration: 0.5 }, null, null]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('groupRuns', () => {
+  it('should group loaded clips with silences for missing pauses, and merge neighbouring gaps', () => {
+    const parts = [
+      { path: 'a', text: 'Dogger' },
+      { path: 'p', text: '', pause: 500 },
+      { path: 'b', text: 'Westerly' },
+      { path: null, text: 'veering' },
+      { path: 'c', text: 'northerly' },
+      { path: 'd', text: 'Rough' }
+    ];
+    const buffers = ['A', null, null, null, 'C', 'D'];
+
+    expect(groupRuns(parts, buffers)).toEqual([
+      { entries: [{ buffer: 'A', clip: null }, { pause: 500 }] },
+      { text: 'Westerly veering' },
+      { entries: [{ buffer: 'C', clip: null }, { buffer: 'D', clip: null }] }
+    ]);
+  });
+});
+
+describe('HybridSynthesizer', () => {
+  let audioContext;
+  let started;
+  let spoken;
+  let order;
+
+  beforeEach(() => {
+    started = [];
+    spoken = [];
+    order = [];
+    audioContext = {
+      currentTime: 0,
+      createBufferSource: () => {
+        const source = {
+          connect: () => {},
+          disconnect: () => {},
+          stop: () => {},
+          start: () => {
+            started.push(source.buffer);
+            order.push(`clip:${source.buffer.name}`);
+            setTimeout(() => source.onended && source.onended(), 0);
+          }
+        };
+        return source;
+      }
+    };
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(audioLibrary, 'loadManifest').mockResolvedValue(false);
+    jest.spyOn(speechSynthesizer, 'stopSpeaking').mockImplementation(() => {});
+    jest.spyOn(speechSynthesizer, 'speak').mockImplementation(async (text) => {
+      spoken.push(text);
+      order.push(`speech:${text}`);
+    });
+    // Only the area, direction and precipitation clips are on disk
+    jest.spyOn(audioLibrary, 'preloadAvailable').mockImplementation(async (context, paths) => paths.map((path) => {
+      const name = path && path.split('/').pop();
+      const onDisk = ['dogger.mp3', 'westerly.mp3', 'northerly.mp3', 'thundery-showers.mp3'];
+      return onDisk.includes(name) ? { name, duration: 0.4 } : null;
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should play clips and speak only the gaps, in order', async () => {
+    const synthesizer = new HybridSynthesizer(audioContext);
+
+    await synthesizer.speakReport(report, { destination: {} });
+
+    expect(started.map((buffer) => buffer.name)).toEqual(['dogger.mp3', 'westerly.mp3', 'northerly.mp3', 'thundery-showers.mp3']);
+    expect(spoken).toEqual([
+      '5 to 7 veering',
+      'gale 8 later Rough',
+      'Good becoming poor later Moderate icing'
+    ]);
+    expect(order.indexOf('clip:thundery-showers.mp3')).toBeGreaterThan(order.indexOf(`speech:${spoken[0]}`));
+  });
+
+  it('should require a destination', async () => {
+    await expect(new HybridSynthesizer(audioContext).speakReport(report)).rejects.toThrow('Destination node is required');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Inshore Waters Unit Tests
+ *
+ * Tests for core/inshore-waters-generator.js covering:
+ * - Sections in broadcast order with 12 and 24 hour periods
+ * - Agreement with the offshore weather field
+ * - Optional broadcast segment and SSML
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { InshoreWatersGenerator } from '../../src/core/inshore-waters-generator.js';
+import { INSHORE_WATERS, STANDARD_AREAS } from '../../src/core/areas.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { SSMLTemplateBuilder } from '../../src/audio/ssml-template-builder.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+
+describe('INSHORE_WATERS', () => {
+  it('should start at Cape Wrath and border known sea areas', () => {
+    expect(INSHORE_WATERS[0].name).toBe('Cape Wrath to Rattray Head including Orkney');
+    for (const section of INSHORE_WATERS) {
+      expect(STANDARD_AREAS).toContain(section.seaArea);
+    }
+  });
+});
+
+describe('InshoreWatersGenerator', () => {
+  it('should give every section a 12 hour forecast and 24 hour outlook', () => {
+    const forecast = new InshoreWatersGenerator({ random: createSeededRandom(1) }).generateForecast();
+
+    expect(forecast.sections.map((section) => section.name)).toEqual(INSHORE_WATERS.map((s) => s.name));
+    for (const section of forecast.sections) {
+      expect(section.periods.map((period) => period.hours)).toEqual([12, 24]);
+      expect(section.text).toMatch(/^.+\. 12 hour forecast: .+\. 24 hour outlook: .+\.$/);
+    }
+    expect(forecast.text.startsWith('And now the inshore waters forecast.')).toBe(true);
+  });
+
+  it('should follow the offshore area it borders', () => {
+    const generator = new BroadcastGenerator();
+    const broadcast = generator.generateBroadcast(31, { seed: 12, inshoreWaters: true });
+
+    for (const section of broadcast.inshoreWaters.sections) {
+      const offshore = generator.weatherField.getConditions(section.seaArea);
+      const [forecast] = section.periods;
+
+      expect(forecast.wind.direction).toBe(offshore.direction);
+      expect(offshore.force - forecast.wind.force).toBeGreaterThanOrEqual(0);
+      expect(offshore.force - forecast.wind.force).toBeLessThanOrEqual(1);
+      expect(forecast.visibility).toBe(offshore.visibility);
+    }
+  });
+});
+
+describe('Inshore waters in the broadcast', () => {
+  it('should be omitted unless requested', () => {
+    const broadcast = new BroadcastGenerator().generateBroadcast(31, { seed: 3 });
+
+    expect(broadcast.inshoreWaters).toBeNull();
+  });
+
+  it('should be spoken after the area forecasts', () => {
+    const broadcast = new BroadcastGenerator().generateBroadcast(31, { seed: 3, inshoreWaters: true });
+    const template = new SSMLTemplateBuilder().buildBroadcast(broadcast);
+    const lastArea = broadcast.areaForecasts[broadcast.areaForecasts.length - 1];
+
+    expect(template.metadata.hasInshoreWaters).toBe(true);
+    expect(template.ssml.indexOf('And now the inshore waters forecast.')).toBeGreaterThan(
+      template.ssml.indexOf(lastArea.precipitation.text)
+    );
+    expect(template.ssml).toContain('Shetland Isles');
+  });
+});
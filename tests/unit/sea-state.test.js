@@ -0,0 +1,122 @@
+/**
+ * Sea State Unit Tests
+ *
+ * Tests for generated sea state covering:
+ * - Met Office vocabulary and compound forms
+ * - Correlation with wind force
+ * - Report text, SSML and audio-library sequence
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { WeatherReportGenerator } from '../../src/core/generator.js';
+import { SEA_STATES } from '../../src/core/vocabulary.js';
+import { SSMLTemplateBuilder } from '../../src/audio/ssml-template-builder.js';
+import { AudioLibrary } from '../../src/audio/audio-library.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+
+const LOWER_STATES = SEA_STATES.map((state) => state.toLowerCase()).join('|');
+const SEA_STATE_PATTERN = new RegExp(
+  `^(${SEA_STATES.join('|')})( or (${LOWER_STATES})|, becoming (${LOWER_STATES})( later)?)?` +
+    `(, occasionally (${LOWER_STATES}))?$`
+);
+
+function generateReports(count, seed = 1) {
+  const generator = new WeatherReportGenerator({ random: createSeededRandom(seed) });
+  return Array.from({ length: count }, () => generator.generateWeatherReport());
+}
+
+describe('Sea state generation', () => {
+  it('should use the Met Office vocabulary and compound forms', () => {
+    const connectors = new Set();
+
+    for (const report of generateReports(300)) {
+      expect(report.seaState.text).toMatch(SEA_STATE_PATTERN);
+      connectors.add(report.seaState.connector);
+    }
+
+    expect(connectors).toEqual(new Set([null, 'or', 'becoming']));
+  });
+
+  it('should be rougher in stronger winds', () => {
+    const meanIndex = { light: [], strong: [] };
+
+    for (const report of generateReports(500, 2)) {
+      const force = Array.isArray(report.wind.force) ? report.wind.force[0] : report.wind.force;
+      const index = SEA_STATES.indexOf(report.seaState.state);
+      if (force <= 4) meanIndex.light.push(index);
+      if (force >= 9) meanIndex.strong.push(index);
+    }
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    expect(mean(meanIndex.strong)).toBeGreaterThan(mean(meanIndex.light) + 2);
+  });
+
+  it('should read the sea state after the wind in the report text', () => {
+    const [report] = generateReports(1, 3);
+    const parts = report.text.split('. ');
+
+    expect(parts[2]).toBe(report.seaState.text);
+  });
+
+  it('should phrase a range from a compound force with "or"', () => {
+    const generator = new WeatherReportGenerator({ random: () => 0.9 });
+    const seaState = generator._generateSeaState({ force: [5, 7], subsequentWind: null });
+
+    expect(seaState.text).toBe('Moderate or rough');
+  });
+
+  it('should follow a wind change with "becoming"', () => {
+    const generator = new WeatherReportGenerator({ random: () => 0.9 });
+    const seaState = generator._generateSeaState({
+      force: 4,
+      subsequentWind: { force: 8, text: 'westerly gale 8 later' },
+      occasionalWind: { force: 12, text: 'northerly hurricane force 12' },
+    });
+
+    expect(seaState.text).toBe('Slight, becoming very rough later, occasionally phenomenal');
+  });
+});
+
+describe('Sea state delivery', () => {
+  const seaState = {
+    state: 'Moderate',
+    connector: 'or',
+    subsequent: 'rough',
+    later: false,
+    occasional: 'very rough',
+    text: 'Moderate or rough, occasionally very rough',
+  };
+
+  it('should be spoken in SSML between wind and precipitation', () => {
+    const builder = new SSMLTemplateBuilder();
+    const { ssml } = builder.build({
+      area: { name: 'Dogger', type: 'standard' },
+      wind: { direction: 'Westerly', forceText: '5 to 7' },
+      seaState,
+      precipitation: { text: 'Squally showers' },
+      visibility: 'Good',
+    });
+
+    expect(ssml).toContain('Moderate or rough, occasionally very rough<break time="600ms"/>');
+    expect(ssml.indexOf('Moderate or rough')).toBeLessThan(ssml.indexOf('Squally showers'));
+  });
+
+  it('should expand into audio-library clips', () => {
+    const sequence = new AudioLibrary().buildReportSequence({
+      area: { name: 'Dogger', type: 'standard' },
+      wind: { direction: 'Westerly', force: 6 },
+      seaState,
+      weather: 'Rain',
+      visibility: 'Good',
+    });
+
+    const seaClips = sequence.filter((path) => /\/(sea|connectors)\//.test(path));
+    expect(seaClips.map((path) => path.split('/').pop())).toEqual([
+      'moderate.mp3',
+      'or.mp3',
+      'rough.mp3',
+      'occasionally.mp3',
+      'very-rough.mp3',
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Shared Broadcast Unit Tests
+ *
+ * Tests for audio/shared-broadcast.js covering:
+ * - Every player working out the same broadcast, segment and offset from the time
+ * - Segments placed end to end through a programme of back-to-back broadcasts
+ * - A new programme from each edition slot, opening with Sailing By at 00:48
+ * - Independence from the visitor's own generator state
+ * - Subtitles for shared playback keeping time with the programme
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { SharedBroadcast, sharedBroadcast, estimateSegmentDuration } from '../../src/audio/shared-broadcast.js';
+import { broadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { AudioPlayer } from '../../src/audio/player.js';
+import { buildSubtitleCues } from '../../src/audio/subtitles.js';
+
+const at = (iso) => new Date(iso);
+
+describe('SharedBroadcast', () => {
+  it('should put two listeners tuning in at the same moment on the same words', () => {
+    const moment = at('2026-03-10T13:07:42Z');
+    const first = new SharedBroadcast().locate(moment);
+
+    // Another visitor, whose own generator has moved on meanwhile
+    broadcastGenerator.generateBroadcast(31, { seed: 99 });
+    const second = new SharedBroadcast().locate(moment);
+
+    expect(second.broadcast.broadcastId).toBe(first.broadcast.broadcastId);
+    expect(second.index).toBe(first.index);
+    expect(second.offset).toBeCloseTo(first.offset);
+    expect(second.segments.map((segment) => segment.text)).toEqual(first.segments.map((segment) => segment.text));
+    expect(first.broadcast.edition).toBe('1201');
+  });
+
+  it('should place segments end to end from the slot time', () => {
+    const shared = new SharedBroadcast();
+    const { segments, index, offset } = shared.locate(at('2026-03-10T12:01:00Z'));
+
+    expect(index).toBe(0);
+    expect(offset).toBe(0);
+    expect(segments[0]).toMatchObject({ label: 'Introduction', startTime: at('2026-03-10T12:01:00Z').getTime() });
+    for (let i = 1; i < segments.length; i++) {
+      expect(segments[i].startTime).toBe(segments[i - 1].endTime);
+      expect(segments[i].endTime - segments[i].startTime).toBe(Math.round(segments[i].duration * 1000));
+    }
+
+    // Halfway into the third segment
+    const third = segments[2];
+    const later = shared.locate(new Date(third.startTime + 1000));
+    expect(later.index).toBe(2);
+    expect(later.offset).toBe(1);
+  });
+
+  it('should follow one broadcast with another until the next slot', () => {
+    const shared = new SharedBroadcast();
+    const first = shared.locate(at('2026-03-10T12:01:00Z'));
+    const last = first.segments[first.segments.length - 1];
+    const second = shared.locate(new Date(last.endTime));
+    expect(second.broadcast.broadcastId).not.toBe(first.broadcast.broadcastId);
+    expect(second.broadcast.edition).toBe('1201');
+    expect(second.index).toBe(0);
+    expect(new Date(second.broadcast.timestamp).getTime()).toBe(last.endTime);
+
+    // Much later in the slot, the same broadcasts are reached from scratch
+    const moment = at('2026-03-10T15:30:00Z');
+    expect(new SharedBroadcast().locate(moment).broadcast.broadcastId).toBe(shared.locate(moment).broadcast.broadcastId);
+  });
+
+  it('should start each edition afresh, opening the late-night edition with Sailing By', () => {
+    const { broadcast, segments } = new SharedBroadcast().locate(at('2026-03-11T00:48:30Z'));
+
+    expect(broadcast.edition).toBe('0048');
+    expect(segments[0]).toMatchObject({ label: 'Sailing By', duration: 150 });
+    expect(segments.map((segment) => segment.label)).toContain('Coastal Stations');
+    expect(segments[segments.length - 1].label).toBe('Sign-off');
+  });
+});
+
+describe('estimateSegmentDuration', () => {
+  it('should allow for words, phrase pauses and the pause after', () => {
+    expect(estimateSegmentDuration({ text: 'Viking. Southwest 5, veering west. Good.' })).toBeCloseTo(6 * (60 / 140) + 4 * 0.6 + 1.5);
+    expect(estimateSegmentDuration({ text: '', interlude: { duration: 150000 } })).toBe(150);
+  });
+});
+
+describe('Shared playback subtitles', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('should start each cue when its segment is due, after speech that ended early', async () => {
+    const start = at('2026-03-10T12:01:00Z').getTime();
+    jest.useFakeTimers({ now: start });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const broadcast = { broadcastId: 'broadcast-0000beef', timestamp: start, edition: '1201' };
+    const segments = [
+      { label: 'Introduction', text: 'And now the shipping forecast.', startTime: start, endTime: start + 5000 },
+      { label: 'Viking', text: 'Viking. Westerly 5.', startTime: start + 5000, endTime: start + 9000 },
+    ];
+    jest.spyOn(sharedBroadcast, 'locate')
+      .mockReturnValueOnce({ broadcast, segments, index: 0, offset: 0 })
+      .mockReturnValueOnce({ broadcast, segments, index: 1, offset: 0 })
+      .mockReturnValue({ broadcast: { broadcastId: 'next' }, segments, index: 0, offset: 0 });
+
+    const player = new AudioPlayer();
+    player.isPlaying = true;
+    player.sharedMode = true;
+    // Speech takes 3 seconds of each segment's slot
+    player._playSharedSegment = async (segment) => {
+      jest.setSystemTime(Date.now() + 3000);
+      player._recordSpokenSegment(segment.label, segment.text, 3);
+    };
+
+    const playing = player._playSharedBroadcast();
+    await jest.runAllTimersAsync();
+    await playing;
+
+    const viking = buildSubtitleCues(player.spokenSegments).find((cue) => cue.label === 'Viking');
+    expect(viking.start).toBe(5);
+    expect(player.spokenSegments.reduce((total, segment) => total + segment.duration, 0)).toBe(9);
+    expect(player.exportSubtitles('vtt')).toContain('00:00:05.000 --> 00:00:08.000');
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Subtitle Export Unit Tests
+ *
+ * Tests for audio/subtitles.js covering:
+ * - Cumulative segment offsets and word-level timing from captions
+ * - Segments joined partway through
+ * - Cue grouping and line wrapping
+ * - WebVTT and SRT output
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  buildSubtitleCues,
+  exportSubtitles,
+  renderWebVTT,
+  renderSRT,
+  formatSubtitleTime,
+  segmentFrom,
+} from '../../src/audio/subtitles.js';
+
+const SEGMENTS = [
+  { label: 'Introduction', text: 'And now the shipping forecast.', duration: 2.5 },
+  {
+    label: 'Viking',
+    text: 'Viking. Westerly 5. Moderate. Rain. Good.',
+    duration: 4,
+    captions: [
+      { index: 0, text: 'Viking.', time: 0 },
+      { index: 1, text: 'Westerly', time: 0.8 },
+      { index: 2, text: '5.', time: 1.3 },
+      { index: 3, text: 'Moderate.', time: 1.9 },
+      { index: 4, text: 'Rain.', time: 2.6 },
+      { index: 5, text: 'Good.', time: 3.2 },
+    ],
+  },
+];
+
+describe('Subtitle cues', () => {
+  it('should start each segment where the previous one ended', () => {
+    const cues = buildSubtitleCues(SEGMENTS, { wordTiming: false });
+    const viking = cues.filter((cue) => cue.label === 'Viking');
+
+    expect(cues[0]).toEqual({ start: 0, end: 2.5, text: 'And now the shipping forecast.', label: 'Introduction' });
+    expect(viking[0].start).toBe(2.5);
+    expect(viking[viking.length - 1].end).toBe(6.5);
+    expect(buildSubtitleCues(SEGMENTS, { wordTiming: false, gap: 0.5 })[1].start).toBe(3);
+  });
+
+  it('should time cues from caption timepoints, ending each at a phrase', () => {
+    const long = {
+      label: 'Viking',
+      duration: 6,
+      captions: 'Viking. Westerly 5 to 7, occasionally gale 8 later. Rough or very rough. Rain. Good.'
+        .split(' ')
+        .map((text, index) => ({ index, text, time: index * 0.4 })),
+    };
+
+    const cues = buildSubtitleCues([SEGMENTS[0], long]);
+
+    expect(cues.slice(1).map((cue) => cue.text)).toEqual([
+      'Viking. Westerly 5 to 7,',
+      'occasionally gale 8 later.',
+      'Rough or very rough. Rain.',
+      'Good.',
+    ]);
+    expect(cues[1].start).toBe(2.5);
+    expect(cues[2].start).toBeCloseTo(2.5 + 5 * 0.4);
+    expect(cues[2].end).toBe(cues[3].start);
+    expect(cues[4].end).toBe(8.5);
+  });
+
+  it('should spread untimed text across the segment by its length', () => {
+    const text = 'There are warnings of gales in Viking, North Utsire, South Utsire, Forties, Cromarty, Forth, Tyne and Dogger.';
+    const cues = buildSubtitleCues([{ label: 'Gale Warnings', text, duration: 10 }]);
+
+    expect(cues.length).toBeGreaterThan(1);
+    expect(cues.map((cue) => cue.text).join(' ')).toBe(text);
+    expect(cues[0].start).toBe(0);
+    expect(cues[cues.length - 1].end).toBe(10);
+    for (const cue of cues) {
+      expect(cue.text.length).toBeLessThanOrEqual(84);
+    }
+  });
+});
+
+describe('Segments joined partway through', () => {
+  it('should keep what was left to hear, from the word being read', () => {
+    const joined = segmentFrom(SEGMENTS[1], 1.5);
+
+    expect(joined.duration).toBe(2.5);
+    expect(joined.captions.map((caption) => caption.text)).toEqual(['5.', 'Moderate.', 'Rain.', 'Good.']);
+    expect(joined.captions[0].time).toBe(0);
+    expect(joined.captions[1].time).toBeCloseTo(0.4);
+    expect(SEGMENTS[1].captions[0].time).toBe(0);
+  });
+
+  it('should time subtitles from where playback joined', () => {
+    const cues = buildSubtitleCues([SEGMENTS[0], segmentFrom(SEGMENTS[1], 2)]);
+
+    expect(cues[cues.length - 1].end).toBe(4.5);
+    expect(cues[1].start).toBe(2.5);
+    expect(cues.slice(1).map((cue) => cue.text).join(' ')).toBe('Moderate. Rain. Good.');
+  });
+
+  it('should leave a segment heard from the start as it is', () => {
+    expect(segmentFrom(SEGMENTS[1], 0)).toBe(SEGMENTS[1]);
+    expect(segmentFrom(SEGMENTS[0], 1)).toEqual({ ...SEGMENTS[0], duration: 1.5, captions: [] });
+  });
+});
+
+describe('Subtitle formats', () => {
+  it('should format timestamps for WebVTT and SRT', () => {
+    expect(formatSubtitleTime(3725.5)).toBe('01:02:05.500');
+    expect(formatSubtitleTime(2.0004, ',')).toBe('00:00:02,000');
+  });
+
+  it('should render WebVTT with a title, numbered cues and wrapped lines', () => {
+    const vtt = renderWebVTT([
+      { start: 0, end: 2.5, text: 'And now the shipping forecast.' },
+      { start: 2.5, end: 6, text: 'Viking. Westerly 5 to 7, occasionally gale 8 later.' },
+    ], { title: 'Shipping forecast 1754 UTC' });
+
+    expect(vtt).toBe([
+      'WEBVTT - Shipping forecast 1754 UTC',
+      '',
+      '1',
+      '00:00:00.000 --> 00:00:02.500',
+      'And now the shipping forecast.',
+      '',
+      '2',
+      '00:00:02.500 --> 00:00:06.000',
+      'Viking. Westerly 5 to 7,',
+      'occasionally gale 8 later.',
+      '',
+    ].join('\n'));
+  });
+
+  it('should render SRT', () => {
+    expect(renderSRT([{ start: 0, end: 2.5, text: 'And now the shipping forecast.' }, { start: 2.5, end: 4, text: 'Viking.' }]))
+      .toBe('1\n00:00:00,000 --> 00:00:02,500\nAnd now the shipping forecast.\n\n2\n00:00:02,500 --> 00:00:04,000\nViking.\n');
+  });
+
+  it('should dispatch by format name', () => {
+    expect(exportSubtitles(SEGMENTS)).toMatch(/^WEBVTT\n\n1\n00:00:00\.000 --> /);
+    expect(exportSubtitles(SEGMENTS, 'srt')).toMatch(/^1\n00:00:00,000 --> /);
+    expect(() => exportSubtitles(SEGMENTS, 'ass')).toThrow('Unknown subtitle format: ass');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Transcript Unit Tests
+ *
+ * Tests for core/transcript.js and visuals/transcript-view.js covering:
+ * - Header with issue time and validity
+ * - Optional gale warning and synopsis sections, area blocks
+ * - Plain text, Markdown and printable HTML output
+ * - Scrolling on-screen transcript
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  buildTranscript,
+  renderTranscript,
+  renderPlainText,
+  renderMarkdown,
+  renderHTML,
+  escapeHTML,
+} from '../../src/core/transcript.js';
+import { TranscriptView } from '../../src/visuals/transcript-view.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { globalEventBus } from '../../src/state/events.js';
+
+const TIMESTAMP = new Date('2026-01-15T17:54:00Z');
+
+function generate(profile, seed, options = {}) {
+  const generator = new BroadcastGenerator();
+  generator.setProfile(profile);
+  return generator.generateBroadcast(31, { seed, timestamp: TIMESTAMP, order: 'canonical', ...options });
+}
+
+describe('Transcript content', () => {
+  const broadcast = generate('winter-storm', 2);
+  const transcript = buildTranscript(broadcast);
+
+  it('should head the transcript with issue time and period of validity', () => {
+    expect(transcript.issued).toBe(
+      'Issued by the Met Office, on behalf of the Maritime and Coastguard Agency, at 1754 UTC on Thursday 15 January 2026'
+    );
+    expect(transcript.validity).toBe('For the period 1754 UTC Thursday 15 January to 1754 UTC Friday 16 January');
+  });
+
+  it('should carry the gale warnings and the synopsis without its spoken lead-in', () => {
+    expect(transcript.galeWarnings.bulletins).toHaveLength(broadcast.galeWarnings.bulletins.length);
+    expect(transcript.galeWarnings.summary).toMatch(/\.$/);
+    expect(transcript.synopsis).not.toMatch(/^The general synopsis/);
+  });
+
+  it('should write one labelled block per area forecast', () => {
+    const [first] = transcript.areas;
+    const [forecast] = broadcast.areaForecasts;
+
+    expect(transcript.areas).toHaveLength(broadcast.areaForecasts.length);
+    expect(first.heading).toBe(forecast.area.name);
+    expect(first.lines.map((line) => line.label).slice(0, 4)).toEqual(['Wind', 'Sea state', 'Weather', 'Visibility']);
+
+    // The written lines say what the report reads
+    const read = first.lines.slice(0, 4).map((line) => line.text.replace(/\.$/, '')).join('. ');
+    expect(forecast.text).toContain(`${first.heading}. ${read}.`);
+  });
+
+  it('should leave out sections the broadcast does not carry', () => {
+    const calm = generate('calm-summer', 1, { edition: '1201' });
+    const text = renderPlainText({ ...calm, galeWarnings: null });
+
+    expect(text).not.toContain('Gale warnings');
+    expect(text).toContain('General synopsis');
+    expect(text).not.toContain('coastal stations');
+  });
+});
+
+describe('Transcript formats', () => {
+  const broadcast = generate('winter-storm', 2, { coastalStations: true, inshoreWaters: true });
+
+  it('should render plain text in the published layout', () => {
+    const text = renderPlainText(broadcast);
+
+    expect(text).toMatch(/^Shipping forecast\nIssued by the Met Office/);
+    expect(text).toContain('\n\nGale warnings\n');
+    expect(text).toMatch(/\n\n[A-Z][^\n]*\nWind: [^\n]+\.\nSea state: /);
+    expect(text).toMatch(/\n\nReports from coastal stations at 1600 UTC\n\nTiree Automatic\nReport: [^\n]+, \d{3,4}, /);
+    expect(text).toContain('\n\nInshore waters forecast\n');
+  });
+
+  it('should render Markdown headings and lists', () => {
+    const markdown = renderMarkdown(broadcast);
+
+    expect(markdown).toMatch(/^# Shipping forecast\n\n_Issued by/);
+    expect(markdown).toContain('\n## General synopsis\n');
+    expect(markdown).toMatch(/\n### [^\n]+\n\n- \*\*Wind:\*\* /);
+  });
+
+  it('should render a printable, escaped HTML page', () => {
+    const html = renderHTML(broadcast);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('@media print');
+    expect(html).toContain('<section class="gale-warnings">');
+    expect(renderHTML(broadcast, { fragment: true })).toMatch(/^<article class="transcript">[\s\S]*<\/article>$/);
+    expect(escapeHTML('Rain & <fog>')).toBe('Rain &amp; &lt;fog&gt;');
+  });
+
+  it('should dispatch by format name', () => {
+    expect(renderTranscript(broadcast)).toBe(renderPlainText(broadcast));
+    expect(renderTranscript(broadcast, 'markdown')).toBe(renderMarkdown(broadcast));
+    expect(() => renderTranscript(broadcast, 'pdf')).toThrow('Unknown transcript format: pdf');
+  });
+});
+
+describe('TranscriptView', () => {
+  let view;
+
+  afterEach(() => {
+    view.destroy();
+  });
+
+  it('should append what has been spoken, under a heading per broadcast', () => {
+    const container = document.createElement('div');
+    view = new TranscriptView(container);
+    view.initialize();
+
+    globalEventBus.emit('broadcast:started', { broadcastId: 'broadcast-00000001', timestamp: TIMESTAMP.toISOString() });
+    globalEventBus.emit('segment:complete', { label: 'Introduction', text: 'And now the shipping forecast.' });
+    globalEventBus.emit('report:complete', { text: 'Viking. Westerly 5. Moderate. Rain. Good.' });
+
+    expect(Array.from(container.children).map((child) => child.textContent)).toEqual([
+      'Shipping forecast 1754 UTC',
+      'And now the shipping forecast.',
+      'Viking. Westerly 5. Moderate. Rain. Good.',
+    ]);
+    expect(container.lastElementChild.dataset.segment).toBe('Area');
+  });
+
+  it('should toggle visibility and stop following when destroyed', () => {
+    const container = document.createElement('div');
+    view = new TranscriptView(container);
+    view.initialize();
+
+    expect(view.toggle()).toBe(true);
+    expect(container.classList.contains('visible')).toBe(true);
+
+    view.destroy();
+    globalEventBus.emit('segment:complete', { label: 'Sign-off', text: 'Good night.' });
+    expect(container.children).toHaveLength(0);
+  });
+});
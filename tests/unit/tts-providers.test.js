@@ -0,0 +1,239 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * TTS Provider Registry Unit Tests
+ *
+ * Tests for the provider registry, fallback between providers, and the
+ * request shape of the Polly and Azure adapters (with fetch mocked).
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  TTSProviderRegistry,
+  FallbackTTSAdapter,
+  ttsProviders,
+  parseProviderOrder,
+  providerConfigFromEnv
+} from '../../src/audio/tts-providers.js';
+import { TTSAdapter, MockTTSAdapter } from '../../src/audio/tts-service-adapter.js';
+import { PollyTTSAdapter, signAWSRequest } from '../../src/audio/polly-tts-adapter.js';
+import { AzureTTSAdapter } from '../../src/audio/azure-tts-adapter.js';
+import { ssmlToText } from '../../src/audio/local-tts-adapter.js';
+
+const template = {
+  ssml: '<speak><mark name="w0"/>Viking, <emphasis level="moderate">southwest</emphasis> 5.</speak>',
+  reportId: 'viking',
+  areaName: 'Viking'
+};
+
+function mockFetch(...responses) {
+  const fetch = jest.fn();
+  for (const response of responses) {
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, ...response });
+  }
+  global.fetch = fetch;
+  return fetch;
+}
+
+describe('TTSProviderRegistry', () => {
+  it('should create the built-in providers by name', () => {
+    expect(ttsProviders.names()).toEqual(['google', 'polly', 'azure', 'local', 'piper', 'mock']);
+    expect(ttsProviders.create('polly')).toBeInstanceOf(PollyTTSAdapter);
+    expect(ttsProviders.create('azure')).toBeInstanceOf(AzureTTSAdapter);
+    expect(ttsProviders.create('mock')).toBeInstanceOf(TTSAdapter);
+  });
+
+  it('should reject unknown providers and empty orders', () => {
+    expect(() => ttsProviders.createAdapter('google,festival')).toThrow('Unknown TTS provider: festival');
+    expect(() => ttsProviders.createAdapter(' , ')).toThrow('No TTS providers configured');
+  });
+
+  it('should merge shared and per-provider configuration', () => {
+    const registry = new TTSProviderRegistry();
+    const create = jest.fn((config) => new MockTTSAdapter(config));
+    registry.register('a', create);
+
+    const adapter = registry.createAdapter('a', { shared: { timeout: 100, retryAttempts: 1 }, a: { timeout: 200 } });
+
+    expect(adapter).toBeInstanceOf(MockTTSAdapter);
+    expect(create).toHaveBeenCalledWith({ timeout: 200, retryAttempts: 1 });
+  });
+
+  it('should name each provider\'s voice', () => {
+    expect(ttsProviders.create('google').getVoiceName()).toBe('en-GB-Neural2-B');
+    expect(ttsProviders.create('polly', { voice: { name: 'Amy' } }).getVoiceName()).toBe('Amy');
+    expect(ttsProviders.create('piper', { model: 'en_GB-cori-high.onnx' }).getVoiceName()).toContain('en_GB-cori-high.onnx');
+    expect(ttsProviders.create('mock').getVoiceName()).toBe('mock');
+  });
+
+  it('should wrap several providers in a fallback adapter', () => {
+    expect(ttsProviders.createAdapter(['mock', 'local'])).toBeInstanceOf(FallbackTTSAdapter);
+  });
+
+  it('should parse orders and read credentials from the environment', () => {
+    expect(parseProviderOrder(' google, polly ,local ')).toEqual(['google', 'polly', 'local']);
+
+    const configs = providerConfigFromEnv({ AWS_REGION: 'eu-west-1', AWS_ACCESS_KEY_ID: 'id', AZURE_SPEECH_KEY: 'key' });
+    expect(configs.polly).toMatchObject({ region: 'eu-west-1', accessKeyId: 'id' });
+    expect(configs.polly).not.toHaveProperty('voice');
+    expect(configs.azure).toMatchObject({ key: 'key' });
+  });
+
+  it('should keep the shared voice when the environment names none', () => {
+    const create = jest.fn(() => new MockTTSAdapter());
+    const registry = new TTSProviderRegistry();
+    registry.register('polly', create);
+
+    const configs = providerConfigFromEnv({ AWS_REGION: 'eu-west-1' });
+    registry.createAdapter(['polly'], { shared: { voice: { name: 'Amy' } }, ...configs });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ region: 'eu-west-1', voice: { name: 'Amy' } }));
+
+    registry.createAdapter(['polly'], { shared: { voice: { name: 'Amy' } }, ...providerConfigFromEnv({ POLLY_VOICE: 'Brian' }) });
+    expect(create).toHaveBeenLastCalledWith({ voice: { name: 'Brian' } });
+  });
+});
+
+describe('FallbackTTSAdapter', () => {
+  let first;
+  let second;
+  let clock;
+  let adapter;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    first = new MockTTSAdapter();
+    second = new MockTTSAdapter();
+    clock = 0;
+    adapter = new FallbackTTSAdapter(
+      [{ name: 'first', adapter: first }, { name: 'second', adapter: second }],
+      { cooldown: 1000, now: () => clock }
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should use the first provider that succeeds', async () => {
+    expect((await adapter.synthesize(template)).provider).toBe('first');
+
+    first.setShouldFail(true);
+    expect((await adapter.synthesize(template)).provider).toBe('second');
+    expect(adapter.getUsageStats()).toMatchObject({ successCount: 2, providers: { first: { failureCount: 1 } } });
+  });
+
+  it('should pass over a failed provider until the cooldown ends', async () => {
+    first.setShouldFail(true);
+    await adapter.synthesize(template);
+    first.setShouldFail(false);
+
+    clock = 500;
+    expect((await adapter.synthesize(template)).provider).toBe('second');
+
+    clock = 1500;
+    expect((await adapter.synthesize(template)).provider).toBe('first');
+  });
+
+  it('should name the voice of the provider that made the audio', async () => {
+    first.getVoiceName = () => 'first-voice';
+    second.getVoiceName = () => 'second-voice';
+    expect(adapter.getVoiceName()).toBe('first-voice');
+
+    first.setShouldFail(true);
+    expect((await adapter.synthesize(template)).voice).toBe('second-voice');
+  });
+
+  it('should report every failure when all providers fail', async () => {
+    first.setShouldFail(true);
+    second.setShouldFail(true);
+
+    await expect(adapter.synthesize(template)).rejects.toThrow(/All TTS providers failed \(first: .*; second: .*\)/);
+    expect(adapter.getUsageStats().failureCount).toBe(1);
+  });
+});
+
+describe('signAWSRequest', () => {
+  it('should match the AWS Signature Version 4 test suite (get-vanilla)', async () => {
+    const headers = await signAWSRequest({
+      method: 'GET',
+      url: 'https://example.amazonaws.com/',
+      region: 'us-east-1',
+      service: 'service',
+      credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' },
+      date: new Date('2015-08-30T12:36:00Z')
+    });
+
+    expect(headers['X-Amz-Date']).toBe('20150830T123600Z');
+    expect(headers.Authorization).toBe(
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, '
+      + 'SignedHeaders=host;x-amz-date, '
+      + 'Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+    );
+  });
+});
+
+describe('PollyTTSAdapter', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should request signed PCM and speech marks and return WAV', async () => {
+    const fetch = mockFetch(
+      { arrayBuffer: async () => new ArrayBuffer(32000) },
+      { text: async () => '{"time":0,"type":"ssml","value":"w0"}\n{"time":640,"type":"ssml","value":"w1"}\n' }
+    );
+    const adapter = new PollyTTSAdapter({ accessKeyId: 'id', secretAccessKey: 'secret', audioConfig: { encoding: 'WAV' } });
+
+    const audio = await adapter.synthesize(template);
+
+    const [url, init] = fetch.mock.calls[0];
+    const body = JSON.parse(init.body);
+    expect(url).toBe('https://polly.eu-west-2.amazonaws.com/v1/speech');
+    expect(init.headers.Authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=id\/\d{8}\/eu-west-2\/polly\/aws4_request/);
+    expect(body).toMatchObject({ Engine: 'neural', VoiceId: 'Brian', TextType: 'ssml', OutputFormat: 'pcm', SampleRate: '16000' });
+    expect(body.Text).not.toContain('emphasis');
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({ OutputFormat: 'json', SpeechMarkTypes: ['ssml'] });
+
+    expect(audio.audioBlob.type).toBe('audio/wav');
+    expect(audio.audioBlob.size).toBe(44 + 32000);
+    expect(audio.duration).toBe(1);
+    expect(audio.timepoints).toEqual([{ markName: 'w0', timeSeconds: 0 }, { markName: 'w1', timeSeconds: 0.64 }]);
+  });
+});
+
+describe('AzureTTSAdapter', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should name the voice in the SSML and ask for the configured format', async () => {
+    const fetch = mockFetch({ arrayBuffer: async () => new ArrayBuffer(10) });
+    const adapter = new AzureTTSAdapter({ key: 'key' });
+
+    const audio = await adapter.synthesize(template);
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://uksouth.tts.speech.microsoft.com/cognitiveservices/v1');
+    expect(init.headers).toMatchObject({
+      'Ocp-Apim-Subscription-Key': 'key',
+      'X-Microsoft-OutputFormat': 'audio-24khz-48kbitrate-mono-mp3'
+    });
+    expect(init.body).toContain('<voice name="en-GB-RyanNeural"><bookmark mark="w0"/>Viking,');
+    expect(init.body).toMatch(/<\/voice><\/speak>$/);
+    expect(audio.audioBlob.type).toBe('audio/mpeg');
+  });
+
+  it('should reject sample rates Azure does not offer', async () => {
+    const adapter = new AzureTTSAdapter({ audioConfig: { sampleRate: 22050 } });
+    await expect(adapter.synthesize(template)).rejects.toThrow('Azure Speech does not support MP3 at 22050 Hz');
+  });
+});
+
+describe('ssmlToText', () => {
+  it('should keep the words and read substitutions as their alias', () => {
+    expect(ssmlToText('<speak>Viking <break time="300ms"/>, <sub alias="north east">NE</sub> 5 &amp; 6 .</speak>'))
+      .toBe('Viking, north east 5 & 6.');
+  });
+});
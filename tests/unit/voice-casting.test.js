@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Voice Casting Unit Tests
+ *
+ * Tests for casting voices by segment role, the duty announcer rota, and
+ * carrying the cast voice through broadcast segments, the TTS adapters and
+ * the synthesizer's cache.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, jest } from '@jest/globals';
+import { VoiceCasting, roleForSegment, DUTY, VOICES } from '../../src/audio/voice-casting.js';
+import { broadcastSegments } from '../../src/audio/broadcast-renderer.js';
+import { SSMLSynthesizer } from '../../src/audio/ssml-synthesizer.js';
+import { ttsProviders } from '../../src/audio/tts-providers.js';
+import { MockTTSAdapter } from '../../src/audio/tts-service-adapter.js';
+import { PollyTTSAdapter } from '../../src/audio/polly-tts-adapter.js';
+import { AzureTTSAdapter } from '../../src/audio/azure-tts-adapter.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+
+const template = { ssml: '<speak>Viking, southwest 5.</speak>', reportId: 'viking', areaName: 'Viking' };
+
+function generate(options = {}) {
+  return new BroadcastGenerator().generateBroadcast(3, { seed: 11, timestamp: new Date('2026-01-15T00:48:00Z'), ...options });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('VoiceCasting', () => {
+  it('should give phantoms and warnings their own voices, and the rest to the duty announcer', () => {
+    const casting = new VoiceCasting();
+
+    expect(casting.voiceFor('phantom').id).toBe('female-2');
+    expect(casting.voiceFor('warning')).toEqual({
+      id: 'female-3', google: 'en-GB-Neural2-F', polly: { name: 'Geraint', engine: 'standard' }, azure: 'en-GB-AbbiNeural'
+    });
+    expect(casting.voiceFor('synopsis', null, 1)).toEqual(casting.dutyAnnouncer(null, 1));
+    expect(casting.houseVoice().google).toBe('en-GB-Neural2-B');
+  });
+
+  it('should give every voice its own name with each provider', () => {
+    for (const provider of ['google', 'polly', 'azure']) {
+      const names = Object.values(VOICES).map((voice) => voice[provider].name || voice[provider]);
+      expect(new Set(names).size).toBe(names.length);
+    }
+  });
+
+  it('should take the duty announcer rota in turn, one broadcast each', () => {
+    const casting = new VoiceCasting();
+    const announcers = [0, 1, 2, 3].map((position) => casting.voiceFor('announcer', null, position).id);
+
+    expect(announcers).toEqual(['male-1', 'male-2', 'female-1', 'male-1']);
+  });
+
+  it('should place a broadcast heard on its own in the rota by its broadcastId', () => {
+    const casting = new VoiceCasting();
+    const announcers = ['a', 'b', 'c', 'd', 'e', 'f'].map((broadcastId) => casting.dutyAnnouncer({ broadcastId }).id);
+
+    expect(casting.dutyAnnouncer({ broadcastId: 'a' }).id).toBe(announcers[0]);
+    expect(new Set(announcers).size).toBeGreaterThan(1);
+  });
+
+  it('should accept partial castings and extra voices, and reject unknown roles and voices', () => {
+    const casting = new VoiceCasting({
+      roles: { area: 'piper-alan', synopsis: DUTY },
+      dutyRota: ['female-1'],
+      voices: { 'piper-alan': { google: 'en-GB-Standard-B', polly: 'Brian', azure: 'en-GB-OliverNeural' } }
+    });
+
+    expect(casting.voiceFor('area').google).toBe('en-GB-Standard-B');
+    expect(casting.voiceFor('synopsis', null, 5).id).toBe('female-1');
+    expect(casting.voiceFor('phantom').id).toBe('female-2');
+
+    expect(() => new VoiceCasting({ roles: { narrator: 'male-1' } })).toThrow('Unknown segment role: narrator');
+    expect(() => new VoiceCasting({ roles: { area: 'male-9' } })).toThrow('Unknown voice: male-9');
+    expect(() => new VoiceCasting({ dutyRota: [] })).toThrow('at least one voice');
+    expect(() => casting.voiceFor('narrator')).toThrow('Unknown segment role');
+  });
+});
+
+describe('roleForSegment', () => {
+  it('should tell each kind of segment apart', () => {
+    expect(roleForSegment({ label: 'Introduction' })).toBe('announcer');
+    expect(roleForSegment({ label: 'Gale Warnings' })).toBe('announcer');
+    expect(roleForSegment({ label: 'General Synopsis' })).toBe('synopsis');
+    expect(roleForSegment({ label: 'Viking', report: { area: { name: 'Viking', type: 'standard' } } })).toBe('area');
+    expect(roleForSegment({ label: 'The Void', report: { area: { name: 'The Void', type: 'phantom' } } })).toBe('phantom');
+    expect(roleForSegment({ label: 'InactivityWarning' })).toBe('warning');
+    expect(roleForSegment({ label: 'Tiree', role: 'area' })).toBe('area');
+  });
+});
+
+describe('broadcastSegments voices', () => {
+  it('should cast every segment, with the duty announcer changing from broadcast to broadcast', () => {
+    const broadcast = generate({ coastalStations: true });
+    const first = broadcastSegments(broadcast, { position: 0 });
+    const second = broadcastSegments(broadcast, { position: 1 });
+    const station = first.find((segment) => segment.label === broadcast.coastalStations.stations[0].name);
+
+    expect(first.every((segment) => segment.role && segment.voice)).toBe(true);
+    expect(first[0]).toMatchObject({ label: 'Introduction', role: 'announcer', voice: { id: 'male-1' } });
+    expect(second[0].voice.id).toBe('male-2');
+    expect(station).toMatchObject({ role: 'area', voice: { id: 'male-1' } });
+    expect(broadcastSegments(broadcast)[0].voice).toEqual(broadcastSegments(broadcast)[0].voice);
+  });
+});
+
+describe('TTS adapters with a cast voice', () => {
+  const cast = { ...template, voice: new VoiceCasting().voiceFor('phantom') };
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should name each provider\'s voice for the cast voice', () => {
+    expect(ttsProviders.create('google').getVoiceName(cast)).toBe('en-GB-Neural2-C');
+    expect(ttsProviders.create('google').getVoiceName(template)).toBe('en-GB-Neural2-B');
+    expect(ttsProviders.create('polly').getVoiceName(cast)).toBe('Emma');
+    expect(ttsProviders.create('azure').getVoiceName(cast)).toBe('en-GB-LibbyNeural');
+    expect(ttsProviders.create('mock').getVoiceName(cast)).toBe('mock:female-2');
+    expect(ttsProviders.create('local').getVoiceName(cast)).toBe(ttsProviders.create('local').getVoiceName());
+  });
+
+  it('should ask Polly and Azure for the cast voice', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(10) }));
+
+    await new PollyTTSAdapter({ enableTimepoints: false }).synthesize(cast);
+    await new AzureTTSAdapter().synthesize(cast);
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ VoiceId: 'Emma', Engine: 'neural' });
+    expect(global.fetch.mock.calls[1][1].body).toContain('<voice name="en-GB-LibbyNeural">');
+  });
+
+  it('should ask Polly for a cast voice with the engine it speaks with', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(10) }));
+    const warning = { ...template, voice: new VoiceCasting().voiceFor('warning') };
+    const adapter = new PollyTTSAdapter({ enableTimepoints: false });
+
+    await adapter.synthesize(warning);
+
+    expect(adapter.getVoiceName(warning)).toBe('Geraint');
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ VoiceId: 'Geraint', Engine: 'standard' });
+  });
+
+  it('should report the cast voice of the provider that made the audio', async () => {
+    const adapter = ttsProviders.createAdapter(['mock', 'local']);
+    expect((await adapter.synthesize(cast)).voice).toBe('mock:female-2');
+  });
+});
+
+describe('SSMLSynthesizer voices', () => {
+  it('should cache audio by voice, never reusing it for another', async () => {
+    const ttsAdapter = new MockTTSAdapter();
+    const synthesizer = new SSMLSynthesizer({ ttsAdapter });
+    const casting = new VoiceCasting();
+    const report = generate().areaForecasts[0];
+
+    const first = await synthesizer.synthesizeReport(report, { voice: casting.voiceFor('area', null, 0) });
+    const again = await synthesizer.synthesizeReport(report, { voice: casting.voiceFor('area', null, 0) });
+    const other = await synthesizer.synthesizeReport(report, { voice: casting.voiceFor('area', null, 1) });
+
+    expect([first.fromCache, again.fromCache, other.fromCache]).toEqual([false, true, false]);
+    expect(ttsAdapter.getUsageStats().requestCount).toBe(2);
+    expect(ttsAdapter.getLastRequest().voice.id).toBe('male-2');
+
+    await synthesizer.synthesizeText('Good evening.', 'Introduction', { voice: casting.voiceFor('warning') });
+    expect(ttsAdapter.getLastRequest().voice.id).toBe('female-3');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Weather Field Unit Tests
+ *
+ * Tests for the spatially coherent weather field covering:
+ * - Sea area adjacency graph
+ * - Neighbouring areas receiving related conditions
+ * - Pressure systems driving wind strength
+ * - Generator integration via the general synopsis
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { STANDARD_AREAS, AREA_ADJACENCY, getGraphDistances } from '../../src/core/areas.js';
+import { WeatherField } from '../../src/core/weather-field.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { WIND_DIRECTIONS } from '../../src/core/vocabulary.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+
+const COMPASS = WIND_DIRECTIONS.slice(0, 8);
+
+/**
+ * Number of compass steps between two directions (0-4)
+ */
+function compassSteps(a, b) {
+  const diff = Math.abs(COMPASS.indexOf(a) - COMPASS.indexOf(b));
+  return Math.min(diff, 8 - diff);
+}
+
+describe('AREA_ADJACENCY', () => {
+  it('should cover every standard area', () => {
+    expect(Object.keys(AREA_ADJACENCY).sort()).toEqual([...STANDARD_AREAS].sort());
+  });
+
+  it('should be symmetric', () => {
+    for (const [area, neighbours] of Object.entries(AREA_ADJACENCY)) {
+      for (const neighbour of neighbours) {
+        expect(AREA_ADJACENCY[neighbour]).toContain(area);
+      }
+    }
+  });
+
+  it('should connect all areas', () => {
+    expect(getGraphDistances('Trafalgar').size).toBe(STANDARD_AREAS.length);
+  });
+});
+
+describe('WeatherField', () => {
+  it('should give neighbouring areas related wind directions', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const field = new WeatherField({ random: createSeededRandom(seed) }).build([
+        { type: 'Medium', area: 'Dogger', pressure: 1010 },
+      ]);
+
+      for (const [area, neighbours] of Object.entries(AREA_ADJACENCY)) {
+        const here = field.getConditions(area).direction;
+        for (const neighbour of neighbours) {
+          const there = field.getConditions(neighbour).direction;
+          if (COMPASS.includes(here) && COMPASS.includes(there)) {
+            expect(compassSteps(here, there)).toBeLessThanOrEqual(2);
+          }
+        }
+      }
+    }
+  });
+
+  it('should blow hardest near a deep low', () => {
+    let nearTotal = 0;
+    let farTotal = 0;
+
+    for (let seed = 0; seed < 20; seed++) {
+      const field = new WeatherField({ random: createSeededRandom(seed) }).build([
+        { type: 'Low', area: 'Rockall', pressure: 955 },
+      ]);
+      nearTotal += field.getConditions('Malin').force;
+      farTotal += field.getConditions('Dover').force;
+    }
+
+    expect(nearTotal).toBeGreaterThan(farTotal);
+  });
+
+  it('should make the centre of a deep low cyclonic', () => {
+    const field = new WeatherField({ random: createSeededRandom(1) }).build([
+      { type: 'Low', area: 'Bailey', pressure: 960 },
+    ]);
+
+    expect(field.getConditions('Bailey').direction).toBe('Cyclonic');
+  });
+
+  it('should blow round an announced low, so opposite sides have opposing winds', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const field = new WeatherField({ random: createSeededRandom(seed) }).build([
+        { type: 'Low', area: 'Fair Isle', pressure: 975 },
+      ]);
+      const southWest = field.getConditions('Hebrides').direction;
+      const east = field.getConditions('Viking').direction;
+
+      expect(compassSteps(southWest, east)).toBeGreaterThanOrEqual(3);
+      expect(['Westerly', 'North-westerly', 'Northerly']).toContain(southWest);
+      expect(['South-easterly', 'Southerly', 'South-westerly']).toContain(east);
+    }
+  });
+
+  it('should blow clockwise round a high', () => {
+    const field = new WeatherField({ random: createSeededRandom(4) }).build([
+      { type: 'High', area: 'Fair Isle', pressure: 1035 },
+    ]);
+
+    expect(['Easterly', 'South-easterly', 'Southerly']).toContain(field.getConditions('Hebrides').direction);
+    expect(['North-westerly', 'Northerly', 'North-easterly']).toContain(field.getConditions('Viking').direction);
+  });
+
+  it('should return null for phantom areas', () => {
+    const field = new WeatherField().build([{ type: 'High', area: 'Sole', pressure: 1030 }]);
+
+    expect(field.getConditions('The Void')).toBeNull();
+  });
+});
+
+describe('BroadcastGenerator weather field', () => {
+  it('should drive area forecasts from the synopsis system', () => {
+    const generator = new BroadcastGenerator();
+    const broadcast = generator.generateBroadcast(31, { seed: 99 });
+
+    expect(generator.weatherField.systems[0].area).toBe(broadcast.generalSynopsis.currentArea);
+
+    for (const forecast of broadcast.areaForecasts) {
+      const conditions = generator.weatherField.getConditions(forecast.area.name);
+      if (conditions) {
+        expect(forecast.wind.direction).toBe(conditions.direction);
+        // Seasonal fog banks (see climatology.js) may settle over the field visibility
+        const visibility = forecast.visibility.startsWith('Fog') ? 'Fog' : conditions.visibility;
+        expect(forecast.visibility.startsWith(visibility)).toBe(true);
+      }
+    }
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Weather State Unit Tests
+ *
+ * Tests for temporal continuity between broadcasts covering:
+ * - Pressure systems travelling to their announced positions
+ * - Area conditions drifting rather than jumping
+ * - Snapshot round-tripping
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { WeatherState, findAreaPath } from '../../src/core/weather-state.js';
+import { BroadcastGenerator } from '../../src/core/broadcast-generator.js';
+import { WIND_DIRECTIONS } from '../../src/core/vocabulary.js';
+
+const HOUR = 60 * 60 * 1000;
+const COMPASS = WIND_DIRECTIONS.slice(0, 8);
+
+describe('findAreaPath', () => {
+  it('should follow neighbouring areas', () => {
+    expect(findAreaPath('Dover', 'Portland')).toEqual(['Dover', 'Wight', 'Portland']);
+  });
+
+  it('should return the start for identical or unknown areas', () => {
+    expect(findAreaPath('Dogger', 'Dogger')).toEqual(['Dogger']);
+    expect(findAreaPath('The Void', 'Dogger')).toEqual(['The Void']);
+  });
+});
+
+describe('WeatherState', () => {
+  const system = {
+    type: 'Low',
+    changeType: 'deepening',
+    changeRate: 'slowly',
+    from: { direction: 'north', area: 'Dover', pressure: 1000, time: '2026-01-15T00:00:00.000Z' },
+    to: { direction: 'west', area: 'Portland', pressure: 994, time: '2026-01-15T12:00:00.000Z' },
+  };
+
+  it('should interpolate position along the path', () => {
+    const state = new WeatherState();
+    const halfway = state.positionAt(system, new Date('2026-01-15T06:00:00Z'));
+
+    expect(halfway.area).toBe('Wight');
+    expect(halfway.pressure).toBe(997);
+    expect(halfway.arrived).toBe(false);
+  });
+
+  it('should not reach the expected area before the expected time', () => {
+    const state = new WeatherState();
+    const late = state.positionAt(system, new Date('2026-01-15T11:59:00Z'));
+
+    expect(late.area).toBe('Wight');
+    expect(late.arrived).toBe(false);
+  });
+
+  it('should arrive at the expected position at the expected time', () => {
+    const state = new WeatherState();
+    const arrival = state.positionAt(system, new Date('2026-01-15T12:00:00Z'));
+
+    expect(arrival).toMatchObject({ direction: 'west', area: 'Portland', pressure: 994, arrived: true });
+  });
+
+  it('should round-trip through a snapshot', () => {
+    const state = new WeatherState();
+    state.addSystem(system);
+
+    const restored = WeatherState.fromJSON(JSON.parse(JSON.stringify(state.toJSON())));
+
+    expect(restored.systems).toEqual([system]);
+  });
+});
+
+describe('BroadcastGenerator continuity', () => {
+  it('should bring the synopsis system to its announced area', () => {
+    const generator = new BroadcastGenerator();
+    const start = Date.parse('2026-01-15T00:48:00Z');
+    const first = generator.generateBroadcast(31, { seed: 5, timestamp: start });
+    const { expectedArea, expectedDirection } = first.generalSynopsis;
+
+    const arrivalTime = new Date(generator.weatherState.systems[0].to.time);
+    const later = generator.generateBroadcast(31, { seed: 6, timestamp: arrivalTime.getTime() });
+
+    expect(later.generalSynopsis.currentArea).toBe(expectedArea);
+    expect(later.generalSynopsis.currentDirection).toBe(expectedDirection);
+  });
+
+  it('should never announce a system as already where it is expected', () => {
+    const generator = new BroadcastGenerator();
+    let timestamp = Date.parse('2026-03-01T00:48:00Z');
+
+    for (let seed = 1; seed < 120; seed++) {
+      const { generalSynopsis: synopsis } = generator.generateBroadcast(3, { seed, timestamp });
+      const current = [synopsis.currentDirection, synopsis.currentArea, synopsis.currentPressure];
+      const expected = [synopsis.expectedDirection, synopsis.expectedArea, synopsis.expectedPressure];
+
+      expect({ seed, current }).not.toEqual({ seed, current: expected });
+      timestamp += (seed % 2 ? 1 : 6) * HOUR;
+    }
+  });
+
+  it('should only announce a pressure change the range leaves room for', () => {
+    const generator = new BroadcastGenerator();
+    let timestamp = Date.parse('2026-03-01T00:48:00Z');
+
+    for (let seed = 1; seed < 200; seed++) {
+      const system = generator._planSystemLeg('Low', {
+        direction: 'north', area: 'Dogger', pressure: seed % 2 ? 950 : 1005, time: new Date(timestamp).toISOString()
+      }, new Date(timestamp));
+
+      if (system.changeType) {
+        expect(system.to.pressure).not.toBe(system.from.pressure);
+        expect(system.changeRate).not.toBeNull();
+      }
+      timestamp += HOUR;
+    }
+  });
+
+  it('should limit how far area conditions change between broadcasts', () => {
+    const generator = new BroadcastGenerator();
+    let timestamp = Date.parse('2026-01-15T00:48:00Z');
+    generator.generateBroadcast(31, { seed: 1, timestamp });
+    let previous = new Map(generator.weatherField.cells);
+
+    for (let seed = 2; seed < 10; seed++) {
+      timestamp += 6 * HOUR;
+      generator.generateBroadcast(31, { seed, timestamp });
+
+      for (const [area, cell] of generator.weatherField.cells) {
+        const last = previous.get(area);
+        expect(Math.abs(cell.force - last.force)).toBeLessThanOrEqual(2);
+        expect(Math.abs(cell.visibilityIndex - last.visibilityIndex)).toBeLessThanOrEqual(1);
+
+        if (COMPASS.includes(cell.direction) && COMPASS.includes(last.direction)) {
+          const diff = Math.abs(COMPASS.indexOf(cell.direction) - COMPASS.indexOf(last.direction));
+          expect(Math.min(diff, 8 - diff)).toBeLessThanOrEqual(1);
+        }
+      }
+      previous = new Map(generator.weatherField.cells);
+    }
+  });
+});